@@ -0,0 +1,14 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/metatx/ERC2771Forwarder.sol";
+
+/**
+ * @title BafokaForwarder
+ * @dev Forwarder de confiance (ERC-2771) du relayer du backend
+ * @dev Vérifie la signature EIP-712 d'une requête de membre (ForwardRequest), consomme son
+ *      nonce puis appelle GovernanceDAO en ajoutant l'adresse du signataire aux données d'appel
+ */
+contract BafokaForwarder is ERC2771Forwarder {
+    constructor() ERC2771Forwarder("BafokaForwarder") {}
+}
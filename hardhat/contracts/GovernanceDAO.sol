@@ -4,6 +4,7 @@ pragma solidity ^0.8.20;
 import "@openzeppelin/contracts/access/AccessControl.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/utils/Pausable.sol";
+import "@openzeppelin/contracts/metatx/ERC2771Context.sol";
 
 /**
  * @title GovernanceDAO
@@ -17,8 +18,10 @@ import "@openzeppelin/contracts/utils/Pausable.sol";
  * - Éligibilité des membres via allowlist off-chain
  * - Stockage IPFS pour le contenu détaillé
  * - Système de contestation avec fenêtre temporelle
+ * - Méta-transactions ERC-2771 : un forwarder de confiance relaie les actions signées
+ *   par les membres (le relayer paie le gas, l'expéditeur reste le membre)
  */
-contract GovernanceDAO is AccessControl, ReentrancyGuard, Pausable {
+contract GovernanceDAO is AccessControl, ReentrancyGuard, Pausable, ERC2771Context {
     
     /*//////////////////////////////////////////////////////////////
                                  ENUMS
@@ -262,8 +265,8 @@ contract GovernanceDAO is AccessControl, ReentrancyGuard, Pausable {
      * @dev Vérifie qu'un membre est actif et éligible
      */
     modifier onlyActiveMember() {
-        require(allowList[msg.sender], "Governance: Not an active member");
-        require(members[msg.sender].isActive, "Governance: Member not active");
+        require(allowList[_msgSender()], "Governance: Not an active member");
+        require(members[_msgSender()].isActive, "Governance: Member not active");
         _;
     }
     
@@ -296,8 +299,10 @@ contract GovernanceDAO is AccessControl, ReentrancyGuard, Pausable {
     /**
      * @dev Initialise le contrat de gouvernance
      * @param admin Adresse de l'administrateur principal
+     * @param trustedForwarder Forwarder ERC-2771 autorisé à relayer les actions des membres
+     *                         (adresse nulle : pas de méta-transactions)
      */
-    constructor(address admin) {
+    constructor(address admin, address trustedForwarder) ERC2771Context(trustedForwarder) {
         require(admin != address(0), "Governance: Invalid admin address");
         
         // Attribution du rôle d'administrateur
@@ -392,7 +397,7 @@ contract GovernanceDAO is AccessControl, ReentrancyGuard, Pausable {
         // Initialisation de la proposition
         Proposal storage newProposal = proposals[proposalId];
         newProposal.id = proposalId;
-        newProposal.proposer = msg.sender;
+        newProposal.proposer = _msgSender();
         newProposal.ipfsCID = ipfsCID;
         newProposal.title = title;
         newProposal.impactLevel = impactLevel;
@@ -403,7 +408,7 @@ contract GovernanceDAO is AccessControl, ReentrancyGuard, Pausable {
         
         emit ProposalCreated(
             proposalId,
-            msg.sender,
+            _msgSender(),
             ipfsCID,
             impactLevel,
             newProposal.startBlock,
@@ -438,7 +443,7 @@ contract GovernanceDAO is AccessControl, ReentrancyGuard, Pausable {
         }
         // RequestChanges garde le statut Pending
         
-        emit ProposalModerated(proposalId, msg.sender, decision, note);
+        emit ProposalModerated(proposalId, _msgSender(), decision, note);
     }
     
     /**
@@ -465,12 +470,12 @@ contract GovernanceDAO is AccessControl, ReentrancyGuard, Pausable {
             "Governance: Voting period ended"
         );
         require(
-            !proposal.hasVoted[msg.sender],
+            !proposal.hasVoted[_msgSender()],
             "Governance: Already voted"
         );
         
         // Enregistrement du vote
-        proposal.hasVoted[msg.sender] = true;
+        proposal.hasVoted[_msgSender()] = true;
         
         if (support) {
             proposal.votesFor++;
@@ -478,7 +483,7 @@ contract GovernanceDAO is AccessControl, ReentrancyGuard, Pausable {
             proposal.votesAgainst++;
         }
         
-        emit VoteCast(proposalId, msg.sender, support, block.timestamp);
+        emit VoteCast(proposalId, _msgSender(), support, block.timestamp);
     }
     
     /**
@@ -546,7 +551,7 @@ contract GovernanceDAO is AccessControl, ReentrancyGuard, Pausable {
         proposal.cancelled = true;
         proposal.status = ProposalStatus.Cancelled;
         
-        emit ProposalCancelled(proposalId, msg.sender, reason);
+        emit ProposalCancelled(proposalId, _msgSender(), reason);
     }
     
     /*//////////////////////////////////////////////////////////////
@@ -580,7 +585,7 @@ contract GovernanceDAO is AccessControl, ReentrancyGuard, Pausable {
         contests[contestId] = Contest({
             id: contestId,
             proposalId: proposalId,
-            raisedBy: msg.sender,
+            raisedBy: _msgSender(),
             reason: reason,
             evidenceCID: evidenceCID,
             resolved: false,
@@ -591,7 +596,7 @@ contract GovernanceDAO is AccessControl, ReentrancyGuard, Pausable {
             resolvedAt: 0
         });
         
-        emit ContestRaised(contestId, proposalId, msg.sender, reason);
+        emit ContestRaised(contestId, proposalId, _msgSender(), reason);
         
         return contestId;
     }
@@ -614,13 +619,13 @@ contract GovernanceDAO is AccessControl, ReentrancyGuard, Pausable {
         contest.resolved = true;
         contest.upheld = uphold;
         contest.resolutionNote = resolutionNote;
-        contest.resolvedBy = msg.sender;
+        contest.resolvedBy = _msgSender();
         contest.resolvedAt = block.timestamp;
         
         emit ContestResolved(
             contestId,
             contest.proposalId,
-            msg.sender,
+            _msgSender(),
             uphold,
             resolutionNote
         );
@@ -638,7 +643,7 @@ contract GovernanceDAO is AccessControl, ReentrancyGuard, Pausable {
         require(newRulesHash != bytes32(0), "Governance: Invalid rules hash");
         
         rulesHash = newRulesHash;
-        emit RulesAmended(newRulesHash, msg.sender);
+        emit RulesAmended(newRulesHash, _msgSender());
     }
     
     /**
@@ -858,4 +863,44 @@ contract GovernanceDAO is AccessControl, ReentrancyGuard, Pausable {
     {
         return super.supportsInterface(interfaceId);
     }
+    
+    /*//////////////////////////////////////////////////////////////
+                              ERC-2771
+    //////////////////////////////////////////////////////////////*/
+    
+    /**
+     * @dev Expéditeur réel : le membre signataire lorsque l'appel vient du forwarder
+     */
+    function _msgSender()
+        internal
+        view
+        override(Context, ERC2771Context)
+        returns (address)
+    {
+        return ERC2771Context._msgSender();
+    }
+    
+    /**
+     * @dev Données d'appel sans l'adresse ajoutée par le forwarder
+     */
+    function _msgData()
+        internal
+        view
+        override(Context, ERC2771Context)
+        returns (bytes calldata)
+    {
+        return ERC2771Context._msgData();
+    }
+    
+    /**
+     * @dev Longueur du suffixe ajouté par le forwarder (adresse du signataire)
+     */
+    function _contextSuffixLength()
+        internal
+        view
+        override(Context, ERC2771Context)
+        returns (uint256)
+    {
+        return ERC2771Context._contextSuffixLength();
+    }
 }
\ No newline at end of file
@@ -2,9 +2,17 @@
 
 pragma solidity ^0.8.17;
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/Nonces.sol";
 
-contract Token is IERC20, Ownable {
+contract Token is IERC20, IERC20Permit, Ownable, EIP712, Nonces {
+
+   // Autorisation signée hors chaîne (ERC-2612) : le relayer du backend paie le gas des transferts
+   bytes32 private constant PERMIT_TYPEHASH =
+       keccak256("Permit(address owner,address spender,uint256 value,uint256 nonce,uint256 deadline)");
 
    string public name;
    string public symbol;
@@ -14,7 +22,7 @@ contract Token is IERC20, Ownable {
    mapping(address => uint256) private _balances;
    mapping(address => mapping(address => uint256)) private _allowances;
   
-   constructor() Ownable(msg.sender) {
+   constructor() Ownable(msg.sender) EIP712("Bafoka Token", "1") {
        _totalSupply = 200000000000000000000000;
        _balances[msg.sender] = _totalSupply;
        name = "Bafoka Token";
@@ -75,4 +83,33 @@ contract Token is IERC20, Ownable {
       
        return true;
    }
+
+   function permit(
+       address owner,
+       address spender,
+       uint256 value,
+       uint256 deadline,
+       uint8 v,
+       bytes32 r,
+       bytes32 s
+   ) public override {
+       require(block.timestamp <= deadline, "ERC20Permit: expired deadline");
+
+       bytes32 structHash = keccak256(abi.encode(PERMIT_TYPEHASH, owner, spender, value, _useNonce(owner), deadline));
+       address signer = ECDSA.recover(_hashTypedDataV4(structHash), v, r, s);
+       require(signer == owner, "ERC20Permit: invalid signature");
+
+       _allowances[owner][spender] = value;
+
+       emit Approval(owner, spender, value);
+   }
+
+   function nonces(address owner) public view override(IERC20Permit, Nonces) returns (uint256) {
+       return super.nonces(owner);
+   }
+
+   // solhint-disable-next-line func-name-mixedcase
+   function DOMAIN_SEPARATOR() external view override returns (bytes32) {
+       return _domainSeparatorV4();
+   }
 }
@@ -1,5 +1,5 @@
 // Script de déploiement COMPLET et UNIFIÉ
-// Déploie : Token + TokenGatedDao + GovernanceDAO
+// Déploie : Token + TokenGatedDao + BafokaForwarder + GovernanceDAO
 // Configure : Rôles + Fichiers de config (.env, deployments.json)
 
 const hre = require("hardhat");
@@ -27,7 +27,7 @@ async function main() {
         // ===================================================
         // 2. Déploiement du TOKEN
         // ===================================================
-        console.log("\n📄 [1/3] Déploiement du contrat TOKEN...");
+        console.log("\n📄 [1/4] Déploiement du contrat TOKEN...");
         const Token = await hre.ethers.getContractFactory("Token");
         const token = await Token.deploy();
         await token.deployed();
@@ -49,7 +49,7 @@ async function main() {
         // ===================================================
         // 3. Déploiement du DAO
         // ===================================================
-        console.log("\n🏛️  [2/3] Déploiement du contrat TokenGatedDao...");
+        console.log("\n🏛️  [2/4] Déploiement du contrat TokenGatedDao...");
         const TokenGatedDao = await hre.ethers.getContractFactory("TokenGatedDao");
         const tokenGatedDao = await TokenGatedDao.deploy(token.address);
         await tokenGatedDao.deployed();
@@ -69,9 +69,29 @@ async function main() {
         });
 
         // ===================================================
-        // 4. Déploiement de la GOUVERNANCE
+        // 4. Déploiement du FORWARDER (méta-transactions ERC-2771)
         // ===================================================
-        console.log("\n⚖️  [3/3] Déploiement du contrat GovernanceDAO...");
+        console.log("\n📨 [3/4] Déploiement du contrat BafokaForwarder...");
+        const BafokaForwarder = await hre.ethers.getContractFactory("BafokaForwarder");
+        const forwarder = await BafokaForwarder.deploy();
+        await forwarder.deployed();
+
+        const forwarderReceipt = await forwarder.deployTransaction.wait();
+        console.log("✅ BafokaForwarder déployé:", forwarder.address);
+
+        deploymentManager.updateContract('BafokaForwarder', {
+            address: forwarder.address,
+            deploymentBlock: forwarderReceipt.blockNumber,
+            deploymentTimestamp: Math.floor(Date.now() / 1000),
+            transactionHash: forwarder.deployTransaction.hash,
+            deployer: deployerAddress,
+            gasUsed: forwarderReceipt.gasUsed.toString()
+        });
+
+        // ===================================================
+        // 5. Déploiement de la GOUVERNANCE
+        // ===================================================
+        console.log("\n⚖️  [4/4] Déploiement du contrat GovernanceDAO...");
 
         // Paramètres de gouvernance
         const governanceParams = {
@@ -82,7 +102,7 @@ async function main() {
         };
 
         const GovernanceDAO = await hre.ethers.getContractFactory("GovernanceDAO");
-        const governanceDAO = await GovernanceDAO.deploy(deployerAddress);
+        const governanceDAO = await GovernanceDAO.deploy(deployerAddress, forwarder.address);
         await governanceDAO.deployed();
 
         const govReceipt = await governanceDAO.deployTransaction.wait();
@@ -106,11 +126,12 @@ async function main() {
             deploymentTimestamp: Math.floor(Date.now() / 1000),
             transactionHash: governanceDAO.deployTransaction.hash,
             deployer: deployerAddress,
-            gasUsed: govReceipt.gasUsed.toString()
+            gasUsed: govReceipt.gasUsed.toString(),
+            trustedForwarder: forwarder.address
         });
 
         // ===================================================
-        // 5. Mise à jour des fichiers .env
+        // 6. Mise à jour des fichiers .env
         // ===================================================
         console.log("\n📝 Mise à jour des fichiers de configuration...");
 
@@ -122,6 +143,7 @@ async function main() {
                     'TOKEN_CONTRACT_ADDRESS': token.address,
                     'DAO_CONTRACT_ADDRESS': tokenGatedDao.address,
                     'GOVERNANCE_CONTRACT_ADDRESS': governanceDAO.address,
+                    'FORWARDER_CONTRACT_ADDRESS': forwarder.address,
                     'GOVERNANCE_DEPLOYMENT_BLOCK': govReceipt.blockNumber
                 };
 
@@ -143,12 +165,13 @@ async function main() {
         updateEnvFile(path.join(__dirname, '..', '..', '.env')); // backend/.env
 
         // ===================================================
-        // 6. Résumé
+        // 7. Résumé
         // ===================================================
         console.log("\n🎉 DÉPLOIEMENT TERMINÉ AVEC SUCCÈS !");
         console.log("===================================================");
         console.log("📍 Token:", token.address);
         console.log("📍 DAO:", tokenGatedDao.address);
+        console.log("📍 Forwarder:", forwarder.address);
         console.log("📍 Governance:", governanceDAO.address);
         console.log("===================================================");
         console.log("\n👉 Prochaines étapes :");
@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+/**
+ * Simulateur USSD local
+ *
+ * Reproduit les appels d'un agrégateur (format Africa's Talking : sessionId, serviceCode,
+ * phoneNumber et text cumulatif) vers POST /api/ussd, sans opérateur télécom.
+ *
+ * Usage :
+ *   npm run ussd:simulate -- --phone +237699887766
+ *   node scripts/ussd-simulator.js --phone +237699887766 --url http://localhost:3001/api/ussd --token <USSD_WEBHOOK_TOKEN>
+ *
+ * Saisissez les choix du menu comme sur le téléphone. Ctrl+C pour raccrocher.
+ */
+import crypto from 'crypto';
+import readline from 'readline/promises';
+import { parseArgs } from 'util';
+
+const { values: options } = parseArgs({
+  options: {
+    phone: { type: 'string', default: process.env.USSD_PHONE || '+33612345678' },
+    url: { type: 'string', default: process.env.USSD_URL || `http://localhost:${process.env.PORT || 3001}/api/ussd` },
+    token: { type: 'string', default: process.env.USSD_WEBHOOK_TOKEN || '' },
+    'service-code': { type: 'string', default: '*384*1234#' }
+  }
+});
+
+const sessionId = `SIM_${crypto.randomBytes(6).toString('hex')}`;
+const inputs = [];
+
+/**
+ * Envoie l'état courant de la session au webhook, comme le ferait l'agrégateur
+ * @returns {Promise<{ end: boolean, screen: string }>}
+ */
+const send = async () => {
+  const response = await fetch(options.url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      ...(options.token && { 'X-Webhook-Token': options.token })
+    },
+    body: new URLSearchParams({
+      sessionId,
+      serviceCode: options['service-code'],
+      phoneNumber: options.phone,
+      text: inputs.join('*')
+    })
+  });
+
+  const body = await response.text();
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${body}`);
+  }
+
+  return {
+    end: body.startsWith('END'),
+    screen: body.replace(/^(CON|END) ?/, '')
+  };
+};
+
+const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+let finished = false;
+
+// Ctrl+C / fin de l'entrée standard : l'abonné raccroche
+rl.on('close', () => {
+  if (!finished) {
+    console.log('\n📴 Raccroché');
+    process.exit(0);
+  }
+});
+
+console.log(`📟 Appel de ${options['service-code']} depuis ${options.phone} (session ${sessionId})`);
+console.log(`   Webhook: ${options.url}\n`);
+
+try {
+  let { end, screen } = await send();
+
+  while (!end) {
+    console.log(`\n${screen}\n`);
+    inputs.push((await rl.question('> ')).trim());
+    ({ end, screen } = await send());
+  }
+
+  console.log(`\n${screen}\n`);
+  console.log('📴 Session terminée');
+} catch (error) {
+  console.error('❌ Erreur du simulateur:', error.message);
+  process.exitCode = 1;
+} finally {
+  finished = true;
+  rl.close();
+}
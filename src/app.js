@@ -4,8 +4,10 @@ import helmet from 'helmet';
 import morgan from 'morgan';
 import swaggerUi from 'swagger-ui-express';
 import routes from './routes/index.js';
+import metricsRoutes from './routes/metrics.routes.js';
 import { errorHandler, notFoundHandler } from './middleware/errorHandler.js';
 import { requestLogger } from './middleware/logger.js';
+import { metricsMiddleware } from './middleware/metrics.js';
 import { config } from './config/config.js';
 import { swaggerSpec } from './config/swagger.js';
 
@@ -31,6 +33,7 @@ if (config.nodeEnv === 'development') {
   app.use(morgan('dev'));
 }
 app.use(requestLogger);
+app.use(metricsMiddleware);
 
 // Documentation Swagger
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec, {
@@ -54,6 +57,9 @@ app.get('/api-docs.json', (req, res) => {
 // Routes de l'API
 app.use('/api', routes);
 
+// Métriques Prometheus
+app.use('/metrics', metricsRoutes);
+
 // Route racine
 app.get('/', (req, res) => {
   res.json({
@@ -63,7 +69,8 @@ app.get('/', (req, res) => {
     documentation: {
       swagger: '/api-docs',
       json: '/api-docs.json',
-      endpoints: '/api'
+      endpoints: '/api',
+      metrics: '/metrics'
     }
   });
 });
@@ -1,5 +1,6 @@
 import dotenv from 'dotenv';
 import { deploymentManager } from '../utils/deploymentManager.js';
+import { isValidRole } from './roles.js';
 
 dotenv.config();
 
@@ -8,6 +9,70 @@ const deployments = deploymentManager.readDeployments();
 const governanceContract = deployments.contracts?.GovernanceDAO || {};
 const tokenContract = deployments.contracts?.Token || {};
 const daoContract = deployments.contracts?.TokenGatedDao || {};
+const forwarderContract = deployments.contracts?.BafokaForwarder || {};
+
+/**
+ * Parse la liste des clés API au format "role:cle,role:cle"
+ * @param {string} value - Valeur brute de la variable d'environnement
+ * @returns {Array<{role: string, key: string}>} Clés API configurées
+ */
+const parseApiKeys = (value = '') => value
+  .split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean)
+  .map(entry => {
+    const separatorIndex = entry.indexOf(':');
+    return {
+      role: entry.slice(0, separatorIndex).trim().toLowerCase(),
+      key: entry.slice(separatorIndex + 1).trim()
+    };
+  })
+  .filter(({ role, key }) => role && key);
+
+/**
+ * Parse les schémas de dérivation versionnés au format "version:kdf:secret,version:kdf:secret"
+ * La version v1 (PBKDF2 + WALLET_DERIVATION_SECRET) est implicite
+ * @param {string} value - Valeur brute de la variable d'environnement
+ * @returns {Array<{version: string, kdf: string, secret: string}>} Schémas configurés
+ */
+const parseDerivationKeys = (value = '') => value
+  .split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean)
+  .map(entry => {
+    const [version, kdf, ...secret] = entry.split(':');
+    return {
+      version: version.trim().toLowerCase(),
+      kdf: (kdf || '').trim().toLowerCase(),
+      secret: secret.join(':').trim()
+    };
+  })
+  .filter(({ version, kdf, secret }) => version && kdf && secret);
+
+/**
+ * Parse une liste séparée par des virgules ("a,b,c")
+ * @param {string} value - Valeur brute de la variable d'environnement
+ * @returns {Array<string>} Éléments non vides, en minuscules
+ */
+const parseList = (value = '') => value
+  .split(',')
+  .map(entry => entry.trim().toLowerCase())
+  .filter(Boolean);
+
+/**
+ * Parse les seuils d'auto-funding par contexte au format "contexte:montant,contexte:montant"
+ * @param {string} value - Valeur brute de la variable d'environnement
+ * @returns {Object<string, number>} Seuil en CELO par contexte
+ */
+const parseContextAmounts = (value = '') => Object.fromEntries(value
+  .split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean)
+  .map(entry => {
+    const separatorIndex = entry.lastIndexOf(':');
+    return [entry.slice(0, separatorIndex).trim().toLowerCase(), parseFloat(entry.slice(separatorIndex + 1))];
+  })
+  .filter(([context, amount]) => context && amount >= 0));
 
 export const config = {
   // Configuration du serveur
@@ -23,6 +88,7 @@ export const config = {
   tokenDeploymentBlock: tokenContract.deploymentBlock || 0, // Optimisation: Bloc de départ pour le scan
   daoContractAddress: daoContract.address || process.env.DAO_CONTRACT_ADDRESS || '0xF57e75a597B85239F1125c30f6F5ec4896D66A68',
   governanceContractAddress: governanceContract.address || process.env.GOVERNANCE_CONTRACT_ADDRESS || '',
+  forwarderContractAddress: forwarderContract.address || process.env.FORWARDER_CONTRACT_ADDRESS || '',
 
   // Bloc de déploiement du contrat de gouvernance (pour optimiser les requêtes d'événements)
   governanceDeploymentBlock: governanceContract.deploymentBlock || parseInt(process.env.GOVERNANCE_DEPLOYMENT_BLOCK || '0'),
@@ -30,13 +96,149 @@ export const config = {
   // Clé privée de l'administrateur
   adminPrivateKey: process.env.ADMIN_PRIVATE_KEY || '',
 
+  // Clés API pour les routes protégées (format: "role:cle,role:cle")
+  // Rôles reconnus: admin, moderator, validator, service
+  apiKeys: parseApiKeys(process.env.API_KEYS),
+
+  // Connexion par signature de wallet (EIP-4361) pour les modérateurs et validateurs
+  siweDomain: process.env.SIWE_DOMAIN || 'localhost',
+  siweUri: process.env.SIWE_URI || `http://localhost:${process.env.PORT || 3001}`,
+  walletSessionTtlMinutes: parseInt(process.env.WALLET_SESSION_TTL_MINUTES || '60'),
+
+  // Durée de validité des sessions ouvertes après vérification téléphone/PIN (en minutes)
+  phoneSessionTtlMinutes: parseInt(process.env.PHONE_SESSION_TTL_MINUTES || '15'),
+
+  // Répertoire des données persistantes (verrouillages PIN, registres...)
+  dataDir: process.env.DATA_DIR || './data',
+
+  // Protection contre le brute-force des PIN
+  pinMaxAttempts: parseInt(process.env.PIN_MAX_ATTEMPTS || '5'),             // Échecs consécutifs avant verrouillage
+  pinRetryDelaySeconds: parseInt(process.env.PIN_RETRY_DELAY_SECONDS || '2'), // Délai de base entre deux essais (doublé à chaque échec)
+  pinLockoutMinutes: parseInt(process.env.PIN_LOCKOUT_MINUTES || '15'),       // Durée du premier verrouillage (doublée à chaque récidive)
+
+  // Annuaire téléphone → adresse : visibilité par défaut des nouveaux comptes (transferts par numéro)
+  phoneDirectoryDefaultDiscoverable: process.env.PHONE_DIRECTORY_DEFAULT_DISCOVERABLE !== 'false',
+
+  // Passerelles opérateur (USSD, SMS) : pays des numéros reçus sans indicatif, jeton partagé
+  // avec l'agrégateur (en-tête X-Webhook-Token ou ?token=) et durée de vie d'une session de menu
+  gatewayDefaultCountry: process.env.GATEWAY_DEFAULT_COUNTRY || 'FR',
+  ussdWebhookToken: process.env.USSD_WEBHOOK_TOKEN || null,
+  ussdSessionTtlSeconds: parseInt(process.env.USSD_SESSION_TTL_SECONDS || '180'),
+
+  // Commandes SMS : fournisseur d'envoi (console | file), fichier d'envoi du fournisseur "file",
+  // jeton du webhook entrant et délai pour confirmer une commande par PIN
+  smsProvider: process.env.SMS_PROVIDER || 'console',
+  smsOutboxFile: process.env.SMS_OUTBOX_FILE || 'sms-outbox.jsonl',
+  smsWebhookToken: process.env.SMS_WEBHOOK_TOKEN || null,
+  smsConfirmationTtlSeconds: parseInt(process.env.SMS_CONFIRMATION_TTL_SECONDS || '300'),
+
+  // Indexeurs des événements on-chain : confirmations avant qu'un bloc soit final (protection
+  // contre les réorganisations), taille des plages de getLogs et délai entre deux passes
+  indexerEnabled: process.env.INDEXER_ENABLED !== 'false',
+  indexerConfirmations: parseInt(process.env.INDEXER_CONFIRMATIONS || '3'),
+  indexerChunkSize: parseInt(process.env.INDEXER_CHUNK_SIZE || '10000'),
+  indexerPollIntervalSeconds: parseInt(process.env.INDEXER_POLL_INTERVAL_SECONDS || '15'),
+
+  // File d'envoi des transactions du wallet administrateur : délai entre deux vérifications,
+  // tentatives maximum (erreurs réseau et remplacements), délai de base du backoff, délai avant
+  // qu'une transaction non minée soit remplacée et nombre de transactions terminées conservées
+  txQueuePollIntervalMs: parseInt(process.env.TX_QUEUE_POLL_INTERVAL_MS || '2000'),
+  txQueueMaxAttempts: parseInt(process.env.TX_QUEUE_MAX_ATTEMPTS || '5'),
+  txQueueRetryBaseMs: parseInt(process.env.TX_QUEUE_RETRY_BASE_MS || '1000'),
+  txQueueStuckAfterSeconds: parseInt(process.env.TX_QUEUE_STUCK_AFTER_SECONDS || '90'),
+  txQueueHistorySize: parseInt(process.env.TX_QUEUE_HISTORY_SIZE || '200'),
+
+  // Sondes de santé (/api/health/live, /api/health/ready) : délai maximum de chaque vérification,
+  // retard maximum du dernier bloc sur l'horloge et latence maximum de la boucle d'événements
+  healthCheckTimeoutMs: parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS || '3000'),
+  healthMaxBlockLagSeconds: parseInt(process.env.HEALTH_MAX_BLOCK_LAG_SECONDS || '60'),
+  healthMaxEventLoopLagMs: parseInt(process.env.HEALTH_MAX_EVENT_LOOP_LAG_MS || '1000'),
+
+  // Métriques Prometheus (/metrics) : activation et jeton attendu dans Authorization: Bearer
+  // (vide : endpoint ouvert, à réserver au réseau interne)
+  metricsEnabled: process.env.METRICS_ENABLED !== 'false',
+  metricsToken: process.env.METRICS_TOKEN || null,
+
+  // Surveillance de la trésorerie du wallet administrateur : délai entre deux relevés des soldes,
+  // fenêtre du calcul de la consommation, soldes minimum (BFK : 0 = pas de minimum), seuils
+  // d'autonomie (en heures) et délai avant de répéter une alerte toujours active
+  treasuryMonitorEnabled: process.env.TREASURY_MONITOR_ENABLED !== 'false',
+  treasuryPollIntervalSeconds: parseInt(process.env.TREASURY_POLL_INTERVAL_SECONDS || '300'),
+  treasuryBurnWindowHours: parseInt(process.env.TREASURY_BURN_WINDOW_HOURS || '24'),
+  treasuryMinCeloBalance: parseFloat(process.env.TREASURY_MIN_CELO_BALANCE || '0.1'),
+  treasuryMinBfkBalance: parseFloat(process.env.TREASURY_MIN_BFK_BALANCE || '0'),
+  treasuryRunwayWarningHours: parseFloat(process.env.TREASURY_RUNWAY_WARNING_HOURS || '72'),
+  treasuryRunwayCriticalHours: parseFloat(process.env.TREASURY_RUNWAY_CRITICAL_HOURS || '24'),
+  treasuryAlertCooldownMinutes: parseInt(process.env.TREASURY_ALERT_COOLDOWN_MINUTES || '360'),
+
+  // Alertes de trésorerie : canaux (log | webhook | email, séparés par des virgules), fichier du
+  // canal "log" (dans DATA_DIR), URL du webhook et destinataires du canal "email"
+  treasuryAlertNotifiers: parseList(process.env.TREASURY_ALERT_NOTIFIERS ?? 'log'),
+  treasuryAlertLogFile: process.env.TREASURY_ALERT_LOG_FILE || 'treasury-alerts.jsonl',
+  treasuryAlertWebhookUrl: process.env.TREASURY_ALERT_WEBHOOK_URL || null,
+  treasuryAlertEmailTo: process.env.TREASURY_ALERT_EMAIL_TO || null,
+
+  // Stratégie de frais partagée par tous les signataires : type de transaction (auto | eip1559 | legacy),
+  // bornes du pourboire et plafond du prix maximum en gwei (par défaut : profil du réseau connecté),
+  // multiplicateur du baseFee et percentile des pourboires des derniers blocs (eth_feeHistory)
+  feeMode: (process.env.FEE_MODE || 'auto').toLowerCase(),
+  feeMinPriorityFeeGwei: process.env.FEE_MIN_PRIORITY_FEE_GWEI || null,
+  feeMaxPriorityFeeGwei: process.env.FEE_MAX_PRIORITY_FEE_GWEI || null,
+  feeMaxFeePerGasGwei: process.env.FEE_MAX_FEE_PER_GAS_GWEI || null,
+  feeBaseFeeMultiplier: parseFloat(process.env.FEE_BASE_FEE_MULTIPLIER || '2'),
+  feeHistoryBlocks: parseInt(process.env.FEE_HISTORY_BLOCKS || '10'),
+  feeHistoryPercentile: parseInt(process.env.FEE_HISTORY_PERCENTILE || '50'),
+
+  // Paiement des frais des wallets téléphone dans un ERC-20 de la liste blanche Celo (CIP-64) :
+  // adresse du jeton ou de son adaptateur (vide : frais en CELO avec auto-funding), symbole
+  // affiché (par défaut : symbol() du contrat) et gas ajouté pour le débit des frais dans le jeton
+  feeCurrencyAddress: process.env.FEE_CURRENCY_ADDRESS || null,
+  feeCurrencySymbol: process.env.FEE_CURRENCY_SYMBOL || null,
+  feeCurrencyGasOverhead: parseInt(process.env.FEE_CURRENCY_GAS_OVERHEAD || '50000'),
+
+  // Relayer de méta-transactions : les wallets téléphone signent des requêtes EIP-712 (permit
+  // ERC-2612 du Token, ForwardRequest ERC-2771 pour GovernanceDAO) que le wallet administrateur
+  // envoie à leur place. Quota de requêtes relayées par utilisateur sur 24 heures et validité
+  // maximum d'une requête signée (en secondes)
+  relayerEnabled: process.env.RELAYER_ENABLED === 'true',
+  relayerDailyQuota: parseInt(process.env.RELAYER_DAILY_QUOTA || '20'),
+  relayerMaxDeadlineSeconds: parseInt(process.env.RELAYER_MAX_DEADLINE_SECONDS || '3600'),
+
+  // Durée de conservation des opérations asynchrones (GET /api/operations/:id), en heures
+  operationRetentionHours: parseInt(process.env.OPERATION_RETENTION_HOURS || '168'),
+
+  // Clés d'idempotence (en-tête Idempotency-Key) : durée pendant laquelle une réponse est rejouée
+  // (en heures) et durée de réservation d'une requête restée sans réponse (en secondes)
+  idempotencyTtlHours: parseInt(process.env.IDEMPOTENCY_TTL_HOURS || '24'),
+  idempotencyLockSeconds: parseInt(process.env.IDEMPOTENCY_LOCK_SECONDS || '300'),
+
+  // Nombre de timestamps de blocs gardés en mémoire (cache partagé)
+  blockTimestampCacheSize: parseInt(process.env.BLOCK_TIMESTAMP_CACHE_SIZE || '10000'),
+
   // Secret pour la dérivation des wallets
   walletDerivationSecret: process.env.WALLET_DERIVATION_SECRET || 'default-secret-please-change-in-production',
 
+  // Schémas de dérivation supplémentaires (format: "version:kdf:secret", kdf = pbkdf2 | scrypt)
+  // et version utilisée pour les nouveaux comptes (défaut: dernière version configurée, sinon v1)
+  walletDerivationKeys: parseDerivationKeys(process.env.WALLET_DERIVATION_KEYS),
+  walletDerivationVersion: (process.env.WALLET_DERIVATION_VERSION || '').trim().toLowerCase() || null,
+
   // Montants de funding automatique (en CELO)
   initialWalletFunding: parseFloat(process.env.INITIAL_WALLET_FUNDING || '0.01'),  // Montant envoyé lors de la création de wallet
+  initialTokenFunding: parseFloat(process.env.INITIAL_TOKEN_FUNDING || '3000'),    // BFK mintés lors de la création de wallet (une seule fois par numéro)
   minGasBalance: parseFloat(process.env.MIN_GAS_BALANCE || '0.005'),              // Seuil minimum de gas avant auto-funding
   autoGasAmount: parseFloat(process.env.AUTO_GAS_AMOUNT || '0.01'),               // Montant envoyé automatiquement si gas insuffisant
+
+  // Seuils d'auto-funding par contexte (en CELO), MIN_GAS_BALANCE pour les autres contextes
+  gasContextMinBalances: parseContextAmounts(process.env.GAS_CONTEXT_MIN_BALANCES ?? 'create proposal:0.02'),
+
+  // Politique de sponsoring du gas (auto-funding) : budgets globaux et plafond par adresse
+  // en CELO (0 = illimité), contextes autorisés (vide = tous) et adresses exclues
+  gasSponsorDailyBudget: parseFloat(process.env.GAS_SPONSOR_DAILY_BUDGET || '0'),
+  gasSponsorMonthlyBudget: parseFloat(process.env.GAS_SPONSOR_MONTHLY_BUDGET || '0'),
+  gasSponsorAddressDailyCap: parseFloat(process.env.GAS_SPONSOR_ADDRESS_DAILY_CAP || '0'),
+  gasSponsorAllowedContexts: parseList(process.env.GAS_SPONSOR_ALLOWED_CONTEXTS),
+  gasSponsorDenylist: parseList(process.env.GAS_SPONSOR_DENYLIST),
 };
 
 // Validation des variables d'environnement critiques
@@ -73,9 +275,32 @@ export const validateConfig = () => {
     console.warn('⚠️  Déployez d\'abord le contrat de gouvernance avec: cd hardhat && npx hardhat run scripts/deploy-governance.js');
   }
 
+  // Vérification des clés API
+  if (config.apiKeys.length === 0) {
+    console.warn('⚠️  API_KEYS non configuré');
+    console.warn('⚠️  Les routes administrateur (mint, transfert admin, modération...) seront refusées');
+  } else {
+    const invalidRoles = config.apiKeys.filter(({ role }) => !isValidRole(role)).map(({ role }) => role);
+    if (invalidRoles.length > 0) {
+      console.warn(`⚠️  Rôles inconnus dans API_KEYS (ignorés): ${[...new Set(invalidRoles)].join(', ')}`);
+    }
+  }
+
   // Avertissement pour le secret de dérivation
   if (!process.env.WALLET_DERIVATION_SECRET || process.env.WALLET_DERIVATION_SECRET === 'default-secret-please-change-in-production') {
     console.warn('⚠️  WALLET_DERIVATION_SECRET non configuré ou utilise la valeur par défaut');
     console.warn('⚠️  Définissez un secret fort en production pour sécuriser les wallets dérivés');
   }
+
+  // Webhooks opérateur sans jeton : fermés en production, ouverts sinon
+  const webhookFallback = config.nodeEnv === 'production'
+    ? 'refuse toutes les requêtes (503)'
+    : 'accepte toutes les requêtes (hors production uniquement)';
+  if (!config.ussdWebhookToken) {
+    console.warn(`⚠️  USSD_WEBHOOK_TOKEN non défini : le webhook USSD ${webhookFallback}`);
+  }
+
+  if (!config.smsWebhookToken) {
+    console.warn(`⚠️  SMS_WEBHOOK_TOKEN non défini : le webhook SMS ${webhookFallback}`);
+  }
 };
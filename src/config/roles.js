@@ -0,0 +1,33 @@
+import { ethers } from 'ethers';
+
+/**
+ * Rôles applicatifs reconnus par l'API
+ * - admin : accès complet (équivalent de DEFAULT_ADMIN_ROLE on-chain)
+ * - moderator : modération et annulation des propositions (MODERATOR_ROLE)
+ * - validator : résolution des contestations (VALIDATOR_ROLE)
+ * - service : intégrations back-office (distribution de tokens par POST /api/transfer ; le mint reste réservé à admin)
+ */
+export const ROLES = {
+  ADMIN: 'admin',
+  MODERATOR: 'moderator',
+  VALIDATOR: 'validator',
+  SERVICE: 'service'
+};
+
+/**
+ * Correspondance entre les rôles applicatifs et les rôles du contrat GovernanceDAO
+ * Les identifiants sont calculés comme dans le contrat : keccak256("MODERATOR_ROLE"), etc.
+ * Le rôle "service" n'a pas d'équivalent on-chain.
+ */
+export const ONCHAIN_ROLES = {
+  [ROLES.ADMIN]: ethers.ZeroHash, // DEFAULT_ADMIN_ROLE
+  [ROLES.MODERATOR]: ethers.id('MODERATOR_ROLE'),
+  [ROLES.VALIDATOR]: ethers.id('VALIDATOR_ROLE')
+};
+
+/**
+ * Vérifie si un rôle applicatif est reconnu
+ * @param {string} role - Rôle à vérifier
+ * @returns {boolean}
+ */
+export const isValidRole = (role) => Object.values(ROLES).includes(role);
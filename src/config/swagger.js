@@ -73,6 +73,30 @@ Pour toute question ou problème, consultez le README.md ou contactez l'équipe
       {
         name: 'Transfer',
         description: '💸 Transfert de tokens'
+      },
+      {
+        name: 'Auth',
+        description: '🔑 Connexion des modérateurs et validateurs par signature de wallet (EIP-4361)'
+      },
+      {
+        name: 'Admin',
+        description: '🛡️ Administration (verrouillages PIN, onboarding...) - clé API admin requise'
+      },
+      {
+        name: 'USSD',
+        description: '📟 Menu USSD pour les téléphones basiques (callback agrégateur)'
+      },
+      {
+        name: 'SMS',
+        description: '✉️ Commandes par SMS confirmées par PIN (webhook agrégateur)'
+      },
+      {
+        name: 'Operations',
+        description: '⏱️ Suivi des transactions soumises en mode asynchrone'
+      },
+      {
+        name: 'Relay',
+        description: '📨 Méta-transactions : requêtes signées (EIP-712) dont le relayer paie le gas'
       }
     ],
     components: {
@@ -203,6 +227,41 @@ Pour toute question ou problème, consultez le README.md ou contactez l'équipe
             }
           }
         },
+        PhoneSession: {
+          type: 'object',
+          nullable: true,
+          description: 'Session ouverte après vérification téléphone/PIN (token retourné uniquement à la création)',
+          properties: {
+            token: {
+              type: 'string',
+              example: '3f9a...c21b'
+            },
+            tokenType: {
+              type: 'string',
+              example: 'Bearer'
+            },
+            id: {
+              type: 'string',
+              format: 'uuid'
+            },
+            subject: {
+              $ref: '#/components/schemas/Address'
+            },
+            metadata: {
+              type: 'object',
+              properties: {
+                phoneNumber: {
+                  type: 'string',
+                  example: '+33****5678'
+                }
+              }
+            },
+            expiresAt: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
         NetworkInfo: {
           type: 'object',
           properties: {
@@ -221,7 +280,40 @@ Pour toute question ou problème, consultez le README.md ou contactez l'équipe
           }
         }
       },
+      parameters: {
+        IdempotencyKey: {
+          in: 'header',
+          name: 'Idempotency-Key',
+          required: false,
+          schema: {
+            type: 'string',
+            maxLength: 255,
+            example: '4f9c2d1e-8a7b-4c3d-9e2f-1a2b3c4d5e6f'
+          },
+          description: 'Clé unique de la requête (UUID recommandé) : une répétition avec la même clé reçoit la réponse d\'origine (en-tête Idempotent-Replayed: true) sans nouvelle transaction'
+        }
+      },
       responses: {
+        IdempotencyConflict: {
+          description: 'Requête d\'origine avec la même Idempotency-Key encore en cours (IDEMPOTENCY_KEY_IN_PROGRESS), réessayer après Retry-After',
+          content: {
+            'application/json': {
+              schema: {
+                $ref: '#/components/schemas/Error'
+              }
+            }
+          }
+        },
+        IdempotencyKeyReused: {
+          description: 'Idempotency-Key déjà utilisée pour une requête différente (IDEMPOTENCY_KEY_REUSED)',
+          content: {
+            'application/json': {
+              schema: {
+                $ref: '#/components/schemas/Error'
+              }
+            }
+          }
+        },
         BadRequest: {
           description: 'Requête invalide',
           content: {
@@ -1,16 +1,38 @@
 import { phoneWalletService } from '../services/phoneWallet.service.js';
 import { blockchainService } from '../services/blockchain.service.js';
+import { sessionService } from '../services/session.service.js';
+import { pinGuardService } from '../services/pinGuard.service.js';
+import { onboardingService } from '../services/onboarding.service.js';
+import { pinChangeService } from '../services/pinChange.service.js';
+import { walletMigrationService } from '../services/walletMigration.service.js';
+import { phoneDirectoryService } from '../services/phoneDirectory.service.js';
+import { extractToken } from '../middleware/auth.js';
 import { config } from '../config/config.js';
 
+/**
+ * Réponse 429 d'un numéro verrouillé ou en délai d'attente (protection anti brute-force)
+ * @param {Object} res - Réponse Express
+ * @param {Error} error - Erreur PIN_LOCKED / PIN_RETRY_DELAY
+ */
+const sendTooManyAttempts = (res, error) => {
+  res.set('Retry-After', String(error.retryAfter));
+  return res.status(429).json({
+    success: false,
+    message: error.message,
+    error: error.code,
+    retryAfter: error.retryAfter
+  });
+};
+
 export const accountController = {
   /**
    * POST /api/accounts/create
    * Crée ou récupère un wallet à partir d'un numéro de téléphone + PIN
-   * Et envoie automatiquement 0.1 CELO au nouveau compte
+   * Et envoie automatiquement du CELO et des BFK au nouveau compte (une seule fois par numéro)
    */
   createAccount: async (req, res) => {
     try {
-      const { phoneNumber, pin, country } = req.body;
+      const { phoneNumber, pin, country, discoverable } = req.body;
 
       if (!phoneNumber) {
         return res.status(400).json({
@@ -38,48 +60,92 @@ export const accountController = {
         });
       }
 
+      // Numéro verrouillé : refus avant toute dérivation (scrypt) ou lecture on-chain
+      try {
+        pinGuardService.assertCanTry(phoneNumber);
+      } catch (authError) {
+        if (authError.status !== 429) {
+          throw authError;
+        }
+        return sendTooManyAttempts(res, authError);
+      }
+
+      // Schéma de dérivation du numéro (v1 conservé pour les wallets existants),
+      // fixé seulement si le PIN est prouvé
+      let account;
+      try {
+        account = await walletMigrationService.resolveAccount(phoneNumber, pin);
+      } catch (derivationError) {
+        if (derivationError.status !== 503) {
+          throw derivationError;
+        }
+        return res.status(503).json({
+          success: false,
+          message: derivationError.message,
+          error: derivationError.code
+        });
+      }
+
       // Création/récupération du wallet
       const result = phoneWalletService.createOrGetWalletFromPhone(
         phoneNumber,
         pin
       );
+      const walletAddress = result.wallet.address;
 
-      // Envoi automatique de CELO au nouveau compte (montant configurable)
-      let fundingTransaction = null;
+      // Un numéro déjà enregistré doit présenter son PIN (sinon c'est un essai de PIN)
       try {
-        // L'adresse est dans result.wallet.address
-        const walletAddress = result.wallet.address;
-        const fundingAmount = config.initialWalletFunding.toString();
-        console.log(`🎁 Envoi de ${fundingAmount} CELO au nouveau compte ${walletAddress}...`);
-
-        fundingTransaction = await blockchainService.sendCelo(walletAddress, fundingAmount);
-        console.log(`✅ Funding CELO réussi! TxHash: ${fundingTransaction.transactionHash}`);
-
-        // Funding initial en Tokens Bafoka (3000 BFK)
-        console.log(`🪙 Mint de 3000 BFK pour ${walletAddress}...`);
-        const mintTransaction = await blockchainService.mintTokens(walletAddress, "3000");
-        console.log(`✅ Mint BFK réussi! TxHash: ${mintTransaction.transactionHash}`);
-
-        fundingTransaction = {
-          celo: fundingTransaction,
-          token: mintTransaction
-        };
+        if (!pinGuardService.checkWallet(phoneNumber, walletAddress)) {
+          return res.status(401).json({
+            success: false,
+            message: 'Ce numéro possède déjà un compte : PIN incorrect'
+          });
+        }
+      } catch (authError) {
+        if (authError.status !== 429) {
+          throw authError;
+        }
+        return sendTooManyAttempts(res, authError);
+      }
 
-      } catch (fundingError) {
-        console.error('⚠️  Erreur lors du funding initial:', fundingError.message);
-        // On ne bloque pas la création du compte même si le funding échoue
-        fundingTransaction = {
-          error: fundingError.message,
-          status: 'failed'
-        };
+      // Seul un PIN prouvé lie le numéro à l'adresse : l'adresse sert de référence pour détecter
+      // les PIN incorrects (anti brute-force) et reçoit les transferts par numéro (annuaire).
+      // Sinon (nouveau numéro, ou wallet v1 existant encore inconnu du backend), un PIN incorrect
+      // détournerait les transferts et verrouillerait le vrai propriétaire : l'inscription a lieu
+      // à la première connexion prouvée
+      let directoryEntry = null;
+      if (account.proven) {
+        pinGuardService.enroll(phoneNumber, walletAddress);
+        directoryEntry = phoneDirectoryService.register(
+          phoneNumber,
+          walletAddress,
+          typeof discoverable === 'boolean' ? discoverable : undefined
+        );
       }
 
-      res.status(201).json({
+      // Financement initial (CELO + BFK) une seule fois par numéro
+      const { isNewAccount, record } = await onboardingService.onboard(phoneNumber, walletAddress);
+
+      res.status(isNewAccount ? 201 : 200).json({
         success: true,
-        message: 'Compte créé/récupéré avec succès',
+        message: isNewAccount ? 'Compte créé avec succès' : 'Compte existant récupéré (pas de nouveau financement)',
         data: {
           ...result,
-          initialFunding: fundingTransaction
+          isNewAccount,
+          onboarding: {
+            status: record.status,
+            createdAt: record.createdAt,
+            fundedAt: record.fundedAt || null
+          },
+          discoverable: directoryEntry ? directoryEntry.discoverable : null,
+          // Les transactions de financement ne sont retournées qu'à la création
+          initialFunding: isNewAccount
+            ? {
+              celo: record.celo,
+              token: record.token,
+              ...(record.lastError && { error: record.lastError })
+            }
+            : null
         }
       });
     } catch (error) {
@@ -94,6 +160,7 @@ export const accountController = {
   /**
    * POST /api/accounts/verify
    * Vérifie l'accès à un wallet (authentification)
+   * Ouvre une session courte et révocable si les credentials sont corrects
    */
   verifyAccess: async (req, res) => {
     try {
@@ -106,11 +173,97 @@ export const accountController = {
         });
       }
 
-      const isValid = phoneWalletService.verifyWalletAccess(
-        phoneNumber,
-        pin,
-        address
-      );
+      // Numéro verrouillé : refus avant toute dérivation (scrypt) ou lecture on-chain
+      try {
+        pinGuardService.assertCanTry(phoneNumber);
+      } catch (authError) {
+        if (authError.status === 429) {
+          return sendTooManyAttempts(res, authError);
+        }
+        // Numéro mal formé : l'authentification échouera ci-dessous
+      }
+
+      // Schéma de dérivation du numéro et preuve de possession du PIN (avant la vérification,
+      // pour dériver avec le bon schéma ; un PIN non prouvé ne fixe pas le schéma)
+      let account = null;
+      try {
+        account = await walletMigrationService.resolveAccount(phoneNumber, pin);
+      } catch (derivationError) {
+        if (derivationError.status === 503) {
+          return res.status(503).json({
+            success: false,
+            message: derivationError.message,
+            error: derivationError.code
+          });
+        }
+        // PIN ou numéro mal formé : l'authentification échouera ci-dessous
+      }
+
+      // Vérification avec protection anti brute-force (délais progressifs puis verrouillage)
+      let signer = null;
+      try {
+        signer = pinGuardService.authenticate(phoneNumber, pin, address);
+      } catch (authError) {
+        if (authError.status === 429) {
+          return sendTooManyAttempts(res, authError);
+        }
+        // PIN ou numéro mal formé : authentification échouée
+      }
+      const isValid = Boolean(signer);
+
+      // Schéma de dérivation obsolète : migration des fonds vers l'adresse du schéma courant,
+      // uniquement si le PIN est prouvé (un wallet v1 vide dérivé d'un mauvais PIN ne doit pas
+      // faire basculer le numéro). En cas d'échec, la session est ouverte sur l'ancienne adresse
+      // et la migration sera retentée à la prochaine connexion
+      let migration = null;
+      if (isValid && account?.proven && phoneWalletService.isDerivationOutdated(phoneNumber)) {
+        try {
+          migration = {
+            status: 'completed',
+            ...await walletMigrationService.upgradeDerivation(phoneNumber, pin, signer)
+          };
+          signer = phoneWalletService.getSignerFromPhone(phoneNumber, pin);
+        } catch (migrationError) {
+          migration = {
+            status: 'failed',
+            error: migrationError.code || migrationError.message,
+            message: migrationError.message,
+            ...migrationError.details
+          };
+        }
+      }
+
+      // Nouveaux comptes et comptes antérieurs à l'annuaire : référence PIN et inscription à la
+      // première connexion prouvée
+      if (isValid && account?.proven) {
+        pinGuardService.enroll(phoneNumber, signer.address);
+        phoneDirectoryService.register(phoneNumber, signer.address);
+      }
+
+      // Session scopée à l'adresse dérivée : la clé reste en mémoire côté serveur
+      // pour éviter de renvoyer le PIN (et de refaire la dérivation) à chaque appel
+      let session = null;
+      if (isValid) {
+        const { token, session: publicSession } = sessionService.createSession({
+          type: 'phone',
+          subject: signer.address,
+          ttlMs: config.phoneSessionTtlMinutes * 60 * 1000,
+          metadata: {
+            phoneNumber: phoneWalletService.maskPhoneNumber(signer.phoneNumber),
+            userAgent: req.headers['user-agent'] || null
+          },
+          secret: {
+            privateKey: signer.privateKey,
+            phoneNumber: signer.phoneNumber
+          }
+        });
+
+        session = {
+          token,
+          tokenType: 'Bearer',
+          ...publicSession
+        };
+      }
 
       res.status(200).json({
         success: true,
@@ -118,7 +271,14 @@ export const accountController = {
           isValid,
           message: isValid
             ? '✅ Authentification réussie'
-            : '❌ Authentification échouée - Vérifiez votre numéro et PIN'
+            : '❌ Authentification échouée - Vérifiez votre numéro et PIN',
+          session,
+          address: isValid ? signer.address : null,
+          derivationVersion: isValid ? signer.derivationVersion : null,
+          migration,
+          ...(!isValid && {
+            attemptsRemaining: pinGuardService.getStatus(phoneWalletService.hashPhoneNumber(phoneNumber)).attemptsRemaining
+          })
         }
       });
     } catch (error) {
@@ -128,5 +288,142 @@ export const accountController = {
         error: error.message
       });
     }
+  },
+
+  /**
+   * POST /api/accounts/change-pin
+   * Change le PIN : migre l'adhésion DAO, les BFK et le CELO vers la nouvelle adresse dérivée
+   */
+  changePin: async (req, res) => {
+    try {
+      const { phoneNumber, oldPin, newPin } = req.body;
+
+      if (!phoneNumber || !oldPin || !newPin) {
+        return res.status(400).json({
+          success: false,
+          message: 'Numéro de téléphone, ancien PIN et nouveau PIN requis',
+          required: ['phoneNumber', 'oldPin', 'newPin']
+        });
+      }
+
+      const result = await pinChangeService.changePin(phoneNumber, oldPin, newPin);
+
+      res.status(200).json({
+        success: true,
+        message: '✅ PIN modifié : utilisez désormais votre nouvelle adresse',
+        data: result
+      });
+    } catch (error) {
+      if (error.retryAfter) {
+        res.set('Retry-After', String(error.retryAfter));
+      }
+
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Erreur lors du changement de PIN',
+        error: error.code || error.message,
+        ...(error.details && { data: error.details }),
+        ...(error.proposalIds && { data: { proposalIds: error.proposalIds } })
+      });
+    }
+  },
+
+  /**
+   * POST /api/accounts/logout
+   * Révoque la session téléphone courante
+   */
+  logout: async (req, res) => {
+    sessionService.revokeSession(extractToken(req));
+
+    res.status(200).json({
+      success: true,
+      message: 'Session révoquée'
+    });
+  },
+
+  /**
+   * GET /api/accounts/sessions
+   * Liste les sessions actives de l'adresse authentifiée
+   */
+  listSessions: async (req, res) => {
+    const sessions = sessionService.listSessions(req.phoneSession.subject, 'phone');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        address: req.phoneSession.subject,
+        currentSessionId: req.phoneSession.id,
+        sessions
+      }
+    });
+  },
+
+  /**
+   * DELETE /api/accounts/sessions/:sessionId
+   * Révoque une session de l'adresse authentifiée (ex: autre appareil)
+   */
+  revokeSession: async (req, res) => {
+    const { sessionId } = req.params;
+    const revoked = sessionService.revokeSessionById(req.phoneSession.subject, sessionId);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session introuvable'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Session révoquée',
+      data: { sessionId }
+    });
+  },
+
+  /**
+   * GET /api/accounts/directory
+   * Inscription du compte authentifié dans l'annuaire des numéros
+   */
+  getDirectoryEntry: async (req, res) => {
+    const entry = phoneDirectoryService.get(req.phoneSession.secret.phoneNumber);
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Numéro absent de l\'annuaire'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: entry
+    });
+  },
+
+  /**
+   * PUT /api/accounts/directory
+   * Active ou désactive la réception de transferts par numéro de téléphone
+   */
+  updateDirectoryEntry: async (req, res) => {
+    const { discoverable } = req.body;
+
+    if (typeof discoverable !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'Le champ discoverable (booléen) est requis'
+      });
+    }
+
+    const { subject, secret } = req.phoneSession;
+    phoneDirectoryService.register(secret.phoneNumber, subject, discoverable);
+    const entry = phoneDirectoryService.setDiscoverable(secret.phoneNumber, discoverable);
+
+    res.status(200).json({
+      success: true,
+      message: discoverable
+        ? 'Votre numéro peut désormais recevoir des transferts'
+        : 'Votre numéro n\'est plus visible dans l\'annuaire',
+      data: entry
+    });
   }
 };
@@ -0,0 +1,276 @@
+import { adminTxQueue } from '../services/adminTxQueue.service.js';
+import { phoneWalletService } from '../services/phoneWallet.service.js';
+import { pinGuardService } from '../services/pinGuard.service.js';
+import { onboardingService, ONBOARDING_STATUS } from '../services/onboarding.service.js';
+import { governanceIndexer } from '../services/governanceIndexer.service.js';
+import { transferIndexer } from '../services/transferIndexer.service.js';
+import { blockchainService } from '../services/blockchain.service.js';
+import { gasSponsorship, REPORT_PERIODS } from '../services/gasSponsorship.service.js';
+import { treasuryMonitor } from '../services/treasuryMonitor.service.js';
+
+/**
+ * Résout l'empreinte d'un numéro à partir du paramètre de route
+ * Accepte l'empreinte elle-même (64 caractères hexadécimaux) ou le numéro de téléphone
+ * @param {string} identifier - Empreinte ou numéro de téléphone
+ * @returns {string} Empreinte (hashPhoneNumber)
+ */
+const resolvePhoneHash = (identifier) => (
+  /^[0-9a-f]{64}$/i.test(identifier)
+    ? identifier.toLowerCase()
+    : phoneWalletService.hashPhoneNumber(identifier)
+);
+
+export const adminController = {
+  /**
+   * GET /api/admin/pin-lockouts
+   * Liste les numéros ayant des échecs de PIN ou un verrouillage en cours
+   */
+  listPinLockouts: async (req, res) => {
+    try {
+      const lockouts = pinGuardService.listLockouts();
+
+      res.status(200).json({
+        success: true,
+        data: {
+          total: lockouts.length,
+          locked: lockouts.filter(status => status.locked).length,
+          lockouts
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Erreur lors de la récupération des verrouillages',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * GET /api/admin/pin-lockouts/:phone
+   * Statut de verrouillage d'un numéro (numéro de téléphone ou empreinte)
+   */
+  getPinLockout: async (req, res) => {
+    try {
+      const status = pinGuardService.getStatus(resolvePhoneHash(req.params.phone));
+
+      res.status(200).json({
+        success: true,
+        data: status
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Erreur lors de la récupération du verrouillage',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * DELETE /api/admin/pin-lockouts/:phone
+   * Efface les échecs et le verrouillage d'un numéro
+   */
+  clearPinLockout: async (req, res) => {
+    try {
+      const phoneHash = resolvePhoneHash(req.params.phone);
+      const cleared = pinGuardService.clear(phoneHash);
+
+      if (!cleared) {
+        return res.status(404).json({
+          success: false,
+          message: 'Aucun verrouillage pour ce numéro'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Verrouillage effacé',
+        data: pinGuardService.getStatus(phoneHash)
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Erreur lors de la suppression du verrouillage',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * GET /api/admin/onboarding
+   * Liste le registre d'onboarding (filtrable par statut)
+   */
+  listOnboarding: async (req, res) => {
+    try {
+      const { status } = req.query;
+
+      if (status && !Object.values(ONBOARDING_STATUS).includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Statut invalide',
+          allowed: Object.values(ONBOARDING_STATUS)
+        });
+      }
+
+      const records = onboardingService.list(status);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          total: records.length,
+          records
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Erreur lors de la récupération du registre d\'onboarding',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * POST /api/admin/onboarding/:address/retry
+   * Relance le financement initial d'un compte en échec
+   */
+  retryOnboarding: async (req, res) => {
+    try {
+      const record = await onboardingService.retry(req.params.address);
+      const funded = record.status === ONBOARDING_STATUS.FUNDED;
+
+      res.status(funded ? 200 : 502).json({
+        success: funded,
+        message: funded ? 'Financement initial effectué' : 'Le financement a de nouveau échoué',
+        data: record
+      });
+    } catch (error) {
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Erreur lors de la relance du financement',
+        error: error.code || error.message
+      });
+    }
+  },
+
+  /**
+   * GET /api/admin/derivation
+   * Schémas de dérivation configurés et répartition des comptes par version
+   */
+  getDerivationStats: async (req, res) => {
+    try {
+      res.status(200).json({
+        success: true,
+        data: phoneWalletService.getDerivationStats()
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Erreur lors de la récupération des schémas de dérivation',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * GET /api/admin/indexer
+   * État des indexeurs d'événements (transferts du token, gouvernance)
+   */
+  getIndexerStatus: async (req, res) => {
+    try {
+      res.status(200).json({
+        success: true,
+        data: {
+          transfers: transferIndexer.getStatus(),
+          governance: governanceIndexer.getStatus()
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Erreur lors de la récupération de l\'état des indexeurs',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * GET /api/admin/tx-queue
+   * État de la file des transactions du wallet administrateur
+   */
+  getTxQueueStatus: async (req, res) => {
+    try {
+      res.status(200).json({
+        success: true,
+        data: adminTxQueue.getStatus()
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Erreur lors de la récupération de la file des transactions admin',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * GET /api/admin/gas-sponsorship
+   * Politique de sponsoring du gas, budgets et dépenses par contexte et par adresse
+   */
+  getGasSponsorship: async (req, res) => {
+    try {
+      const { period = 'month', address } = req.query;
+
+      if (!REPORT_PERIODS.includes(period)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Période invalide',
+          allowed: REPORT_PERIODS
+        });
+      }
+
+      if (address && !blockchainService.isValidAddress(address)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Adresse invalide',
+          error: 'INVALID_ADDRESS'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: gasSponsorship.getReport({ period, address: address || null })
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Erreur lors de la récupération des dépenses de sponsoring du gas',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * GET /api/admin/treasury
+   * Soldes, consommation et autonomie du wallet administrateur (?refresh=true : nouveau relevé)
+   */
+  getTreasury: async (req, res) => {
+    try {
+      const status = req.query.refresh === 'true'
+        ? await treasuryMonitor.check()
+        : treasuryMonitor.getStatus();
+
+      res.status(200).json({
+        success: true,
+        data: status
+      });
+    } catch (error) {
+      res.status(error.status || 502).json({
+        success: false,
+        message: error.status ? error.message : 'Relevé des soldes du wallet administrateur impossible',
+        error: error.code || error.message
+      });
+    }
+  }
+};
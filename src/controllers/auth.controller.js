@@ -0,0 +1,100 @@
+import { walletAuthService } from '../services/walletAuth.service.js';
+import { sessionService } from '../services/session.service.js';
+import { extractToken } from '../middleware/auth.js';
+
+export const authController = {
+  /**
+   * POST /api/auth/wallet/nonce
+   * Génère un challenge EIP-4361 à signer par le wallet du modérateur/validateur
+   */
+  createWalletNonce: async (req, res) => {
+    try {
+      const { address } = req.body;
+
+      if (!address) {
+        return res.status(400).json({
+          success: false,
+          message: 'Adresse du wallet requise'
+        });
+      }
+
+      const challenge = walletAuthService.createChallenge(address);
+
+      res.status(200).json({
+        success: true,
+        message: 'Challenge généré, signez le message avec votre wallet',
+        data: challenge
+      });
+    } catch (error) {
+      res.status(error.status || 500).json({
+        success: false,
+        message: 'Erreur lors de la génération du challenge',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * POST /api/auth/wallet/login
+   * Vérifie la signature du challenge et ouvre une session wallet
+   */
+  walletLogin: async (req, res) => {
+    try {
+      const { nonce, signature } = req.body;
+
+      if (!nonce || !signature) {
+        return res.status(400).json({
+          success: false,
+          message: 'Nonce et signature requis'
+        });
+      }
+
+      const { token, session } = await walletAuthService.login(nonce, signature);
+
+      res.status(200).json({
+        success: true,
+        message: 'Connexion réussie',
+        data: {
+          token,
+          tokenType: 'Bearer',
+          session
+        }
+      });
+    } catch (error) {
+      res.status(error.status || 500).json({
+        success: false,
+        message: 'Échec de la connexion',
+        error: error.message,
+        code: error.code
+      });
+    }
+  },
+
+  /**
+   * GET /api/auth/wallet/me
+   * Retourne la session wallet courante
+   */
+  getWalletSession: async (req, res) => {
+    res.status(200).json({
+      success: true,
+      data: {
+        address: req.auth.address,
+        roles: req.auth.roles,
+        sessionId: req.auth.sessionId
+      }
+    });
+  },
+
+  /**
+   * POST /api/auth/wallet/logout
+   * Révoque la session wallet courante
+   */
+  walletLogout: async (req, res) => {
+    sessionService.revokeSession(extractToken(req));
+
+    res.status(200).json({
+      success: true,
+      message: 'Session révoquée'
+    });
+  }
+};
@@ -1,4 +1,5 @@
 import { blockchainService } from '../services/blockchain.service.js';
+import { transferIndexer } from '../services/transferIndexer.service.js';
 
 export const balanceController = {
   /**
@@ -99,5 +100,51 @@ export const balanceController = {
         error: error.message
       });
     }
+  },
+
+  /**
+   * GET /api/balance/:address/history
+   * Historique du solde token (solde après chaque transfert), calculé depuis l'index local
+   */
+  getBalanceHistory: async (req, res) => {
+    try {
+      const { address } = req.params;
+      const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : 50;
+
+      if (!blockchainService.isValidAddress(address)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Adresse invalide'
+        });
+      }
+
+      if (isNaN(limit) || limit < 1 || limit > 500) {
+        return res.status(400).json({
+          success: false,
+          message: 'limit doit être un entier entre 1 et 500'
+        });
+      }
+
+      if (!transferIndexer.isSynced()) {
+        return res.status(503).json({
+          success: false,
+          message: 'Index des transferts en cours de synchronisation, réessayez plus tard',
+          error: 'INDEXER_NOT_READY',
+          data: { indexer: transferIndexer.getStatus() }
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Historique du solde récupéré avec succès',
+        data: transferIndexer.getBalanceHistory(address, limit)
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Erreur lors de la récupération de l\'historique du solde',
+        error: error.message
+      });
+    }
   }
 };
@@ -1,6 +1,10 @@
 import governanceService from '../services/governance.service.js';
 import { phoneWalletService } from '../services/phoneWallet.service.js';
 import { blockchainService } from '../services/blockchain.service.js';
+import { pinGuardService } from '../services/pinGuard.service.js';
+import { operationService } from '../services/operation.service.js';
+import { gasEstimator, GOVERNANCE_ACTIONS } from '../services/gasEstimator.service.js';
+import { isAsyncRequest, sendOperationAccepted } from '../middleware/asyncMode.js';
 
 /**
  * Contrôleurs pour la gestion de la gouvernance DAO
@@ -19,6 +23,92 @@ import { blockchainService } from '../services/blockchain.service.js';
  * - Réponses structurées et cohérentes
  */
 
+/**
+ * Construit l'acteur on-chain des actions de rôle (modération, annulation, résolution)
+ * Une session wallet (EIP-4361) relaie la transaction signée par le modérateur/validateur,
+ * une clé API conserve l'envoi depuis le wallet administrateur.
+ * @param {Object} req - Requête Express authentifiée
+ * @returns {Object|null} Acteur ou null pour le wallet administrateur
+ */
+const getRoleActor = (req) => {
+  if (req.auth?.type !== 'wallet') {
+    return null;
+  }
+
+  return {
+    address: req.auth.address,
+    signedTransaction: req.body.signedTransaction
+  };
+};
+
+/**
+ * Envoie la réponse d'erreur d'une action de rôle
+ * Les erreurs typées du service (403, 428...) conservent leur statut et la transaction à signer
+ */
+const sendRoleActionError = (res, error, message) => {
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+      error: error.code || 'GOVERNANCE_ERROR',
+      unsignedTransaction: error.unsignedTransaction
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
+
+/**
+ * Envoie la réponse d'erreur d'une action de membre (proposition, vote, contestation)
+ * Les erreurs typées du service (règles du contrat, politique de sponsoring du gas...) conservent
+ * leur statut, avec Retry-After pour un plafond ou un budget de sponsoring atteint
+ */
+const sendMemberActionError = (res, error, message) => {
+  if (error.status) {
+    if (error.retryAfter) {
+      res.set('Retry-After', String(error.retryAfter));
+    }
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+      error: error.code || 'GOVERNANCE_ERROR'
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
+
+/**
+ * Construit le wallet signataire depuis la session téléphone (POST /api/accounts/verify)
+ * @param {Object} req - Requête Express
+ * @returns {Object} { address, privateKey }
+ */
+const getSessionWallet = (req) => ({
+  address: req.phoneSession.subject,
+  privateKey: req.phoneSession.secret.privateKey
+});
+
+/**
+ * Envoie la réponse d'un numéro temporairement bloqué (trop de PIN incorrects)
+ */
+const sendPinLockedError = (res, error) => {
+  res.set('Retry-After', String(error.retryAfter));
+  return res.status(429).json({
+    success: false,
+    message: error.message,
+    error: error.code,
+    retryAfter: error.retryAfter
+  });
+};
+
 /*//////////////////////////////////////////////////////////////
                         MEMBER MANAGEMENT
 //////////////////////////////////////////////////////////////*/
@@ -351,24 +441,28 @@ export const createProposal = async (req, res) => {
 
     let proposerWallet;
 
-    // Récupérer le wallet du proposant
-    if (phoneNumber && pin) {
+    // Récupérer le wallet du proposant (session téléphone, sinon téléphone/PIN)
+    if (req.phoneSession) {
+      proposerWallet = getSessionWallet(req);
+    } else if (phoneNumber && pin) {
       try {
-        const walletResult = phoneWalletService.createOrGetWalletFromPhone(phoneNumber, pin);
-        if (!walletResult.success) {
-          return res.status(400).json({
+        // Protection anti brute-force : un PIN incorrect compte comme un échec
+        const signer = pinGuardService.authenticate(phoneNumber, pin);
+        if (!signer) {
+          return res.status(401).json({
             success: false,
             message: 'Informations de téléphone/PIN invalides'
           });
         }
 
-        // Récupérer la clé privée pour signer la transaction
-        const privateKey = phoneWalletService.derivePrivateKeyFromPhone(phoneNumber, pin);
         proposerWallet = {
-          address: walletResult.wallet.address,
-          privateKey: privateKey
+          address: signer.address,
+          privateKey: signer.privateKey
         };
       } catch (walletError) {
+        if (walletError.status === 429) {
+          return sendPinLockedError(res, walletError);
+        }
         return res.status(400).json({
           success: false,
           message: 'Erreur lors de la récupération du wallet',
@@ -401,6 +495,17 @@ export const createProposal = async (req, res) => {
       });
     }
 
+    // Mode asynchrone : réponse 202 dès la diffusion, l'identifiant de la proposition
+    // figure dans le résultat de l'opération
+    if (isAsyncRequest(req)) {
+      const operation = await operationService.submit(
+        'proposal',
+        { proposer: proposerWallet.address, title, ipfsCID, impactLevel },
+        (onBroadcast) => governanceService.createProposal(proposerWallet, ipfsCID, title, impactLevel, { onBroadcast })
+      );
+      return sendOperationAccepted(res, operation, 'Proposition diffusée, confirmation en cours');
+    }
+
     // Création de la proposition
     const result = await governanceService.createProposal(
       proposerWallet,
@@ -427,16 +532,13 @@ export const createProposal = async (req, res) => {
       },
       txHash: result.txHash,
       blockNumber: result.blockNumber,
+      feePayment: result.feePayment,
       message: result.message
     });
 
   } catch (error) {
     console.error('❌ Erreur lors de la création de proposition:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Erreur lors de la création de la proposition',
-      error: error.message
-    });
+    sendMemberActionError(res, error, 'Erreur lors de la création de la proposition');
   }
 };
 
@@ -452,10 +554,12 @@ export const getProposal = async (req, res) => {
     console.log(`📋 Récupération de la proposition: ${proposalId}`);
 
     const proposal = await governanceService.getProposal(proposalId);
+    const timeline = await governanceService.getProposalTimeline(proposal);
 
     // Enrichissement des données
     const enrichedProposal = {
       ...proposal,
+      timeline,
       impactLevelText: ['Faible', 'Modéré', 'Fort'][proposal.impactLevel],
       statusText: ['En attente', 'Actif', 'Adopté', 'Rejeté', 'Exécuté', 'Annulé'][proposal.status],
       votingProgress: {
@@ -522,6 +626,7 @@ export const listProposals = async (req, res) => {
           return {
             ...proposal,
             ...event,
+            timeline: await governanceService.getProposalTimeline(proposal),
             impactLevelText: ['Faible', 'Modéré', 'Fort'][proposal.impactLevel],
             statusText: ['En attente', 'Actif', 'Adopté', 'Rejeté', 'Exécuté', 'Annulé'][proposal.status]
           };
@@ -624,7 +729,7 @@ export const listProposals = async (req, res) => {
 /**
  * @desc Modère une proposition (modérateurs uniquement)
  * @route POST /api/governance/proposals/:proposalId/moderate
- * @access Moderators
+ * @access Moderators (clé API ou session wallet avec transaction signée)
  */
 export const moderateProposal = async (req, res) => {
   try {
@@ -646,7 +751,7 @@ export const moderateProposal = async (req, res) => {
 
     console.log(`🛡️  Modération de la proposition ${proposalId}`);
 
-    const result = await governanceService.moderateProposal(proposalId, decision, note || '');
+    const result = await governanceService.moderateProposal(proposalId, decision, note || '', getRoleActor(req));
 
     res.json({
       success: true,
@@ -657,11 +762,7 @@ export const moderateProposal = async (req, res) => {
 
   } catch (error) {
     console.error('❌ Erreur lors de la modération:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Erreur lors de la modération de la proposition',
-      error: error.message
-    });
+    sendRoleActionError(res, error, 'Erreur lors de la modération de la proposition');
   }
 };
 
@@ -684,24 +785,28 @@ export const castVote = async (req, res) => {
 
     let voterWallet;
 
-    // Récupérer le wallet du votant
-    if (phoneNumber && pin) {
+    // Récupérer le wallet du votant (session téléphone, sinon téléphone/PIN)
+    if (req.phoneSession) {
+      voterWallet = getSessionWallet(req);
+    } else if (phoneNumber && pin) {
       try {
-        const walletResult = phoneWalletService.createOrGetWalletFromPhone(phoneNumber, pin);
-        if (!walletResult.success) {
-          return res.status(400).json({
+        // Protection anti brute-force : un PIN incorrect compte comme un échec
+        const signer = pinGuardService.authenticate(phoneNumber, pin);
+        if (!signer) {
+          return res.status(401).json({
             success: false,
             message: 'Informations de téléphone/PIN invalides'
           });
         }
 
-        // Récupérer la clé privée pour signer
-        const privateKey = phoneWalletService.derivePrivateKeyFromPhone(phoneNumber, pin);
         voterWallet = {
-          address: walletResult.wallet.address,
-          privateKey: privateKey
+          address: signer.address,
+          privateKey: signer.privateKey
         };
       } catch (walletError) {
+        if (walletError.status === 429) {
+          return sendPinLockedError(res, walletError);
+        }
         return res.status(400).json({
           success: false,
           message: 'Erreur lors de la récupération du wallet',
@@ -740,12 +845,24 @@ export const castVote = async (req, res) => {
       });
     }
 
+    // Mode asynchrone : réponse 202 dès la diffusion
+    if (isAsyncRequest(req)) {
+      const operation = await operationService.submit(
+        'vote',
+        { proposalId, voter: voterWallet.address, support: Boolean(support) },
+        (onBroadcast) => governanceService.castVote(voterWallet, proposalId, support, { onBroadcast })
+      );
+      return sendOperationAccepted(res, operation, 'Vote diffusé, confirmation en cours');
+    }
+
     const result = await governanceService.castVote(voterWallet, proposalId, support);
 
     res.json({
       success: true,
       vote: result.vote,
       txHash: result.txHash,
+      blockNumber: result.blockNumber,
+      feePayment: result.feePayment,
       message: result.message
     });
 
@@ -753,19 +870,7 @@ export const castVote = async (req, res) => {
     console.error('❌ Erreur lors du vote:', error);
 
     // Si l'erreur vient du service avec un statut spécifique (ex: 400)
-    if (error.status) {
-      return res.status(error.status).json({
-        success: false,
-        message: error.message,
-        error: error.code || 'GOVERNANCE_ERROR'
-      });
-    }
-
-    res.status(500).json({
-      success: false,
-      message: 'Erreur lors du vote',
-      error: error.message
-    });
+    sendMemberActionError(res, error, 'Erreur lors du vote');
   }
 };
 
@@ -802,7 +907,7 @@ export const executeProposal = async (req, res) => {
 /**
  * @desc Annule une proposition (modérateurs uniquement)
  * @route POST /api/governance/proposals/:proposalId/cancel
- * @access Moderators
+ * @access Moderators (clé API ou session wallet avec transaction signée)
  */
 export const cancelProposal = async (req, res) => {
   try {
@@ -818,7 +923,7 @@ export const cancelProposal = async (req, res) => {
 
     console.log(`❌ Annulation de la proposition ${proposalId}`);
 
-    const result = await governanceService.cancelProposal(proposalId, reason);
+    const result = await governanceService.cancelProposal(proposalId, reason, getRoleActor(req));
 
     res.json({
       success: true,
@@ -829,11 +934,7 @@ export const cancelProposal = async (req, res) => {
 
   } catch (error) {
     console.error('❌ Erreur lors de l\'annulation:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Erreur lors de l\'annulation de la proposition',
-      error: error.message
-    });
+    sendRoleActionError(res, error, 'Erreur lors de l\'annulation de la proposition');
   }
 };
 
@@ -860,23 +961,28 @@ export const raiseContest = async (req, res) => {
 
     let contestantWallet;
 
-    // Récupérer le wallet du contestant
-    if (phoneNumber && pin) {
+    // Récupérer le wallet du contestant (session téléphone, sinon téléphone/PIN)
+    if (req.phoneSession) {
+      contestantWallet = getSessionWallet(req);
+    } else if (phoneNumber && pin) {
       try {
-        const walletResult = phoneWalletService.createOrGetWalletFromPhone(phoneNumber, pin);
-        if (!walletResult.success) {
-          return res.status(400).json({
+        // Protection anti brute-force : un PIN incorrect compte comme un échec
+        const signer = pinGuardService.authenticate(phoneNumber, pin);
+        if (!signer) {
+          return res.status(401).json({
             success: false,
             message: 'Informations de téléphone/PIN invalides'
           });
         }
 
-        const privateKey = phoneWalletService.derivePrivateKeyFromPhone(phoneNumber, pin);
         contestantWallet = {
-          address: walletResult.wallet.address,
-          privateKey: privateKey
+          address: signer.address,
+          privateKey: signer.privateKey
         };
       } catch (walletError) {
+        if (walletError.status === 429) {
+          return sendPinLockedError(res, walletError);
+        }
         return res.status(400).json({
           success: false,
           message: 'Erreur lors de la récupération du wallet',
@@ -897,6 +1003,16 @@ export const raiseContest = async (req, res) => {
 
     console.log(`⚖️  Contestation de la proposition ${proposalId} par: ${contestantWallet.address}`);
 
+    // Mode asynchrone : réponse 202 dès la diffusion
+    if (isAsyncRequest(req)) {
+      const operation = await operationService.submit(
+        'contest',
+        { proposalId, contestant: contestantWallet.address, reason, evidenceCID: evidenceCID || '' },
+        (onBroadcast) => governanceService.raiseContest(contestantWallet, proposalId, reason, evidenceCID || '', { onBroadcast })
+      );
+      return sendOperationAccepted(res, operation, 'Contestation diffusée, confirmation en cours');
+    }
+
     const result = await governanceService.raiseContest(
       contestantWallet,
       proposalId,
@@ -908,23 +1024,20 @@ export const raiseContest = async (req, res) => {
       success: true,
       contest: result.contest,
       txHash: result.txHash,
+      feePayment: result.feePayment,
       message: result.message
     });
 
   } catch (error) {
     console.error('❌ Erreur lors de la contestation:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Erreur lors de la contestation',
-      error: error.message
-    });
+    sendMemberActionError(res, error, 'Erreur lors de la contestation');
   }
 };
 
 /**
  * @desc Résout une contestation (validateurs uniquement)
  * @route POST /api/governance/contests/:contestId/resolve
- * @access Validators
+ * @access Validators (clé API ou session wallet avec transaction signée)
  */
 export const resolveContest = async (req, res) => {
   try {
@@ -947,7 +1060,7 @@ export const resolveContest = async (req, res) => {
 
     console.log(`⚖️  Résolution de la contestation ${contestId}`);
 
-    const result = await governanceService.resolveContest(contestId, uphold, resolutionNote);
+    const result = await governanceService.resolveContest(contestId, uphold, resolutionNote, getRoleActor(req));
 
     res.json({
       success: true,
@@ -958,11 +1071,7 @@ export const resolveContest = async (req, res) => {
 
   } catch (error) {
     console.error('❌ Erreur lors de la résolution:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Erreur lors de la résolution de la contestation',
-      error: error.message
-    });
+    sendRoleActionError(res, error, 'Erreur lors de la résolution de la contestation');
   }
 };
 
@@ -994,6 +1103,83 @@ export const getContest = async (req, res) => {
   }
 };
 
+/*//////////////////////////////////////////////////////////////
+                       ESTIMATION DES FRAIS
+//////////////////////////////////////////////////////////////*/
+
+/**
+ * @desc Estime les frais de gas d'une proposition, d'un vote ou d'une contestation
+ * @route GET /api/governance/estimate
+ * @access Public
+ */
+export const estimateActionCost = async (req, res) => {
+  try {
+    const { action, fromAddress, phoneNumber, proposalId, support, ipfsCID, title, impactLevel, reason, evidenceCID } = req.query;
+
+    if (!GOVERNANCE_ACTIONS[action]) {
+      return res.status(400).json({
+        success: false,
+        message: `Action invalide (valeurs acceptées: ${Object.keys(GOVERNANCE_ACTIONS).join(', ')})`,
+        error: 'INVALID_PARAMETER'
+      });
+    }
+
+    // Arguments de la méthode du contrat, dans l'ordre de la signature
+    const argsByAction = {
+      proposal: [ipfsCID, title, impactLevel],
+      vote: [proposalId, support === 'true'],
+      contest: [proposalId, reason, evidenceCID || '']
+    };
+    const required = {
+      proposal: { ipfsCID, title, impactLevel },
+      vote: { proposalId, support },
+      contest: { proposalId, reason }
+    }[action];
+
+    const missing = Object.keys(required).filter(name => required[name] === undefined || required[name] === '');
+    if (missing.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Paramètres requis pour l'action ${action}: ${missing.join(', ')}`,
+        error: 'INVALID_PARAMETER'
+      });
+    }
+
+    const sender = gasEstimator.resolveSender({ fromAddress, phoneNumber });
+    const estimate = await gasEstimator.estimateGovernanceAction(sender.address, action, argsByAction[action]);
+
+    // Membre désigné par son numéro : ni son adresse ni son solde ne sont divulgués
+    if (sender.phoneNumber) {
+      delete estimate.sender.balance;
+    }
+
+    res.json({
+      success: true,
+      message: 'Estimation des frais',
+      data: {
+        action,
+        from: sender.phoneNumber ? { phoneNumber: sender.phoneNumber } : { address: sender.address },
+        ...estimate
+      }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        error: error.code
+      });
+    }
+
+    console.error('❌ Erreur lors de l\'estimation des frais:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de l\'estimation des frais',
+      error: error.message
+    });
+  }
+};
+
 /*//////////////////////////////////////////////////////////////
                       DASHBOARD & ANALYTICS
 //////////////////////////////////////////////////////////////*/
@@ -1028,6 +1214,7 @@ export const getDashboard = async (req, res) => {
           return {
             ...proposal,
             ...event,
+            timeline: await governanceService.getProposalTimeline(proposal),
             impactLevelText: ['Faible', 'Modéré', 'Fort'][proposal.impactLevel],
             statusText: ['En attente', 'Actif', 'Adopté', 'Rejeté', 'Exécuté', 'Annulé'][proposal.status]
           };
@@ -0,0 +1,32 @@
+import { operationService } from '../services/operation.service.js';
+
+export const operationController = {
+  /**
+   * GET /api/operations/:id
+   * Statut d'une opération asynchrone (en attente, confirmée ou échouée)
+   */
+  getOperation: async (req, res) => {
+    try {
+      const operation = await operationService.get(req.params.id);
+
+      if (!operation) {
+        return res.status(404).json({
+          success: false,
+          message: 'Opération introuvable (inconnue ou expirée)',
+          error: 'OPERATION_NOT_FOUND'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: operation
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Erreur lors de la récupération de l\'opération',
+        error: error.message
+      });
+    }
+  }
+};
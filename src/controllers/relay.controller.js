@@ -0,0 +1,146 @@
+import { blockchainService } from '../services/blockchain.service.js';
+import { relayerService } from '../services/relayer.service.js';
+import { operationService } from '../services/operation.service.js';
+import { isAsyncRequest, sendOperationAccepted } from '../middleware/asyncMode.js';
+
+/**
+ * Réponse d'erreur d'un appel au relayer (statut porté par l'erreur, 500 par défaut)
+ * @param {Object} res - Réponse Express
+ * @param {Error} error - Erreur du service
+ * @param {string} message - Message par défaut
+ */
+const sendRelayError = (res, error, message) => {
+  if (error.retryAfter) {
+    res.set('Retry-After', String(error.retryAfter));
+  }
+
+  res.status(error.status || 500).json({
+    success: false,
+    message: error.status ? error.message : message,
+    error: error.status ? error.code : error.message,
+    ...(error.reason && { reason: error.reason }),
+    ...(error.retryAfter && { retryAfter: error.retryAfter }),
+    ...(error.permitTxHash && {
+      data: {
+        status: error.relayStatus,
+        permitTxHash: error.permitTxHash,
+        allowanceOutstanding: error.allowanceOutstanding
+      }
+    })
+  });
+};
+
+export const relayController = {
+  /**
+   * POST /api/relay/prepare
+   * Requête EIP-712 (permit ou ForwardRequest) à faire signer par l'utilisateur
+   */
+  prepareRequest: async (req, res) => {
+    try {
+      const { action, fromAddress, params } = req.body;
+
+      if (!action || !fromAddress) {
+        return res.status(400).json({
+          success: false,
+          message: 'Action et adresse de l\'expéditeur requises',
+          required: ['action', 'fromAddress', 'params']
+        });
+      }
+
+      const prepared = await relayerService.prepare(action, fromAddress, params || {});
+
+      res.status(200).json({
+        success: true,
+        data: {
+          ...prepared,
+          quota: relayerService.getQuota(fromAddress)
+        }
+      });
+    } catch (error) {
+      console.error('❌ Erreur dans prepareRequest:', error);
+      sendRelayError(res, error, 'Erreur lors de la préparation de la requête');
+    }
+  },
+
+  /**
+   * POST /api/relay
+   * Vérifie une requête signée et l'envoie depuis le wallet du relayer
+   */
+  relayRequest: async (req, res) => {
+    try {
+      const { action, fromAddress, params, request, signature, transferSignature } = req.body;
+
+      if (!action || !fromAddress || !request || !signature) {
+        return res.status(400).json({
+          success: false,
+          message: 'Action, expéditeur, requête signée et signature requis',
+          required: ['action', 'fromAddress', 'params', 'request', 'signature']
+        });
+      }
+
+      if (action === 'transfer' && !transferSignature) {
+        return res.status(400).json({
+          success: false,
+          message: 'Signature du destinataire (transferSignature) requise pour un transfert',
+          required: ['action', 'fromAddress', 'params', 'request', 'signature', 'transferSignature']
+        });
+      }
+
+      const signed = { from: fromAddress, params: params || {}, message: request, signature, transferSignature };
+      const formatResult = (result) => ({
+        action,
+        from: fromAddress,
+        txHash: result.txHash,
+        blockNumber: result.blockNumber,
+        gasUsed: result.receipt.gasUsed.toString(),
+        feePayment: result.feePayment
+      });
+
+      // Mode asynchrone : réponse 202 dès la diffusion
+      if (isAsyncRequest(req)) {
+        const operation = await operationService.submit(
+          'relay',
+          { action, fromAddress },
+          async (onBroadcast) => formatResult(await relayerService.relay(action, signed, { onBroadcast }))
+        );
+        return sendOperationAccepted(res, operation, 'Requête relayée, confirmation en cours');
+      }
+
+      const result = await relayerService.relay(action, signed);
+
+      res.status(200).json({
+        success: true,
+        message: 'Requête relayée avec succès',
+        data: formatResult(result)
+      });
+    } catch (error) {
+      console.error('❌ Erreur dans relayRequest:', error);
+      sendRelayError(res, error, 'Erreur lors du relais de la requête');
+    }
+  },
+
+  /**
+   * GET /api/relay/quota/:address
+   * Quota de requêtes relayées d'un utilisateur sur 24 heures
+   */
+  getQuota: async (req, res) => {
+    const { address } = req.params;
+
+    if (!blockchainService.isValidAddress(address)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Adresse invalide',
+        error: 'INVALID_ADDRESS'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...relayerService.getQuota(address),
+        enabled: relayerService.isEnabled('transfer'),
+        relayer: relayerService.getRelayerAddress()
+      }
+    });
+  }
+};
@@ -0,0 +1,28 @@
+import { smsService } from '../services/sms.service.js';
+
+export const smsController = {
+  /**
+   * POST /api/sms/inbound
+   * Webhook des SMS entrants (JSON ou formulaire) : exécute la commande et répond par SMS
+   */
+  handleInbound: async (req, res) => {
+    // Noms de champs usuels des agrégateurs
+    const from = req.body.from || req.body.phoneNumber || req.body.msisdn;
+    const text = req.body.text ?? req.body.message ?? req.body.body;
+
+    if (!from || typeof text !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Expéditeur (from) et texte (text) requis',
+        required: ['from', 'text']
+      });
+    }
+
+    const result = await smsService.handleInbound(String(from), text);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  }
+};
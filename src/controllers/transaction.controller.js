@@ -1,207 +1,211 @@
 import { blockchainService } from '../services/blockchain.service.js';
+import { transferIndexer } from '../services/transferIndexer.service.js';
 
-export const transactionController = {
-  /**
-   * GET /api/transactions/:address
-   * Récupère la liste des transactions token pour une adresse
-   */
-  getTransactions: async (req, res) => {
-    try {
-      const { address } = req.params;
-      let { fromBlock, toBlock } = req.query;
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const DIRECTIONS = ['all', 'sent', 'received'];
+const AMOUNT_PATTERN = /^\d+(\.\d{1,18})?$/;
 
-      // Validation de l'adresse
-      if (!blockchainService.isValidAddress(address)) {
-        return res.status(400).json({
-          success: false,
-          message: 'Adresse invalide'
-        });
-      }
+/**
+ * Erreur de paramètre (400)
+ * @private
+ */
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
 
-      // Normalisation des paramètres de bloc
-      // Si fromBlock est fourni et est un nombre, le convertir en entier
-      if (fromBlock !== undefined && fromBlock !== null && fromBlock !== '') {
-        if (fromBlock !== 'latest' && fromBlock !== 'earliest' && fromBlock !== 'pending') {
-          const parsed = parseInt(fromBlock, 10);
-          if (isNaN(parsed) || parsed < 0) {
-            return res.status(400).json({
-              success: false,
-              message: 'fromBlock doit être un nombre positif ou "latest"'
-            });
-          }
-          fromBlock = parsed;
-        }
-      } else {
-        fromBlock = 0;
-      }
+/**
+ * Normalise un paramètre de bloc (nombre positif ou tag "latest", "earliest", "pending")
+ * @private
+ */
+const parseBlock = (value, name, defaultValue) => {
+  if (value === undefined || value === null || value === '') {
+    return defaultValue;
+  }
+  if (value === 'latest' || value === 'earliest' || value === 'pending') {
+    return value;
+  }
 
-      // Si toBlock est fourni et est un nombre, le convertir en entier
-      if (toBlock !== undefined && toBlock !== null && toBlock !== '') {
-        if (toBlock !== 'latest' && toBlock !== 'earliest' && toBlock !== 'pending') {
-          const parsed = parseInt(toBlock, 10);
-          if (isNaN(parsed) || parsed < 0) {
-            return res.status(400).json({
-              success: false,
-              message: 'toBlock doit être un nombre positif ou "latest"'
-            });
-          }
-          toBlock = parsed;
-        }
-      } else {
-        toBlock = 'latest';
-      }
+  const parsed = parseInt(value, 10);
+  if (isNaN(parsed) || parsed < 0) {
+    throw badRequest(`${name} doit être un nombre positif ou "latest"`);
+  }
+  return parsed;
+};
 
-      const transactions = await blockchainService.getTokenTransactions(
-        address,
-        fromBlock,
-        toBlock
-      );
+/**
+ * Normalise une date (timestamp Unix en secondes ou date ISO) en secondes
+ * @private
+ */
+const parseDate = (value, name) => {
+  if (value === undefined || value === '') {
+    return null;
+  }
 
-      res.status(200).json({
-        success: true,
-        message: 'Transactions récupérées avec succès',
-        data: transactions
-      });
-    } catch (error) {
-      res.status(500).json({
-        success: false,
-        message: 'Erreur lors de la récupération des transactions',
-        error: error.message
-      });
-    }
-  },
+  const milliseconds = /^\d+$/.test(value) ? Number(value) * 1000 : Date.parse(value);
+  if (isNaN(milliseconds)) {
+    throw badRequest(`${name} doit être une date ISO ou un timestamp Unix (secondes)`);
+  }
+  return Math.floor(milliseconds / 1000);
+};
 
-  /**
-   * GET /api/transactions/:address/sent
-   * Récupère uniquement les transactions envoyées
-   */
-  getSentTransactions: async (req, res) => {
-    try {
-      const { address } = req.params;
-      let { fromBlock, toBlock } = req.query;
+/**
+ * Normalise un montant en BFK (ex: "10" ou "2.5")
+ * @private
+ */
+const parseAmount = (value, name) => {
+  if (value === undefined || value === '') {
+    return null;
+  }
+  if (!AMOUNT_PATTERN.test(value)) {
+    throw badRequest(`${name} doit être un montant positif (ex: "10" ou "2.5")`);
+  }
+  return value;
+};
 
-      if (!blockchainService.isValidAddress(address)) {
-        return res.status(400).json({
-          success: false,
-          message: 'Adresse invalide'
-        });
-      }
+/**
+ * Valide les paramètres de recherche de l'historique des transactions
+ * @private
+ */
+const parseHistoryQuery = (query) => {
+  const { counterparty, cursor, limit, direction } = query;
 
-      // Normalisation des paramètres de bloc
-      if (fromBlock !== undefined && fromBlock !== null && fromBlock !== '') {
-        if (fromBlock !== 'latest' && fromBlock !== 'earliest' && fromBlock !== 'pending') {
-          const parsed = parseInt(fromBlock, 10);
-          if (!isNaN(parsed) && parsed >= 0) {
-            fromBlock = parsed;
-          }
-        }
-      } else {
-        fromBlock = 0;
-      }
+  if (counterparty !== undefined && !blockchainService.isValidAddress(counterparty)) {
+    throw badRequest('counterparty doit être une adresse valide');
+  }
+  if (direction !== undefined && !DIRECTIONS.includes(direction)) {
+    throw badRequest(`direction doit valoir ${DIRECTIONS.join(', ')}`);
+  }
 
-      if (toBlock !== undefined && toBlock !== null && toBlock !== '') {
-        if (toBlock !== 'latest' && toBlock !== 'earliest' && toBlock !== 'pending') {
-          const parsed = parseInt(toBlock, 10);
-          if (!isNaN(parsed) && parsed >= 0) {
-            toBlock = parsed;
-          }
-        }
-      } else {
-        toBlock = 'latest';
-      }
+  const pageSize = limit === undefined || limit === '' ? DEFAULT_PAGE_SIZE : Number(limit);
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    throw badRequest(`limit doit être un entier entre 1 et ${MAX_PAGE_SIZE}`);
+  }
 
-      const result = await blockchainService.getTokenTransactions(
-        address,
-        fromBlock,
-        toBlock
-      );
+  const filters = {
+    counterparty: counterparty || null,
+    minAmount: parseAmount(query.minAmount, 'minAmount'),
+    maxAmount: parseAmount(query.maxAmount, 'maxAmount'),
+    fromDate: parseDate(query.fromDate, 'fromDate'),
+    toDate: parseDate(query.toDate, 'toDate')
+  };
 
-      const sentTransactions = result.transactions.filter(tx => tx.type === 'sent');
+  return {
+    fromBlock: parseBlock(query.fromBlock, 'fromBlock', 0),
+    toBlock: parseBlock(query.toBlock, 'toBlock', 'latest'),
+    direction: direction || 'all',
+    cursor: cursor || null,
+    limit: pageSize,
+    filters
+  };
+};
 
-      res.status(200).json({
-        success: true,
-        message: 'Transactions envoyées récupérées avec succès',
-        data: {
-          address: result.address,
-          contractAddress: result.contractAddress,
-          totalTransactions: sentTransactions.length,
-          transactions: sentTransactions
-        }
-      });
-    } catch (error) {
-      res.status(500).json({
+/**
+ * Handler commun de l'historique paginé (toutes, envoyées ou reçues)
+ *
+ * L'index local des transferts sert la recherche complète (filtres, curseur, total exact).
+ * Tant qu'il n'est pas synchronisé, seule la première page sans filtre est disponible via
+ * le scan RPC d'origine.
+ * @private
+ */
+const listTransactions = (routeDirection, successMessage) => async (req, res) => {
+  try {
+    const { address } = req.params;
+
+    // Validation de l'adresse
+    if (!blockchainService.isValidAddress(address)) {
+      return res.status(400).json({
         success: false,
-        message: 'Erreur lors de la récupération des transactions',
-        error: error.message
+        message: 'Adresse invalide'
       });
     }
-  },
 
-  /**
-   * GET /api/transactions/:address/received
-   * Récupère uniquement les transactions reçues
-   */
-  getReceivedTransactions: async (req, res) => {
-    try {
-      const { address } = req.params;
-      let { fromBlock, toBlock } = req.query;
-
-      if (!blockchainService.isValidAddress(address)) {
-        return res.status(400).json({
-          success: false,
-          message: 'Adresse invalide'
-        });
-      }
+    const params = parseHistoryQuery(req.query);
+    const direction = routeDirection || params.direction;
 
-      // Normalisation des paramètres de bloc
-      if (fromBlock !== undefined && fromBlock !== null && fromBlock !== '') {
-        if (fromBlock !== 'latest' && fromBlock !== 'earliest' && fromBlock !== 'pending') {
-          const parsed = parseInt(fromBlock, 10);
-          if (!isNaN(parsed) && parsed >= 0) {
-            fromBlock = parsed;
-          }
-        }
-      } else {
-        fromBlock = 0;
-      }
+    if (transferIndexer.covers(params.toBlock)) {
+      const result = transferIndexer.query(address, {
+        ...params.filters,
+        direction,
+        fromBlock: Number.isInteger(params.fromBlock) ? params.fromBlock : null,
+        toBlock: Number.isInteger(params.toBlock) ? params.toBlock : null,
+        cursor: params.cursor,
+        limit: params.limit
+      });
 
-      if (toBlock !== undefined && toBlock !== null && toBlock !== '') {
-        if (toBlock !== 'latest' && toBlock !== 'earliest' && toBlock !== 'pending') {
-          const parsed = parseInt(toBlock, 10);
-          if (!isNaN(parsed) && parsed >= 0) {
-            toBlock = parsed;
-          }
-        }
-      } else {
-        toBlock = 'latest';
-      }
+      return res.status(200).json({
+        success: true,
+        message: successMessage,
+        data: { ...result, filters: { direction, ...params.filters } }
+      });
+    }
 
-      const result = await blockchainService.getTokenTransactions(
-        address,
-        fromBlock,
-        toBlock
-      );
+    // Index indisponible : les filtres et curseurs nécessitent l'index
+    if (params.cursor || Object.values(params.filters).some(value => value !== null)) {
+      return res.status(503).json({
+        success: false,
+        message: 'Index des transferts en cours de synchronisation : filtres et pagination indisponibles, réessayez plus tard',
+        error: 'INDEXER_NOT_READY',
+        data: { indexer: transferIndexer.getStatus() }
+      });
+    }
 
-      const receivedTransactions = result.transactions.filter(tx => tx.type === 'received');
+    const result = await blockchainService.getTokenTransactions(
+      address,
+      params.fromBlock,
+      params.toBlock,
+      params.limit,
+      direction
+    );
 
-      res.status(200).json({
-        success: true,
-        message: 'Transactions reçues récupérées avec succès',
-        data: {
-          address: result.address,
-          contractAddress: result.contractAddress,
-          totalTransactions: receivedTransactions.length,
-          transactions: receivedTransactions
-        }
-      });
-    } catch (error) {
-      res.status(500).json({
+    res.status(200).json({
+      success: true,
+      message: successMessage,
+      data: {
+        ...result,
+        totalTransactions: null, // Total inconnu sans l'index
+        pagination: { limit: params.limit, hasMore: null, nextCursor: null },
+        filters: { direction, ...params.filters }
+      }
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({
         success: false,
-        message: 'Erreur lors de la récupération des transactions',
-        error: error.message
+        message: error.message,
+        error: error.code || 'INVALID_PARAMETER'
       });
     }
-  },
+
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la récupération des transactions',
+      error: error.message
+    });
+  }
+};
+
+export const transactionController = {
+  /**
+   * GET /api/transactions/:address
+   * Historique paginé des transactions token d'une adresse (filtres : direction, counterparty,
+   * minAmount, maxAmount, fromDate, toDate, fromBlock, toBlock ; pagination : limit, cursor)
+   */
+  getTransactions: listTransactions(null, 'Transactions récupérées avec succès'),
+
+  /**
+   * GET /api/transactions/:address/sent
+   * Historique paginé des transactions envoyées (mêmes filtres que getTransactions)
+   */
+  getSentTransactions: listTransactions('sent', 'Transactions envoyées récupérées avec succès'),
+
+  /**
+   * GET /api/transactions/:address/received
+   * Historique paginé des transactions reçues (mêmes filtres que getTransactions)
+   */
+  getReceivedTransactions: listTransactions('received', 'Transactions reçues récupérées avec succès'),
 
   /**
    * GET /api/transactions/complete/:address
@@ -259,7 +263,9 @@ export const transactionController = {
 
       res.status(200).json({
         success: true,
-        message: `Toutes les transactions récupérées avec succès (${result._info.chunksProcessed} chunks traités)`,
+        message: result._info.source === 'index'
+          ? 'Toutes les transactions récupérées avec succès (index local)'
+          : `Toutes les transactions récupérées avec succès (${result._info.chunksProcessed} chunks traités)`,
         data: result
       });
     } catch (error) {
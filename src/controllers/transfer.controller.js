@@ -1,6 +1,11 @@
 import { blockchainService } from '../services/blockchain.service.js';
 import { phoneWalletService } from '../services/phoneWallet.service.js';
-import { gasManager } from '../services/gasManager.service.js';
+import { pinGuardService } from '../services/pinGuard.service.js';
+import { phoneDirectoryService } from '../services/phoneDirectory.service.js';
+import { operationService } from '../services/operation.service.js';
+import { gasEstimator } from '../services/gasEstimator.service.js';
+import { SPONSORSHIP_ERRORS } from '../services/gasSponsorship.service.js';
+import { isAsyncRequest, sendOperationAccepted } from '../middleware/asyncMode.js';
 
 export const transferController = {
   /**
@@ -36,6 +41,16 @@ export const transferController = {
         });
       }
 
+      // Mode asynchrone : réponse 202 dès la diffusion
+      if (isAsyncRequest(req)) {
+        const operation = await operationService.submit(
+          'transfer',
+          { toAddress, amount: amountNum.toString() },
+          (onBroadcast) => blockchainService.transferTokens(toAddress, amountNum, { onBroadcast })
+        );
+        return sendOperationAccepted(res, operation, 'Transfert diffusé, confirmation en cours');
+      }
+
       const result = await blockchainService.transferTokens(toAddress, amountNum);
 
       res.status(200).json({
@@ -85,6 +100,16 @@ export const transferController = {
         });
       }
 
+      // Mode asynchrone : réponse 202 dès la diffusion
+      if (isAsyncRequest(req)) {
+        const operation = await operationService.submit(
+          'mint',
+          { toAddress, amount: amount.toString() },
+          (onBroadcast) => blockchainService.mintTokens(toAddress, amount, { onBroadcast })
+        );
+        return sendOperationAccepted(res, operation, 'Mint diffusé, confirmation en cours');
+      }
+
       const result = await blockchainService.mintTokens(toAddress, amount);
 
       res.status(200).json({
@@ -113,38 +138,72 @@ export const transferController = {
   /**
    * POST /api/transfer/phone
    * Transfère des tokens en utilisant l'authentification phone/PIN
+   * ou une session téléphone (Authorization: Bearer <token>)
    */
   transferTokensWithPhone: async (req, res) => {
     try {
-      const { phoneNumber, pin, toAddress, amount } = req.body;
+      const { phoneNumber, pin, toPhoneNumber, amount } = req.body;
+      let { toAddress } = req.body;
+      const session = req.phoneSession;
 
-      // Validation des paramètres obligatoires
-      if (!phoneNumber || !pin || !toAddress || !amount) {
+      // Validation des paramètres obligatoires (destinataire: adresse ou numéro de téléphone)
+      if ((!toAddress && !toPhoneNumber) || !amount || (!session && (!phoneNumber || !pin))) {
         return res.status(400).json({
           success: false,
-          message: 'Numéro de téléphone, PIN, adresse de destination et montant requis',
-          required: ['phoneNumber', 'pin', 'toAddress', 'amount']
+          message: 'Numéro de téléphone, PIN (ou session), destinataire (adresse ou numéro) et montant requis',
+          required: session ? ['toAddress | toPhoneNumber', 'amount'] : ['phoneNumber', 'pin', 'toAddress | toPhoneNumber', 'amount']
         });
       }
 
-      // Validation du PIN
-      const pinValidation = phoneWalletService.validatePIN(pin);
-      if (!pinValidation.isValid) {
+      if (toAddress && toPhoneNumber) {
         return res.status(400).json({
           success: false,
-          message: 'PIN invalide',
-          error: pinValidation.error
+          message: 'Indiquez soit toAddress, soit toPhoneNumber'
         });
       }
 
-      // Validation du numéro de téléphone
-      const phoneValidation = phoneWalletService.validatePhoneNumber(phoneNumber);
-      if (!phoneValidation.isValid) {
-        return res.status(400).json({
-          success: false,
-          message: 'Numéro de téléphone invalide',
-          error: phoneValidation.error
-        });
+      if (!session) {
+        // Validation du PIN
+        const pinValidation = phoneWalletService.validatePIN(pin);
+        if (!pinValidation.isValid) {
+          return res.status(400).json({
+            success: false,
+            message: 'PIN invalide',
+            error: pinValidation.error
+          });
+        }
+
+        // Validation du numéro de téléphone
+        const phoneValidation = phoneWalletService.validatePhoneNumber(phoneNumber);
+        if (!phoneValidation.isValid) {
+          return res.status(400).json({
+            success: false,
+            message: 'Numéro de téléphone invalide',
+            error: phoneValidation.error
+          });
+        }
+      }
+
+      // Résolution du destinataire via l'annuaire des numéros
+      if (toPhoneNumber) {
+        const recipientValidation = phoneWalletService.validatePhoneNumber(toPhoneNumber);
+        if (!recipientValidation.isValid) {
+          return res.status(400).json({
+            success: false,
+            message: 'Numéro de téléphone du destinataire invalide',
+            error: recipientValidation.error
+          });
+        }
+
+        toAddress = phoneDirectoryService.resolve(toPhoneNumber);
+        if (!toAddress) {
+          return res.status(404).json({
+            success: false,
+            message: 'Aucun compte joignable pour ce numéro',
+            error: 'RECIPIENT_NOT_FOUND',
+            hint: 'Le destinataire doit avoir créé un compte et accepté d\'être joignable par numéro'
+          });
+        }
       }
 
       // Validation de l'adresse de destination
@@ -164,39 +223,79 @@ export const transferController = {
         });
       }
 
-      // Vérifier que l'utilisateur a bien accès à son wallet
-      let senderWallet;
-      try {
-        senderWallet = phoneWalletService.createOrGetWalletFromPhone(phoneNumber, pin);
-      } catch (authError) {
-        return res.status(401).json({
-          success: false,
-          message: 'Authentification échouée',
-          error: authError.message
-        });
+      // Récupérer le signataire : depuis la session, sinon par dérivation phone/PIN
+      let sender;
+      if (session) {
+        sender = {
+          address: session.subject,
+          ...session.secret
+        };
+      } else {
+        try {
+          // Protection anti brute-force : un PIN incorrect compte comme un échec
+          sender = pinGuardService.authenticate(phoneNumber, pin);
+        } catch (authError) {
+          if (authError.status === 429) {
+            res.set('Retry-After', String(authError.retryAfter));
+            return res.status(429).json({
+              success: false,
+              message: authError.message,
+              error: authError.code,
+              retryAfter: authError.retryAfter
+            });
+          }
+
+          return res.status(401).json({
+            success: false,
+            message: 'Authentification échouée',
+            error: authError.message
+          });
+        }
+
+        if (!sender) {
+          return res.status(401).json({
+            success: false,
+            message: 'Authentification échouée',
+            error: 'PIN incorrect pour ce numéro de téléphone'
+          });
+        }
       }
 
-      console.log(`📱 Transfert initié par: ${senderWallet.wallet.phoneNumber} (${senderWallet.wallet.address})`);
+      console.log(`📱 Transfert initié par: ${phoneWalletService.maskPhoneNumber(sender.phoneNumber)} (${sender.address})`);
+
+      // Les frais sont payés dans la devise de frais configurée, sinon en CELO après
+      // financement automatique du wallet (voir gasManager.prepareFeePayment)
+      const transferDetails = {
+        fromPhoneNumber: sender.phoneNumber, // Numéro normalisé
+        fromAddress: sender.address,
+        ...(toPhoneNumber && { toPhoneNumber: phoneWalletService.maskPhoneNumber(toPhoneNumber) })
+      };
+      const withFeeDetails = (result) => ({
+        ...result,
+        ...transferDetails,
+        gasFunding: result.feePayment.funding // Info sur le funding automatique
+      });
 
-      // Vérifier et financer le gas si nécessaire
-      let gasCheckResult;
-      try {
-        gasCheckResult = await gasManager.checkAndFundGas(
-          senderWallet.wallet.address,
-          'token transfer'
+      // Mode asynchrone : réponse 202 dès la diffusion
+      if (isAsyncRequest(req)) {
+        const operation = await operationService.submit(
+          'phone_transfer',
+          {
+            fromAddress: sender.address,
+            toAddress,
+            amount: amount.toString(),
+            ...(toPhoneNumber && { toPhoneNumber: transferDetails.toPhoneNumber })
+          },
+          async (onBroadcast) => withFeeDetails(
+            await blockchainService.transferTokensFromWallet(sender.privateKey, toAddress, amount, { onBroadcast })
+          )
         );
-      } catch (gasError) {
-        return res.status(503).json({
-          success: false,
-          message: 'Impossible de préparer la transaction',
-          error: gasError.message
-        });
+        return sendOperationAccepted(res, operation, 'Transfert diffusé, confirmation en cours');
       }
 
       // Effectuer le transfert
-      const result = await blockchainService.transferTokenWithPhoneAuth(
-        phoneNumber,
-        pin,
+      const result = await blockchainService.transferTokensFromWallet(
+        sender.privateKey,
         toAddress,
         amount
       );
@@ -204,17 +303,33 @@ export const transferController = {
       res.status(200).json({
         success: true,
         message: 'Transfert effectué avec succès',
-        data: {
-          ...result,
-          fromPhoneNumber: phoneValidation.formatted, // Numéro formaté
-          fromAddress: senderWallet.wallet.address,
-          gasFunding: gasCheckResult // Info sur le funding automatique
-        }
+        data: withFeeDetails(result)
       });
 
     } catch (error) {
       console.error('❌ Erreur dans transferTokensWithPhone:', error);
 
+      // Financement du gas refusé par la politique de sponsoring (exclusion, plafond, budget)
+      if (Object.values(SPONSORSHIP_ERRORS).some(({ code }) => code === error.code)) {
+        if (error.retryAfter) {
+          res.set('Retry-After', String(error.retryAfter));
+        }
+        return res.status(error.status).json({
+          success: false,
+          message: error.message,
+          error: error.code
+        });
+      }
+
+      // Frais impossibles à couvrir (financement CELO échoué, plafond de frais dépassé)
+      if (error.code === 'GAS_FUNDING_FAILED' || error.code === 'FEE_CAP_EXCEEDED') {
+        return res.status(503).json({
+          success: false,
+          message: 'Impossible de préparer la transaction',
+          error: error.message
+        });
+      }
+
       // Gestion des erreurs spécifiques
       if (error.message.includes('Solde insuffisant')) {
         return res.status(402).json({
@@ -250,19 +365,39 @@ export const transferController = {
 
   /**
    * GET /api/transfer/estimate
-   * Estime les frais de gas pour un transfert
+   * Estime les frais de gas d'un transfert BFK signé par l'expéditeur (adresse ou numéro de téléphone)
    */
   estimateTransferCost: async (req, res) => {
     try {
-      const { toAddress, amount } = req.query;
+      const { fromAddress, phoneNumber, toPhoneNumber, amount } = req.query;
+      let { toAddress } = req.query;
 
-      if (!toAddress || !amount) {
+      if ((!toAddress && !toPhoneNumber) || !amount) {
         return res.status(400).json({
           success: false,
-          message: 'Adresse de destination et montant requis'
+          message: 'Destinataire (adresse ou numéro) et montant requis'
+        });
+      }
+
+      if (toAddress && toPhoneNumber) {
+        return res.status(400).json({
+          success: false,
+          message: 'Indiquez soit toAddress, soit toPhoneNumber'
         });
       }
 
+      // Résolution du destinataire via l'annuaire des numéros (mêmes règles que le transfert)
+      if (toPhoneNumber) {
+        toAddress = phoneDirectoryService.resolve(toPhoneNumber);
+        if (!toAddress) {
+          return res.status(404).json({
+            success: false,
+            message: 'Aucun compte joignable pour ce numéro',
+            error: 'RECIPIENT_NOT_FOUND'
+          });
+        }
+      }
+
       if (!blockchainService.isValidAddress(toAddress)) {
         return res.status(400).json({
           success: false,
@@ -270,19 +405,41 @@ export const transferController = {
         });
       }
 
-      // Note: Cette fonctionnalité nécessite une estimation de gas
-      // Pour l'instant, on retourne une estimation approximative
+      const amountNum = parseFloat(amount);
+      if (isNaN(amountNum) || amountNum <= 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Montant invalide (doit être un nombre positif)'
+        });
+      }
+
+      const sender = gasEstimator.resolveSender({ fromAddress, phoneNumber });
+      const estimate = await gasEstimator.estimateTokenTransfer(sender.address, toAddress, amount);
+
+      // Expéditeur désigné par son numéro : ni son adresse ni son solde ne sont divulgués
+      if (sender.phoneNumber) {
+        delete estimate.sender.balance;
+      }
+
       res.status(200).json({
         success: true,
         message: 'Estimation des frais',
         data: {
-          toAddress,
-          amount,
-          estimatedGas: 'À implémenter',
-          note: 'Fonctionnalité d\'estimation à venir'
+          from: sender.phoneNumber ? { phoneNumber: sender.phoneNumber } : { address: sender.address },
+          ...(toPhoneNumber ? { toPhoneNumber: phoneWalletService.maskPhoneNumber(toPhoneNumber) } : { toAddress }),
+          amount: amount.toString(),
+          ...estimate
         }
       });
     } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message,
+          error: error.code
+        });
+      }
+
       res.status(500).json({
         success: false,
         message: 'Erreur lors de l\'estimation',
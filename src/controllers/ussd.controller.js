@@ -0,0 +1,31 @@
+import { ussdService } from '../services/ussd.service.js';
+
+export const ussdController = {
+  /**
+   * POST /api/ussd
+   * Callback de l'agrégateur USSD (JSON ou formulaire)
+   * Répond en texte brut : "CON <écran>" pour continuer la session, "END <message>" pour la terminer
+   */
+  handleSession: async (req, res) => {
+    // Noms de champs usuels des agrégateurs (Africa's Talking, passerelles opérateur...)
+    const sessionId = req.body.sessionId || req.body.session_id || req.body.SESSION_ID;
+    const phoneNumber = req.body.phoneNumber || req.body.msisdn || req.body.MSISDN;
+    const text = req.body.text ?? req.body.ussdString ?? req.body.input ?? '';
+
+    if (!sessionId || !phoneNumber) {
+      return res.status(400).json({
+        success: false,
+        message: 'sessionId et phoneNumber requis',
+        required: ['sessionId', 'phoneNumber']
+      });
+    }
+
+    const { end, message } = await ussdService.handle({
+      sessionId: String(sessionId),
+      phoneNumber: String(phoneNumber),
+      text: String(text)
+    });
+
+    res.status(200).type('text/plain').send(`${end ? 'END' : 'CON'} ${message}`);
+  }
+};
@@ -0,0 +1,40 @@
+/**
+ * Mode asynchrone des routes d'écriture
+ *
+ * Le client demande une réponse immédiate avec "Prefer: respond-async" (RFC 7240) ou
+ * le paramètre de requête ?async=true : la route répond 202 dès la diffusion de la
+ * transaction, avec l'identifiant de l'opération à suivre via GET /api/operations/:id.
+ */
+
+/**
+ * Indique si la requête demande le mode asynchrone
+ * @param {Object} req - Requête Express
+ * @returns {boolean}
+ */
+export const isAsyncRequest = (req) => (
+  req.query.async === 'true' || /\brespond-async\b/i.test(req.get('Prefer') || '')
+);
+
+/**
+ * Répond 202 avec l'opération en cours
+ * @param {Object} res - Réponse Express
+ * @param {Object} operation - Opération retournée par operationService.submit()
+ * @param {string} message - Message de la réponse
+ */
+export const sendOperationAccepted = (res, operation, message) => {
+  const statusUrl = `/api/operations/${operation.id}`;
+
+  res.set('Location', statusUrl);
+  res.set('Preference-Applied', 'respond-async');
+  res.status(202).json({
+    success: true,
+    message,
+    data: {
+      operationId: operation.id,
+      type: operation.type,
+      status: operation.status,
+      txHash: operation.txHash,
+      statusUrl
+    }
+  });
+};
@@ -0,0 +1,221 @@
+import crypto from 'crypto';
+import { config } from '../config/config.js';
+import { ROLES, isValidRole } from '../config/roles.js';
+import { sessionService } from '../services/session.service.js';
+
+/**
+ * Calcule l'empreinte SHA256 d'une clé (comparaison en temps constant)
+ * @param {string} value - Valeur à hasher
+ * @returns {Buffer} Empreinte
+ */
+const digest = (value) => crypto.createHash('sha256').update(value).digest();
+
+/**
+ * Extrait le token d'authentification de la requête
+ * Accepte "Authorization: Bearer <token>" ou "X-API-Key: <token>"
+ * @param {Object} req - Requête Express
+ * @returns {string|null} Token ou null
+ */
+export const extractToken = (req) => {
+  const authorization = req.headers.authorization;
+  if (authorization && authorization.startsWith('Bearer ')) {
+    return authorization.slice(7).trim() || null;
+  }
+
+  return req.headers['x-api-key'] || null;
+};
+
+/**
+ * Recherche la clé API correspondant au token fourni
+ * @param {string} token - Token fourni par le client
+ * @returns {Object|null} Contexte d'authentification ou null
+ */
+const resolveApiKey = (token) => {
+  const tokenDigest = digest(token);
+
+  const match = config.apiKeys.find(({ role, key }) =>
+    isValidRole(role) && crypto.timingSafeEqual(digest(key), tokenDigest)
+  );
+
+  if (!match) {
+    return null;
+  }
+
+  return {
+    type: 'apiKey',
+    roles: [match.role]
+  };
+};
+
+/**
+ * Recherche la session wallet (EIP-4361) correspondant au token fourni
+ * @param {string} token - Token fourni par le client
+ * @returns {Object|null} Contexte d'authentification ou null
+ */
+const resolveWalletSession = (token) => {
+  const session = sessionService.getSession(token);
+  if (!session || session.type !== 'wallet') {
+    return null;
+  }
+
+  return {
+    type: 'wallet',
+    roles: session.roles,
+    address: session.subject,
+    sessionId: session.id
+  };
+};
+
+/**
+ * Résout le contexte d'authentification de la requête (mis en cache dans req.auth)
+ * Les clés API sont prioritaires sur les sessions wallet
+ * @param {Object} req - Requête Express
+ * @returns {Object|null} Contexte d'authentification ou null
+ */
+const resolveAuth = (req) => {
+  if (req.auth === undefined) {
+    const token = extractToken(req);
+    req.auth = token ? (resolveApiKey(token) || resolveWalletSession(token)) : null;
+  }
+  return req.auth;
+};
+
+/**
+ * Middleware exigeant une session wallet (EIP-4361)
+ */
+export const requireWalletSession = (req, res, next) => {
+  const auth = resolveAuth(req);
+
+  if (!auth || auth.type !== 'wallet') {
+    return res.status(401).json({
+      success: false,
+      message: 'Session wallet requise',
+      hint: 'Connectez-vous via POST /api/auth/wallet/nonce puis POST /api/auth/wallet/login'
+    });
+  }
+
+  next();
+};
+
+/**
+ * Résout la session téléphone (ouverte via /api/accounts/verify) de la requête
+ * @param {Object} req - Requête Express
+ * @returns {Object|null|false} Session, null si aucun token, false si token invalide
+ */
+const resolvePhoneSession = (req) => {
+  const token = extractToken(req);
+  if (!token) {
+    return null;
+  }
+
+  const session = sessionService.getSession(token);
+  return session && session.type === 'phone' ? session : false;
+};
+
+/**
+ * Middleware acceptant optionnellement une session téléphone
+ * Renseigne req.phoneSession ; sans token, la route retombe sur phoneNumber + PIN
+ */
+export const attachPhoneSession = (req, res, next) => {
+  const session = resolvePhoneSession(req);
+
+  if (session === false) {
+    return res.status(401).json({
+      success: false,
+      message: 'Session invalide ou expirée',
+      hint: 'Reconnectez-vous via POST /api/accounts/verify ou fournissez phoneNumber + PIN sans en-tête Authorization'
+    });
+  }
+
+  req.phoneSession = session;
+  next();
+};
+
+/**
+ * Middleware exigeant une session téléphone
+ */
+export const requirePhoneSession = (req, res, next) => {
+  const session = resolvePhoneSession(req);
+
+  if (!session) {
+    return res.status(401).json({
+      success: false,
+      message: 'Session téléphone requise',
+      hint: 'Ouvrez une session via POST /api/accounts/verify'
+    });
+  }
+
+  req.phoneSession = session;
+  next();
+};
+
+/**
+ * Middleware de vérification du jeton partagé d'un webhook opérateur (USSD, SMS...)
+ * Les agrégateurs ne permettant pas toujours d'en-têtes personnalisés, le jeton est accepté
+ * dans l'en-tête "X-Webhook-Token" ou le paramètre de requête "token".
+ * Sans jeton configuré, le webhook est fermé en production (503) ; hors production il reste
+ * ouvert pour les tests locaux, avec un avertissement au démarrage et à la première requête.
+ * @param {string|null} expectedToken - Jeton attendu
+ * @param {string} name - Nom du webhook dans les messages (ex: 'USSD')
+ * @returns {Function} Middleware Express
+ */
+export const requireWebhookToken = (expectedToken, name = 'opérateur') => {
+  let warned = false;
+
+  return (req, res, next) => {
+    if (!expectedToken) {
+      if (config.nodeEnv === 'production') {
+        return res.status(503).json({
+          success: false,
+          message: `Webhook ${name} désactivé : aucun jeton configuré`,
+          error: 'WEBHOOK_TOKEN_NOT_CONFIGURED'
+        });
+      }
+      if (!warned) {
+        warned = true;
+        console.warn(`⚠️  Webhook ${name} sans jeton : requête acceptée (NODE_ENV=${config.nodeEnv})`);
+      }
+      return next();
+    }
+
+    const token = req.headers['x-webhook-token'] || req.query.token;
+    if (!token || !crypto.timingSafeEqual(digest(String(token)), digest(expectedToken))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Jeton de webhook invalide'
+      });
+    }
+
+    next();
+  };
+};
+
+/**
+ * Middleware d'autorisation par rôle
+ * Le rôle admin est accepté sur toutes les routes protégées.
+ * Accepte les clés API et les sessions wallet des modérateurs/validateurs.
+ * @param {...string} allowedRoles - Rôles autorisés
+ * @returns {Function} Middleware Express
+ */
+export const requireRole = (...allowedRoles) => (req, res, next) => {
+  const auth = resolveAuth(req);
+
+  if (!auth) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentification requise',
+      hint: 'Fournissez une clé API ou un token de session via l\'en-tête "Authorization: Bearer <token>"'
+    });
+  }
+
+  const isAllowed = auth.roles.some(role => role === ROLES.ADMIN || allowedRoles.includes(role));
+  if (!isAllowed) {
+    return res.status(403).json({
+      success: false,
+      message: 'Droits insuffisants pour cette action',
+      requiredRoles: [...new Set([ROLES.ADMIN, ...allowedRoles])]
+    });
+  }
+
+  next();
+};
@@ -0,0 +1,96 @@
+import crypto from 'crypto';
+import { idempotencyService } from '../services/idempotency.service.js';
+import { extractToken } from './auth.js';
+
+/**
+ * Clés d'idempotence des routes d'écriture
+ *
+ * Un client qui répète une requête (ex: après une coupure réseau) avec le même en-tête
+ * "Idempotency-Key" reçoit la réponse de la première requête au lieu d'envoyer une seconde
+ * transaction. La clé est propre à la route et à l'appelant (token d'authentification).
+ */
+
+// Longueur maximum d'une clé (un UUID v4 est recommandé)
+const MAX_KEY_LENGTH = 255;
+
+// Statuts qui n'enregistrent pas la réponse (429 et 5xx : refus ou erreur passagère, ex: nœud RPC
+// injoignable), le client peut réessayer avec la même clé
+const isRetryable = (statusCode) => statusCode === 429 || statusCode >= 500;
+
+// En-têtes de la réponse d'origine rejoués avec elle
+const REPLAYED_HEADERS = ['Location', 'Preference-Applied', 'Retry-After'];
+
+/**
+ * Empreinte SHA256 d'une valeur
+ * @param {string} value - Valeur à hasher
+ * @returns {string} Empreinte hexadécimale
+ */
+const digest = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * Middleware honorant l'en-tête Idempotency-Key (sans en-tête, la requête est traitée normalement)
+ * À placer après l'authentification de la route, juste avant le contrôleur.
+ */
+export const idempotent = (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) {
+    return next();
+  }
+
+  if (key.trim() === '' || key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      message: `En-tête Idempotency-Key invalide (1 à ${MAX_KEY_LENGTH} caractères)`,
+      error: 'INVALID_IDEMPOTENCY_KEY'
+    });
+  }
+
+  const token = extractToken(req);
+  const scope = `${req.method} ${req.baseUrl}${req.path} ${token ? digest(token) : 'anonymous'}`;
+  const fingerprint = digest(JSON.stringify({ query: req.query, body: req.body }));
+
+  let reservation;
+  try {
+    reservation = idempotencyService.begin(scope, key, fingerprint);
+  } catch (error) {
+    if (error.retryAfter) {
+      res.set('Retry-After', String(error.retryAfter));
+    }
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.message,
+      error: error.code || 'IDEMPOTENCY_ERROR'
+    });
+  }
+
+  // Répétition : réponse d'origine, sans réexécuter la route
+  if (reservation.replay) {
+    const { statusCode, headers, body } = reservation.replay;
+    res.set(headers);
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(statusCode).json(body);
+  }
+
+  // Première requête : la réponse est enregistrée au moment de son envoi (la réservation est
+  // renouvelée jusque-là) ; une réponse envoyée autrement qu'en JSON libère la clé
+  res.on('finish', () => {
+    if (idempotencyService.isHeld(reservation.id)) {
+      idempotencyService.release(reservation.id);
+    }
+  });
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (isRetryable(res.statusCode)) {
+      idempotencyService.release(reservation.id);
+    } else {
+      const headers = Object.fromEntries(
+        REPLAYED_HEADERS.filter(name => res.get(name)).map(name => [name, res.get(name)])
+      );
+      idempotencyService.complete(reservation.id, { statusCode: res.statusCode, headers, body });
+    }
+    return json(body);
+  };
+
+  next();
+};
@@ -0,0 +1,25 @@
+import { metrics } from '../utils/metrics.js';
+
+/**
+ * Middleware de mesure des requêtes HTTP (nombre et durée par méthode, route et statut)
+ *
+ * La route est le chemin déclaré (ex: /api/governance/proposals/:id) et non l'URL appelée,
+ * pour garder un nombre de séries borné ; les requêtes sans route correspondante sont
+ * regroupées sous "unmatched".
+ */
+export const metricsMiddleware = (req, res, next) => {
+  const stopTimer = metrics.httpRequestDuration.startTimer();
+
+  res.on('finish', () => {
+    const labels = {
+      method: req.method,
+      route: req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched',
+      status: res.statusCode
+    };
+
+    metrics.httpRequestsTotal.inc(labels);
+    stopTimer(labels);
+  });
+
+  next();
+};
@@ -1,5 +1,7 @@
 import express from 'express';
 import { accountController } from '../controllers/account.controller.js';
+import { requirePhoneSession } from '../middleware/auth.js';
+import { idempotent } from '../middleware/idempotency.js';
 
 const router = express.Router();
 
@@ -16,7 +18,9 @@ const router = express.Router();
  *       
  *       ### 🔒 Sécurité
  *       - PIN obligatoire (4 à 8 chiffres)
- *       - Dérivation PBKDF2-SHA256 avec 100,000 itérations
+ *       - Dérivation versionnée : v1 PBKDF2-SHA256 (100,000 itérations), versions suivantes
+ *         configurables (`WALLET_DERIVATION_KEYS`, ex. scrypt)
+ *       - Les nouveaux numéros utilisent le schéma courant, les wallets déjà actifs restent sur v1
  *       - Salt serveur secret
  *       - **La clé privée n'est JAMAIS retournée**
  *       
@@ -24,6 +28,9 @@ const router = express.Router();
  *       - **0.1 CELO envoyé automatiquement** au nouveau compte
  *       - Permet de payer les frais de gas dès la création
  *       - Le compte est immédiatement utilisable
+ *       - **Une seule fois par numéro** : un nouvel appel avec le même numéro + PIN
+ *         récupère le compte (`200`, `isNewAccount: false`) sans nouveau financement
+ *       - Un numéro déjà enregistré avec un autre PIN est refusé (`401`) et compte comme un essai de PIN
  *       
  *       ### 💡 Utilisation
  *       1. Créez votre compte avec votre numéro + PIN
@@ -31,6 +38,8 @@ const router = express.Router();
  *       3. Récupérez votre adresse publique
  *       4. Utilisez cette adresse pour tous les autres endpoints (balance, transactions, etc.)
  *     tags: [Accounts]
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -56,6 +65,13 @@ const router = express.Router();
  *                 type: string
  *                 description: Code pays ISO (ex FR, US, GB) si numéro local
  *                 example: "FR"
+ *               discoverable:
+ *                 type: boolean
+ *                 description: |
+ *                   Recevoir des transferts par numéro de téléphone (annuaire).
+ *                   Défaut: `PHONE_DIRECTORY_DEFAULT_DISCOVERABLE`, ignoré pour un compte existant
+ *                   ou tant que le PIN n'est pas prouvé (voir `discoverable` dans la réponse)
+ *                 example: true
  *           examples:
  *             creation:
  *               summary: Création de compte
@@ -81,13 +97,37 @@ const router = express.Router();
  *                   example: true
  *                 message:
  *                   type: string
- *                   example: Compte créé/récupéré avec succès
+ *                   example: Compte créé avec succès
  *                 data:
  *                   type: object
  *                   properties:
  *                     success:
  *                       type: boolean
  *                       example: true
+ *                     isNewAccount:
+ *                       type: boolean
+ *                       description: false si le numéro était déjà enregistré (aucun nouveau financement)
+ *                       example: true
+ *                     onboarding:
+ *                       type: object
+ *                       properties:
+ *                         status:
+ *                           type: string
+ *                           enum: [pending, funded, failed, skipped]
+ *                         createdAt:
+ *                           type: string
+ *                           format: date-time
+ *                         fundedAt:
+ *                           type: string
+ *                           format: date-time
+ *                           nullable: true
+ *                     discoverable:
+ *                       type: boolean
+ *                       nullable: true
+ *                       description: |
+ *                         Numéro visible dans l'annuaire (transferts par numéro). `null` tant que le PIN
+ *                         n'est pas prouvé (nouveau numéro) : le numéro est inscrit à la première
+ *                         connexion prouvée (`POST /api/accounts/verify`)
  *                     wallet:
  *                       type: object
  *                       properties:
@@ -106,7 +146,8 @@ const router = express.Router();
  *                       example: "Conservez précieusement votre numéro de téléphone et votre PIN."
  *                     initialFunding:
  *                       type: object
- *                       description: Détails du funding initial (CELO + Tokens)
+ *                       nullable: true
+ *                       description: Détails du funding initial (CELO + Tokens), null pour un compte existant
  *                       properties:
  *                         celo:
  *                           type: object
@@ -138,10 +179,20 @@ const router = express.Router();
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       200:
+ *         description: Compte existant récupéré, pas de nouveau financement (isNewAccount = false)
+ *       401:
+ *         description: Numéro déjà enregistré avec un autre PIN
+ *       409:
+ *         $ref: '#/components/responses/IdempotencyConflict'
+ *       422:
+ *         $ref: '#/components/responses/IdempotencyKeyReused'
+ *       429:
+ *         $ref: '#/components/responses/PinLocked'
  *       500:
  *         $ref: '#/components/responses/InternalError'
  */
-router.post('/create', accountController.createAccount);
+router.post('/create', idempotent, accountController.createAccount);
 
 /**
  * @swagger
@@ -152,6 +203,19 @@ router.post('/create', accountController.createAccount);
  *       Vérifie si un numéro de téléphone + PIN correspondent à une adresse wallet donnée.
  *       
  *       Utile pour l'authentification des utilisateurs avant des opérations sensibles.
+ *       
+ *       ### 🎟️ Session
+ *       Si la vérification réussit, une **session courte et révocable** est ouverte
+ *       (durée: `PHONE_SESSION_TTL_MINUTES`, 15 min par défaut).
+ *       Le token s'utilise en `Authorization: Bearer <token>` sur les transferts (`/api/transfer/phone`),
+ *       la création de propositions, les votes et les contestations, à la place de `phoneNumber` + `pin`.
+ *
+ *       ### 🔐 Migration de dérivation
+ *       Si le compte utilise un schéma de dérivation antérieur au schéma courant, l'adhésion DAO,
+ *       les BFK et le CELO sont migrés vers l'adresse du nouveau schéma avant l'ouverture de la session.
+ *       `data.address` contient alors la **nouvelle adresse** à utiliser désormais et `data.migration`
+ *       le détail des transactions. En cas d'échec, la session est ouverte sur l'ancienne adresse
+ *       et la migration reprend à la connexion suivante.
  *     tags: [Accounts]
  *     requestBody:
  *       required: true
@@ -196,11 +260,323 @@ router.post('/create', accountController.createAccount);
  *                     message:
  *                       type: string
  *                       example: "✅ Authentification réussie"
+ *                     session:
+ *                       $ref: '#/components/schemas/PhoneSession'
+ *                     address:
+ *                       type: string
+ *                       nullable: true
+ *                       description: Adresse du compte (nouvelle adresse après une migration réussie)
+ *                     derivationVersion:
+ *                       type: string
+ *                       nullable: true
+ *                       example: v2
+ *                     migration:
+ *                       type: object
+ *                       nullable: true
+ *                       description: Migration vers le schéma de dérivation courant (null si aucune)
+ *                       properties:
+ *                         status:
+ *                           type: string
+ *                           enum: [completed, failed]
+ *                         oldAddress:
+ *                           type: string
+ *                         newAddress:
+ *                           type: string
+ *                         derivationVersion:
+ *                           type: string
+ *                         steps:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                         error:
+ *                           type: string
+ *                           description: Code d'erreur (si échec)
+ *                     attemptsRemaining:
+ *                       type: integer
+ *                       description: Essais restants avant verrouillage (si échec)
+ *                       example: 4
  *       400:
  *         $ref: '#/components/responses/BadRequest'
+ *       429:
+ *         $ref: '#/components/responses/PinLocked'
  *       500:
  *         $ref: '#/components/responses/InternalError'
  */
 router.post('/verify', accountController.verifyAccess);
 
+/**
+ * @swagger
+ * /api/accounts/change-pin:
+ *   post:
+ *     summary: Change le PIN et migre le compte vers la nouvelle adresse
+ *     description: |
+ *       L'adresse étant dérivée de `téléphone:PIN`, un nouveau PIN donne une nouvelle adresse.
+ *       Après authentification avec l'ancien PIN, le backend migre :
+ *       1. **L'adhésion DAO** : enregistrement de la nouvelle adresse (même nombre de transactions)
+ *          puis désenregistrement de l'ancienne (le contrat n'a pas de migration native)
+ *       2. **Le solde BFK**
+ *       3. **Le solde CELO restant** (frais de la dernière transaction déduits)
+ *
+ *       Chaque étape retourne son hash de transaction (ou `skipped` si rien à migrer).
+ *
+ *       ### ♻️ Reprise après échec
+ *       Si une étape échoue (`502`), l'ancien PIN reste valide : relancez la même requête,
+ *       les étapes déjà effectuées sont ignorées.
+ *
+ *       ⚠️ Les votes et propositions passés restent associés à l'ancienne adresse. Le contrat ne
+ *       pouvant pas reporter les votes, la migration est refusée (`409 MEMBER_HAS_ACTIVE_VOTES`,
+ *       `data.proposalIds`) tant que l'ancienne adresse a voté sur une proposition encore active.
+ *       Les sessions ouvertes avec l'ancien PIN sont révoquées.
+ *
+ *       Le numéro doit avoir été vérifié au moins une fois (adresse de référence enregistrée à la
+ *       création ou à la connexion via `POST /api/accounts/verify`), sinon `403 ACCOUNT_NOT_VERIFIED`.
+ *     tags: [Accounts]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - phoneNumber
+ *               - oldPin
+ *               - newPin
+ *             properties:
+ *               phoneNumber:
+ *                 type: string
+ *                 example: "+33612345678"
+ *               oldPin:
+ *                 type: string
+ *                 example: "1234"
+ *               newPin:
+ *                 type: string
+ *                 pattern: '^[0-9]{4,8}$'
+ *                 example: "908172"
+ *     responses:
+ *       200:
+ *         description: PIN modifié, compte migré
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     oldAddress:
+ *                       $ref: '#/components/schemas/Address'
+ *                     newAddress:
+ *                       $ref: '#/components/schemas/Address'
+ *                     revokedSessions:
+ *                       type: integer
+ *                     steps:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           step:
+ *                             type: string
+ *                             enum: [membership, membership.register, membership.deregister, sweep.token, sweep.celo]
+ *                           status:
+ *                             type: string
+ *                             enum: [completed, skipped]
+ *                           txHash:
+ *                             type: string
+ *                             nullable: true
+ *                           amount:
+ *                             type: string
+ *                           reason:
+ *                             type: string
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         description: PIN actuel incorrect
+ *       403:
+ *         description: Compte non vérifié (aucune adresse de référence pour ce numéro)
+ *       409:
+ *         description: |
+ *           Un changement de PIN est déjà en cours pour ce numéro (`PIN_CHANGE_IN_PROGRESS`), ou
+ *           l'ancienne adresse a voté sur une proposition active (`MEMBER_HAS_ACTIVE_VOTES`)
+ *       429:
+ *         $ref: '#/components/responses/PinLocked'
+ *       502:
+ *         description: Migration interrompue - data.steps indique les étapes effectuées, relancez pour reprendre
+ */
+router.post('/change-pin', accountController.changePin);
+
+/**
+ * @swagger
+ * /api/accounts/logout:
+ *   post:
+ *     summary: Révoque la session téléphone courante
+ *     tags: [Accounts]
+ *     security:
+ *       - PhoneSessionAuth: []
+ *     responses:
+ *       200:
+ *         description: Session révoquée
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.post('/logout', requirePhoneSession, accountController.logout);
+
+/**
+ * @swagger
+ * /api/accounts/sessions:
+ *   get:
+ *     summary: Liste les sessions actives de l'adresse authentifiée
+ *     description: Permet à l'utilisateur de voir ses sessions ouvertes (appareils) et de révoquer celles qu'il ne reconnaît pas.
+ *     tags: [Accounts]
+ *     security:
+ *       - PhoneSessionAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessions actives
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     address:
+ *                       $ref: '#/components/schemas/Address'
+ *                     currentSessionId:
+ *                       type: string
+ *                     sessions:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/PhoneSession'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.get('/sessions', requirePhoneSession, accountController.listSessions);
+
+/**
+ * @swagger
+ * /api/accounts/sessions/{sessionId}:
+ *   delete:
+ *     summary: Révoque une session de l'adresse authentifiée
+ *     tags: [Accounts]
+ *     security:
+ *       - PhoneSessionAuth: []
+ *     parameters:
+ *       - name: sessionId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session révoquée
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.delete('/sessions/:sessionId', requirePhoneSession, accountController.revokeSession);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     DirectoryEntry:
+ *       type: object
+ *       description: Inscription d'un numéro dans l'annuaire (le numéro en clair n'est jamais stocké)
+ *       properties:
+ *         address:
+ *           $ref: '#/components/schemas/Address'
+ *         discoverable:
+ *           type: boolean
+ *           description: Le numéro peut recevoir des transferts par numéro de téléphone
+ *           example: true
+ *         registeredAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/accounts/directory:
+ *   get:
+ *     summary: Inscription du compte dans l'annuaire des numéros
+ *     tags: [Accounts]
+ *     security:
+ *       - PhoneSessionAuth: []
+ *     responses:
+ *       200:
+ *         description: Entrée de l'annuaire
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/DirectoryEntry'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/directory', requirePhoneSession, accountController.getDirectoryEntry);
+
+/**
+ * @swagger
+ * /api/accounts/directory:
+ *   put:
+ *     summary: Active ou désactive la réception de transferts par numéro
+ *     description: |
+ *       Un numéro visible (`discoverable: true`) peut recevoir des BFK via
+ *       `POST /api/transfer/phone` avec `toPhoneNumber`, sans communiquer son adresse.
+ *       Un numéro masqué est traité comme inconnu par les expéditeurs.
+ *     tags: [Accounts]
+ *     security:
+ *       - PhoneSessionAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - discoverable
+ *             properties:
+ *               discoverable:
+ *                 type: boolean
+ *                 example: false
+ *     responses:
+ *       200:
+ *         description: Visibilité mise à jour
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/DirectoryEntry'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.put('/directory', requirePhoneSession, accountController.updateDirectoryEntry);
+
 export default router;
@@ -0,0 +1,965 @@
+import express from 'express';
+import { adminController } from '../controllers/admin.controller.js';
+import { requireRole } from '../middleware/auth.js';
+import { ROLES } from '../config/roles.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PinLockoutStatus:
+ *       type: object
+ *       properties:
+ *         phoneHash:
+ *           type: string
+ *           description: Empreinte du numéro (hashPhoneNumber), le numéro en clair n'est jamais stocké
+ *         failures:
+ *           type: integer
+ *           description: Échecs consécutifs depuis le dernier succès ou verrouillage
+ *           example: 2
+ *         lockouts:
+ *           type: integer
+ *           description: Nombre de verrouillages consécutifs (la durée double à chaque fois)
+ *           example: 0
+ *         attemptsRemaining:
+ *           type: integer
+ *           example: 3
+ *         locked:
+ *           type: boolean
+ *           example: false
+ *         lockedUntil:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         lastFailureAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         retryAfterSeconds:
+ *           type: integer
+ *           description: Délai avant le prochain essai autorisé
+ *           example: 4
+ *     OnboardingRecord:
+ *       type: object
+ *       properties:
+ *         phoneHash:
+ *           type: string
+ *           description: Empreinte du numéro (hashPhoneNumber)
+ *         address:
+ *           $ref: '#/components/schemas/Address'
+ *         status:
+ *           type: string
+ *           enum: [pending, funded, failed, skipped]
+ *           description: skipped = wallet déjà actif avant la mise en place du registre
+ *         celo:
+ *           type: object
+ *           nullable: true
+ *           description: Transaction d'envoi de CELO
+ *         token:
+ *           type: object
+ *           nullable: true
+ *           description: Transaction de mint BFK
+ *         attempts:
+ *           type: integer
+ *           example: 1
+ *         lastError:
+ *           type: string
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         fundedAt:
+ *           type: string
+ *           format: date-time
+ *     IndexerStatus:
+ *       type: object
+ *       properties:
+ *         enabled:
+ *           type: boolean
+ *         running:
+ *           type: boolean
+ *         synced:
+ *           type: boolean
+ *           description: Index à jour lors de la dernière passe (les endpoints le consultent)
+ *         startBlock:
+ *           type: integer
+ *           description: Bloc de déploiement du contrat indexé
+ *         lastIndexedBlock:
+ *           type: integer
+ *         targetBlock:
+ *           type: integer
+ *           description: Dernier bloc visé lors de la dernière passe
+ *         lag:
+ *           type: integer
+ *         confirmations:
+ *           type: integer
+ *         events:
+ *           type: integer
+ *         lastSyncAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         lastError:
+ *           type: string
+ *           nullable: true
+ *   responses:
+ *     PinLocked:
+ *       description: Trop de PIN incorrects - numéro temporairement bloqué (voir l'en-tête Retry-After)
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               success:
+ *                 type: boolean
+ *                 example: false
+ *               message:
+ *                 type: string
+ *                 example: "Veuillez patienter 4s avant un nouvel essai"
+ *               error:
+ *                 type: string
+ *                 enum: [PIN_LOCKED, PIN_RETRY_DELAY]
+ *               retryAfter:
+ *                 type: integer
+ *                 description: Secondes avant le prochain essai autorisé
+ *                 example: 4
+ *   parameters:
+ *     PhoneIdentifierParam:
+ *       name: phone
+ *       in: path
+ *       required: true
+ *       description: Numéro de téléphone (format international) ou son empreinte hashPhoneNumber
+ *       schema:
+ *         type: string
+ *         example: "+33612345678"
+ */
+
+/**
+ * @swagger
+ * /api/admin/pin-lockouts:
+ *   get:
+ *     summary: Liste les numéros en échec ou verrouillés
+ *     description: |
+ *       Chaque PIN incorrect impose un délai croissant avant le prochain essai
+ *       (`PIN_RETRY_DELAY_SECONDS`, doublé à chaque échec). Après `PIN_MAX_ATTEMPTS` échecs consécutifs,
+ *       le numéro est verrouillé `PIN_LOCKOUT_MINUTES` (doublé à chaque récidive, 24h maximum).
+ *     tags: [Admin]
+ *     security:
+ *       - AdminAuth: []
+ *     responses:
+ *       200:
+ *         description: Verrouillages en cours
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                     locked:
+ *                       type: integer
+ *                     lockouts:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/PinLockoutStatus'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/pin-lockouts', requireRole(ROLES.ADMIN), adminController.listPinLockouts);
+
+/**
+ * @swagger
+ * /api/admin/pin-lockouts/{phone}:
+ *   get:
+ *     summary: Statut de verrouillage PIN d'un numéro
+ *     tags: [Admin]
+ *     security:
+ *       - AdminAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/PhoneIdentifierParam'
+ *     responses:
+ *       200:
+ *         description: Statut du numéro
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/PinLockoutStatus'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/pin-lockouts/:phone', requireRole(ROLES.ADMIN), adminController.getPinLockout);
+
+/**
+ * @swagger
+ * /api/admin/pin-lockouts/{phone}:
+ *   delete:
+ *     summary: Efface les échecs et le verrouillage PIN d'un numéro
+ *     description: À utiliser après vérification de l'identité de l'utilisateur (ex. support client).
+ *     tags: [Admin]
+ *     security:
+ *       - AdminAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/PhoneIdentifierParam'
+ *     responses:
+ *       200:
+ *         description: Verrouillage effacé
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.delete('/pin-lockouts/:phone', requireRole(ROLES.ADMIN), adminController.clearPinLockout);
+
+/**
+ * @swagger
+ * /api/admin/onboarding:
+ *   get:
+ *     summary: Registre d'onboarding (financements initiaux)
+ *     description: |
+ *       Chaque numéro n'est financé qu'une fois (CELO + BFK) lors de `POST /api/accounts/create`.
+ *       Filtrez avec `status=failed` pour retrouver les financements à relancer.
+ *     tags: [Admin]
+ *     security:
+ *       - AdminAuth: []
+ *     parameters:
+ *       - name: status
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [pending, funded, failed, skipped]
+ *     responses:
+ *       200:
+ *         description: Enregistrements
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                     records:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/OnboardingRecord'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/onboarding', requireRole(ROLES.ADMIN), adminController.listOnboarding);
+
+/**
+ * @swagger
+ * /api/admin/onboarding/{address}/retry:
+ *   post:
+ *     summary: Relance un financement initial en échec
+ *     description: Seuls les envois manquants sont refaits (ex. mint BFK si le CELO a déjà été envoyé).
+ *     tags: [Admin]
+ *     security:
+ *       - AdminAuth: []
+ *     parameters:
+ *       - name: address
+ *         in: path
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/Address'
+ *     responses:
+ *       200:
+ *         description: Financement effectué
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/OnboardingRecord'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Le financement n'est pas en échec
+ *       502:
+ *         description: Le financement a de nouveau échoué (voir lastError)
+ */
+router.post('/onboarding/:address/retry', requireRole(ROLES.ADMIN), adminController.retryOnboarding);
+
+/**
+ * @swagger
+ * /api/admin/derivation:
+ *   get:
+ *     summary: Schémas de dérivation des wallets
+ *     description: |
+ *       Versions configurées (`WALLET_DERIVATION_KEYS`), version des nouveaux comptes et
+ *       nombre de comptes par version. Les comptes d'une version antérieure (`outdated`)
+ *       sont migrés vers la version courante à leur prochaine connexion (`POST /api/accounts/verify`).
+ *       Les numéros créés avant le versionnage ne sont pas comptés (v1 implicite). Les versions
+ *       provisoires (`provisional`, nouveaux numéros dont le PIN n'a pas encore été prouvé) sont
+ *       confirmées à la première connexion prouvée.
+ *     tags: [Admin]
+ *     security:
+ *       - AdminAuth: []
+ *     responses:
+ *       200:
+ *         description: Statistiques de dérivation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     currentVersion:
+ *                       type: string
+ *                       example: v2
+ *                     versions:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           version:
+ *                             type: string
+ *                             example: v2
+ *                           kdf:
+ *                             type: string
+ *                             enum: [pbkdf2, scrypt]
+ *                     accounts:
+ *                       type: object
+ *                       additionalProperties:
+ *                         type: integer
+ *                       example: { v1: 12, v2: 40 }
+ *                     outdated:
+ *                       type: integer
+ *                       example: 12
+ *                     provisional:
+ *                       type: integer
+ *                       example: 3
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/derivation', requireRole(ROLES.ADMIN), adminController.getDerivationStats);
+
+/**
+ * @swagger
+ * /api/admin/indexer:
+ *   get:
+ *     summary: État des indexeurs d'événements
+ *     description: |
+ *       Progression des indexeurs des événements Transfer du token et des événements GovernanceDAO.
+ *       Tant qu'un indexeur n'est pas à jour (`synced` faux), les endpoints correspondants
+ *       interrogent directement la chaîne (l'historique de solde répond 503).
+ *     tags: [Admin]
+ *     security:
+ *       - AdminAuth: []
+ *     responses:
+ *       200:
+ *         description: État des indexeurs
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     transfers:
+ *                       allOf:
+ *                         - $ref: '#/components/schemas/IndexerStatus'
+ *                         - type: object
+ *                           properties:
+ *                             addresses:
+ *                               type: integer
+ *                     governance:
+ *                       allOf:
+ *                         - $ref: '#/components/schemas/IndexerStatus'
+ *                         - type: object
+ *                           properties:
+ *                             checkpoints:
+ *                               type: integer
+ *                               description: Points de reprise conservés (blocs non finalisés + dernier bloc finalisé)
+ *                             reorgs:
+ *                               type: integer
+ *                               description: Réorganisations détectées depuis le démarrage
+ *                             proposals:
+ *                               type: integer
+ *                             contests:
+ *                               type: integer
+ *                             activeMembers:
+ *                               type: integer
+ *                             rulesHash:
+ *                               type: string
+ *                               nullable: true
+ *                             paused:
+ *                               type: boolean
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/indexer', requireRole(ROLES.ADMIN), adminController.getIndexerStatus);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AdminTransaction:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         label:
+ *           type: string
+ *           example: "Mint de 3000 tokens vers 0x742d35Cc6634C0532925a3b844Bc9e7595f0bEb"
+ *         status:
+ *           type: string
+ *           enum: [queued, signed, sent, confirmed, failed]
+ *         nonce:
+ *           type: integer
+ *           nullable: true
+ *         hash:
+ *           type: string
+ *           nullable: true
+ *           description: Hash de la dernière version envoyée
+ *         hashes:
+ *           type: array
+ *           description: Hash de chaque version envoyée (remplacements compris)
+ *           items:
+ *             type: string
+ *         attempts:
+ *           type: integer
+ *           description: Nouvelles tentatives après une erreur réseau
+ *         replacements:
+ *           type: integer
+ *           description: Remplacements avec frais majorés
+ *         stuck:
+ *           type: boolean
+ *           description: Transaction restée sans inclusion au-delà de TX_QUEUE_STUCK_AFTER_SECONDS
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         sentAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         receipt:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             hash:
+ *               type: string
+ *             blockNumber:
+ *               type: integer
+ *             gasUsed:
+ *               type: string
+ *             status:
+ *               type: integer
+ *         error:
+ *           type: string
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * /api/admin/tx-queue:
+ *   get:
+ *     summary: État de la file des transactions admin
+ *     description: |
+ *       Toutes les transactions signées par le wallet administrateur (mint, transferts admin,
+ *       envoi de CELO, auto-funding, membres, modération...) passent par une file unique avec un
+ *       nonce local. Retourne le prochain nonce, le nombre de transactions par statut, les
+ *       transactions en cours (dont les transactions bloquées) et les 20 dernières terminées.
+ *     tags: [Admin]
+ *     security:
+ *       - AdminAuth: []
+ *     responses:
+ *       200:
+ *         description: État de la file
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     configured:
+ *                       type: boolean
+ *                     address:
+ *                       type: string
+ *                       nullable: true
+ *                     nextNonce:
+ *                       type: integer
+ *                       nullable: true
+ *                       description: Prochain nonce attribué (null avant la première synchronisation)
+ *                     counts:
+ *                       type: object
+ *                       additionalProperties:
+ *                         type: integer
+ *                     stuck:
+ *                       type: integer
+ *                     lastError:
+ *                       type: string
+ *                       nullable: true
+ *                     pending:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/AdminTransaction'
+ *                     recent:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/AdminTransaction'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/tx-queue', requireRole(ROLES.ADMIN), adminController.getTxQueueStatus);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     GasSponsorshipRecord:
+ *       type: object
+ *       description: Entrée du registre des financements automatiques du gas
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         address:
+ *           $ref: '#/components/schemas/Address'
+ *         context:
+ *           type: string
+ *           example: token transfer
+ *         amount:
+ *           type: string
+ *           description: Montant en CELO
+ *           example: "0.05"
+ *         amountWei:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [funded, failed, refused]
+ *         txHash:
+ *           type: string
+ *           nullable: true
+ *         reason:
+ *           type: string
+ *           nullable: true
+ *           description: Code du refus (GAS_SPONSOR_*) ou erreur de l'envoi
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     GasSponsorshipSpend:
+ *       type: object
+ *       properties:
+ *         fundings:
+ *           type: integer
+ *         amount:
+ *           type: string
+ *           description: Total financé en CELO
+ *         failed:
+ *           type: integer
+ *         refused:
+ *           type: integer
+ *     GasSponsorshipBudget:
+ *       type: object
+ *       properties:
+ *         limit:
+ *           type: string
+ *           nullable: true
+ *           description: Budget en CELO (null = illimité)
+ *         spent:
+ *           type: string
+ *           description: Dépensé sur la période, financements en cours compris
+ *         remaining:
+ *           type: string
+ *           nullable: true
+ *         resetAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/admin/gas-sponsorship:
+ *   get:
+ *     summary: Dépenses de sponsoring du gas
+ *     description: |
+ *       Politique de sponsoring configurée (budgets journalier et mensuel, plafond par adresse,
+ *       contextes autorisés, adresses exclues), état des budgets et dépenses d'auto-funding par
+ *       contexte et par adresse, calculées depuis le registre persistant des financements.
+ *       Les jours et mois sont comptés en UTC.
+ *     tags: [Admin]
+ *     security:
+ *       - AdminAuth: []
+ *     parameters:
+ *       - name: period
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [day, month, all]
+ *           default: month
+ *       - name: address
+ *         in: query
+ *         description: Limite le rapport aux financements d'une adresse
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Rapport de dépenses
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     policy:
+ *                       type: object
+ *                       properties:
+ *                         dailyBudget:
+ *                           type: number
+ *                           nullable: true
+ *                         monthlyBudget:
+ *                           type: number
+ *                           nullable: true
+ *                         addressDailyCap:
+ *                           type: number
+ *                           nullable: true
+ *                         allowedContexts:
+ *                           type: array
+ *                           nullable: true
+ *                           items:
+ *                             type: string
+ *                         denylist:
+ *                           type: array
+ *                           items:
+ *                             type: string
+ *                         minGasBalance:
+ *                           type: number
+ *                         contextMinBalances:
+ *                           type: object
+ *                           additionalProperties:
+ *                             type: number
+ *                     budgets:
+ *                       type: object
+ *                       properties:
+ *                         daily:
+ *                           $ref: '#/components/schemas/GasSponsorshipBudget'
+ *                         monthly:
+ *                           $ref: '#/components/schemas/GasSponsorshipBudget'
+ *                     period:
+ *                       type: object
+ *                       properties:
+ *                         name:
+ *                           type: string
+ *                         from:
+ *                           type: string
+ *                           format: date-time
+ *                           nullable: true
+ *                         address:
+ *                           type: string
+ *                           nullable: true
+ *                     totals:
+ *                       $ref: '#/components/schemas/GasSponsorshipSpend'
+ *                     byContext:
+ *                       type: array
+ *                       items:
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/GasSponsorshipSpend'
+ *                           - type: object
+ *                             properties:
+ *                               context:
+ *                                 type: string
+ *                     byAddress:
+ *                       type: array
+ *                       items:
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/GasSponsorshipSpend'
+ *                           - type: object
+ *                             properties:
+ *                               address:
+ *                                 $ref: '#/components/schemas/Address'
+ *                               lastFundedAt:
+ *                                 type: string
+ *                                 format: date-time
+ *                                 nullable: true
+ *                     recent:
+ *                       type: array
+ *                       description: 20 dernières entrées de la période
+ *                       items:
+ *                         $ref: '#/components/schemas/GasSponsorshipRecord'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/gas-sponsorship', requireRole(ROLES.ADMIN), adminController.getGasSponsorship);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TreasuryLevel:
+ *       type: string
+ *       nullable: true
+ *       enum: [ok, warning, critical]
+ *       description: Niveau d'alerte (null avant le premier relevé)
+ *     TreasuryAsset:
+ *       type: object
+ *       properties:
+ *         asset:
+ *           type: string
+ *           enum: [CELO, BFK]
+ *         balance:
+ *           type: string
+ *           example: "4.25"
+ *         minBalance:
+ *           type: number
+ *           nullable: true
+ *         outflow:
+ *           type: string
+ *           description: Sorties constatées entre deux relevés sur la fenêtre
+ *           example: "1.5"
+ *         burnRatePerDay:
+ *           type: string
+ *           nullable: true
+ *           description: Consommation projetée par jour (null tant qu'un seul relevé est disponible)
+ *           example: "1.5"
+ *         runwayHours:
+ *           type: number
+ *           nullable: true
+ *           description: Autonomie au rythme actuel (null sans consommation)
+ *           example: 68
+ *         windowHours:
+ *           type: number
+ *           description: Durée couverte par les relevés
+ *         samples:
+ *           type: integer
+ *         level:
+ *           $ref: '#/components/schemas/TreasuryLevel'
+ *         reason:
+ *           type: string
+ *           nullable: true
+ *     TreasurySummary:
+ *       type: object
+ *       description: Dernier relevé de la trésorerie du wallet administrateur
+ *       properties:
+ *         level:
+ *           $ref: '#/components/schemas/TreasuryLevel'
+ *         lastCheckAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         celo:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             balance:
+ *               type: string
+ *             runwayHours:
+ *               type: number
+ *               nullable: true
+ *             level:
+ *               $ref: '#/components/schemas/TreasuryLevel'
+ *         bfk:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             balance:
+ *               type: string
+ *             runwayHours:
+ *               type: number
+ *               nullable: true
+ *             level:
+ *               $ref: '#/components/schemas/TreasuryLevel'
+ *     TreasuryAlert:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         asset:
+ *           type: string
+ *           enum: [CELO, BFK]
+ *         level:
+ *           $ref: '#/components/schemas/TreasuryLevel'
+ *         previousLevel:
+ *           $ref: '#/components/schemas/TreasuryLevel'
+ *         reminder:
+ *           type: boolean
+ *           description: Rappel d'une alerte toujours active (TREASURY_ALERT_COOLDOWN_MINUTES)
+ *         message:
+ *           type: string
+ *         balance:
+ *           type: string
+ *         burnRatePerDay:
+ *           type: string
+ *           nullable: true
+ *         runwayHours:
+ *           type: number
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         deliveries:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               notifier:
+ *                 type: string
+ *                 example: webhook
+ *               delivered:
+ *                 type: boolean
+ *               reference:
+ *                 type: string
+ *                 nullable: true
+ *               error:
+ *                 type: string
+ *                 nullable: true
+ */
+
+/**
+ * @swagger
+ * /api/admin/treasury:
+ *   get:
+ *     summary: Trésorerie du wallet administrateur
+ *     description: |
+ *       Soldes CELO et BFK du wallet administrateur relevés toutes les `TREASURY_POLL_INTERVAL_SECONDS`,
+ *       consommation projetée à partir des sorties constatées sur `TREASURY_BURN_WINDOW_HOURS` et
+ *       autonomie (solde / consommation). Un solde sous le minimum ou une autonomie sous
+ *       `TREASURY_RUNWAY_CRITICAL_HOURS` est critique, sous `TREASURY_RUNWAY_WARNING_HOURS` un
+ *       avertissement ; chaque changement de niveau est notifié sur les canaux
+ *       `TREASURY_ALERT_NOTIFIERS` (log, webhook, email).
+ *     tags: [Admin]
+ *     security:
+ *       - AdminAuth: []
+ *     parameters:
+ *       - name: refresh
+ *         in: query
+ *         description: Effectue un nouveau relevé avant de répondre
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: État de la trésorerie
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     enabled:
+ *                       type: boolean
+ *                     running:
+ *                       type: boolean
+ *                     address:
+ *                       type: string
+ *                       nullable: true
+ *                     level:
+ *                       $ref: '#/components/schemas/TreasuryLevel'
+ *                     lastCheckAt:
+ *                       type: string
+ *                       format: date-time
+ *                       nullable: true
+ *                     lastError:
+ *                       type: string
+ *                       nullable: true
+ *                     thresholds:
+ *                       type: object
+ *                       properties:
+ *                         minCeloBalance:
+ *                           type: number
+ *                         minBfkBalance:
+ *                           type: number
+ *                           nullable: true
+ *                         runwayWarningHours:
+ *                           type: number
+ *                         runwayCriticalHours:
+ *                           type: number
+ *                         burnWindowHours:
+ *                           type: number
+ *                     assets:
+ *                       type: object
+ *                       nullable: true
+ *                       properties:
+ *                         CELO:
+ *                           $ref: '#/components/schemas/TreasuryAsset'
+ *                         BFK:
+ *                           $ref: '#/components/schemas/TreasuryAsset'
+ *                     alerts:
+ *                       type: array
+ *                       description: 20 dernières alertes
+ *                       items:
+ *                         $ref: '#/components/schemas/TreasuryAlert'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       502:
+ *         description: Relevé des soldes impossible (refresh=true)
+ *       503:
+ *         description: Surveillance désactivée ou wallet administrateur non configuré (refresh=true)
+ */
+router.get('/treasury', requireRole(ROLES.ADMIN), adminController.getTreasury);
+
+export default router;
@@ -0,0 +1,165 @@
+import express from 'express';
+import { authController } from '../controllers/auth.controller.js';
+import { requireWalletSession } from '../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/auth/wallet/nonce:
+ *   post:
+ *     summary: Génère un challenge de connexion par wallet (EIP-4361)
+ *     description: |
+ *       Première étape de la connexion des **modérateurs** et **validateurs**.
+ *
+ *       Le serveur renvoie un message au format EIP-4361 ("Sign-In with Ethereum")
+ *       contenant un nonce à usage unique, valable 5 minutes.
+ *       Ce message doit être signé avec `personal_sign` par le wallet détenteur du rôle.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - address
+ *             properties:
+ *               address:
+ *                 $ref: '#/components/schemas/Address'
+ *     responses:
+ *       200:
+ *         description: Challenge généré
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     address:
+ *                       $ref: '#/components/schemas/Address'
+ *                     nonce:
+ *                       type: string
+ *                       example: "9f2c4e1a7b3d5f60a1b2c3d4e5f60718"
+ *                     message:
+ *                       type: string
+ *                       description: Message EIP-4361 à signer tel quel
+ *                     expiresAt:
+ *                       type: string
+ *                       format: date-time
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ */
+router.post('/wallet/nonce', authController.createWalletNonce);
+
+/**
+ * @swagger
+ * /api/auth/wallet/login:
+ *   post:
+ *     summary: Ouvre une session en signant le challenge
+ *     description: |
+ *       Vérifie la signature du message EIP-4361, puis contrôle sur le contrat `GovernanceDAO`
+ *       que l'adresse détient `MODERATOR_ROLE` et/ou `VALIDATOR_ROLE`.
+ *
+ *       Le token retourné s'utilise en `Authorization: Bearer <token>` sur les routes
+ *       de modération, d'annulation et de résolution des contestations.
+ *       Ces actions sont alors signées par le wallet du modérateur/validateur (voir `signedTransaction`).
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - nonce
+ *               - signature
+ *             properties:
+ *               nonce:
+ *                 type: string
+ *                 description: Nonce reçu via /api/auth/wallet/nonce
+ *               signature:
+ *                 type: string
+ *                 description: Signature personal_sign du message
+ *                 example: "0x..."
+ *     responses:
+ *       200:
+ *         description: Session ouverte
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     token:
+ *                       type: string
+ *                     tokenType:
+ *                       type: string
+ *                       example: Bearer
+ *                     session:
+ *                       type: object
+ *                       properties:
+ *                         id:
+ *                           type: string
+ *                         subject:
+ *                           $ref: '#/components/schemas/Address'
+ *                         roles:
+ *                           type: array
+ *                           items:
+ *                             type: string
+ *                             enum: [moderator, validator]
+ *                         expiresAt:
+ *                           type: string
+ *                           format: date-time
+ *       401:
+ *         description: Nonce expiré ou signature invalide
+ *       403:
+ *         description: L'adresse ne détient aucun rôle on-chain
+ */
+router.post('/wallet/login', authController.walletLogin);
+
+/**
+ * @swagger
+ * /api/auth/wallet/me:
+ *   get:
+ *     summary: Retourne la session wallet courante
+ *     tags: [Auth]
+ *     security:
+ *       - ModeratorAuth: []
+ *       - ValidatorAuth: []
+ *     responses:
+ *       200:
+ *         description: Session active
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.get('/wallet/me', requireWalletSession, authController.getWalletSession);
+
+/**
+ * @swagger
+ * /api/auth/wallet/logout:
+ *   post:
+ *     summary: Révoque la session wallet courante
+ *     tags: [Auth]
+ *     security:
+ *       - ModeratorAuth: []
+ *       - ValidatorAuth: []
+ *     responses:
+ *       200:
+ *         description: Session révoquée
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.post('/wallet/logout', requireWalletSession, authController.walletLogout);
+
+export default router;
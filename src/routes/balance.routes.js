@@ -134,4 +134,81 @@ router.get('/:address/celo', balanceController.getCeloBalance);
  */
 router.get('/:address/token', balanceController.getTokenBalance);
 
+/**
+ * @swagger
+ * /api/balance/{address}/history:
+ *   get:
+ *     summary: Historique du solde token
+ *     description: |
+ *       Solde token après chaque transfert (plus récent en premier), calculé instantanément
+ *       depuis l'index local des événements Transfer. Répond 503 tant que l'index n'a pas
+ *       rattrapé la chaîne.
+ *     tags: [Balance]
+ *     parameters:
+ *       - in: path
+ *         name: address
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/Address'
+ *         description: Adresse du compte
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 500
+ *           default: 50
+ *         description: Nombre maximum de points retournés
+ *     responses:
+ *       200:
+ *         description: Historique récupéré avec succès
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     address:
+ *                       $ref: '#/components/schemas/Address'
+ *                     balance:
+ *                       type: string
+ *                       example: "2950.0"
+ *                     indexedToBlock:
+ *                       type: integer
+ *                       example: 1234567
+ *                     totalPoints:
+ *                       type: integer
+ *                       example: 2
+ *                     history:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           hash:
+ *                             type: string
+ *                           blockNumber:
+ *                             type: integer
+ *                           timestamp:
+ *                             type: integer
+ *                             description: Timestamp Unix du bloc (secondes)
+ *                           delta:
+ *                             type: string
+ *                             example: "-50.0"
+ *                           balance:
+ *                             type: string
+ *                             example: "2950.0"
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       503:
+ *         description: Index des transferts en cours de synchronisation (INDEXER_NOT_READY)
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.get('/:address/history', balanceController.getBalanceHistory);
+
 export default router;
@@ -1,5 +1,8 @@
 import express from 'express';
 import * as governanceController from '../controllers/governance.controller.js';
+import { requireRole, attachPhoneSession } from '../middleware/auth.js';
+import { idempotent } from '../middleware/idempotency.js';
+import { ROLES } from '../config/roles.js';
 
 /**
  * Routes pour le système de gouvernance DAO
@@ -289,12 +292,14 @@ router.get('/members/:address/eligibility', governanceController.checkMemberElig
  *     responses:
  *       200:
  *         description: Membre désenregistré avec succès
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
  *       403:
  *         description: Accès refusé - droits admin requis
  *       500:
  *         description: Erreur serveur
  */
-router.delete('/members/:address', governanceController.deregisterMember);
+router.delete('/members/:address', requireRole(ROLES.ADMIN), governanceController.deregisterMember);
 
 /*//////////////////////////////////////////////////////////////
                       PROPOSAL ROUTES
@@ -412,9 +417,48 @@ router.delete('/members/:address', governanceController.deregisterMember);
  *             timeRemaining:
  *               type: number
  *               description: Temps restant en millisecondes
+ *         timestamp:
+ *           type: string
+ *           format: date-time
+ *           description: Date du bloc de création (listes et dashboard)
+ *         timeline:
+ *           $ref: '#/components/schemas/ProposalTimeline'
  *         createdAt:
  *           type: string
  *           format: date-time
+ *
+ *     ProposalTimeline:
+ *       type: object
+ *       description: |
+ *         Dates réelles (timestamps des blocs) de chaque étape. Les étapes connues uniquement
+ *         par les événements (modération, dernier vote, exécution, annulation) valent null tant
+ *         que l'index de gouvernance n'est pas à jour.
+ *       properties:
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         moderatedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         votingStartsAt:
+ *           type: string
+ *           format: date-time
+ *         votingEndsAt:
+ *           type: string
+ *           format: date-time
+ *         lastVoteAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         executedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         cancelledAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
  */
 
 /**
@@ -429,8 +473,18 @@ router.delete('/members/:address', governanceController.deregisterMember);
  *       - Être un membre enregistré et éligible
  *       - Fournir un contenu détaillé sur IPFS
  *       - Authentification par téléphone+PIN ou adresse
+ *
+ *       ⏱️ **Mode asynchrone** : avec `?async=true` ou `Prefer: respond-async`, la route répond `202`
+ *       dès la diffusion de la transaction ; suivi via `GET /api/operations/{id}`.
  *     tags:
  *       - Proposals
+ *     security:
+ *       - PhoneSessionAuth: []
+ *       - {}
+ *     parameters:
+ *       - $ref: '#/components/parameters/AsyncMode'
+ *       - $ref: '#/components/parameters/PreferAsync'
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -462,14 +516,22 @@ router.delete('/members/:address', governanceController.deregisterMember);
  *                   $ref: '#/components/schemas/Proposal'
  *                 txHash:
  *                   type: string
+ *                 feePayment:
+ *                   $ref: '#/components/schemas/FeePayment'
  *                 blockNumber:
  *                   type: number
  *                 message:
  *                   type: string
+ *       202:
+ *         $ref: '#/components/responses/OperationAccepted'
  *       400:
  *         description: Erreur de validation ou membre non éligible
  *       403:
  *         description: Membre non autorisé
+ *       409:
+ *         $ref: '#/components/responses/IdempotencyConflict'
+ *       422:
+ *         $ref: '#/components/responses/IdempotencyKeyReused'
  *       500:
  *         description: Erreur serveur
  *   get:
@@ -586,10 +648,12 @@ router.delete('/members/:address', governanceController.deregisterMember);
  *                       type: object
  *                     byImpactLevel:
  *                       type: object
+ *       429:
+ *         $ref: '#/components/responses/PinLocked'
  *       500:
  *         description: Erreur serveur
  */
-router.post('/proposals', governanceController.createProposal);
+router.post('/proposals', attachPhoneSession, idempotent, governanceController.createProposal);
 router.get('/proposals', governanceController.listProposals);
 
 /**
@@ -642,6 +706,11 @@ router.get('/proposals/:proposalId', governanceController.getProposal);
  *       - Approuver (passage au vote)
  *       - Rejeter (fin du processus)
  *       - Demander des modifications
+ *       
+ *       **Authentification :**
+ *       - Clé API (rôle moderator/admin) : transaction envoyée par le wallet administrateur
+ *       - Session wallet (`/api/auth/wallet/login`) : `MODERATOR_ROLE` revérifié on-chain,
+ *         la transaction est signée par le modérateur puis relayée par le backend
  *     tags:
  *       - Proposals
  *     security:
@@ -670,17 +739,27 @@ router.get('/proposals/:proposalId', governanceController.getProposal);
  *                 type: string
  *                 description: Note explicative de la décision
  *                 example: "Proposition conforme aux standards de la DAO"
+ *               signedTransaction:
+ *                 type: string
+ *                 description: |
+ *                   Session wallet uniquement : transaction brute signée par le détenteur du rôle.
+ *                   Sans ce champ, la réponse 428 fournit la transaction à signer.
+ *                 example: "0x02f8..."
  *     responses:
  *       200:
  *         description: Modération effectuée avec succès
  *       400:
  *         description: Décision invalide
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
  *       403:
  *         description: Accès refusé - droits modérateur requis
+ *       428:
+ *         description: Session wallet - transaction à signer fournie dans unsignedTransaction
  *       500:
  *         description: Erreur serveur
  */
-router.post('/proposals/:proposalId/moderate', governanceController.moderateProposal);
+router.post('/proposals/:proposalId/moderate', requireRole(ROLES.MODERATOR), governanceController.moderateProposal);
 
 /**
  * @swagger
@@ -694,14 +773,23 @@ router.post('/proposals/:proposalId/moderate', governanceController.moderateProp
  *       - Un vote par membre par proposition
  *       - Vote seulement pendant la période de vote
  *       - Membre doit être éligible et enregistré
+ *
+ *       ⏱️ **Mode asynchrone** : avec `?async=true` ou `Prefer: respond-async`, la route répond `202`
+ *       dès la diffusion de la transaction ; suivi via `GET /api/operations/{id}`.
  *     tags:
  *       - Proposals
+ *     security:
+ *       - PhoneSessionAuth: []
+ *       - {}
  *     parameters:
  *       - name: proposalId
  *         in: path
  *         required: true
  *         schema:
  *           type: number
+ *       - $ref: '#/components/parameters/AsyncMode'
+ *       - $ref: '#/components/parameters/PreferAsync'
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -715,7 +803,7 @@ router.post('/proposals/:proposalId/moderate', governanceController.moderateProp
  *                 description: Adresse du votant (optionnel si phoneNumber+pin)
  *               phoneNumber:
  *                 type: string
- *                 description: Téléphone pour authentification
+ *                 description: Téléphone pour authentification (inutile avec une session téléphone)
  *                 example: "+33123456789"
  *               pin:
  *                 type: string
@@ -747,21 +835,34 @@ router.post('/proposals/:proposalId/moderate', governanceController.moderateProp
  *                       type: string
  *                     support:
  *                       type: boolean
- *                     timestamp:
+ *                     votedAt:
  *                       type: string
  *                       format: date-time
+ *                       description: Date du bloc contenant le vote
  *                 txHash:
  *                   type: string
+ *                 feePayment:
+ *                   $ref: '#/components/schemas/FeePayment'
+ *                 blockNumber:
+ *                   type: integer
  *                 message:
  *                   type: string
+ *       202:
+ *         $ref: '#/components/responses/OperationAccepted'
  *       400:
  *         description: Erreur de validation ou vote déjà effectué
  *       403:
  *         description: Membre non éligible ou période de vote fermée
+ *       409:
+ *         $ref: '#/components/responses/IdempotencyConflict'
+ *       422:
+ *         $ref: '#/components/responses/IdempotencyKeyReused'
+ *       429:
+ *         $ref: '#/components/responses/PinLocked'
  *       500:
  *         description: Erreur serveur
  */
-router.post('/proposals/:proposalId/vote', governanceController.castVote);
+router.post('/proposals/:proposalId/vote', attachPhoneSession, idempotent, governanceController.castVote);
 
 /**
  * @swagger
@@ -820,17 +921,27 @@ router.post('/proposals/:proposalId/execute', governanceController.executePropos
  *                 type: string
  *                 description: Raison de l'annulation
  *                 example: "Proposition contraire aux statuts de la DAO"
+ *               signedTransaction:
+ *                 type: string
+ *                 description: |
+ *                   Session wallet uniquement : transaction brute signée par le détenteur du rôle.
+ *                   Sans ce champ, la réponse 428 fournit la transaction à signer.
+ *                 example: "0x02f8..."
  *     responses:
  *       200:
  *         description: Proposition annulée avec succès
  *       400:
  *         description: Raison manquante ou proposition non annulable
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
  *       403:
  *         description: Accès refusé - droits modérateur requis
+ *       428:
+ *         description: Session wallet - transaction à signer fournie dans unsignedTransaction
  *       500:
  *         description: Erreur serveur
  */
-router.post('/proposals/:proposalId/cancel', governanceController.cancelProposal);
+router.post('/proposals/:proposalId/cancel', requireRole(ROLES.MODERATOR), governanceController.cancelProposal);
 
 /**
  * @swagger
@@ -888,6 +999,7 @@ router.post('/proposals/:proposalId/cancel', governanceController.cancelProposal
  *                       timestamp:
  *                         type: string
  *                         format: date-time
+ *                         description: Date du bloc contenant le vote
  *                       txHash:
  *                         type: string
  *                 summary:
@@ -959,14 +1071,23 @@ router.get('/proposals/:proposalId/votes', governanceController.getProposalVotes
  *       - Processus non respecté
  *       
  *       La contestation suspend temporairement l'exécution en attendant résolution.
+ *
+ *       ⏱️ **Mode asynchrone** : avec `?async=true` ou `Prefer: respond-async`, la route répond `202`
+ *       dès la diffusion de la transaction ; suivi via `GET /api/operations/{id}`.
  *     tags:
  *       - Contests
+ *     security:
+ *       - PhoneSessionAuth: []
+ *       - {}
  *     parameters:
  *       - name: proposalId
  *         in: path
  *         required: true
  *         schema:
  *           type: number
+ *       - $ref: '#/components/parameters/AsyncMode'
+ *       - $ref: '#/components/parameters/PreferAsync'
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -980,7 +1101,7 @@ router.get('/proposals/:proposalId/votes', governanceController.getProposalVotes
  *                 description: Adresse du contestant (optionnel si phoneNumber+pin)
  *               phoneNumber:
  *                 type: string
- *                 description: Téléphone pour authentification
+ *                 description: Téléphone pour authentification (inutile avec une session téléphone)
  *                 example: "+33123456789"
  *               pin:
  *                 type: string
@@ -1012,16 +1133,26 @@ router.get('/proposals/:proposalId/votes', governanceController.getProposalVotes
  *                   $ref: '#/components/schemas/Contest'
  *                 txHash:
  *                   type: string
+ *                 feePayment:
+ *                   $ref: '#/components/schemas/FeePayment'
  *                 message:
  *                   type: string
+ *       202:
+ *         $ref: '#/components/responses/OperationAccepted'
  *       400:
  *         description: Erreur de validation
  *       403:
  *         description: Membre non autorisé
+ *       409:
+ *         $ref: '#/components/responses/IdempotencyConflict'
+ *       422:
+ *         $ref: '#/components/responses/IdempotencyKeyReused'
+ *       429:
+ *         $ref: '#/components/responses/PinLocked'
  *       500:
  *         description: Erreur serveur
  */
-router.post('/proposals/:proposalId/contest', governanceController.raiseContest);
+router.post('/proposals/:proposalId/contest', attachPhoneSession, idempotent, governanceController.raiseContest);
 
 /**
  * @swagger
@@ -1034,6 +1165,9 @@ router.post('/proposals/:proposalId/contest', governanceController.raiseContest)
  *       **Impact de la résolution :**
  *       - Si acceptée : peut annuler la proposition ou demander corrections
  *       - Si rejetée : la proposition continue son cours normal
+ *       
+ *       **Authentification :** clé API (wallet administrateur) ou session wallet
+ *       (`VALIDATOR_ROLE` revérifié on-chain, transaction signée par le validateur puis relayée)
  *     tags:
  *       - Contests
  *     security:
@@ -1063,17 +1197,27 @@ router.post('/proposals/:proposalId/contest', governanceController.raiseContest)
  *                 description: Explication détaillée de la décision
  *                 maxLength: 1000
  *                 example: "Après analyse, la proposition respecte les statuts de la DAO"
+ *               signedTransaction:
+ *                 type: string
+ *                 description: |
+ *                   Session wallet uniquement : transaction brute signée par le détenteur du rôle.
+ *                   Sans ce champ, la réponse 428 fournit la transaction à signer.
+ *                 example: "0x02f8..."
  *     responses:
  *       200:
  *         description: Contestation résolue avec succès
  *       400:
  *         description: Paramètres manquants ou invalides
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
  *       403:
  *         description: Accès refusé - droits validateur requis
+ *       428:
+ *         description: Session wallet - transaction à signer fournie dans unsignedTransaction
  *       500:
  *         description: Erreur serveur
  */
-router.post('/contests/:contestId/resolve', governanceController.resolveContest);
+router.post('/contests/:contestId/resolve', requireRole(ROLES.VALIDATOR), governanceController.resolveContest);
 
 /**
  * @swagger
@@ -1112,6 +1256,109 @@ router.post('/contests/:contestId/resolve', governanceController.resolveContest)
  */
 router.get('/contests/:contestId', governanceController.getContest);
 
+/*//////////////////////////////////////////////////////////////
+                      ESTIMATION DES FRAIS
+//////////////////////////////////////////////////////////////*/
+
+/**
+ * @swagger
+ * /api/governance/estimate:
+ *   get:
+ *     summary: Estime les frais d'une proposition, d'un vote ou d'une contestation
+ *     description: |
+ *       Estime le gas de l'action signée par le membre, le valorise aux frais actuels du réseau
+ *       (total en CELO) et indique si le backend financera d'abord le membre en CELO (auto-funding).
+ *       Paramètres requis selon l'action :
+ *       - `proposal` : `ipfsCID`, `title`, `impactLevel`
+ *       - `vote` : `proposalId`, `support`
+ *       - `contest` : `proposalId`, `reason` (`evidenceCID` optionnel)
+ *
+ *       Le membre est désigné par `fromAddress` ou par `phoneNumber` (adresse retrouvée dans
+ *       l'annuaire, sans PIN, et non renvoyée).
+ *     tags:
+ *       - Proposals
+ *     parameters:
+ *       - in: query
+ *         name: action
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [proposal, vote, contest]
+ *       - in: query
+ *         name: fromAddress
+ *         schema:
+ *           type: string
+ *         description: Adresse du membre (ou phoneNumber)
+ *       - in: query
+ *         name: phoneNumber
+ *         schema:
+ *           type: string
+ *         description: Numéro de téléphone du membre (ou fromAddress)
+ *       - in: query
+ *         name: proposalId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: support
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: ipfsCID
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: title
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: impactLevel
+ *         schema:
+ *           type: integer
+ *           enum: [0, 1, 2]
+ *       - in: query
+ *         name: reason
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: evidenceCID
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Estimation des frais
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   allOf:
+ *                     - type: object
+ *                       properties:
+ *                         action:
+ *                           type: string
+ *                         from:
+ *                           type: object
+ *                     - $ref: '#/components/schemas/GasEstimate'
+ *       400:
+ *         description: Action ou paramètres invalides
+ *       404:
+ *         description: Aucun compte enregistré pour ce numéro (SENDER_NOT_FOUND)
+ *       422:
+ *         description: L'action serait annulée par le contrat (ex. déjà voté, vote fermé)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/GasEstimateError'
+ *       503:
+ *         description: Contrat de gouvernance non configuré
+ */
+router.get('/estimate', governanceController.estimateActionCost);
+
 /*//////////////////////////////////////////////////////////////
                      DASHBOARD & ANALYTICS
 //////////////////////////////////////////////////////////////*/
@@ -1245,15 +1492,23 @@ router.get('/dashboard', governanceController.getDashboard);
  *     AdminAuth:
  *       type: http
  *       scheme: bearer
- *       description: Token d'authentification pour les administrateurs
+ *       description: Clé API du rôle admin (variable API_KEYS)
  *     ModeratorAuth:
  *       type: http
  *       scheme: bearer
- *       description: Token d'authentification pour les modérateurs
+ *       description: Clé API du rôle moderator (MODERATOR_ROLE on-chain)
  *     ValidatorAuth:
  *       type: http
  *       scheme: bearer
- *       description: Token d'authentification pour les validateurs
+ *       description: Clé API du rôle validator (VALIDATOR_ROLE on-chain)
+ *     ServiceAuth:
+ *       type: http
+ *       scheme: bearer
+ *       description: Clé API du rôle service (intégrations back-office)
+ *     PhoneSessionAuth:
+ *       type: http
+ *       scheme: bearer
+ *       description: Token de session téléphone obtenu via POST /api/accounts/verify
  *     PhonePinAuth:
  *       type: object
  *       properties:
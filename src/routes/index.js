@@ -4,7 +4,15 @@ import balanceRoutes from './balance.routes.js';
 import transactionRoutes from './transaction.routes.js';
 import transferRoutes from './transfer.routes.js';
 import governanceRoutes from './governance.routes.js';
+import authRoutes from './auth.routes.js';
+import adminRoutes from './admin.routes.js';
+import ussdRoutes from './ussd.routes.js';
+import smsRoutes from './sms.routes.js';
+import operationRoutes from './operation.routes.js';
+import relayRoutes from './relay.routes.js';
 import { blockchainService } from '../services/blockchain.service.js';
+import { treasuryMonitor } from '../services/treasuryMonitor.service.js';
+import { healthService, CHECK_STATUS } from '../services/health.service.js';
 import { config } from '../config/config.js';
 
 const router = express.Router();
@@ -15,13 +23,22 @@ router.use('/balance', balanceRoutes);
 router.use('/transactions', transactionRoutes);
 router.use('/transfer', transferRoutes);
 router.use('/governance', governanceRoutes);
+router.use('/auth', authRoutes);
+router.use('/admin', adminRoutes);
+router.use('/ussd', ussdRoutes);
+router.use('/sms', smsRoutes);
+router.use('/operations', operationRoutes);
+router.use('/relay', relayRoutes);
 
 /**
  * @swagger
  * /api/health:
  *   get:
  *     summary: Vérifie l'état de santé de l'API
- *     description: Retourne l'état du service, les informations du réseau blockchain et les adresses des contrats déployés
+ *     description: |
+ *       Retourne l'état du service, les informations du réseau blockchain, les adresses des contrats
+ *       déployés et le dernier relevé de la trésorerie du wallet administrateur (niveau d'alerte,
+ *       soldes et autonomie, détail via `GET /api/admin/treasury`)
  *     tags: [System]
  *     responses:
  *       200:
@@ -53,6 +70,8 @@ router.use('/governance', governanceRoutes);
  *                           $ref: '#/components/schemas/Address'
  *                         dao:
  *                           $ref: '#/components/schemas/Address'
+ *                     treasury:
+ *                       $ref: '#/components/schemas/TreasurySummary'
  *                     version:
  *                       type: string
  *                       example: "1.0.0"
@@ -73,6 +92,7 @@ router.get('/health', async (req, res) => {
           token: config.tokenContractAddress,
           dao: config.daoContractAddress
         },
+        treasury: treasuryMonitor.getSummary(),
         version: '1.0.0'
       }
     });
@@ -85,6 +105,144 @@ router.get('/health', async (req, res) => {
   }
 });
 
+/**
+ * Réponse d'une sonde de santé : 200 si disponible (pass ou warn), 503 sinon
+ * @param {Object} res - Réponse Express
+ * @param {Object} result - Résultat de healthService (status, durationMs, checks)
+ * @param {Object} messages - { pass, warn, fail }
+ */
+const sendProbe = (res, result, messages) => {
+  res.set('Cache-Control', 'no-store');
+  res.status(result.status === CHECK_STATUS.FAIL ? 503 : 200).json({
+    success: result.status !== CHECK_STATUS.FAIL,
+    status: result.status,
+    message: messages[result.status],
+    data: {
+      timestamp: new Date().toISOString(),
+      uptimeSeconds: healthService.getUptimeSeconds(),
+      durationMs: result.durationMs,
+      checks: result.checks
+    }
+  });
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     HealthCheck:
+ *       type: object
+ *       description: Résultat d'une vérification (champs supplémentaires selon la vérification)
+ *       properties:
+ *         status:
+ *           type: string
+ *           enum: [pass, warn, fail]
+ *         critical:
+ *           type: boolean
+ *           description: Une vérification critique en échec rend la sonde indisponible (503)
+ *         latencyMs:
+ *           type: number
+ *           example: 42.5
+ *         error:
+ *           type: string
+ *           description: Cause de l'échec ou de la dégradation
+ *     HealthProbe:
+ *       type: object
+ *       properties:
+ *         success:
+ *           type: boolean
+ *         status:
+ *           type: string
+ *           enum: [pass, warn, fail]
+ *           description: fail si une vérification critique échoue, warn si une vérification est dégradée
+ *         message:
+ *           type: string
+ *         data:
+ *           type: object
+ *           properties:
+ *             timestamp:
+ *               type: string
+ *               format: date-time
+ *             uptimeSeconds:
+ *               type: integer
+ *             durationMs:
+ *               type: integer
+ *             checks:
+ *               type: object
+ *               additionalProperties:
+ *                 $ref: '#/components/schemas/HealthCheck'
+ */
+
+/**
+ * @swagger
+ * /api/health/live:
+ *   get:
+ *     summary: Sonde de vie (liveness)
+ *     description: |
+ *       Vérifie que le processus répond, sans dépendre du réseau : latence de la boucle d'événements
+ *       (`HEALTH_MAX_EVENT_LOOP_LAG_MS`), répertoire de données accessible en écriture, mémoire
+ *       (informatif). Un `503` indique une instance à redémarrer.
+ *     tags: [System]
+ *     responses:
+ *       200:
+ *         description: Processus vivant
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/HealthProbe'
+ *       503:
+ *         description: Processus bloqué ou répertoire de données inaccessible
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/HealthProbe'
+ */
+router.get('/health/live', async (req, res) => {
+  sendProbe(res, await healthService.checkLiveness(), {
+    pass: 'Processus opérationnel',
+    warn: 'Processus opérationnel (dégradé)',
+    fail: 'Processus indisponible'
+  });
+});
+
+/**
+ * @swagger
+ * /api/health/ready:
+ *   get:
+ *     summary: Sonde de disponibilité (readiness)
+ *     description: |
+ *       Vérifie les dépendances nécessaires pour servir les requêtes, chacune avec son statut et sa
+ *       latence (bornée à `HEALTH_CHECK_TIMEOUT_MS`) :
+ *       - `rpc` : nœud RPC joignable et sur le réseau `CELO_CHAIN_ID`
+ *       - `tokenContract` : code du contrat déployé à l'adresse du token
+ *       - `governance` : contrat de gouvernance initialisé et joignable (dégradé s'il n'est pas configuré)
+ *       - `adminWallet` : wallet administrateur configuré et approvisionné (non critique)
+ *       - `blockLag` : retard du dernier bloc sur l'horloge (`HEALTH_MAX_BLOCK_LAG_SECONDS`)
+ *
+ *       Un `503` indique une instance à retirer du trafic jusqu'au retour de ses dépendances.
+ *     tags: [System]
+ *     responses:
+ *       200:
+ *         description: Instance prête (status warn si une vérification non critique est dégradée)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/HealthProbe'
+ *       503:
+ *         description: Au moins une vérification critique en échec
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/HealthProbe'
+ */
+router.get('/health/ready', async (req, res) => {
+  sendProbe(res, await healthService.checkReadiness(), {
+    pass: 'Instance prête',
+    warn: 'Instance prête (dégradée)',
+    fail: 'Instance non prête'
+  });
+});
+
 /**
  * @swagger
  * /api:
@@ -124,12 +282,19 @@ router.get('/', (req, res) => {
     endpoints: {
       accounts: {
         create: 'POST /api/accounts/create - Créer un compte avec numéro + PIN',
-        verify: 'POST /api/accounts/verify - Vérifier l\'authentification'
+        verify: 'POST /api/accounts/verify - Vérifier l\'authentification (ouvre une session)',
+        changePin: 'POST /api/accounts/change-pin - Changer de PIN (migration des fonds et de l\'adhésion)',
+        logout: 'POST /api/accounts/logout - Révoquer la session courante',
+        sessions: 'GET /api/accounts/sessions - Lister les sessions actives',
+        revokeSession: 'DELETE /api/accounts/sessions/:sessionId - Révoquer une session',
+        directory: 'GET /api/accounts/directory - Inscription dans l\'annuaire des numéros',
+        updateDirectory: 'PUT /api/accounts/directory - Être joignable (ou non) par numéro de téléphone'
       },
       balance: {
         getAll: 'GET /api/balance/:address',
         getCelo: 'GET /api/balance/:address/celo',
-        getToken: 'GET /api/balance/:address/token'
+        getToken: 'GET /api/balance/:address/token',
+        getHistory: 'GET /api/balance/:address/history - Historique du solde (index local)'
       },
       transactions: {
         getAll: 'GET /api/transactions/:address',
@@ -137,8 +302,8 @@ router.get('/', (req, res) => {
         getReceived: 'GET /api/transactions/:address/received'
       },
       transfer: {
-        send: 'POST /api/transfer',
-        estimate: 'GET /api/transfer/estimate'
+        send: 'POST /api/transfer (?async=true pour une réponse 202 dès la diffusion)',
+        estimate: 'GET /api/transfer/estimate - Gas, coût en CELO et auto-funding (fromAddress ou phoneNumber)'
       },
       governance: {
         dashboard: 'GET /api/governance/dashboard',
@@ -151,10 +316,46 @@ router.get('/', (req, res) => {
         moderateProposal: 'POST /api/governance/proposals/:id/moderate',
         executeProposal: 'POST /api/governance/proposals/:id/execute',
         raiseContest: 'POST /api/governance/proposals/:id/contest',
-        resolveContest: 'POST /api/governance/contests/:id/resolve'
+        resolveContest: 'POST /api/governance/contests/:id/resolve',
+        estimate: 'GET /api/governance/estimate?action=proposal|vote|contest - Estimation des frais'
+      },
+      auth: {
+        walletNonce: 'POST /api/auth/wallet/nonce - Challenge EIP-4361 (modérateurs/validateurs)',
+        walletLogin: 'POST /api/auth/wallet/login - Connexion par signature',
+        walletSession: 'GET /api/auth/wallet/me',
+        walletLogout: 'POST /api/auth/wallet/logout'
+      },
+      admin: {
+        pinLockouts: 'GET /api/admin/pin-lockouts - Numéros en échec ou verrouillés (admin)',
+        pinLockout: 'GET /api/admin/pin-lockouts/:phone - Statut d\'un numéro (admin)',
+        clearPinLockout: 'DELETE /api/admin/pin-lockouts/:phone - Effacer un verrouillage (admin)',
+        onboarding: 'GET /api/admin/onboarding - Registre des financements initiaux (admin)',
+        retryOnboarding: 'POST /api/admin/onboarding/:address/retry - Relancer un financement en échec (admin)',
+        derivation: 'GET /api/admin/derivation - Schémas de dérivation et comptes par version (admin)',
+        indexer: 'GET /api/admin/indexer - État des indexeurs (transferts, gouvernance) (admin)',
+        txQueue: 'GET /api/admin/tx-queue - File des transactions du wallet administrateur (admin)',
+        gasSponsorship: 'GET /api/admin/gas-sponsorship - Budgets et dépenses d\'auto-funding par utilisateur et contexte (admin)',
+        treasury: 'GET /api/admin/treasury - Soldes, consommation et autonomie du wallet administrateur, alertes (admin)'
+      },
+      ussd: {
+        session: 'POST /api/ussd - Callback de session USSD (agrégateur)'
+      },
+      sms: {
+        inbound: 'POST /api/sms/inbound - SMS entrant (BAL, SEND, VOTE confirmés par PIN)'
+      },
+      operations: {
+        get: 'GET /api/operations/:id - Statut d\'une opération asynchrone (?async=true ou Prefer: respond-async)'
+      },
+      relay: {
+        prepare: 'POST /api/relay/prepare - Requête EIP-712 à signer (transfer, proposal, vote, contest)',
+        relay: 'POST /api/relay - Relais d\'une requête signée (gas payé par le relayer)',
+        quota: 'GET /api/relay/quota/:address - Quota de requêtes relayées sur 24 heures'
       },
       system: {
-        health: 'GET /api/health'
+        health: 'GET /api/health',
+        live: 'GET /api/health/live - Sonde de vie du processus (200/503)',
+        ready: 'GET /api/health/ready - Sonde de disponibilité : RPC, contrats, wallet admin, retard des blocs (200/503)',
+        metrics: 'GET /metrics - Métriques Prometheus : requêtes HTTP, appels RPC, transactions, trésorerie'
       }
     },
     documentation: 'Consultez le README.md pour plus d\'informations'
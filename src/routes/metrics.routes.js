@@ -0,0 +1,85 @@
+import crypto from 'crypto';
+import express from 'express';
+import { config } from '../config/config.js';
+import { metricsService } from '../services/metrics.service.js';
+import { METRICS_CONTENT_TYPE } from '../utils/metrics.js';
+
+const router = express.Router();
+
+/**
+ * Vérifie le jeton de collecte (METRICS_TOKEN) dans Authorization: Bearer, en temps constant
+ * @param {Object} req - Requête Express
+ * @returns {boolean}
+ */
+const isAuthorized = (req) => {
+  if (!config.metricsToken) {
+    return true;
+  }
+
+  const authorization = req.headers.authorization || '';
+  const token = authorization.startsWith('Bearer ') ? authorization.slice(7).trim() : '';
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(token), digest(config.metricsToken));
+};
+
+/**
+ * @swagger
+ * /metrics:
+ *   get:
+ *     summary: Métriques Prometheus
+ *     description: |
+ *       Métriques au format texte Prometheus (exposition 0.0.4), à collecter par un serveur Prometheus :
+ *       - `bafoka_http_requests_total`, `bafoka_http_request_duration_seconds` : requêtes HTTP par
+ *         méthode, route déclarée (ex. `/api/governance/proposals/:id`) et statut
+ *       - `bafoka_rpc_requests_total`, `bafoka_rpc_request_duration_seconds`, `bafoka_rpc_errors_total` :
+ *         appels JSON-RPC au nœud par fournisseur et méthode (ex. `eth_call`, `eth_sendRawTransaction`)
+ *       - `bafoka_transactions_total` : transactions envoyées (`sent`), confirmées (`confirmed`) ou
+ *         échouées (`failed`), par signataire (`admin`, `user`) et type (fonction du contrat appelée,
+ *         `celo_transfer` pour un envoi de CELO)
+ *       - `bafoka_gas_autofunding_total`, `bafoka_gas_autofunding_celo_total` : financements
+ *         automatiques du gas (registre persistant)
+ *       - `bafoka_admin_wallet_balance` (CELO, BFK), `bafoka_admin_tx_queue_pending`,
+ *         `bafoka_block_height` : relevés au moment de la collecte
+ *       - `process_resident_memory_bytes`, `process_start_time_seconds`
+ *
+ *       Compteurs et histogrammes repartent de zéro au redémarrage du processus. Si `METRICS_TOKEN`
+ *       est configuré, l'en-tête `Authorization: Bearer <METRICS_TOKEN>` est exigé.
+ *     tags: [System]
+ *     responses:
+ *       200:
+ *         description: Métriques
+ *         content:
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *               example: |
+ *                 # HELP bafoka_block_height Numéro du dernier bloc connu du nœud RPC
+ *                 # TYPE bafoka_block_height gauge
+ *                 bafoka_block_height 28194532
+ *       401:
+ *         description: Jeton de collecte manquant ou invalide
+ *       404:
+ *         description: Métriques désactivées (METRICS_ENABLED=false)
+ */
+router.get('/', async (req, res) => {
+  if (!config.metricsEnabled) {
+    return res.status(404).json({
+      success: false,
+      message: 'Métriques désactivées'
+    });
+  }
+
+  if (!isAuthorized(req)) {
+    return res.status(401).json({
+      success: false,
+      message: 'Jeton de collecte des métriques invalide',
+      hint: 'Fournissez l\'en-tête Authorization: Bearer <METRICS_TOKEN>'
+    });
+  }
+
+  res.set('Content-Type', METRICS_CONTENT_TYPE);
+  res.set('Cache-Control', 'no-store');
+  res.send(await metricsService.collect());
+});
+
+export default router;
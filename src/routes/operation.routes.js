@@ -0,0 +1,158 @@
+import express from 'express';
+import { operationController } from '../controllers/operation.controller.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     AsyncMode:
+ *       in: query
+ *       name: async
+ *       schema:
+ *         type: boolean
+ *       description: |
+ *         Mode asynchrone : répond 202 dès la diffusion de la transaction, avec l'opération
+ *         à suivre via GET /api/operations/{id} (équivalent à l'en-tête `Prefer: respond-async`)
+ *     PreferAsync:
+ *       in: header
+ *       name: Prefer
+ *       schema:
+ *         type: string
+ *         example: respond-async
+ *       description: "`respond-async` active le mode asynchrone (RFC 7240)"
+ *   responses:
+ *     OperationAccepted:
+ *       description: Transaction diffusée (mode asynchrone), confirmation en cours
+ *       headers:
+ *         Location:
+ *           description: URL de suivi de l'opération
+ *           schema:
+ *             type: string
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               success:
+ *                 type: boolean
+ *                 example: true
+ *               message:
+ *                 type: string
+ *               data:
+ *                 type: object
+ *                 properties:
+ *                   operationId:
+ *                     type: string
+ *                     format: uuid
+ *                   type:
+ *                     type: string
+ *                     example: transfer
+ *                   status:
+ *                     type: string
+ *                     example: pending
+ *                   txHash:
+ *                     type: string
+ *                     example: "0x1234567890abcdef..."
+ *                   statusUrl:
+ *                     type: string
+ *                     example: "/api/operations/4f9c2d1e-8a7b-4c3d-9e2f-1a2b3c4d5e6f"
+ *   schemas:
+ *     Operation:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         type:
+ *           type: string
+ *           enum: [transfer, mint, phone_transfer, proposal, vote, contest, relay]
+ *         status:
+ *           type: string
+ *           enum: [pending, confirmed, failed]
+ *         details:
+ *           type: object
+ *           description: Résumé de la requête (adresses, montant, proposition...)
+ *         txHash:
+ *           type: string
+ *           nullable: true
+ *         replacedHashes:
+ *           type: array
+ *           description: Hash des versions remplacées (frais majorés), si la transaction a été remplacée
+ *           items:
+ *             type: string
+ *         blockNumber:
+ *           type: integer
+ *           nullable: true
+ *         confirmations:
+ *           type: integer
+ *           example: 3
+ *         gasUsed:
+ *           type: string
+ *           nullable: true
+ *           example: "52000"
+ *         revertReason:
+ *           type: string
+ *           nullable: true
+ *           description: Raison de l'annulation décodée (require, Panic ou erreur du contrat)
+ *           example: "Already voted"
+ *         error:
+ *           type: string
+ *           nullable: true
+ *         result:
+ *           type: object
+ *           nullable: true
+ *           description: Réponse qu'aurait renvoyée la route en mode synchrone (ex. proposalId, contestId)
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *         completedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * /api/operations/{id}:
+ *   get:
+ *     summary: Statut d'une opération asynchrone
+ *     description: |
+ *       Suivi d'une transaction soumise en mode asynchrone (`?async=true` ou `Prefer: respond-async`)
+ *       sur les routes de transfert, de proposition, de vote et de contestation : statut
+ *       (pending, confirmed, failed), confirmations, gas consommé et raison décodée en cas d'annulation.
+ *       Les opérations sont conservées `OPERATION_RETENTION_HOURS` heures.
+ *     tags: [Operations]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Identifiant retourné dans la réponse 202
+ *     responses:
+ *       200:
+ *         description: Opération trouvée
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Operation'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.get('/:id', operationController.getOperation);
+
+export default router;
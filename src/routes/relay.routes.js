@@ -0,0 +1,263 @@
+import express from 'express';
+import { relayController } from '../controllers/relay.controller.js';
+import { idempotent } from '../middleware/idempotency.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     RelayAction:
+ *       type: string
+ *       enum: [transfer, proposal, vote, contest]
+ *       description: |
+ *         Action relayée et paramètres attendus dans `params` :
+ *         - `transfer` : `{ toAddress, amount }` (permit ERC-2612 du Token et TransferRequest signant
+ *           le destinataire)
+ *         - `proposal` : `{ ipfsCID, title, impactLevel }` (ForwardRequest ERC-2771)
+ *         - `vote` : `{ proposalId, support }`
+ *         - `contest` : `{ proposalId, reason, evidenceCID }`
+ *     RelayQuota:
+ *       type: object
+ *       properties:
+ *         address:
+ *           $ref: '#/components/schemas/Address'
+ *         limit:
+ *           type: integer
+ *           description: Requêtes relayées autorisées sur 24 heures (RELAYER_DAILY_QUOTA)
+ *           example: 20
+ *         used:
+ *           type: integer
+ *           example: 3
+ *         remaining:
+ *           type: integer
+ *           example: 17
+ *         resetAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Libération de la plus ancienne requête de la fenêtre
+ */
+
+/**
+ * @swagger
+ * /api/relay/prepare:
+ *   post:
+ *     summary: Prépare une requête EIP-712 à signer
+ *     description: |
+ *       Retourne les données typées EIP-712 (`domain`, `types`, `primaryType`, `message`) à signer
+ *       avec `eth_signTypedData_v4` par le wallet de l'expéditeur. Le relayer (wallet administrateur)
+ *       paiera le gas de la transaction.
+ *
+ *       - `transfer` : permit ERC-2612 autorisant le relayer à transférer exactement `amount` BFK,
+ *         et `transferTypedData` (TransferRequest : destinataire, montant, nonce et échéance du permit)
+ *         à signer également : le permit seul ne désigne pas le destinataire
+ *       - `proposal`, `vote`, `contest` : ForwardRequest exécutée par le forwarder de confiance de
+ *         GovernanceDAO (ERC-2771), qui voit le membre comme expéditeur
+ *
+ *       La requête expire après `RELAYER_MAX_DEADLINE_SECONDS`.
+ *     tags: [Relay]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [action, fromAddress, params]
+ *             properties:
+ *               action:
+ *                 $ref: '#/components/schemas/RelayAction'
+ *               fromAddress:
+ *                 $ref: '#/components/schemas/Address'
+ *               params:
+ *                 type: object
+ *           examples:
+ *             transfer:
+ *               summary: Transfert de 50 BFK
+ *               value:
+ *                 action: transfer
+ *                 fromAddress: "0x742d35Cc6634C0532925a3b844Bc9e7595f0bEb"
+ *                 params: { toAddress: "0x8ba1f109551bD432803012645Ac136ddd64DBA72", amount: "50" }
+ *             vote:
+ *               summary: Vote pour la proposition 3
+ *               value:
+ *                 action: vote
+ *                 fromAddress: "0x742d35Cc6634C0532925a3b844Bc9e7595f0bEb"
+ *                 params: { proposalId: 3, support: true }
+ *     responses:
+ *       200:
+ *         description: Requête à signer
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     action:
+ *                       $ref: '#/components/schemas/RelayAction'
+ *                     from:
+ *                       $ref: '#/components/schemas/Address'
+ *                     relayer:
+ *                       $ref: '#/components/schemas/Address'
+ *                     typedData:
+ *                       type: object
+ *                       description: Données EIP-712 ; `typedData.message` est renvoyé tel quel dans `request`
+ *                     transferTypedData:
+ *                       type: object
+ *                       description: "`transfer` uniquement : TransferRequest EIP-712 à signer (`transferSignature`)"
+ *                     quota:
+ *                       $ref: '#/components/schemas/RelayQuota'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       422:
+ *         description: L'action serait annulée par le contrat (RELAY_REVERTED)
+ *       503:
+ *         description: Relayer non activé (RELAYER_DISABLED)
+ */
+router.post('/prepare', relayController.prepareRequest);
+
+/**
+ * @swagger
+ * /api/relay:
+ *   post:
+ *     summary: Relaie une requête signée
+ *     description: |
+ *       Vérifie la requête signée puis l'envoie depuis le wallet du relayer, qui paie le gas.
+ *
+ *       Vérifications : paramètres identiques à la requête signée, échéance, signature EIP-712 de
+ *       l'expéditeur, nonce du contrat (permit ou forwarder), requête non encore relayée, quota de
+ *       l'expéditeur (`RELAYER_DAILY_QUOTA` requêtes sur 24 heures). Pour un transfert, la
+ *       TransferRequest doit être signée par l'expéditeur avec le destinataire de `params.toAddress`.
+ *       Une requête en échec compte
+ *       dans le quota.
+ *
+ *       Transfert : `permit` et `transferFrom` sont deux transactions distinctes. Si `transferFrom`
+ *       échoue après le `permit`, la réponse d'erreur porte `data.status: partial`, `data.permitTxHash`
+ *       et `data.allowanceOutstanding` (allocation au relayer non révoquée, en wei) : le relayer
+ *       consomme l'allocation par un `transferFrom` de l'expéditeur vers lui-même, dans la limite
+ *       de son solde.
+ *
+ *       ⏱️ **Mode asynchrone** : avec `?async=true` ou `Prefer: respond-async`, la route répond `202`
+ *       dès la diffusion de la transaction ; suivi via `GET /api/operations/{id}`.
+ *     tags: [Relay]
+ *     parameters:
+ *       - $ref: '#/components/parameters/AsyncMode'
+ *       - $ref: '#/components/parameters/PreferAsync'
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [action, fromAddress, params, request, signature]
+ *             properties:
+ *               action:
+ *                 $ref: '#/components/schemas/RelayAction'
+ *               fromAddress:
+ *                 $ref: '#/components/schemas/Address'
+ *               params:
+ *                 type: object
+ *                 description: Paramètres de l'action (identiques à ceux de la préparation)
+ *               request:
+ *                 type: object
+ *                 description: "`typedData.message` retourné par POST /api/relay/prepare"
+ *               signature:
+ *                 type: string
+ *                 description: Signature EIP-712 du message par l'expéditeur
+ *                 example: "0x4f1c...1b"
+ *               transferSignature:
+ *                 type: string
+ *                 description: "`transfer` uniquement (requis) : signature EIP-712 de `transferTypedData.message`"
+ *     responses:
+ *       200:
+ *         description: Requête relayée et confirmée
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Requête relayée avec succès
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     action:
+ *                       $ref: '#/components/schemas/RelayAction'
+ *                     from:
+ *                       $ref: '#/components/schemas/Address'
+ *                     txHash:
+ *                       type: string
+ *                     blockNumber:
+ *                       type: integer
+ *                     gasUsed:
+ *                       type: string
+ *                     feePayment:
+ *                       $ref: '#/components/schemas/FeePayment'
+ *       202:
+ *         $ref: '#/components/responses/OperationAccepted'
+ *       400:
+ *         description: Paramètres invalides, requête différente des paramètres ou expirée
+ *       401:
+ *         description: Requête ou destinataire non signés par l'expéditeur (INVALID_SIGNATURE)
+ *       409:
+ *         description: |
+ *           Requête déjà relayée (RELAY_REPLAYED), nonce déjà utilisé (RELAY_NONCE_MISMATCH),
+ *           requête en cours avec le même nonce (RELAY_NONCE_IN_USE) ou clé d'idempotence en cours
+ *       422:
+ *         $ref: '#/components/responses/IdempotencyKeyReused'
+ *       429:
+ *         description: Quota de requêtes relayées atteint (RELAY_QUOTA_EXCEEDED), voir Retry-After
+ *       503:
+ *         description: Relayer non activé (RELAYER_DISABLED)
+ */
+router.post('/', idempotent, relayController.relayRequest);
+
+/**
+ * @swagger
+ * /api/relay/quota/{address}:
+ *   get:
+ *     summary: Quota de requêtes relayées d'un utilisateur
+ *     tags: [Relay]
+ *     parameters:
+ *       - in: path
+ *         name: address
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Quota sur les dernières 24 heures
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/RelayQuota'
+ *                     - type: object
+ *                       properties:
+ *                         enabled:
+ *                           type: boolean
+ *                         relayer:
+ *                           $ref: '#/components/schemas/Address'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ */
+router.get('/quota/:address', relayController.getQuota);
+
+export default router;
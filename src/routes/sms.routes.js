@@ -0,0 +1,104 @@
+import express from 'express';
+import { smsController } from '../controllers/sms.controller.js';
+import { requireWebhookToken } from '../middleware/auth.js';
+import { config } from '../config/config.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/sms/inbound:
+ *   post:
+ *     summary: Webhook des SMS entrants (commandes)
+ *     description: |
+ *       Les membres pilotent leur wallet par SMS. Chaque commande est confirmée par un second SMS
+ *       contenant uniquement le PIN (délai `SMS_CONFIRMATION_TTL_SECONDS`, protection anti brute-force incluse).
+ *
+ *       ### ✉️ Commandes
+ *       | SMS | Action |
+ *       |-----|--------|
+ *       | `BAL` (ou `SOLDE`) | Solde BFK |
+ *       | `SEND 50 +237699887766` (ou `ENVOI`) | Transfert vers un numéro de l'annuaire |
+ *       | `VOTE 12 OUI` / `VOTE 12 NON` | Vote sur une proposition active (`YES`/`NO`, `POUR`/`CONTRE` acceptés) |
+ *       | `1234` | Confirmation de la commande en attente |
+ *       | `ANNULER` | Annule la commande en attente |
+ *       | `AIDE` | Liste des commandes |
+ *
+ *       Les réponses sont envoyées via le fournisseur SMS configuré (`SMS_PROVIDER` : `console` ou `file`)
+ *       et retournées dans `data.reply`. Les transferts et votes sont exécutés en arrière-plan,
+ *       leur résultat est notifié par SMS (le destinataire d'un transfert est aussi prévenu).
+ *
+ *       L'agrégateur doit envoyer `SMS_WEBHOOK_TOKEN` dans l'en-tête `X-Webhook-Token` ou le
+ *       paramètre `?token=` : le numéro de l'expéditeur n'est pas vérifié autrement. Sans jeton
+ *       configuré, le webhook répond `503` en production (`NODE_ENV=production`) et reste ouvert sinon.
+ *     tags: [SMS]
+ *     parameters:
+ *       - name: token
+ *         in: query
+ *         required: false
+ *         description: Jeton du webhook (alternative à l'en-tête X-Webhook-Token)
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/InboundSms'
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             $ref: '#/components/schemas/InboundSms'
+ *     responses:
+ *       200:
+ *         description: Commande traitée, réponse envoyée par SMS
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     phoneNumber:
+ *                       type: string
+ *                       description: Numéro de l'expéditeur (masqué)
+ *                       example: "+23****7766"
+ *                     command:
+ *                       type: string
+ *                       enum: [BALANCE, SEND, VOTE, CANCEL, HELP, CONFIRM, UNKNOWN, ERROR]
+ *                     reply:
+ *                       type: string
+ *                       example: "Pour envoyer 50 BFK a +23****2233, repondez avec votre PIN (valable 5 min). ANNULER pour abandonner."
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         description: Jeton de webhook invalide
+ *       503:
+ *         description: Aucun jeton configuré en production (WEBHOOK_TOKEN_NOT_CONFIGURED)
+ */
+router.post('/inbound', requireWebhookToken(config.smsWebhookToken, 'SMS'), smsController.handleInbound);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     InboundSms:
+ *       type: object
+ *       required:
+ *         - from
+ *         - text
+ *       properties:
+ *         from:
+ *           type: string
+ *           description: Numéro de l'expéditeur, avec ou sans "+" (alias phoneNumber, msisdn)
+ *           example: "+237699887766"
+ *         text:
+ *           type: string
+ *           description: Contenu du SMS (alias message, body)
+ *           example: "SEND 50 +237677112233"
+ */
+
+export default router;
@@ -3,12 +3,123 @@ import { transactionController } from '../controllers/transaction.controller.js'
 
 const router = express.Router();
 
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     TransactionCounterparty:
+ *       in: query
+ *       name: counterparty
+ *       schema:
+ *         $ref: '#/components/schemas/Address'
+ *       description: Uniquement les transactions échangées avec cette adresse
+ *     TransactionMinAmount:
+ *       in: query
+ *       name: minAmount
+ *       schema:
+ *         type: string
+ *       description: Montant minimum en BFK (inclus)
+ *       example: "10"
+ *     TransactionMaxAmount:
+ *       in: query
+ *       name: maxAmount
+ *       schema:
+ *         type: string
+ *       description: Montant maximum en BFK (inclus)
+ *       example: "500.5"
+ *     TransactionFromDate:
+ *       in: query
+ *       name: fromDate
+ *       schema:
+ *         type: string
+ *       description: Date de début (ISO 8601 ou timestamp Unix en secondes, incluse)
+ *       example: "2025-01-01T00:00:00Z"
+ *     TransactionToDate:
+ *       in: query
+ *       name: toDate
+ *       schema:
+ *         type: string
+ *       description: Date de fin (ISO 8601 ou timestamp Unix en secondes, incluse)
+ *       example: "1735689600"
+ *     TransactionFromBlock:
+ *       in: query
+ *       name: fromBlock
+ *       schema:
+ *         type: integer
+ *         minimum: 0
+ *       description: Numéro de bloc de départ (0 par défaut)
+ *     TransactionToBlock:
+ *       in: query
+ *       name: toBlock
+ *       schema:
+ *         type: string
+ *       description: Numéro de bloc de fin ou "latest" (latest par défaut)
+ *     TransactionLimit:
+ *       in: query
+ *       name: limit
+ *       schema:
+ *         type: integer
+ *         minimum: 1
+ *         maximum: 100
+ *         default: 20
+ *       description: Nombre de transactions par page
+ *     TransactionCursor:
+ *       in: query
+ *       name: cursor
+ *       schema:
+ *         type: string
+ *       description: Curseur opaque renvoyé dans pagination.nextCursor par la page précédente
+ *   schemas:
+ *     TransactionPage:
+ *       type: object
+ *       properties:
+ *         address:
+ *           $ref: '#/components/schemas/Address'
+ *         contractAddress:
+ *           $ref: '#/components/schemas/Address'
+ *         totalTransactions:
+ *           type: integer
+ *           nullable: true
+ *           description: Nombre total de transactions correspondant aux filtres (null sans l'index)
+ *           example: 42
+ *         transactions:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Transaction'
+ *         pagination:
+ *           type: object
+ *           properties:
+ *             limit:
+ *               type: integer
+ *               example: 20
+ *             hasMore:
+ *               type: boolean
+ *               nullable: true
+ *               description: Des transactions plus anciennes restent à lire (null sans l'index)
+ *             nextCursor:
+ *               type: string
+ *               nullable: true
+ *               description: Curseur de la page suivante (null en fin d'historique)
+ *               example: "eyJiIjoxMDg5MDAwMCwibCI6M30"
+ *         filters:
+ *           type: object
+ *           description: Filtres appliqués (direction, counterparty, minAmount, maxAmount, fromDate, toDate)
+ */
+
 /**
  * @swagger
  * /api/transactions/{address}:
  *   get:
- *     summary: Récupère toutes les transactions token
- *     description: Retourne l'historique complet des transactions (envoyées et reçues) du token personnalisé pour une adresse donnée
+ *     summary: Récupère l'historique paginé des transactions token
+ *     description: |
+ *       Retourne l'historique des transactions (envoyées et reçues) du token personnalisé pour une adresse donnée, avec filtres et pagination par curseur.
+ *
+ *       Les résultats sont triés du plus récent au plus ancien et paginés par curseur : passer
+ *       `pagination.nextCursor` dans `cursor` pour obtenir la page suivante. `totalTransactions`
+ *       est le nombre exact de transactions correspondant aux filtres.
+ *
+ *       Les filtres et le curseur nécessitent l'index local des transferts : tant qu'il se
+ *       synchronise, seule la première page sans filtre est servie (scan RPC, total inconnu).
  *     tags: [Transactions]
  *     parameters:
  *       - in: path
@@ -19,18 +130,21 @@ const router = express.Router();
  *         description: Adresse du compte
  *         example: "0x742d35Cc6634C0532925a3b844Bc9e7595f0bEb"
  *       - in: query
- *         name: fromBlock
- *         schema:
- *           type: integer
- *           minimum: 0
- *         description: Numéro de bloc de départ (0 par défaut)
- *         example: 0
- *       - in: query
- *         name: toBlock
+ *         name: direction
  *         schema:
  *           type: string
- *         description: Numéro de bloc de fin ou "latest" (latest par défaut)
- *         example: "latest"
+ *           enum: [all, sent, received]
+ *           default: all
+ *         description: Sens des transactions
+ *       - $ref: '#/components/parameters/TransactionCounterparty'
+ *       - $ref: '#/components/parameters/TransactionMinAmount'
+ *       - $ref: '#/components/parameters/TransactionMaxAmount'
+ *       - $ref: '#/components/parameters/TransactionFromDate'
+ *       - $ref: '#/components/parameters/TransactionToDate'
+ *       - $ref: '#/components/parameters/TransactionFromBlock'
+ *       - $ref: '#/components/parameters/TransactionToBlock'
+ *       - $ref: '#/components/parameters/TransactionLimit'
+ *       - $ref: '#/components/parameters/TransactionCursor'
  *     responses:
  *       200:
  *         description: Transactions récupérées avec succès
@@ -46,21 +160,11 @@ const router = express.Router();
  *                   type: string
  *                   example: Transactions récupérées avec succès
  *                 data:
- *                   type: object
- *                   properties:
- *                     address:
- *                       $ref: '#/components/schemas/Address'
- *                     contractAddress:
- *                       $ref: '#/components/schemas/Address'
- *                     totalTransactions:
- *                       type: integer
- *                       example: 10
- *                     transactions:
- *                       type: array
- *                       items:
- *                         $ref: '#/components/schemas/Transaction'
+ *                   $ref: '#/components/schemas/TransactionPage'
  *       400:
  *         $ref: '#/components/responses/BadRequest'
+ *       503:
+ *         description: Filtres ou curseur demandés alors que l'index des transferts se synchronise (INDEXER_NOT_READY)
  *       500:
  *         $ref: '#/components/responses/InternalError'
  */
@@ -71,7 +175,15 @@ router.get('/:address', transactionController.getTransactions);
  * /api/transactions/{address}/sent:
  *   get:
  *     summary: Récupère uniquement les transactions envoyées
- *     description: Retourne l'historique des transactions envoyées (sortantes) du token personnalisé pour une adresse donnée
+ *     description: |
+ *       Retourne l'historique paginé des transactions envoyées (sortantes) du token personnalisé pour une adresse donnée.
+ *
+ *       Les résultats sont triés du plus récent au plus ancien et paginés par curseur : passer
+ *       `pagination.nextCursor` dans `cursor` pour obtenir la page suivante. `totalTransactions`
+ *       est le nombre exact de transactions correspondant aux filtres.
+ *
+ *       Les filtres et le curseur nécessitent l'index local des transferts : tant qu'il se
+ *       synchronise, seule la première page sans filtre est servie (scan RPC, total inconnu).
  *     tags: [Transactions]
  *     parameters:
  *       - in: path
@@ -81,17 +193,15 @@ router.get('/:address', transactionController.getTransactions);
  *           $ref: '#/components/schemas/Address'
  *         description: Adresse du compte
  *         example: "0x742d35Cc6634C0532925a3b844Bc9e7595f0bEb"
- *       - in: query
- *         name: fromBlock
- *         schema:
- *           type: integer
- *           minimum: 0
- *         description: Numéro de bloc de départ (0 par défaut)
- *       - in: query
- *         name: toBlock
- *         schema:
- *           type: string
- *         description: Numéro de bloc de fin ou "latest" (latest par défaut)
+ *       - $ref: '#/components/parameters/TransactionCounterparty'
+ *       - $ref: '#/components/parameters/TransactionMinAmount'
+ *       - $ref: '#/components/parameters/TransactionMaxAmount'
+ *       - $ref: '#/components/parameters/TransactionFromDate'
+ *       - $ref: '#/components/parameters/TransactionToDate'
+ *       - $ref: '#/components/parameters/TransactionFromBlock'
+ *       - $ref: '#/components/parameters/TransactionToBlock'
+ *       - $ref: '#/components/parameters/TransactionLimit'
+ *       - $ref: '#/components/parameters/TransactionCursor'
  *     responses:
  *       200:
  *         description: Transactions envoyées récupérées avec succès
@@ -107,21 +217,11 @@ router.get('/:address', transactionController.getTransactions);
  *                   type: string
  *                   example: Transactions envoyées récupérées avec succès
  *                 data:
- *                   type: object
- *                   properties:
- *                     address:
- *                       $ref: '#/components/schemas/Address'
- *                     contractAddress:
- *                       $ref: '#/components/schemas/Address'
- *                     totalTransactions:
- *                       type: integer
- *                       example: 5
- *                     transactions:
- *                       type: array
- *                       items:
- *                         $ref: '#/components/schemas/Transaction'
+ *                   $ref: '#/components/schemas/TransactionPage'
  *       400:
  *         $ref: '#/components/responses/BadRequest'
+ *       503:
+ *         description: Filtres ou curseur demandés alors que l'index des transferts se synchronise (INDEXER_NOT_READY)
  *       500:
  *         $ref: '#/components/responses/InternalError'
  */
@@ -132,7 +232,15 @@ router.get('/:address/sent', transactionController.getSentTransactions);
  * /api/transactions/{address}/received:
  *   get:
  *     summary: Récupère uniquement les transactions reçues
- *     description: Retourne l'historique des transactions reçues (entrantes) du token personnalisé pour une adresse donnée
+ *     description: |
+ *       Retourne l'historique paginé des transactions reçues (entrantes) du token personnalisé pour une adresse donnée.
+ *
+ *       Les résultats sont triés du plus récent au plus ancien et paginés par curseur : passer
+ *       `pagination.nextCursor` dans `cursor` pour obtenir la page suivante. `totalTransactions`
+ *       est le nombre exact de transactions correspondant aux filtres.
+ *
+ *       Les filtres et le curseur nécessitent l'index local des transferts : tant qu'il se
+ *       synchronise, seule la première page sans filtre est servie (scan RPC, total inconnu).
  *     tags: [Transactions]
  *     parameters:
  *       - in: path
@@ -142,17 +250,15 @@ router.get('/:address/sent', transactionController.getSentTransactions);
  *           $ref: '#/components/schemas/Address'
  *         description: Adresse du compte
  *         example: "0x742d35Cc6634C0532925a3b844Bc9e7595f0bEb"
- *       - in: query
- *         name: fromBlock
- *         schema:
- *           type: integer
- *           minimum: 0
- *         description: Numéro de bloc de départ (0 par défaut)
- *       - in: query
- *         name: toBlock
- *         schema:
- *           type: string
- *         description: Numéro de bloc de fin ou "latest" (latest par défaut)
+ *       - $ref: '#/components/parameters/TransactionCounterparty'
+ *       - $ref: '#/components/parameters/TransactionMinAmount'
+ *       - $ref: '#/components/parameters/TransactionMaxAmount'
+ *       - $ref: '#/components/parameters/TransactionFromDate'
+ *       - $ref: '#/components/parameters/TransactionToDate'
+ *       - $ref: '#/components/parameters/TransactionFromBlock'
+ *       - $ref: '#/components/parameters/TransactionToBlock'
+ *       - $ref: '#/components/parameters/TransactionLimit'
+ *       - $ref: '#/components/parameters/TransactionCursor'
  *     responses:
  *       200:
  *         description: Transactions reçues récupérées avec succès
@@ -168,21 +274,11 @@ router.get('/:address/sent', transactionController.getSentTransactions);
  *                   type: string
  *                   example: Transactions reçues récupérées avec succès
  *                 data:
- *                   type: object
- *                   properties:
- *                     address:
- *                       $ref: '#/components/schemas/Address'
- *                     contractAddress:
- *                       $ref: '#/components/schemas/Address'
- *                     totalTransactions:
- *                       type: integer
- *                       example: 5
- *                     transactions:
- *                       type: array
- *                       items:
- *                         $ref: '#/components/schemas/Transaction'
+ *                   $ref: '#/components/schemas/TransactionPage'
  *       400:
  *         $ref: '#/components/responses/BadRequest'
+ *       503:
+ *         description: Filtres ou curseur demandés alors que l'index des transferts se synchronise (INDEXER_NOT_READY)
  *       500:
  *         $ref: '#/components/responses/InternalError'
  */
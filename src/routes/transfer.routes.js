@@ -1,5 +1,8 @@
 import express from 'express';
 import { transferController } from '../controllers/transfer.controller.js';
+import { requireRole, attachPhoneSession } from '../middleware/auth.js';
+import { idempotent } from '../middleware/idempotency.js';
+import { ROLES } from '../config/roles.js';
 
 const router = express.Router();
 
@@ -14,7 +17,19 @@ const router = express.Router();
  *       ⚠️ **Prérequis** : La variable d'environnement `ADMIN_PRIVATE_KEY` doit être configurée.
  *       
  *       Cette fonctionnalité permet de distribuer des tokens aux utilisateurs de la plateforme.
+ *       
+ *       🔐 **Accès** : rôles `admin` ou `service` (clé API en Bearer)
+ *
+ *       ⏱️ **Mode asynchrone** : avec `?async=true` ou `Prefer: respond-async`, la route répond `202`
+ *       dès la diffusion de la transaction ; suivi via `GET /api/operations/{id}`.
  *     tags: [Transfer]
+ *     security:
+ *       - AdminAuth: []
+ *       - ServiceAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AsyncMode'
+ *       - $ref: '#/components/parameters/PreferAsync'
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -80,8 +95,18 @@ const router = express.Router();
  *                     gasUsed:
  *                       type: string
  *                       example: "52000"
+ *       202:
+ *         $ref: '#/components/responses/OperationAccepted'
  *       400:
  *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       409:
+ *         $ref: '#/components/responses/IdempotencyConflict'
+ *       422:
+ *         $ref: '#/components/responses/IdempotencyKeyReused'
  *       500:
  *         $ref: '#/components/responses/InternalError'
  *       503:
@@ -101,7 +126,7 @@ const router = express.Router();
  *                   type: string
  *                   example: Configuration administrateur manquante
  */
-router.post('/', transferController.transferTokens);
+router.post('/', requireRole(ROLES.SERVICE), idempotent, transferController.transferTokens);
 
 /**
  * @swagger
@@ -112,7 +137,18 @@ router.post('/', transferController.transferTokens);
  *       Génère (mint) de nouveaux tokens Bafoka vers une adresse donnée.
  *       
  *       ⚠️ **Prérequis** : Clé privée Admin configurée et doit être propriéaire du contrat.
+ *       
+ *       🔐 **Accès** : rôle `admin` uniquement (clé API en Bearer)
+ *
+ *       ⏱️ **Mode asynchrone** : avec `?async=true` ou `Prefer: respond-async`, la route répond `202`
+ *       dès la diffusion de la transaction ; suivi via `GET /api/operations/{id}`.
  *     tags: [Transfer]
+ *     security:
+ *       - AdminAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AsyncMode'
+ *       - $ref: '#/components/parameters/PreferAsync'
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -133,12 +169,22 @@ router.post('/', transferController.transferTokens);
  *     responses:
  *       200:
  *         description: Mint effectué avec succès
+ *       202:
+ *         $ref: '#/components/responses/OperationAccepted'
  *       400:
  *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       409:
+ *         $ref: '#/components/responses/IdempotencyConflict'
+ *       422:
+ *         $ref: '#/components/responses/IdempotencyKeyReused'
  *       500:
  *         $ref: '#/components/responses/InternalError'
  */
-router.post('/mint', transferController.mintTokens);
+router.post('/mint', requireRole(ROLES.ADMIN), idempotent, transferController.mintTokens);
 
 /**
  * @swagger
@@ -155,7 +201,28 @@ router.post('/mint', transferController.mintTokens);
  *       - Le PIN doit contenir entre 4 et 8 chiffres
  *       - Le numéro de téléphone doit être au format international (+33...)
  *       - L'expéditeur doit avoir suffisamment de tokens pour le transfert + frais de gas
+ *       
+ *       🪙 **Frais** : avec `FEE_CURRENCY_ADDRESS` configuré, les frais sont payés dans cette devise
+ *       (CIP-64) si l'expéditeur en détient assez ; sinon en CELO, après financement automatique
+ *       de son wallet. `data.feePayment.currency` indique la devise qui a payé les frais.
+ *
+ *       🎟️ **Session** : avec `Authorization: Bearer <token>` (obtenu via `POST /api/accounts/verify`),
+ *       `phoneNumber` et `pin` ne sont plus nécessaires.
+ *
+ *       ⏱️ **Mode asynchrone** : avec `?async=true` ou `Prefer: respond-async`, la route répond `202`
+ *       dès la diffusion de la transaction ; suivi via `GET /api/operations/{id}`.
+ *
+ *       📇 **Transfert par numéro** : indiquez `toPhoneNumber` à la place de `toAddress`.
+ *       L'adresse est résolue via l'annuaire (comptes créés sur ce backend et joignables,
+ *       voir `PUT /api/accounts/directory`). Un numéro inconnu ou masqué renvoie `404`.
  *     tags: [Transfer]
+ *     security:
+ *       - PhoneSessionAuth: []
+ *       - {}
+ *     parameters:
+ *       - $ref: '#/components/parameters/AsyncMode'
+ *       - $ref: '#/components/parameters/PreferAsync'
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -163,24 +230,25 @@ router.post('/mint', transferController.mintTokens);
  *           schema:
  *             type: object
  *             required:
- *               - phoneNumber
- *               - pin
- *               - toAddress
  *               - amount
  *             properties:
  *               phoneNumber:
  *                 type: string
- *                 description: Numéro de téléphone de l'expéditeur (format international recommandé)
+ *                 description: Numéro de téléphone de l'expéditeur (format international recommandé, requis sans session)
  *                 pattern: '^[+]?[0-9\s\-\(\)\.]+$'
  *                 example: "+33612345678"
  *               pin:
  *                 type: string
- *                 description: Code PIN (4-8 chiffres)
+ *                 description: Code PIN (4-8 chiffres, requis sans session)
  *                 pattern: '^\d{4,8}$'
  *                 example: "1234"
  *               toAddress:
  *                 $ref: '#/components/schemas/Address'
- *                 description: Adresse du destinataire
+ *                 description: Adresse du destinataire (ou toPhoneNumber)
+ *               toPhoneNumber:
+ *                 type: string
+ *                 description: Numéro de téléphone du destinataire, format international (ou toAddress)
+ *                 example: "+237699887766"
  *               amount:
  *                 type: number
  *                 minimum: 0
@@ -195,6 +263,13 @@ router.post('/mint', transferController.mintTokens);
  *                 pin: "1234"
  *                 toAddress: "0x742d35Cc6634C0532925a3b844Bc9e7595f0bEb"
  *                 amount: 50
+ *             transferToPhone:
+ *               summary: Transfert vers un numéro de téléphone
+ *               value:
+ *                 phoneNumber: "+33612345678"
+ *                 pin: "1234"
+ *                 toPhoneNumber: "+237699887766"
+ *                 amount: 50
  *     responses:
  *       200:
  *         description: Transfert effectué avec succès
@@ -256,6 +331,18 @@ router.post('/mint', transferController.mintTokens);
  *                       example: "+33612345678"
  *                     fromAddress:
  *                       $ref: '#/components/schemas/Address'
+ *                     toPhoneNumber:
+ *                       type: string
+ *                       description: Numéro du destinataire masqué (transfert par numéro uniquement)
+ *                       example: "+23****9766"
+ *                     feePayment:
+ *                       $ref: '#/components/schemas/FeePayment'
+ *                     gasFunding:
+ *                       type: object
+ *                       nullable: true
+ *                       description: Financement automatique en CELO (null si les frais sont payés en devise de frais)
+ *       202:
+ *         $ref: '#/components/responses/OperationAccepted'
  *       400:
  *         description: Paramètres invalides
  *         content:
@@ -309,10 +396,144 @@ router.post('/mint', transferController.mintTokens);
  *                 error:
  *                   type: string
  *                   example: "Solde insuffisant. Balance: 10.5 tokens, demandé: 50 tokens"
+ *       403:
+ *         description: |
+ *           Financement du gas refusé par la politique de sponsoring : adresse exclue
+ *           (GAS_SPONSOR_ADDRESS_DENIED) ou action non sponsorisée (GAS_SPONSOR_CONTEXT_NOT_ALLOWED)
+ *       404:
+ *         description: Aucun compte joignable pour ce numéro (toPhoneNumber)
+ *       409:
+ *         $ref: '#/components/responses/IdempotencyConflict'
+ *       422:
+ *         $ref: '#/components/responses/IdempotencyKeyReused'
+ *       429:
+ *         description: |
+ *           Numéro temporairement bloqué (PIN_LOCKED) ou plafond journalier de financement du gas
+ *           de l'adresse atteint (GAS_SPONSOR_ADDRESS_CAP_REACHED), voir Retry-After
  *       500:
  *         $ref: '#/components/responses/InternalError'
+ *       503:
+ *         description: |
+ *           Frais impossibles à couvrir : financement CELO échoué, plafond de frais dépassé ou budget
+ *           de sponsoring du gas épuisé (GAS_SPONSOR_DAILY_BUDGET_EXHAUSTED,
+ *           GAS_SPONSOR_MONTHLY_BUDGET_EXHAUSTED, voir Retry-After)
+ */
+router.post('/phone', attachPhoneSession, idempotent, transferController.transferTokensWithPhone);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     FeePayment:
+ *       type: object
+ *       description: Devise qui a payé les frais d'une transaction signée par un wallet utilisateur
+ *       properties:
+ *         currency:
+ *           type: string
+ *           description: Symbole de la devise de frais, ou CELO
+ *           example: cUSD
+ *         feeCurrency:
+ *           type: string
+ *           nullable: true
+ *           description: Adresse de la devise de frais (champ feeCurrency CIP-64), null en CELO
+ *           example: "0x765DE816845861e75A25fCA122bb6898B8B1282a"
+ *         funding:
+ *           type: object
+ *           nullable: true
+ *           description: Financement automatique en CELO avant l'envoi (null en devise de frais)
+ *         relayedBy:
+ *           type: string
+ *           description: Adresse du relayer qui a payé le gas (méta-transaction uniquement)
+ *     GasEstimate:
+ *       type: object
+ *       properties:
+ *         gasLimit:
+ *           type: string
+ *           description: Gas estimé par le nœud pour la transaction de l'expéditeur
+ *           example: "52000"
+ *         fees:
+ *           type: object
+ *           description: Frais de la stratégie partagée (en wei) ; gasPrice = baseFee + pourboire en type 2
+ *           properties:
+ *             type:
+ *               type: integer
+ *               description: 2 (EIP-1559) ou 0 (legacy)
+ *               example: 2
+ *             gasPrice:
+ *               type: string
+ *               example: "5000000000"
+ *             maxFeePerGas:
+ *               type: string
+ *               example: "10000000000"
+ *             maxPriorityFeePerGas:
+ *               type: string
+ *               nullable: true
+ *               example: "1000000000"
+ *             gasPriceGwei:
+ *               type: string
+ *               example: "5.0"
+ *         cost:
+ *           type: object
+ *           properties:
+ *             estimated:
+ *               type: string
+ *               description: Coût au prix du gas actuel
+ *               example: "0.00026"
+ *             maximum:
+ *               type: string
+ *               description: Coût maximum (plafond maxFeePerGas)
+ *               example: "0.00052"
+ *             currency:
+ *               type: string
+ *               example: CELO
+ *         sender:
+ *           type: object
+ *           properties:
+ *             balance:
+ *               type: string
+ *               description: Solde CELO (absent si l'expéditeur est désigné par son numéro)
+ *               example: "0.002"
+ *             sufficientBalance:
+ *               type: boolean
+ *               description: Solde (après auto-funding éventuel) suffisant pour le coût maximum
+ *         autoFunding:
+ *           type: object
+ *           description: Financement automatique en CELO effectué par le backend avant l'envoi
+ *           properties:
+ *             willFund:
+ *               type: boolean
+ *               example: true
+ *             threshold:
+ *               type: string
+ *               description: Solde minimum en dessous duquel l'expéditeur est financé
+ *               example: "0.005"
+ *             amount:
+ *               type: string
+ *               example: "0.05"
+ *             refusal:
+ *               type: object
+ *               nullable: true
+ *               description: Financement qui serait refusé par la politique de sponsoring du gas
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   example: GAS_SPONSOR_DAILY_BUDGET_EXHAUSTED
+ *                 message:
+ *                   type: string
+ *     GasEstimateError:
+ *       description: Transaction qui serait annulée par le contrat (ESTIMATION_REVERTED, ex. solde BFK insuffisant)
+ *       type: object
+ *       properties:
+ *         success:
+ *           type: boolean
+ *           example: false
+ *         message:
+ *           type: string
+ *           example: "La transaction serait annulée: ERC20: transfer amount exceeds balance"
+ *         error:
+ *           type: string
+ *           example: ESTIMATION_REVERTED
  */
-router.post('/phone', transferController.transferTokensWithPhone);
 
 /**
  * @swagger
@@ -320,26 +541,44 @@ router.post('/phone', transferController.transferTokensWithPhone);
  *   get:
  *     summary: Estime les frais de gas pour un transfert
  *     description: |
- *       Calcule une estimation des frais de gas nécessaires pour effectuer un transfert.
- *       
- *       ⚠️ **Note** : Cette fonctionnalité est en cours de développement et retourne actuellement une estimation approximative.
+ *       Estime le gas du transfert BFK signé par l'expéditeur, le valorise aux frais actuels
+ *       du réseau (total en CELO) et indique si le backend financera d'abord l'expéditeur en CELO
+ *       (auto-funding, comme lors de `POST /api/transfer/phone`).
+ *
+ *       L'expéditeur est désigné par `fromAddress` ou par `phoneNumber` : l'adresse du compte est
+ *       alors retrouvée dans l'annuaire, sans PIN, et n'est pas renvoyée (ni son solde).
  *     tags: [Transfer]
  *     parameters:
  *       - in: query
+ *         name: fromAddress
+ *         schema:
+ *           $ref: '#/components/schemas/Address'
+ *         description: Adresse de l'expéditeur (ou phoneNumber)
+ *       - in: query
+ *         name: phoneNumber
+ *         schema:
+ *           type: string
+ *         description: Numéro de téléphone de l'expéditeur, format international (ou fromAddress)
+ *         example: "+237699887766"
+ *       - in: query
  *         name: toAddress
- *         required: true
  *         schema:
  *           $ref: '#/components/schemas/Address'
- *         description: Adresse de destination
+ *         description: Adresse de destination (ou toPhoneNumber)
  *         example: "0x742d35Cc6634C0532925a3b844Bc9e7595f0bEb"
  *       - in: query
+ *         name: toPhoneNumber
+ *         schema:
+ *           type: string
+ *         description: Numéro du destinataire joignable via l'annuaire (ou toAddress)
+ *       - in: query
  *         name: amount
  *         required: true
  *         schema:
  *           type: number
  *           minimum: 0
  *           exclusiveMinimum: true
- *         description: Montant à transférer
+ *         description: Montant à transférer (en unités token)
  *         example: 100
  *     responses:
  *       200:
@@ -356,21 +595,28 @@ router.post('/phone', transferController.transferTokensWithPhone);
  *                   type: string
  *                   example: Estimation des frais
  *                 data:
- *                   type: object
- *                   properties:
- *                     toAddress:
- *                       $ref: '#/components/schemas/Address'
- *                     amount:
- *                       type: number
- *                       example: 100
- *                     estimatedGas:
- *                       type: string
- *                       example: À implémenter
- *                     note:
- *                       type: string
- *                       example: Fonctionnalité d'estimation à venir
+ *                   allOf:
+ *                     - type: object
+ *                       properties:
+ *                         from:
+ *                           type: object
+ *                           description: Adresse de l'expéditeur, ou son numéro masqué
+ *                         toAddress:
+ *                           $ref: '#/components/schemas/Address'
+ *                         amount:
+ *                           type: string
+ *                           example: "100"
+ *                     - $ref: '#/components/schemas/GasEstimate'
  *       400:
  *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         description: Expéditeur (SENDER_NOT_FOUND) ou destinataire (RECIPIENT_NOT_FOUND) introuvable
+ *       422:
+ *         description: La transaction serait annulée
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/GasEstimateError'
  *       500:
  *         $ref: '#/components/responses/InternalError'
  */
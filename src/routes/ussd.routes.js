@@ -0,0 +1,99 @@
+import express from 'express';
+import { ussdController } from '../controllers/ussd.controller.js';
+import { requireWebhookToken } from '../middleware/auth.js';
+import { config } from '../config/config.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/ussd:
+ *   post:
+ *     summary: Callback de session USSD (agrégateur opérateur)
+ *     description: |
+ *       Menu USSD pour les téléphones basiques, appelé par l'agrégateur à chaque saisie de l'utilisateur.
+ *
+ *       ### 📟 Menu
+ *       1. Mon solde (PIN)
+ *       2. Envoyer des BFK : numéro du destinataire (annuaire), montant, PIN
+ *       3. Dernières transactions (PIN)
+ *       4. Propositions actives : choix d'une proposition puis vote
+ *       5. Voter : numéro de proposition, Pour/Contre, PIN
+ *
+ *       Le champ `text` peut être cumulatif (`2*+237699887766*50`, format Africa's Talking)
+ *       ou ne contenir que la dernière saisie. Les transferts et votes sont envoyés en arrière-plan
+ *       après confirmation par PIN (protection anti brute-force incluse).
+ *
+ *       ### 🔑 Sécurité
+ *       L'agrégateur doit envoyer `USSD_WEBHOOK_TOKEN` dans l'en-tête `X-Webhook-Token` ou le
+ *       paramètre `?token=`. Sans jeton configuré, le webhook répond `503` en production
+ *       (`NODE_ENV=production`) et reste ouvert sinon.
+ *
+ *       Réponse en `text/plain` : `CON <écran>` (la session continue) ou `END <message>` (fin).
+ *       Testez en local avec `npm run ussd:simulate`.
+ *     tags: [USSD]
+ *     parameters:
+ *       - name: token
+ *         in: query
+ *         required: false
+ *         description: Jeton du webhook (alternative à l'en-tête X-Webhook-Token)
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             $ref: '#/components/schemas/UssdCallback'
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UssdCallback'
+ *     responses:
+ *       200:
+ *         description: Écran suivant
+ *         content:
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *             examples:
+ *               menu:
+ *                 value: "CON Bafoka\n1. Mon solde\n2. Envoyer des BFK\n3. Dernieres transactions\n4. Propositions actives\n5. Voter\n0. Quitter"
+ *               balance:
+ *                 value: "END Votre solde: 2950 BFK"
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         description: Jeton de webhook invalide
+ *       503:
+ *         description: Aucun jeton configuré en production (WEBHOOK_TOKEN_NOT_CONFIGURED)
+ */
+router.post('/', requireWebhookToken(config.ussdWebhookToken, 'USSD'), ussdController.handleSession);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     UssdCallback:
+ *       type: object
+ *       required:
+ *         - sessionId
+ *         - phoneNumber
+ *       properties:
+ *         sessionId:
+ *           type: string
+ *           description: Identifiant de session fourni par l'agrégateur (alias session_id)
+ *           example: "ATUid_0f1e2d3c"
+ *         serviceCode:
+ *           type: string
+ *           example: "*384*1234#"
+ *         phoneNumber:
+ *           type: string
+ *           description: Numéro de l'abonné, avec ou sans "+" (alias msisdn)
+ *           example: "+237699887766"
+ *         text:
+ *           type: string
+ *           description: Saisies de l'utilisateur (cumulatives séparées par "*", ou dernière saisie seule)
+ *           example: "1"
+ */
+
+export default router;
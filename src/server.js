@@ -1,7 +1,11 @@
 console.log('🐞 DEBUG: server.js loading...');
 import app from './app.js';
 import { config, validateConfig } from './config/config.js';
+import { adminTxQueue } from './services/adminTxQueue.service.js';
 import { blockchainService } from './services/blockchain.service.js';
+import { governanceIndexer } from './services/governanceIndexer.service.js';
+import { transferIndexer } from './services/transferIndexer.service.js';
+import { treasuryMonitor } from './services/treasuryMonitor.service.js';
 
 // Validation de la configuration
 validateConfig();
@@ -35,6 +39,17 @@ const startServer = async () => {
       console.warn('   Le serveur reste actif mais les fonctionnalités blockchain peuvent échouer.\n');
     }
 
+    // Indexation des transferts et de la gouvernance en arrière-plan
+    // (les endpoints interrogent directement la chaîne en attendant)
+    transferIndexer.start();
+    governanceIndexer.start();
+
+    // Reprise des transactions admin laissées en cours par un précédent démarrage
+    adminTxQueue.start();
+
+    // Relevés des soldes du wallet administrateur et alertes de trésorerie
+    treasuryMonitor.start();
+
     if (!config.adminPrivateKey) {
       console.log('\n⚠️  ATTENTION: Clé privée administrateur non configurée');
       console.log('   Les fonctionnalités de transfert ne seront pas disponibles.');
@@ -0,0 +1,604 @@
+import crypto from 'crypto';
+import { ethers } from 'ethers';
+import { config } from '../config/config.js';
+import { blockchainService } from './blockchain.service.js';
+import { feeStrategy } from './feeStrategy.service.js';
+import { JsonStore } from '../utils/jsonStore.js';
+import { recordTransaction } from '../utils/metrics.js';
+
+// Majoration des frais lors du remplacement d'une transaction bloquée (les nœuds exigent au moins 10%)
+const REPLACEMENT_FEE_BUMP_PERCENT = 25n;
+
+// Marge ajoutée à l'estimation du gas
+const GAS_LIMIT_MARGIN_PERCENT = 20n;
+
+// Délai maximum entre deux tentatives d'envoi (backoff exponentiel)
+const MAX_RETRY_DELAY_MS = 60000;
+
+// Erreurs d'accès au nœud : la tentative est relancée plus tard
+const TRANSIENT_ERROR_CODES = ['NETWORK_ERROR', 'TIMEOUT', 'SERVER_ERROR', 'UNKNOWN_ERROR'];
+const TRANSIENT_ERROR_PATTERN = /ECONNRESET|ECONNREFUSED|ETIMEDOUT|socket hang up|fetch failed/i;
+
+/**
+ * Statuts d'une transaction de la file
+ * - queued : en attente de signature (pas encore de nonce)
+ * - signed : signée avec son nonce, diffusion en cours ou à relancer
+ * - sent : acceptée par le nœud, en attente d'inclusion dans un bloc
+ * - confirmed / failed : état final
+ */
+export const TX_STATUS = {
+  QUEUED: 'queued',
+  SIGNED: 'signed',
+  SENT: 'sent',
+  CONFIRMED: 'confirmed',
+  FAILED: 'failed'
+};
+
+const FINAL_STATUSES = [TX_STATUS.CONFIRMED, TX_STATUS.FAILED];
+
+/**
+ * File d'envoi des transactions du wallet administrateur
+ *
+ * Toutes les écritures signées par ADMIN_PRIVATE_KEY (mint, transferts admin, envoi de CELO,
+ * auto-funding du gas, enregistrement des membres, modération...) passent par cette file :
+ * - un seul signataire et un gestionnaire de nonce local, les transactions sont signées une à
+ *   une dans l'ordre d'arrivée (plus de conflit de nonce entre requêtes simultanées)
+ * - chaque transaction est enregistrée dans DATA_DIR (admin-tx-queue.json) avant signature :
+ *   après un redémarrage, les transactions en cours sont rediffusées puis suivies jusqu'au bloc
+ * - les erreurs réseau sont relancées avec un backoff exponentiel (TX_QUEUE_MAX_ATTEMPTS)
+ * - une transaction non minée après TX_QUEUE_STUCK_AFTER_SECONDS est considérée bloquée et
+ *   remplacée (même nonce, frais majorés)
+ */
+class AdminTxQueue {
+  constructor() {
+    this.store = new JsonStore('admin-tx-queue.json');
+    this.wallet = config.adminPrivateKey
+      ? new ethers.Wallet(config.adminPrivateKey, blockchainService.provider)
+      : null;
+    this.address = this.wallet ? this.wallet.address : null;
+
+    this.nextNonce = null;      // Prochain nonce à attribuer (resynchronisé avec la chaîne si null)
+    this.waiters = new Map();   // Id → { resolve, reject } des appelants en attente du reçu
+    this.processing = null;
+    this.rerun = false;
+    this.timer = null;
+    this.lastError = null;
+  }
+
+  /**
+   * Indique si le wallet administrateur est configuré
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return this.wallet !== null;
+  }
+
+  /**
+   * Démarre le suivi en arrière-plan (TX_QUEUE_POLL_INTERVAL_MS entre deux passes)
+   * et reprend les transactions laissées en cours par un précédent démarrage
+   */
+  start() {
+    if (!this.wallet || this.timer) {
+      return;
+    }
+
+    // Les transactions reprises après un redémarrage sont retentées sans attendre leur backoff
+    const pending = this.getJobs().filter(job => !FINAL_STATUSES.includes(job.status));
+    pending.filter(job => job.nextAttemptAt > 0).forEach(job => this.update(job, { nextAttemptAt: 0 }));
+    console.log(`📮 File des transactions admin démarrée (${this.address}, ${pending.length} en cours)`);
+
+    const tick = async () => {
+      try {
+        await this.process();
+      } catch (error) {
+        // Erreur déjà enregistrée dans lastError, nouvelle tentative à la prochaine passe
+      }
+      this.timer = setTimeout(tick, config.txQueuePollIntervalMs);
+      this.timer.unref();
+    };
+
+    this.timer = setTimeout(tick, 0);
+    this.timer.unref();
+  }
+
+  /**
+   * Arrête le suivi en arrière-plan
+   */
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /*//////////////////////////////////////////////////////////////
+                              ENVOI
+  //////////////////////////////////////////////////////////////*/
+
+  /**
+   * Met une transaction en file et attend son inclusion dans un bloc
+   * @param {string} label - Description pour les logs (ex: 'Mint de 3000 BFK')
+   * @param {Object} request - { to, data, value }
+   * @param {Object} options - { onBroadcast(txHash) } appelé à chaque diffusion (remplacements compris)
+   * @returns {Promise<ethers.TransactionReceipt>} Reçu de la transaction confirmée
+   */
+  async send(label, { to, data = '0x', value = 0n }, { onBroadcast = null } = {}) {
+    if (!this.wallet) {
+      throw error('Clé privée administrateur non configurée', 'ADMIN_WALLET_NOT_CONFIGURED');
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      label,
+      status: TX_STATUS.QUEUED,
+      request: { to: ethers.getAddress(to), data, value: value.toString() },
+      nonce: null,
+      gasLimit: null,
+      fees: null,
+      raw: null,
+      hashes: [],
+      attempts: 0,
+      replacements: 0,
+      stuck: false,
+      nextAttemptAt: 0,
+      createdAt: now,
+      updatedAt: now,
+      sentAt: null,
+      receipt: null,
+      error: null
+    };
+
+    const result = new Promise((resolve, reject) => {
+      this.waiters.set(job.id, { resolve, reject, onBroadcast });
+    });
+
+    this.save(job);
+    console.log(`📮 [${label}] mise en file (${job.id})`);
+
+    this.start();
+    this.process().catch(() => {});
+    return result;
+  }
+
+  /**
+   * Met en file un appel de fonction d'un contrat signé par le wallet administrateur
+   * @param {string} label - Description pour les logs
+   * @param {ethers.Contract} contract - Contrat cible
+   * @param {string} method - Fonction à appeler
+   * @param {Array} args - Arguments
+   * @param {Object} options - Options de send()
+   * @returns {Promise<ethers.TransactionReceipt>} Reçu de la transaction confirmée
+   */
+  async sendContractCall(label, contract, method, args = [], options = {}) {
+    return this.send(label, {
+      to: await contract.getAddress(),
+      data: contract.interface.encodeFunctionData(method, args)
+    }, options);
+  }
+
+  /*//////////////////////////////////////////////////////////////
+                              TRAITEMENT
+  //////////////////////////////////////////////////////////////*/
+
+  /**
+   * Suit les transactions envoyées puis soumet les suivantes (une seule passe à la fois)
+   * @returns {Promise<void>}
+   */
+  async process() {
+    if (this.processing) {
+      this.rerun = true;
+      return this.processing;
+    }
+
+    this.processing = (async () => {
+      do {
+        this.rerun = false;
+        await this.runProcess();
+      } while (this.rerun);
+    })().finally(() => {
+      this.processing = null;
+    });
+
+    return this.processing;
+  }
+
+  /**
+   * @private
+   */
+  async runProcess() {
+    try {
+      await this.checkSent();
+
+      // Soumission dans l'ordre des nonces : une transaction en attente de nouvelle
+      // tentative bloque les suivantes, pour ne jamais laisser de trou de nonce
+      let job;
+      while ((job = this.nextToSubmit()) && job.nextAttemptAt <= Date.now()) {
+        await this.submit(job);
+      }
+
+      this.lastError = null;
+    } catch (err) {
+      this.lastError = err.message;
+      console.warn(`⚠️  File des transactions admin: ${err.message}`);
+      throw err;
+    }
+  }
+
+  /**
+   * Prochaine transaction à signer ou diffuser (remplacements d'abord, puis ordre d'arrivée)
+   * @private
+   */
+  nextToSubmit() {
+    const jobs = this.getJobs();
+    const signed = jobs
+      .filter(job => job.status === TX_STATUS.SIGNED)
+      .sort((a, b) => a.nonce - b.nonce);
+
+    return signed[0] || jobs.find(job => job.status === TX_STATUS.QUEUED) || null;
+  }
+
+  /**
+   * Signe (si besoin) puis diffuse une transaction
+   * @private
+   */
+  async submit(job) {
+    try {
+      if (job.status === TX_STATUS.QUEUED) {
+        await this.sign(job);
+      }
+
+      try {
+        await blockchainService.provider.broadcastTransaction(job.raw);
+      } catch (broadcastError) {
+        // Déjà dans le mempool (rediffusion après une erreur réseau ou un redémarrage)
+        if (!/already known|known transaction/i.test(errorMessage(broadcastError))) {
+          throw broadcastError;
+        }
+      }
+
+      // Comptée une seule fois (les remplacements et rediffusions gardent la même transaction)
+      if (!job.sentAt) {
+        recordTransaction('admin', job.request, 'sent');
+      }
+      this.update(job, {
+        status: TX_STATUS.SENT,
+        sentAt: new Date().toISOString(),
+        nextAttemptAt: 0,
+        error: null
+      });
+      const hash = job.hashes[job.hashes.length - 1];
+      console.log(`⏳ [${job.label}] envoyée (nonce ${job.nonce}): ${hash}`);
+      this.waiters.get(job.id)?.onBroadcast?.(hash);
+    } catch (err) {
+      await this.handleSubmitError(job, err);
+    }
+  }
+
+  /**
+   * Signe la transaction avec le prochain nonce (ou son nonce actuel pour un remplacement)
+   * @private
+   */
+  async sign(job) {
+    const provider = blockchainService.provider;
+    const { to, data, value } = job.request;
+
+    // L'estimation échoue avant l'attribution du nonce si la transaction serait annulée
+    if (!job.gasLimit) {
+      const estimate = await provider.estimateGas({ from: this.address, to, data, value: BigInt(value) });
+      job.gasLimit = (estimate * (100n + GAS_LIMIT_MARGIN_PERCENT) / 100n).toString();
+    }
+
+    const fees = await this.getFees(job.fees);
+    const { chainId } = await provider.getNetwork();
+
+    if (job.nonce === null && this.nextNonce === null) {
+      await this.syncNonce();
+    }
+    const nonce = job.nonce ?? this.nextNonce++;
+
+    const raw = await this.wallet.signTransaction({
+      to,
+      data,
+      value: BigInt(value),
+      nonce,
+      chainId,
+      gasLimit: BigInt(job.gasLimit),
+      ...Object.fromEntries(Object.entries(fees).map(([key, fee]) => [key, key === 'type' ? fee : BigInt(fee)]))
+    });
+
+    this.update(job, {
+      status: TX_STATUS.SIGNED,
+      nonce,
+      fees,
+      raw,
+      hashes: [...job.hashes, ethers.Transaction.from(raw).hash]
+    });
+  }
+
+  /**
+   * Frais de la stratégie partagée, majorés de REPLACEMENT_FEE_BUMP_PERCENT par rapport aux
+   * frais précédents lors d'un remplacement
+   * @private
+   */
+  async getFees(previous = null) {
+    const fees = previous
+      ? await feeStrategy.getReplacementFees(previous, REPLACEMENT_FEE_BUMP_PERCENT)
+      : await feeStrategy.getTxOverrides();
+
+    return Object.fromEntries(Object.entries(fees).map(([key, fee]) => [key, key === 'type' ? fee : fee.toString()]));
+  }
+
+  /**
+   * Échec de signature ou de diffusion : nouvelle tentative, resynchronisation du nonce ou échec
+   * @private
+   */
+  async handleSubmitError(job, err) {
+    const message = errorMessage(err);
+
+    // Nonce déjà utilisé : la transaction a peut-être été minée (remplacement), sinon
+    // le nonce a été consommé hors de la file et la transaction est signée à nouveau
+    if (err.code === 'NONCE_EXPIRED' || /nonce too low|nonce has already been used/i.test(message)) {
+      const receipt = await this.findReceipt(job).catch(() => null);
+      if (receipt) {
+        return this.finalize(job, receipt);
+      }
+
+      this.nextNonce = null;
+      if (job.sentAt) {
+        return this.fail(job, 'Nonce consommé par une autre transaction', 'NONCE_CONSUMED');
+      }
+      console.warn(`⚠️  [${job.label}] nonce ${job.nonce} déjà utilisé, nouvelle signature`);
+      return this.update(job, { status: TX_STATUS.QUEUED, nonce: null, raw: null, error: message });
+    }
+
+    const transient = TRANSIENT_ERROR_CODES.includes(err.code) || TRANSIENT_ERROR_PATTERN.test(message);
+    if (transient && job.attempts + 1 < config.txQueueMaxAttempts) {
+      const delay = Math.min(config.txQueueRetryBaseMs * 2 ** job.attempts, MAX_RETRY_DELAY_MS);
+      console.warn(`⚠️  [${job.label}] tentative ${job.attempts + 1} échouée (${message}), nouvel essai dans ${delay}ms`);
+      return this.update(job, {
+        attempts: job.attempts + 1,
+        nextAttemptAt: Date.now() + delay,
+        error: message
+      });
+    }
+
+    // Remplacement refusé : la transaction précédente reste suivie
+    if (job.sentAt) {
+      console.warn(`⚠️  [${job.label}] remplacement refusé (${message}), suivi de la transaction précédente`);
+      return this.update(job, { status: TX_STATUS.SENT, nextAttemptAt: 0, error: message });
+    }
+
+    // Le nonce attribué n'a pas été utilisé : il sera réattribué à la transaction suivante
+    if (job.nonce !== null) {
+      this.nextNonce = null;
+    }
+    return this.fail(job, message, err.code || 'TX_SUBMISSION_FAILED');
+  }
+
+  /**
+   * Vérifie l'inclusion des transactions envoyées et remplace les transactions bloquées
+   * @private
+   */
+  async checkSent() {
+    const sent = this.getJobs().filter(job => job.status === TX_STATUS.SENT);
+    let minedNonce = null;
+
+    for (const job of sent) {
+      const receipt = await this.findReceipt(job);
+      if (receipt) {
+        this.finalize(job, receipt);
+        continue;
+      }
+
+      const pendingFor = Date.now() - Date.parse(job.sentAt);
+      if (pendingFor < config.txQueueStuckAfterSeconds * 1000) {
+        continue;
+      }
+
+      // Nonce consommé sans reçu pour nos transactions : remplacée par une autre transaction
+      minedNonce ??= await blockchainService.provider.getTransactionCount(this.address, 'latest');
+      if (minedNonce > job.nonce) {
+        const late = await this.findReceipt(job);
+        if (late) {
+          this.finalize(job, late);
+        } else {
+          this.nextNonce = null;
+          this.fail(job, 'Nonce consommé par une autre transaction', 'NONCE_CONSUMED');
+        }
+        continue;
+      }
+
+      // Seule la transaction au plus petit nonce bloque : les suivantes attendent derrière elle
+      if (minedNonce < job.nonce) {
+        continue;
+      }
+
+      if (job.replacements >= config.txQueueMaxAttempts) {
+        if (!job.stuck) {
+          console.warn(`🐌 [${job.label}] toujours bloquée après ${job.replacements} remplacements (nonce ${job.nonce})`);
+          this.update(job, { stuck: true });
+        }
+        continue;
+      }
+
+      console.warn(`🐌 [${job.label}] bloquée depuis ${Math.round(pendingFor / 1000)}s (nonce ${job.nonce}), remplacement avec frais majorés`);
+      try {
+        job.replacements++;
+        job.stuck = true;
+        await this.sign(job);
+      } catch (err) {
+        this.update(job, { sentAt: new Date().toISOString(), error: errorMessage(err) });
+      }
+    }
+  }
+
+  /**
+   * Reçu de la transaction (ou de l'un de ses remplacements) s'il a été miné
+   * @private
+   */
+  async findReceipt(job) {
+    for (const hash of job.hashes) {
+      const receipt = await blockchainService.provider.getTransactionReceipt(hash);
+      if (receipt) {
+        return receipt;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Enregistre le résultat d'une transaction minée
+   * @private
+   */
+  finalize(job, receipt) {
+    const summary = {
+      hash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed.toString(),
+      status: receipt.status
+    };
+
+    if (receipt.status !== 1) {
+      this.update(job, { receipt: summary });
+      return this.fail(job, `Transaction annulée par le contrat (${receipt.hash})`, 'TX_REVERTED');
+    }
+
+    this.update(job, { status: TX_STATUS.CONFIRMED, receipt: summary, raw: null, error: null });
+    recordTransaction('admin', job.request, 'confirmed');
+    console.log(`✅ [${job.label}] confirmée dans le bloc ${receipt.blockNumber}`);
+
+    const waiter = this.waiters.get(job.id);
+    this.waiters.delete(job.id);
+    if (waiter) {
+      waiter.resolve(receipt);
+    }
+    this.prune();
+  }
+
+  /**
+   * Marque une transaction en échec et prévient l'appelant
+   * @private
+   */
+  fail(job, message, code) {
+    this.update(job, { status: TX_STATUS.FAILED, raw: null, error: message });
+    recordTransaction('admin', job.request, 'failed');
+    console.error(`❌ [${job.label}] échec: ${message}`);
+
+    const waiter = this.waiters.get(job.id);
+    this.waiters.delete(job.id);
+    if (waiter) {
+      const err = error(message, code);
+      err.jobId = job.id;
+      waiter.reject(err);
+    }
+    this.prune();
+  }
+
+  /**
+   * Resynchronise le prochain nonce avec la chaîne (et les transactions encore en cours)
+   * @private
+   */
+  async syncNonce() {
+    const pending = await blockchainService.provider.getTransactionCount(this.address, 'pending');
+    const inFlight = this.getJobs()
+      .filter(job => job.nonce !== null && !FINAL_STATUSES.includes(job.status))
+      .map(job => job.nonce + 1);
+
+    this.nextNonce = Math.max(pending, ...inFlight);
+  }
+
+  /*//////////////////////////////////////////////////////////////
+                              LECTURE
+  //////////////////////////////////////////////////////////////*/
+
+  /**
+   * Transaction de la file
+   * @param {string} id - Identifiant
+   * @returns {Object|null} Transaction (sans la transaction signée brute)
+   */
+  getJob(id) {
+    const job = this.store.get(id);
+    return job ? format(job) : null;
+  }
+
+  /**
+   * État de la file
+   * @returns {Object} { configured, address, nextNonce, counts, stuck, lastError, pending, recent }
+   */
+  getStatus() {
+    const jobs = this.getJobs();
+    const counts = Object.fromEntries(Object.values(TX_STATUS).map(status => [status, 0]));
+    jobs.forEach(job => counts[job.status]++);
+
+    return {
+      configured: this.isConfigured(),
+      address: this.address,
+      nextNonce: this.nextNonce,
+      counts,
+      stuck: jobs.filter(job => job.stuck && !FINAL_STATUSES.includes(job.status)).length,
+      lastError: this.lastError,
+      pending: jobs.filter(job => !FINAL_STATUSES.includes(job.status)).map(format),
+      recent: jobs.filter(job => FINAL_STATUSES.includes(job.status)).slice(-20).reverse().map(format)
+    };
+  }
+
+  /**
+   * Transactions enregistrées, de la plus ancienne à la plus récente
+   * @private
+   */
+  getJobs() {
+    return this.store.entries()
+      .map(([, job]) => job)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  /**
+   * @private
+   */
+  save(job) {
+    this.store.set(job.id, job);
+  }
+
+  /**
+   * @private
+   */
+  update(job, changes) {
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+    this.save(job);
+  }
+
+  /**
+   * Ne conserve que les TX_QUEUE_HISTORY_SIZE dernières transactions terminées
+   * @private
+   */
+  prune() {
+    const finished = this.getJobs().filter(job => FINAL_STATUSES.includes(job.status));
+    finished.slice(0, Math.max(0, finished.length - config.txQueueHistorySize))
+      .forEach(job => this.store.delete(job.id));
+  }
+}
+
+/**
+ * @private
+ */
+const format = ({ raw, nextAttemptAt, ...job }) => ({
+  ...job,
+  hash: job.hashes.length > 0 ? job.hashes[job.hashes.length - 1] : null
+});
+
+/**
+ * @private
+ */
+const errorMessage = (err) => err.shortMessage || err.message;
+
+/**
+ * @private
+ */
+const error = (message, code) => {
+  const e = new Error(message);
+  e.code = code;
+  return e;
+};
+
+// Export d'une instance singleton
+export const adminTxQueue = new AdminTxQueue();
+export default adminTxQueue;
@@ -0,0 +1,164 @@
+import fs from 'fs';
+import path from 'path';
+import { config } from '../config/config.js';
+
+// Délai maximum d'un appel au webhook d'alerte
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+/**
+ * Interface d'un canal d'alerte
+ *
+ * Un canal supplémentaire (Slack, PagerDuty, SMS...) étend cette classe et implémente notify(),
+ * puis est enregistré avec registerAlertNotifier('nom', () => new MonCanal())
+ * et activé en ajoutant son nom à TREASURY_ALERT_NOTIFIERS.
+ */
+export class AlertNotifier {
+  /**
+   * Envoie une alerte
+   * @param {Object} alert - Alerte ({ id, level, asset, message, ... })
+   * @returns {Promise<Object>} { notifier, reference }
+   */
+  async notify(alert) {
+    throw new Error(`Canal d'alerte "${this.constructor.name}": notify() non implémenté`);
+  }
+}
+
+/**
+ * Canal "log" : ajoute chaque alerte dans un fichier (une ligne JSON par alerte) et dans les logs
+ */
+export class LogFileAlertNotifier extends AlertNotifier {
+  /**
+   * @param {string} filePath - Fichier des alertes (relatif au répertoire de données)
+   */
+  constructor(filePath) {
+    super();
+    this.filePath = path.resolve(config.dataDir, filePath);
+  }
+
+  async notify(alert) {
+    const icon = alert.level === 'critical' ? '🚨' : alert.level === 'warning' ? '⚠️ ' : '✅';
+    console.warn(`${icon} [Trésorerie] ${alert.message}`);
+
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.promises.appendFile(this.filePath, `${JSON.stringify(alert)}\n`);
+
+    return { notifier: 'log', reference: this.filePath };
+  }
+}
+
+/**
+ * Canal "webhook" : POST de l'alerte en JSON (TREASURY_ALERT_WEBHOOK_URL)
+ */
+export class WebhookAlertNotifier extends AlertNotifier {
+  /**
+   * @param {string} url - URL du webhook
+   */
+  constructor(url) {
+    super();
+    this.url = url;
+  }
+
+  async notify(alert) {
+    if (!this.url) {
+      throw new Error('TREASURY_ALERT_WEBHOOK_URL non configuré');
+    }
+
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(alert),
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Webhook d'alerte: réponse HTTP ${response.status}`);
+    }
+
+    return { notifier: 'webhook', reference: String(response.status) };
+  }
+}
+
+/**
+ * Canal "email" (bouchon) : aucun serveur SMTP n'est configuré, l'email est affiché dans les logs
+ * Un envoi réel s'enregistre avec registerAlertNotifier('email', () => new MonCanalEmail())
+ */
+export class EmailAlertNotifier extends AlertNotifier {
+  /**
+   * @param {string} recipients - Destinataires (TREASURY_ALERT_EMAIL_TO)
+   */
+  constructor(recipients) {
+    super();
+    this.recipients = recipients;
+  }
+
+  async notify(alert) {
+    if (!this.recipients) {
+      throw new Error('TREASURY_ALERT_EMAIL_TO non configuré');
+    }
+
+    console.log(`📧 Email → ${this.recipients}:\n[Bafoka] Trésorerie ${alert.level}: ${alert.message}`);
+    return { notifier: 'email', reference: this.recipients };
+  }
+}
+
+// Canaux disponibles (TREASURY_ALERT_NOTIFIERS)
+const factories = new Map([
+  ['log', () => new LogFileAlertNotifier(config.treasuryAlertLogFile)],
+  ['webhook', () => new WebhookAlertNotifier(config.treasuryAlertWebhookUrl)],
+  ['email', () => new EmailAlertNotifier(config.treasuryAlertEmailTo)]
+]);
+
+let activeNotifiers = null;
+
+/**
+ * Enregistre un canal d'alerte supplémentaire
+ * @param {string} name - Nom utilisé dans TREASURY_ALERT_NOTIFIERS
+ * @param {Function} factory - Fonction retournant une instance d'AlertNotifier
+ */
+export const registerAlertNotifier = (name, factory) => {
+  factories.set(name, factory);
+  if (config.treasuryAlertNotifiers.includes(name)) {
+    activeNotifiers = null;
+  }
+};
+
+/**
+ * Canaux d'alerte configurés (TREASURY_ALERT_NOTIFIERS, log par défaut)
+ * @returns {Array<{name: string, notifier: AlertNotifier}>} Canaux
+ */
+export const getAlertNotifiers = () => {
+  if (!activeNotifiers) {
+    activeNotifiers = config.treasuryAlertNotifiers
+      .filter(name => {
+        if (!factories.has(name)) {
+          console.warn(`⚠️  Canal d'alerte inconnu: ${name} (ignoré)`);
+          return false;
+        }
+        return true;
+      })
+      .map(name => ({ name, notifier: factories.get(name)() }));
+  }
+  return activeNotifiers;
+};
+
+/**
+ * Envoie une alerte sur tous les canaux configurés (l'échec d'un canal n'empêche pas les autres)
+ * @param {Object} alert - Alerte
+ * @returns {Promise<Array<Object>>} Résultat par canal : { notifier, delivered, reference, error }
+ */
+export const dispatchAlert = async (alert) => {
+  const notifiers = getAlertNotifiers();
+  const results = await Promise.allSettled(notifiers.map(({ notifier }) => notifier.notify(alert)));
+
+  return results.map((result, index) => {
+    if (result.status === 'rejected') {
+      console.error(`❌ Canal d'alerte ${notifiers[index].name}: ${result.reason.message}`);
+    }
+    return {
+      notifier: notifiers[index].name,
+      delivered: result.status === 'fulfilled',
+      reference: result.value?.reference ?? null,
+      error: result.status === 'rejected' ? result.reason.message : null
+    };
+  });
+};
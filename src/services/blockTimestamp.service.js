@@ -0,0 +1,110 @@
+import { config } from '../config/config.js';
+import { blockchainService } from './blockchain.service.js';
+
+// Nombre maximum de blocs récupérés en parallèle
+const MAX_CONCURRENT_REQUESTS = 10;
+
+/**
+ * Cache partagé des timestamps de blocs
+ *
+ * Le timestamp d'un bloc ne change pas : une fois lu, il est gardé en mémoire (LRU de
+ * BLOCK_TIMESTAMP_CACHE_SIZE blocs) pour tous les services (transactions, indexeurs, gouvernance).
+ * Les requêtes simultanées pour un même bloc partagent le même appel RPC.
+ */
+class BlockTimestampService {
+  constructor() {
+    this.cache = new Map();    // Numéro de bloc → timestamp (secondes), du moins au plus récemment utilisé
+    this.inFlight = new Map(); // Numéro de bloc → Promise en cours
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  /**
+   * Timestamp d'un bloc
+   * @param {number} blockNumber - Numéro de bloc
+   * @returns {Promise<number>} Timestamp Unix (secondes)
+   */
+  async getTimestamp(blockNumber) {
+    if (this.cache.has(blockNumber)) {
+      this.hits++;
+      const timestamp = this.cache.get(blockNumber);
+      this.remember(blockNumber, timestamp);
+      return timestamp;
+    }
+
+    if (!this.inFlight.has(blockNumber)) {
+      this.misses++;
+      const request = blockchainService.provider.getBlock(blockNumber)
+        .then(block => {
+          if (!block) {
+            throw new Error(`Bloc ${blockNumber} introuvable`);
+          }
+          this.remember(blockNumber, block.timestamp);
+          return block.timestamp;
+        })
+        .finally(() => this.inFlight.delete(blockNumber));
+
+      this.inFlight.set(blockNumber, request);
+    }
+
+    return this.inFlight.get(blockNumber);
+  }
+
+  /**
+   * Timestamps de plusieurs blocs (par lots de MAX_CONCURRENT_REQUESTS requêtes)
+   * @param {Array<number>} blockNumbers - Numéros de bloc (doublons acceptés)
+   * @returns {Promise<Map<number, number>>} Numéro de bloc → timestamp (secondes)
+   */
+  async getTimestamps(blockNumbers) {
+    const unique = [...new Set(blockNumbers)];
+    const timestamps = new Map();
+
+    for (let i = 0; i < unique.length; i += MAX_CONCURRENT_REQUESTS) {
+      const batch = unique.slice(i, i + MAX_CONCURRENT_REQUESTS);
+      const values = await Promise.all(batch.map(blockNumber => this.getTimestamp(blockNumber)));
+      batch.forEach((blockNumber, index) => timestamps.set(blockNumber, values[index]));
+    }
+
+    return timestamps;
+  }
+
+  /**
+   * Enregistre un timestamp déjà connu (ex: bloc d'un reçu de transaction)
+   * @param {number} blockNumber - Numéro de bloc
+   * @param {number} timestamp - Timestamp Unix (secondes)
+   */
+  remember(blockNumber, timestamp) {
+    this.cache.delete(blockNumber);
+    this.cache.set(blockNumber, timestamp);
+
+    if (this.cache.size > config.blockTimestampCacheSize) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+  }
+
+  /**
+   * Statistiques du cache
+   * @returns {Object} { size, maxSize, hits, misses }
+   */
+  getStats() {
+    return {
+      size: this.cache.size,
+      maxSize: config.blockTimestampCacheSize,
+      hits: this.hits,
+      misses: this.misses
+    };
+  }
+}
+
+/**
+ * Convertit un timestamp de bloc (secondes) en date ISO
+ * @param {number|string|null} timestamp - Timestamp Unix (secondes)
+ * @returns {string|null} Date ISO ou null
+ */
+export const toIsoDate = (timestamp) => (
+  timestamp === null || timestamp === undefined ? null : new Date(Number(timestamp) * 1000).toISOString()
+);
+
+// Export d'une instance singleton
+export const blockTimestampService = new BlockTimestampService();
+export default blockTimestampService;
@@ -1,6 +1,7 @@
 import { ethers } from 'ethers';
 import { config } from '../config/config.js';
 import { TOKEN_ABI } from '../contracts/abis.js';
+import { instrumentProvider } from '../utils/metrics.js';
 
 class BlockchainService {
   constructor() {
@@ -12,7 +13,10 @@ class BlockchainService {
 
     // OPTIMISATION: batchMaxCount: 1 permet de faire du parallélisme HTTP pur
     // Cela contourne la limite "Batch of > 3 requests" qui s'applique aux array JSON-RPC
-    this.provider = new ethers.JsonRpcProvider(config.celoRpcUrl, network, { staticNetwork: network, batchMaxCount: 1 });
+    this.provider = instrumentProvider(
+      new ethers.JsonRpcProvider(config.celoRpcUrl, network, { staticNetwork: network, batchMaxCount: 1 }),
+      'blockchain'
+    );
     console.log(`📡 Provider initialisé avec ${config.celoRpcUrl} (No-Batching Mode)`);
 
     // MONKEY PATCH INTELLIGENT: 
@@ -49,13 +53,6 @@ class BlockchainService {
       TOKEN_ABI,
       this.provider
     );
-
-
-    // Wallet administrateur (si clé privée fournie)
-    this.adminWallet = null;
-    if (config.adminPrivateKey) {
-      this.adminWallet = new ethers.Wallet(config.adminPrivateKey, this.provider);
-    }
   }
 
   /**
@@ -125,9 +122,23 @@ class BlockchainService {
    * Récupère les transactions d'une adresse pour le token (Scan inversé intelligent)
    * Scanne depuis le bloc le plus récent vers le passé pour optimiser les performances
    * et contourner les limites RPC, en s'arrêtant dès qu'on a assez de transactions.
+   * direction ('all', 'sent' ou 'received') limite le scan aux transferts sortants ou entrants.
    */
-  async getTokenTransactions(address, fromBlock = 0, toBlock = 'latest', limit = 10) {
+  async getTokenTransactions(address, fromBlock = 0, toBlock = 'latest', limit = 10, direction = 'all') {
     try {
+      // Réponse instantanée depuis l'index local quand il couvre la plage demandée
+      const { transferIndexer } = await import('./transferIndexer.service.js');
+      if (transferIndexer.covers(toBlock)) {
+        return transferIndexer.query(address, {
+          direction,
+          fromBlock: Number.isInteger(fromBlock) ? fromBlock : null,
+          toBlock: Number.isInteger(toBlock) ? toBlock : null,
+          limit
+        });
+      }
+
+      const { blockTimestampService } = await import('./blockTimestamp.service.js');
+
       // 1. Détermination du bloc de fin (le plus récent)
       let normalizedToBlock = toBlock;
       if (toBlock === 'latest') {
@@ -165,9 +176,6 @@ class BlockchainService {
       const sentFilter = this.tokenContract.filters.Transfer(address, null);
       const receivedFilter = this.tokenContract.filters.Transfer(null, address);
 
-      // Cache de bloc local pour éviter de re-fetcher le même timestamp 10x
-      const blockCache = new Map();
-
       // 3. Boucle de scan inversé avec BATCHING PARALLÈLE
       while (currentTo > scanMinBlock && allAttributes.length < limit) {
 
@@ -182,8 +190,8 @@ class BlockchainService {
           batchRanges.push({ from: currentFrom, to: currentTo });
 
           const promise = Promise.all([
-            this.tokenContract.queryFilter(sentFilter, currentFrom, currentTo),
-            this.tokenContract.queryFilter(receivedFilter, currentFrom, currentTo)
+            direction !== 'received' ? this.tokenContract.queryFilter(sentFilter, currentFrom, currentTo) : [],
+            direction !== 'sent' ? this.tokenContract.queryFilter(receivedFilter, currentFrom, currentTo) : []
           ]).then(([sent, received]) => ({
             from: currentFrom,
             to: currentTo,
@@ -212,19 +220,15 @@ class BlockchainService {
             if (res.events.length > 0) {
               const decimals = await this.tokenContract.decimals();
 
-              // PARALLÉLISME SUR LES BLOCS + CACHE
+              // PARALLÉLISME SUR LES BLOCS + CACHE PARTAGÉ DES TIMESTAMPS
               const txPromises = res.events.map(async (event) => {
                 try {
-                  let block = blockCache.get(event.blockNumber);
-                  if (!block) {
-                    block = await event.getBlock();
-                    blockCache.set(event.blockNumber, block);
-                  }
+                  const timestamp = await blockTimestampService.getTimestamp(event.blockNumber);
 
                   return {
                     hash: event.transactionHash,
                     blockNumber: event.blockNumber,
-                    timestamp: block.timestamp,
+                    timestamp,
                     from: event.args.from,
                     to: event.args.to,
                     value: {
@@ -281,6 +285,18 @@ class BlockchainService {
    */
   async getTokenTransactionsComplete(address, fromBlock = 0, toBlock = 'latest') {
     try {
+      const { transferIndexer } = await import('./transferIndexer.service.js');
+      if (transferIndexer.covers(toBlock)) {
+        const { pagination, ...result } = transferIndexer.query(address, {
+          fromBlock: Number.isInteger(fromBlock) ? fromBlock : null,
+          toBlock: Number.isInteger(toBlock) ? toBlock : null,
+          limit: Infinity
+        });
+        return result;
+      }
+
+      const { blockTimestampService } = await import('./blockTimestamp.service.js');
+
       console.log(`🔍 Récupération complète des transactions de ${address}`);
 
       // Obtenir le dernier bloc
@@ -320,13 +336,13 @@ class BlockchainService {
           // Traitement des événements de ce chunk
           const chunkTransactions = await Promise.all(
             chunkEvents.map(async (event) => {
-              const block = await event.getBlock();
+              const timestamp = await blockTimestampService.getTimestamp(event.blockNumber);
               const decimals = await this.tokenContract.decimals();
 
               return {
                 hash: event.transactionHash,
                 blockNumber: event.blockNumber,
-                timestamp: block.timestamp,
+                timestamp,
                 from: event.args.from,
                 to: event.args.to,
                 value: {
@@ -376,10 +392,14 @@ class BlockchainService {
 
   /**
    * Transfère des tokens depuis le compte administrateur
+   * @param {string} toAddress - Adresse destinataire
+   * @param {string|number} amount - Montant en tokens
+   * @param {Object} options - { onBroadcast(txHash) } appelé dès la diffusion de la transaction
    */
-  async transferTokens(toAddress, amount) {
+  async transferTokens(toAddress, amount, { onBroadcast = null } = {}) {
     try {
-      if (!this.adminWallet) {
+      const { adminTxQueue } = await import('./adminTxQueue.service.js');
+      if (!adminTxQueue.isConfigured()) {
         throw new Error('Clé privée administrateur non configurée');
       }
 
@@ -388,29 +408,32 @@ class BlockchainService {
         throw new Error('Adresse de destination invalide');
       }
 
-      // Connexion du contrat avec le wallet admin
-      const tokenWithSigner = this.tokenContract.connect(this.adminWallet);
-      const decimals = await tokenWithSigner.decimals();
+      const decimals = await this.tokenContract.decimals();
 
       // Conversion du montant en wei
       const amountInWei = ethers.parseUnits(amount.toString(), decimals);
 
       // Vérification du solde
-      const adminBalance = await tokenWithSigner.balanceOf(this.adminWallet.address);
+      const adminBalance = await this.tokenContract.balanceOf(adminTxQueue.address);
       if (adminBalance < amountInWei) {
         throw new Error('Solde administrateur insuffisant');
       }
 
-      // Exécution du transfert
+      // Exécution du transfert via la file des transactions admin
       const checksumAddress = ethers.getAddress(toAddress);
-      const tx = await tokenWithSigner.transfer(checksumAddress, amountInWei);
-      const receipt = await tx.wait();
+      const receipt = await adminTxQueue.sendContractCall(
+        `Transfert de ${amount} tokens vers ${checksumAddress}`,
+        this.tokenContract,
+        'transfer',
+        [checksumAddress, amountInWei],
+        { onBroadcast }
+      );
 
       return {
         success: true,
         transactionHash: receipt.hash,
         blockNumber: receipt.blockNumber,
-        from: this.adminWallet.address,
+        from: adminTxQueue.address,
         to: toAddress,
         amount: {
           raw: amountInWei.toString(),
@@ -427,24 +450,30 @@ class BlockchainService {
    * Génère de nouveaux tokens (Mint) - Admin uniquement
    * @param {string} toAddress - Adresse destinataire
    * @param {string} amount - Montant à générer
+   * @param {Object} options - { onBroadcast(txHash) } appelé dès la diffusion de la transaction
    */
-  async mintTokens(toAddress, amount) {
+  async mintTokens(toAddress, amount, { onBroadcast = null } = {}) {
     try {
-      if (!this.adminWallet) {
+      const { adminTxQueue } = await import('./adminTxQueue.service.js');
+      if (!adminTxQueue.isConfigured()) {
         throw new Error('Clé privée administrateur non configurée');
       }
 
       // Forcer le format Checksum Address pour éviter qu'Ethers ne pense que c'est un nom ENS
       const checksumAddress = ethers.getAddress(toAddress);
 
-      const tokenWithSigner = this.tokenContract.connect(this.adminWallet);
-      const decimals = await tokenWithSigner.decimals();
+      const decimals = await this.tokenContract.decimals();
       const amountInWei = ethers.parseUnits(amount.toString(), decimals);
 
       console.log(`🔨 Mint de ${amount} tokens vers ${checksumAddress}...`);
 
-      const tx = await tokenWithSigner.mint(checksumAddress, amountInWei);
-      const receipt = await tx.wait();
+      const receipt = await adminTxQueue.sendContractCall(
+        `Mint de ${amount} tokens vers ${checksumAddress}`,
+        this.tokenContract,
+        'mint',
+        [checksumAddress, amountInWei],
+        { onBroadcast }
+      );
 
       console.log(`✅ Mint confirmé dans le bloc ${receipt.blockNumber}`);
 
@@ -471,7 +500,8 @@ class BlockchainService {
    */
   async sendCelo(toAddress, amount) {
     try {
-      if (!this.adminWallet) {
+      const { adminTxQueue } = await import('./adminTxQueue.service.js');
+      if (!adminTxQueue.isConfigured()) {
         throw new Error('Wallet administrateur non configuré. Vérifiez ADMIN_PRIVATE_KEY dans .env');
       }
 
@@ -484,7 +514,7 @@ class BlockchainService {
       const amountInWei = ethers.parseEther(amount.toString());
 
       // Vérification du solde du wallet admin
-      const adminBalance = await this.provider.getBalance(this.adminWallet.address);
+      const adminBalance = await this.provider.getBalance(adminTxQueue.address);
       if (adminBalance < amountInWei) {
         throw new Error(`Solde insuffisant du wallet administrateur. Solde: ${ethers.formatEther(adminBalance)} CELO`);
       }
@@ -493,17 +523,12 @@ class BlockchainService {
 
       const checksumAddress = ethers.getAddress(toAddress);
 
-      // Création et envoi de la transaction
-      const tx = await this.adminWallet.sendTransaction({
+      // Envoi via la file des transactions admin (attente de la confirmation)
+      const receipt = await adminTxQueue.send(`Envoi de ${amount} CELO à ${checksumAddress}`, {
         to: checksumAddress,
         value: amountInWei
       });
 
-      console.log(`⏳ Transaction envoyée. Hash: ${tx.hash}`);
-
-      // Attente de la confirmation
-      const receipt = await tx.wait();
-
       console.log(`✅ Transaction confirmée dans le bloc ${receipt.blockNumber}`);
 
       return {
@@ -521,6 +546,54 @@ class BlockchainService {
     }
   }
 
+  /**
+   * Transfère tout le CELO d'un wallet vers une autre adresse (frais de la transaction déduits)
+   * @param {string} privateKey - Clé privée du wallet à vider
+   * @param {string} toAddress - Adresse destinataire
+   * @returns {Promise<Object|null>} Détails de la transaction ou null si le solde ne couvre pas les frais
+   */
+  async sweepCelo(privateKey, toAddress) {
+    try {
+      const wallet = new ethers.Wallet(privateKey, this.provider);
+      const balance = await this.provider.getBalance(wallet.address);
+
+      // Un transfert natif coûte exactement 21000 gas : on réserve le coût maximal
+      const gasLimit = 21000n;
+      const { feeStrategy } = await import('./feeStrategy.service.js');
+      const feeParams = await feeStrategy.getTxOverrides();
+      const maxFee = gasLimit * (feeParams.maxFeePerGas ?? feeParams.gasPrice);
+
+      if (balance <= maxFee) {
+        console.log(`ℹ️  Solde CELO trop faible pour être transféré (${ethers.formatEther(balance)} CELO)`);
+        return null;
+      }
+
+      const value = balance - maxFee;
+      console.log(`🧹 Transfert du solde CELO (${ethers.formatEther(value)}) de ${wallet.address} vers ${toAddress}...`);
+
+      const tx = await wallet.sendTransaction({
+        to: ethers.getAddress(toAddress),
+        value,
+        gasLimit,
+        ...feeParams
+      });
+      const receipt = await tx.wait();
+
+      return {
+        transactionHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        from: wallet.address,
+        to: toAddress,
+        amount: ethers.formatEther(value),
+        gasUsed: receipt.gasUsed.toString(),
+        status: receipt.status === 1 ? 'success' : 'failed'
+      };
+    } catch (error) {
+      console.error('❌ Erreur lors du transfert du solde CELO:', error);
+      throw new Error(`Erreur lors du transfert du solde CELO: ${error.message}`);
+    }
+  }
+
   /**
    * Vérifie si une adresse est valide
    */
@@ -550,6 +623,20 @@ class BlockchainService {
    */
   async getAccountInfo(address) {
     try {
+      // Index local à jour : activité complète depuis le déploiement du token
+      const { transferIndexer } = await import('./transferIndexer.service.js');
+      if (transferIndexer.isSynced()) {
+        const activity = transferIndexer.getActivity(address);
+        const balance = await this.provider.getBalance(address);
+
+        return {
+          address,
+          transactionCount: activity.transactionCount,
+          balance: ethers.formatEther(balance),
+          firstTransaction: activity.firstTransaction
+        };
+      }
+
       // On récupère l'historique pour avoir le count ET la première transaction
       const tokenTx = await this.getTokenTransactions(address);
       const balance = await this.provider.getBalance(address);
@@ -601,15 +688,37 @@ class BlockchainService {
    * @returns {Object} Résultat de la transaction
    */
   async transferTokenWithPhoneAuth(fromPhoneNumber, fromPin, toAddress, amount) {
+    // Import du service phone wallet
+    const { phoneWalletService } = await import('./phoneWallet.service.js');
+
+    let signer;
     try {
-      console.log(`💸 Début du transfert: ${amount} tokens vers ${toAddress}`);
+      signer = phoneWalletService.getSignerFromPhone(fromPhoneNumber, fromPin);
+    } catch (error) {
+      throw new Error(`Erreur lors du transfert: ${error.message}`);
+    }
 
-      // Import du service phone wallet
-      const { phoneWalletService } = await import('./phoneWallet.service.js');
+    return this.transferTokensFromWallet(signer.privateKey, toAddress, amount);
+  }
+
+  /**
+   * Effectue un transfert de tokens signé par la clé privée de l'expéditeur
+   * (clé dérivée du téléphone/PIN ou conservée dans une session téléphone)
+   * Avec le relayer activé, l'expéditeur signe un permit et le relayer paie le gas.
+   * @param {string} privateKey - Clé privée de l'expéditeur
+   * @param {string} toAddress - Adresse du destinataire
+   * @param {string} amount - Montant à transférer (en tokens, pas en wei)
+   * @param {Object} options - { onBroadcast(txHash) } appelé dès la diffusion de la transaction,
+   *                          { context } contexte du financement automatique en CELO
+   * @returns {Object} Résultat de la transaction, avec la devise qui a payé les frais (feePayment)
+   */
+  async transferTokensFromWallet(privateKey, toAddress, amount, { onBroadcast = null, context = 'token transfer' } = {}) {
+    try {
+      console.log(`💸 Début du transfert: ${amount} tokens vers ${toAddress}`);
 
-      // 1. Générer le wallet de l'expéditeur à partir de son téléphone/PIN
-      const senderWalletResult = phoneWalletService.createOrGetWalletFromPhone(fromPhoneNumber, fromPin);
-      const senderAddress = senderWalletResult.wallet.address;
+      // 1. Créer le wallet de l'expéditeur pour signer
+      const senderWallet = new ethers.Wallet(privateKey, this.provider);
+      const senderAddress = senderWallet.address;
 
       console.log(`👤 Expéditeur: ${senderAddress}`);
 
@@ -631,57 +740,71 @@ class BlockchainService {
         throw new Error(`Solde insuffisant. Balance: ${senderBalance.formatted} tokens, demandé: ${transferAmount} tokens`);
       }
 
-      // 5. Créer le wallet avec la clé privée pour signer
-      const privateKey = phoneWalletService.derivePrivateKeyFromPhone(fromPhoneNumber, fromPin);
-      const senderWallet = new ethers.Wallet(privateKey, this.provider);
-
-      // 6. Se connecter au contrat token (utilisation de l'adresse validée/rescuée du service)
-      const tokenContract = new ethers.Contract(this.tokenContract.target, TOKEN_ABI, senderWallet);
-
-      // 7. Convertir le montant en wei (18 decimals pour les tokens ERC20 standard)
+      // 5. Convertir le montant en wei (18 decimals pour les tokens ERC20 standard)
       const amountInWei = ethers.parseUnits(amount.toString(), 18);
+      const request = {
+        to: this.tokenContract.target,
+        data: this.tokenContract.interface.encodeFunctionData('transfer', [toAddress, amountInWei])
+      };
 
-      // 8. Estimer le gas nécessaire
-      let gasEstimate;
-      try {
-        gasEstimate = await tokenContract.transfer.estimateGas(toAddress, amountInWei);
-        console.log(`⛽ Gas estimé: ${gasEstimate.toString()}`);
-      } catch (estimateError) {
-        console.warn('⚠️ Estimation du gas échouée, utilisation de valeur par défaut');
-        gasEstimate = BigInt(100000); // Valeur par défaut
-      }
-
-      // 9. Préparer la transaction avec les paramètres appropriés selon le réseau
       const network = await this.provider.getNetwork();
-      let txParams = {
-        gasLimit: gasEstimate + BigInt(20000), // Ajouter une marge
-      };
+      const { relayerService } = await import('./relayer.service.js');
+      let receipt;
+      let feePayment;
+
+      if (relayerService.canRelay('transfer', senderAddress)) {
+        // 6. Méta-transaction : l'expéditeur signe un permit, le relayer paie le gas
+        console.log(`📨 Transfert relayé (permit signé par l'expéditeur)...`);
+        ({ receipt, feePayment } = await relayerService.signAndRelay(
+          senderWallet,
+          'transfer',
+          { toAddress, amount: amount.toString() },
+          { onBroadcast }
+        ));
+      } else {
+        // 6. Estimer le gas nécessaire
+        let gasEstimate;
+        try {
+          gasEstimate = await this.provider.estimateGas({ from: senderAddress, ...request });
+          console.log(`⛽ Gas estimé: ${gasEstimate.toString()}`);
+        } catch (estimateError) {
+          console.warn('⚠️ Estimation du gas échouée, utilisation de valeur par défaut');
+          gasEstimate = BigInt(100000); // Valeur par défaut
+        }
 
-      // Configuration spécifique selon le réseau
-      if (Number(network.chainId) === 11155111) { // Sepolia
-        txParams.gasPrice = ethers.parseUnits('20', 'gwei');
-      } else if (Number(network.chainId) === 44787) { // Alfajores
-        txParams.gasPrice = ethers.parseUnits('2', 'gwei');
-      }
+        // 7. Préparer le paiement des frais : devise de frais configurée (si le wallet en détient
+        // assez, en plus du montant transféré s'il s'agit du même jeton), sinon CELO avec auto-funding
+        const { gasManager } = await import('./gasManager.service.js');
+        const { feeCurrencyService } = await import('./feeCurrency.service.js');
+        const reserve = config.feeCurrencyAddress?.toLowerCase() === String(request.to).toLowerCase() ? amountInWei : 0n;
+        feePayment = await gasManager.prepareFeePayment(senderAddress, request, context, { reserve });
+        const txParams = {
+          ...request,
+          gasLimit: gasEstimate + BigInt(20000) // Ajouter une marge
+        };
 
-      console.log(`🚀 Envoi de la transaction...`);
+        console.log(`🚀 Envoi de la transaction...`);
 
-      // 10. Exécuter le transfert
-      const tx = await tokenContract.transfer(toAddress, amountInWei, txParams);
+        // 8. Exécuter le transfert (frais de la stratégie partagée, ou CIP-64 en devise de frais)
+        const tx = await feeCurrencyService.sendTransaction(senderWallet, txParams, feePayment);
 
-      console.log(`📝 Transaction envoyée: ${tx.hash}`);
-      console.log(`⏳ Attente de confirmation...`);
+        console.log(`📝 Transaction envoyée: ${tx.hash}`);
+        onBroadcast?.(tx.hash);
+        console.log(`⏳ Attente de confirmation...`);
 
-      // 11. Attendre la confirmation
-      const receipt = await tx.wait();
+        // 9. Attendre la confirmation
+        receipt = await tx.wait();
+      }
 
       if (receipt.status !== 1) {
         throw new Error('Transaction échouée lors de l\'exécution');
       }
 
       console.log(`✅ Transaction confirmée dans le bloc ${receipt.blockNumber}`);
+      const { blockTimestampService, toIsoDate } = await import('./blockTimestamp.service.js');
+      const timestamp = await blockTimestampService.getTimestamp(receipt.blockNumber);
 
-      // 12. Retourner les détails de la transaction
+      // 10. Retourner les détails de la transaction
       return {
         success: true,
         transactionHash: receipt.hash,
@@ -691,16 +814,26 @@ class BlockchainService {
         amount: amount,
         amountInWei: amountInWei.toString(),
         gasUsed: receipt.gasUsed.toString(),
-        gasPrice: txParams.gasPrice ? txParams.gasPrice.toString() : 'N/A',
+        gasPrice: (receipt.gasPrice ?? feePayment.quote?.maxFeePerGas ?? 0n).toString(),
+        feePayment: {
+          currency: feePayment.currency,
+          feeCurrency: feePayment.feeCurrency,
+          funding: feePayment.funding,
+          ...(feePayment.relayedBy && { relayedBy: feePayment.relayedBy })
+        },
         status: 'confirmed',
         networkUsed: network.name,
         chainId: Number(network.chainId),
-        timestamp: new Date().toISOString()
+        timestamp: toIsoDate(timestamp)
       };
 
     } catch (error) {
       console.error('❌ Erreur lors du transfert de tokens:', error);
-      throw new Error(`Erreur lors du transfert: ${error.message}`);
+      const e = new Error(`Erreur lors du transfert: ${error.message}`);
+      e.code = error.code;
+      e.status = error.status;
+      e.retryAfter = error.retryAfter;
+      throw e;
     }
   }
 }
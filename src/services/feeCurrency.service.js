@@ -0,0 +1,224 @@
+import { ethers } from 'ethers';
+import { config } from '../config/config.js';
+import { blockchainService } from './blockchain.service.js';
+import { feeStrategy } from './feeStrategy.service.js';
+import { recordTransaction } from '../utils/metrics.js';
+
+// Type de transaction Celo avec paiement des frais en ERC-20 (CIP-64)
+const CIP64_TX_TYPE = 0x7b;
+
+const FEE_CURRENCY_ABI = [
+  'function balanceOf(address) view returns (uint256)',
+  'function symbol() view returns (string)',
+  'function decimals() view returns (uint8)'
+];
+
+/**
+ * Service d'envoi des transactions des wallets téléphone
+ *
+ * Sur Celo, une transaction CIP-64 peut payer ses frais dans un ERC-20 de la liste blanche du
+ * protocole (champ feeCurrency) : avec FEE_CURRENCY_ADDRESS configuré, les wallets téléphone
+ * qui détiennent assez de ce jeton paient leurs frais avec, sans recevoir de CELO du wallet
+ * administrateur. Sinon, la transaction est envoyée en CELO (type 2 ou legacy, voir feeStrategy).
+ */
+class FeeCurrencyService {
+  constructor() {
+    this.token = null;
+    this.metadata = null;
+  }
+
+  /**
+   * Indique si le paiement des frais en ERC-20 est configuré
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return Boolean(config.feeCurrencyAddress);
+  }
+
+  /**
+   * Devis des frais d'une transaction payés dans la devise configurée
+   * @param {string} fromAddress - Adresse du wallet qui paiera les frais
+   * @param {Object} request - { to, data, value }
+   * @param {Object} options - { reserve } montant (unités du jeton) déjà engagé par la transaction
+   *                           elle-même, ex. un transfert de ce même jeton
+   * @returns {Promise<Object>} { feeCurrency, currency, gasLimit, maxFeePerGas, maxPriorityFeePerGas,
+   *                            maxCost, balance, affordable }
+   */
+  async quote(fromAddress, request, { reserve = 0n } = {}) {
+    const provider = blockchainService.provider;
+    const feeCurrency = config.feeCurrencyAddress;
+    const { symbol, decimals } = await this.getMetadata();
+
+    const [gasEstimate, baseFee, tip, balance] = await Promise.all([
+      provider.estimateGas({ from: fromAddress, ...request }),
+      provider.send('eth_gasPrice', [feeCurrency]).then(BigInt),
+      provider.send('eth_maxPriorityFeePerGas', [feeCurrency]).then(BigInt).catch(() => 0n),
+      this.getToken().balanceOf(fromAddress)
+    ]);
+
+    // Le débit et le crédit des frais dans le jeton consomment du gas en plus de l'exécution
+    const gasLimit = gasEstimate + BigInt(config.feeCurrencyGasOverhead);
+    const multiplier = BigInt(Math.round(config.feeBaseFeeMultiplier * 100));
+    const maxFeePerGas = baseFee * multiplier / 100n + tip;
+    const maxCost = gasLimit * maxFeePerGas;
+
+    return {
+      feeCurrency,
+      currency: symbol,
+      decimals,
+      gasLimit,
+      maxFeePerGas,
+      maxPriorityFeePerGas: tip > maxFeePerGas ? maxFeePerGas : tip,
+      maxCost,
+      balance,
+      affordable: balance >= maxCost + BigInt(reserve)
+    };
+  }
+
+  /**
+   * Signe et diffuse une transaction d'un wallet utilisateur
+   * @param {ethers.Wallet} wallet - Wallet signataire (connecté au provider)
+   * @param {Object} request - { to, data, value, gasLimit }
+   * @param {Object} payment - Paiement des frais (gasManager.prepareFeePayment) ; quote présent
+   *                           pour un paiement dans la devise configurée
+   * @returns {Promise<Object>} { hash, wait() } - wait() lève une erreur si la transaction est annulée
+   */
+  async sendTransaction(wallet, request, payment) {
+    let sent;
+    try {
+      sent = await this.broadcast(wallet, request, payment);
+    } catch (error) {
+      recordTransaction('user', request, 'failed');
+      throw error;
+    }
+    recordTransaction('user', request, 'sent');
+
+    const { hash, wait } = sent;
+
+    return {
+      hash,
+      wait: async () => {
+        try {
+          const receipt = await wait();
+          recordTransaction('user', request, 'confirmed');
+          return receipt;
+        } catch (error) {
+          recordTransaction('user', request, 'failed');
+          throw error;
+        }
+      }
+    };
+  }
+
+  /**
+   * Signe et diffuse la transaction (CIP-64 si une devise de frais est cotée, sinon en CELO)
+   * @private
+   */
+  async broadcast(wallet, request, payment) {
+    if (!payment?.quote) {
+      const tx = await wallet.sendTransaction({ ...request, ...await feeStrategy.getTxOverrides() });
+      return { hash: tx.hash, wait: () => tx.wait() };
+    }
+
+    const provider = blockchainService.provider;
+    const { quote } = payment;
+    const [{ chainId }, nonce] = await Promise.all([
+      provider.getNetwork(),
+      provider.getTransactionCount(wallet.address, 'pending')
+    ]);
+
+    const raw = signCip64(wallet.signingKey, {
+      chainId,
+      nonce,
+      maxPriorityFeePerGas: quote.maxPriorityFeePerGas,
+      maxFeePerGas: quote.maxFeePerGas,
+      gasLimit: quote.gasLimit,
+      to: request.to,
+      value: BigInt(request.value || 0),
+      data: request.data || '0x',
+      feeCurrency: quote.feeCurrency
+    });
+
+    const hash = await provider.send('eth_sendRawTransaction', [raw]);
+    console.log(`🪙 Transaction ${hash} envoyée avec frais en ${quote.currency}`);
+
+    return {
+      hash,
+      wait: async () => {
+        const receipt = await provider.waitForTransaction(hash);
+        if (receipt.status !== 1) {
+          const e = new Error(`Transaction annulée par le contrat (${hash})`);
+          e.code = 'CALL_EXCEPTION';
+          e.receipt = receipt;
+          throw e;
+        }
+        return receipt;
+      }
+    };
+  }
+
+  /**
+   * Symbole et décimales de la devise de frais (FEE_CURRENCY_SYMBOL prioritaire, ex. pour un adaptateur)
+   * @returns {Promise<Object>} { symbol, decimals }
+   */
+  async getMetadata() {
+    if (!this.metadata) {
+      const token = this.getToken();
+      const [symbol, decimals] = await Promise.all([
+        config.feeCurrencySymbol || token.symbol().catch(() => 'ERC20'),
+        token.decimals().then(Number).catch(() => 18)
+      ]);
+      this.metadata = { symbol, decimals };
+    }
+    return this.metadata;
+  }
+
+  /**
+   * @private
+   */
+  getToken() {
+    if (!this.token || this.token.runner !== blockchainService.provider) {
+      this.token = new ethers.Contract(config.feeCurrencyAddress, FEE_CURRENCY_ABI, blockchainService.provider);
+    }
+    return this.token;
+  }
+}
+
+/**
+ * Sérialise et signe une transaction CIP-64 :
+ * 0x7b || rlp([chainId, nonce, maxPriorityFeePerGas, maxFeePerGas, gasLimit, to, value, data,
+ *              accessList, feeCurrency, yParity, r, s])
+ * @private
+ */
+const signCip64 = (signingKey, tx) => {
+  const fields = [
+    ethers.toBeArray(tx.chainId),
+    ethers.toBeArray(tx.nonce),
+    ethers.toBeArray(tx.maxPriorityFeePerGas),
+    ethers.toBeArray(tx.maxFeePerGas),
+    ethers.toBeArray(tx.gasLimit),
+    ethers.getAddress(tx.to),
+    ethers.toBeArray(tx.value),
+    tx.data,
+    [],
+    ethers.getAddress(tx.feeCurrency)
+  ];
+
+  const typePrefix = ethers.toBeHex(CIP64_TX_TYPE, 1);
+  const digest = ethers.keccak256(ethers.concat([typePrefix, ethers.encodeRlp(fields)]));
+  const signature = signingKey.sign(digest);
+
+  return ethers.concat([
+    typePrefix,
+    ethers.encodeRlp([
+      ...fields,
+      ethers.toBeArray(signature.yParity),
+      ethers.toBeArray(signature.r),
+      ethers.toBeArray(signature.s)
+    ])
+  ]);
+};
+
+// Export d'une instance singleton
+export const feeCurrencyService = new FeeCurrencyService();
+export default feeCurrencyService;
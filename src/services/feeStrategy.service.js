@@ -0,0 +1,212 @@
+import { ethers } from 'ethers';
+import { config } from '../config/config.js';
+import { blockchainService } from './blockchain.service.js';
+
+// Profils de frais par réseau (en gwei) : type de transaction, bornes du pourboire (tip)
+// et plafond du prix maximum. Les variables FEE_* remplacent les valeurs du profil actif.
+export const NETWORK_FEE_PROFILES = {
+  42220: { name: 'celo', eip1559: true, minPriorityFeeGwei: '0.1', maxPriorityFeeGwei: '10', maxFeePerGasGwei: '200' },
+  11142220: { name: 'celo-sepolia', eip1559: true, minPriorityFeeGwei: '0.1', maxPriorityFeeGwei: '10', maxFeePerGasGwei: '200' },
+  44787: { name: 'celo-alfajores', eip1559: true, minPriorityFeeGwei: '0.1', maxPriorityFeeGwei: '10', maxFeePerGasGwei: '200' },
+  11155111: { name: 'sepolia', eip1559: true, minPriorityFeeGwei: '0.01', maxPriorityFeeGwei: '5', maxFeePerGasGwei: '100' },
+  default: { name: 'default', eip1559: null, minPriorityFeeGwei: '0', maxPriorityFeeGwei: null, maxFeePerGasGwei: null }
+};
+
+/**
+ * Stratégie de frais partagée par tous les signataires du backend
+ *
+ * Transactions de type 2 (EIP-1559) quand le réseau les supporte (bloc avec baseFeePerGas) :
+ * le pourboire est la médiane (FEE_HISTORY_PERCENTILE) des pourboires des FEE_HISTORY_BLOCKS
+ * derniers blocs (eth_feeHistory), borné par le profil du réseau, et le prix maximum vaut
+ * FEE_BASE_FEE_MULTIPLIER × baseFee + pourboire, plafonné. Sinon, transaction legacy au
+ * gasPrice du nœud, plafonné lui aussi. Les frais sont recalculés à chaque nouveau bloc.
+ */
+class FeeStrategyService {
+  constructor() {
+    this.profile = null;
+    this.cache = null; // { blockNumber, fees }
+  }
+
+  /**
+   * Frais à appliquer à une nouvelle transaction
+   * @returns {Promise<Object>} { type: 2, maxFeePerGas, maxPriorityFeePerGas, baseFeePerGas }
+   *                            ou { type: 0, gasPrice } (bigint)
+   * @throws {Error} FEE_CAP_EXCEEDED (503) si les frais du réseau dépassent le plafond configuré
+   */
+  async getFees() {
+    const provider = blockchainService.provider;
+    const profile = await this.getProfile();
+    const block = await provider.getBlock('latest');
+
+    if (this.cache && block && this.cache.blockNumber === block.number) {
+      return this.cache.fees;
+    }
+
+    const useEip1559 = profile.eip1559 !== false && block?.baseFeePerGas !== null && block?.baseFeePerGas !== undefined;
+    const fees = useEip1559
+      ? await this.getEip1559Fees(profile, block.baseFeePerGas)
+      : await this.getLegacyFees(profile);
+
+    if (block) {
+      this.cache = { blockNumber: block.number, fees };
+    }
+    return fees;
+  }
+
+  /**
+   * Frais sous forme d'options ethers (contract.method(...args, overrides) ou sendTransaction)
+   * @returns {Promise<Object>} { type, maxFeePerGas, maxPriorityFeePerGas } ou { type, gasPrice }
+   */
+  async getTxOverrides() {
+    const { baseFeePerGas, ...overrides } = await this.getFees();
+    return overrides;
+  }
+
+  /**
+   * Frais d'un remplacement : frais actuels, au moins `percent` % au-dessus des frais
+   * précédents (règle des nœuds), dans la limite du plafond
+   * @param {Object} previous - Frais de la transaction remplacée (valeurs bigint ou chaînes)
+   * @param {bigint} percent - Majoration minimum en pourcentage
+   * @returns {Promise<Object>} Frais (même forme que getTxOverrides)
+   */
+  async getReplacementFees(previous, percent) {
+    const current = await this.getTxOverrides();
+    const profile = await this.getProfile();
+    const cap = profile.maxFeePerGas;
+
+    return Object.fromEntries(Object.entries(current).map(([key, fee]) => {
+      if (key === 'type' || previous?.[key] === undefined || previous?.[key] === null) {
+        return [key, fee];
+      }
+      const bumped = BigInt(previous[key]) * (100n + percent) / 100n;
+      const value = fee > bumped ? fee : bumped;
+      return [key, cap !== null && value > cap ? cap : value];
+    }));
+  }
+
+  /**
+   * Profil de frais du réseau connecté, complété par la configuration
+   * @returns {Promise<Object>} { chainId, name, eip1559, minPriorityFee, maxPriorityFee, maxFeePerGas, ... }
+   */
+  async getProfile() {
+    if (this.profile) {
+      return this.profile;
+    }
+
+    const { chainId } = await blockchainService.provider.getNetwork();
+    const base = NETWORK_FEE_PROFILES[Number(chainId)] || NETWORK_FEE_PROFILES.default;
+    const gwei = (value) => (value === null || value === undefined || value === '' ? null : ethers.parseUnits(String(value), 'gwei'));
+
+    this.profile = {
+      chainId: Number(chainId),
+      name: base.name,
+      eip1559: config.feeMode === 'auto' ? base.eip1559 : config.feeMode === 'eip1559',
+      minPriorityFee: gwei(config.feeMinPriorityFeeGwei ?? base.minPriorityFeeGwei) ?? 0n,
+      maxPriorityFee: gwei(config.feeMaxPriorityFeeGwei ?? base.maxPriorityFeeGwei),
+      maxFeePerGas: gwei(config.feeMaxFeePerGasGwei ?? base.maxFeePerGasGwei),
+      baseFeeMultiplier: config.feeBaseFeeMultiplier,
+      historyBlocks: config.feeHistoryBlocks,
+      historyPercentile: config.feeHistoryPercentile
+    };
+
+    console.log(`⛽ Stratégie de frais: profil ${this.profile.name} (chainId ${this.profile.chainId})`);
+    return this.profile;
+  }
+
+  /*//////////////////////////////////////////////////////////////
+                            CALCUL DES FRAIS
+  //////////////////////////////////////////////////////////////*/
+
+  /**
+   * @private
+   */
+  async getEip1559Fees(profile, baseFeePerGas) {
+    let maxPriorityFeePerGas = await this.getPriorityFee(profile);
+
+    const multiplier = BigInt(Math.round(profile.baseFeeMultiplier * 100));
+    let maxFeePerGas = baseFeePerGas * multiplier / 100n + maxPriorityFeePerGas;
+
+    if (profile.maxFeePerGas !== null && maxFeePerGas > profile.maxFeePerGas) {
+      this.assertBelowCap(profile, baseFeePerGas);
+      maxFeePerGas = profile.maxFeePerGas;
+    }
+    if (maxPriorityFeePerGas > maxFeePerGas) {
+      maxPriorityFeePerGas = maxFeePerGas;
+    }
+
+    return { type: 2, maxFeePerGas, maxPriorityFeePerGas, baseFeePerGas };
+  }
+
+  /**
+   * @private
+   */
+  async getLegacyFees(profile) {
+    const feeData = await blockchainService.provider.getFeeData();
+    const gasPrice = feeData.gasPrice ?? feeData.maxFeePerGas;
+
+    if (profile.maxFeePerGas !== null && gasPrice > profile.maxFeePerGas) {
+      this.assertBelowCap(profile, gasPrice);
+    }
+
+    return { type: 0, gasPrice };
+  }
+
+  /**
+   * Pourboire : percentile des derniers blocs (eth_feeHistory), sinon suggestion du nœud, borné par le profil
+   * @private
+   */
+  async getPriorityFee(profile) {
+    const provider = blockchainService.provider;
+    let tip = null;
+
+    try {
+      const history = await provider.send('eth_feeHistory', [
+        ethers.toQuantity(profile.historyBlocks),
+        'latest',
+        [profile.historyPercentile]
+      ]);
+      const rewards = (history?.reward || [])
+        .map(([reward]) => BigInt(reward))
+        .sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+      if (rewards.length > 0) {
+        tip = rewards[Math.floor(rewards.length / 2)];
+      }
+    } catch (error) {
+      // eth_feeHistory non supporté : suggestion du nœud
+    }
+
+    if (tip === null) {
+      const feeData = await provider.getFeeData();
+      tip = feeData.maxPriorityFeePerGas ?? profile.minPriorityFee;
+    }
+
+    if (tip < profile.minPriorityFee) {
+      tip = profile.minPriorityFee;
+    }
+    if (profile.maxPriorityFee !== null && tip > profile.maxPriorityFee) {
+      tip = profile.maxPriorityFee;
+    }
+    return tip;
+  }
+
+  /**
+   * Refuse de signer une transaction qui ne pourrait pas être incluse sous le plafond
+   * @private
+   */
+  assertBelowCap(profile, networkFee) {
+    if (networkFee <= profile.maxFeePerGas) {
+      return;
+    }
+    const e = new Error(
+      `Frais du réseau (${ethers.formatUnits(networkFee, 'gwei')} gwei) au-dessus du plafond ` +
+      `configuré (${ethers.formatUnits(profile.maxFeePerGas, 'gwei')} gwei)`
+    );
+    e.code = 'FEE_CAP_EXCEEDED';
+    e.status = 503;
+    throw e;
+  }
+}
+
+// Export d'une instance singleton
+export const feeStrategy = new FeeStrategyService();
+export default feeStrategy;
@@ -0,0 +1,197 @@
+import { ethers } from 'ethers';
+import { config } from '../config/config.js';
+import { GOVERNANCE_ABI } from '../contracts/abis.js';
+import { blockchainService } from './blockchain.service.js';
+import { gasManager } from './gasManager.service.js';
+import { feeStrategy } from './feeStrategy.service.js';
+import { gasSponsorship } from './gasSponsorship.service.js';
+import { phoneWalletService } from './phoneWallet.service.js';
+import { phoneDirectoryService } from './phoneDirectory.service.js';
+import { decodeRevertReason } from '../utils/revertReason.js';
+
+// Actions de gouvernance estimables : méthode du contrat et contexte du financement automatique
+export const GOVERNANCE_ACTIONS = {
+  proposal: { method: 'createProposal', context: 'create proposal' },
+  vote: { method: 'castVote', context: 'cast vote' },
+  contest: { method: 'raiseContest', context: 'raise contest' }
+};
+
+const governanceInterface = new ethers.Interface(GOVERNANCE_ABI);
+
+/**
+ * Service d'estimation des frais de transaction
+ *
+ * Estime le gas d'une transaction signée par un utilisateur (transfert BFK, proposition,
+ * vote, contestation), la valorise avec la stratégie de frais partagée et indique si le
+ * gasManager financera d'abord l'expéditeur en CELO (solde sous le seuil d'auto-funding),
+ * ou si la politique de sponsoring refuserait ce financement.
+ */
+class GasEstimatorService {
+  /**
+   * Résout l'expéditeur d'une estimation : adresse fournie, ou adresse du compte d'un numéro
+   * retrouvée dans l'annuaire (empreinte du numéro, sans PIN ni dérivation)
+   * @param {Object} params - { fromAddress, phoneNumber }
+   * @returns {Object} { address, phoneNumber } - phoneNumber masqué si l'expéditeur vient d'un numéro
+   * @throws {Error} MISSING_SENDER / INVALID_ADDRESS / INVALID_PHONE_NUMBER (400), SENDER_NOT_FOUND (404)
+   */
+  resolveSender({ fromAddress, phoneNumber }) {
+    if (!fromAddress === !phoneNumber) {
+      const e = new Error('Indiquez soit fromAddress, soit phoneNumber (expéditeur)');
+      e.code = 'MISSING_SENDER';
+      e.status = 400;
+      throw e;
+    }
+
+    if (fromAddress) {
+      if (!blockchainService.isValidAddress(fromAddress)) {
+        const e = new Error('Adresse de l\'expéditeur invalide');
+        e.code = 'INVALID_ADDRESS';
+        e.status = 400;
+        throw e;
+      }
+      return { address: fromAddress, phoneNumber: null };
+    }
+
+    const validation = phoneWalletService.validatePhoneNumber(phoneNumber);
+    if (!validation.isValid) {
+      const e = new Error(`Numéro de téléphone invalide: ${validation.error}`);
+      e.code = 'INVALID_PHONE_NUMBER';
+      e.status = 400;
+      throw e;
+    }
+
+    const entry = phoneDirectoryService.get(phoneNumber);
+    if (!entry) {
+      const e = new Error('Aucun compte enregistré pour ce numéro');
+      e.code = 'SENDER_NOT_FOUND';
+      e.status = 404;
+      throw e;
+    }
+
+    return { address: entry.address, phoneNumber: phoneWalletService.maskPhoneNumber(phoneNumber) };
+  }
+
+  /**
+   * Estime un transfert de tokens BFK
+   * @param {string} fromAddress - Adresse de l'expéditeur
+   * @param {string} toAddress - Adresse du destinataire
+   * @param {string|number} amount - Montant en unités token
+   * @returns {Promise<Object>} Estimation (voir estimate())
+   */
+  async estimateTokenTransfer(fromAddress, toAddress, amount) {
+    const decimals = await blockchainService.tokenContract.decimals();
+    const data = blockchainService.tokenContract.interface.encodeFunctionData('transfer', [
+      toAddress,
+      ethers.parseUnits(amount.toString(), decimals)
+    ]);
+
+    return this.estimate(
+      { from: fromAddress, to: await blockchainService.tokenContract.getAddress(), data },
+      'token transfer'
+    );
+  }
+
+  /**
+   * Estime une action de gouvernance signée par un membre
+   * @param {string} fromAddress - Adresse du membre
+   * @param {string} action - Action (proposal, vote, contest)
+   * @param {Array} args - Arguments de la méthode du contrat
+   *                       (proposal: [ipfsCID, title, impactLevel], vote: [proposalId, support],
+   *                       contest: [proposalId, reason, evidenceCID])
+   * @returns {Promise<Object>} Estimation (voir estimate())
+   */
+  async estimateGovernanceAction(fromAddress, action, args) {
+    const { method, context } = GOVERNANCE_ACTIONS[action];
+
+    if (!config.governanceContractAddress) {
+      const e = new Error('Adresse du contrat de gouvernance non configurée');
+      e.code = 'GOVERNANCE_NOT_CONFIGURED';
+      e.status = 503;
+      throw e;
+    }
+
+    let data;
+    try {
+      data = governanceInterface.encodeFunctionData(method, args);
+    } catch (error) {
+      const e = new Error(`Paramètres invalides pour ${method}: ${error.shortMessage || error.message}`);
+      e.code = 'INVALID_PARAMETER';
+      e.status = 400;
+      throw e;
+    }
+
+    return this.estimate({ from: fromAddress, to: config.governanceContractAddress, data }, context);
+  }
+
+  /**
+   * Estime le gas d'une transaction et son coût aux frais actuels du réseau
+   * @param {Object} transaction - { from, to, data, value }
+   * @param {string} context - Contexte du financement automatique (voir gasManager.getMinBalance)
+   * @returns {Promise<Object>} { gasLimit, fees, cost, sender, autoFunding }
+   * @throws {Error} ESTIMATION_REVERTED (422) si la transaction serait annulée par le contrat
+   */
+  async estimate(transaction, context = 'transaction') {
+    const provider = blockchainService.provider;
+
+    const [gasLimit, fees, balance] = await Promise.all([
+      provider.estimateGas(transaction).catch((error) => {
+        if (error.code !== 'CALL_EXCEPTION') {
+          throw error;
+        }
+        const reason = decodeRevertReason(error);
+        const e = new Error(`La transaction serait annulée: ${reason}`);
+        e.code = 'ESTIMATION_REVERTED';
+        e.status = 422;
+        e.reason = reason;
+        throw e;
+      }),
+      feeStrategy.getFees(),
+      provider.getBalance(transaction.from)
+    ]);
+
+    // Frais de la stratégie partagée : prix attendu (baseFee + pourboire) et plafond payé au pire
+    const gasPrice = fees.type === 2 ? fees.baseFeePerGas + fees.maxPriorityFeePerGas : fees.gasPrice;
+    const maxFeePerGas = fees.type === 2 ? fees.maxFeePerGas : fees.gasPrice;
+    const estimatedCost = gasLimit * gasPrice;
+    const maximumCost = gasLimit * maxFeePerGas;
+
+    // Même règle que gasManager.checkAndFundGas() au moment de l'envoi
+    const minBalance = gasManager.getMinBalance(context);
+    const fundingAmount = ethers.parseEther(gasManager.autoGasAmount.toString());
+    const decision = balance < minBalance
+      ? gasSponsorship.evaluate(transaction.from, context, fundingAmount)
+      : null;
+    const willFund = Boolean(decision?.allowed);
+    const balanceAfterFunding = willFund ? balance + fundingAmount : balance;
+
+    return {
+      gasLimit: gasLimit.toString(),
+      fees: {
+        type: fees.type,
+        gasPrice: gasPrice.toString(),
+        maxFeePerGas: maxFeePerGas.toString(),
+        maxPriorityFeePerGas: fees.maxPriorityFeePerGas?.toString() ?? null,
+        gasPriceGwei: ethers.formatUnits(gasPrice, 'gwei')
+      },
+      cost: {
+        estimated: ethers.formatEther(estimatedCost),
+        maximum: ethers.formatEther(maximumCost),
+        currency: 'CELO'
+      },
+      sender: {
+        balance: ethers.formatEther(balance),
+        sufficientBalance: balanceAfterFunding >= maximumCost
+      },
+      autoFunding: {
+        willFund,
+        threshold: ethers.formatEther(minBalance),
+        amount: willFund ? gasManager.autoGasAmount.toString() : '0',
+        refusal: decision && !decision.allowed ? { code: decision.code, message: decision.message } : null
+      }
+    };
+  }
+}
+
+// Export d'une instance singleton
+export const gasEstimator = new GasEstimatorService();
+export default gasEstimator;
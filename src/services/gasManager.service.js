@@ -1,35 +1,32 @@
 import { ethers } from 'ethers';
 import { config } from '../config/config.js';
+import { adminTxQueue } from './adminTxQueue.service.js';
 import { blockchainService } from './blockchain.service.js';
+import { feeCurrencyService } from './feeCurrency.service.js';
+import { gasSponsorship } from './gasSponsorship.service.js';
 
 /**
  * Service de gestion automatique du gas
  * 
  * Ce service s'assure qu'aucune transaction n'échoue jamais par manque de gas.
  * Il vérifie automatiquement le solde des wallets utilisateurs et envoie du CELO
- * depuis le wallet admin si nécessaire.
+ * depuis le wallet admin si nécessaire (via la file des transactions admin).
  * 
  * Fonctionnalités :
  * - Vérification automatique du solde avant transaction
  * - Funding automatique si solde < seuil minimum
- * - Logs détaillés pour audit
+ * - Politique de sponsoring (budgets, plafond par adresse, contextes, exclusions)
+ * - Registre persistant des financements pour audit (gasSponsorship)
  * - Gestion d'erreurs robuste
  */
 class GasManager {
     constructor() {
-        this.provider = new ethers.JsonRpcProvider(config.celoRpcUrl);
+        this.provider = blockchainService.provider;
         this.minGasBalance = ethers.parseEther(config.minGasBalance.toString());
 
         // On garde un auto-funding confortable (0.05 CELO minimum)
         const autoFund = Math.max(config.autoGasAmount, 0.05);
         this.autoGasAmount = autoFund;
-
-        // Statistiques pour monitoring
-        this.stats = {
-            totalFundings: 0,
-            totalAmountFunded: 0,
-            lastFunding: null
-        };
     }
 
     /**
@@ -37,19 +34,14 @@ class GasManager {
      * @param {string} userAddress - Adresse de l'utilisateur
      * @param {string} context - Contexte de l'appel (pour les logs)
      * @returns {Promise<Object>} Résultat de la vérification/funding
+     * @throws {Error} Refus de la politique de sponsoring (voir SPONSORSHIP_ERRORS), avec statut HTTP
      */
     async checkAndFundGas(userAddress, context = 'transaction') {
         try {
             console.log(`⛽ [GasManager] Vérification du gas pour ${userAddress} (${context})`);
 
             // Définir le seuil en fonction du contexte
-            let currentMinBalance = this.minGasBalance;
-
-            // Pour la création de proposition (coûteuse), on augmente le seuil
-            if (context === 'create proposal') {
-                currentMinBalance = ethers.parseEther('0.02');
-                console.log(`   ℹ️ Contexte "create proposal": Seuil augmenté à 0.02 CELO`);
-            }
+            const currentMinBalance = this.getMinBalance(context);
 
             // 1. Récupérer le solde actuel
             const balance = await this.provider.getBalance(userAddress);
@@ -62,22 +54,22 @@ class GasManager {
             if (balance < currentMinBalance) {
                 console.log(`   ⚠️  Solde insuffisant! Auto-funding en cours...`);
 
-                // 3. Envoyer du CELO depuis le wallet admin
+                // 3. Politique de sponsoring : le financement est réservé sur les budgets (ou refusé)
+                const reservation = gasSponsorship.reserve(
+                    userAddress,
+                    context,
+                    ethers.parseEther(this.autoGasAmount.toString())
+                );
+
+                // 4. Envoyer du CELO depuis le wallet admin
                 try {
                     const fundingResult = await blockchainService.sendCelo(
                         userAddress,
                         this.autoGasAmount.toString()
                     );
 
-                    // Mise à jour des statistiques
-                    this.stats.totalFundings++;
-                    this.stats.totalAmountFunded += this.autoGasAmount;
-                    this.stats.lastFunding = {
-                        address: userAddress,
-                        amount: this.autoGasAmount,
-                        timestamp: new Date().toISOString(),
-                        txHash: fundingResult.transactionHash
-                    };
+                    // Inscription au registre des financements
+                    gasSponsorship.settle(reservation, { txHash: fundingResult.transactionHash });
 
                     console.log(`   ✅ Auto-funding réussi!`);
                     console.log(`      💸 Montant: ${this.autoGasAmount} CELO`);
@@ -94,6 +86,7 @@ class GasManager {
 
                 } catch (fundingError) {
                     console.error(`   ❌ Échec de l'auto-funding:`, fundingError.message);
+                    gasSponsorship.settle(reservation, { error: fundingError });
 
                     // Vérifier si c'est un problème de solde admin
                     if (fundingError.message.includes('insufficient funds')) {
@@ -121,6 +114,78 @@ class GasManager {
         }
     }
 
+    /**
+     * Seuil de solde en dessous duquel une adresse est financée automatiquement
+     * @param {string} context - Contexte de la transaction (ex: 'token transfer', 'create proposal')
+     * @returns {bigint} Seuil en wei
+     */
+    getMinBalance(context = 'transaction') {
+        // Seuil propre au contexte (GAS_CONTEXT_MIN_BALANCES, ex: création de proposition, plus coûteuse)
+        const contextMinBalance = config.gasContextMinBalances[context.toLowerCase()];
+        if (contextMinBalance !== undefined) {
+            return ethers.parseEther(contextMinBalance.toString());
+        }
+        return this.minGasBalance;
+    }
+
+    /**
+     * Prépare le paiement des frais d'une transaction d'un wallet utilisateur
+     *
+     * Avec FEE_CURRENCY_ADDRESS configuré, les frais sont payés dans cette devise si le solde
+     * du wallet la couvre ; sinon (ou si le réseau refuse le devis), retour à l'auto-funding CELO.
+     * @param {string} userAddress - Adresse du wallet qui paiera les frais
+     * @param {Object} request - Transaction à envoyer ({ to, data, value })
+     * @param {string} context - Contexte de l'appel (seuil d'auto-funding et logs)
+     * @param {Object} options - { reserve } montant de la devise de frais déjà engagé par la transaction
+     * @returns {Promise<Object>} { currency, feeCurrency, maxFee, funding, quote }
+     */
+    async prepareFeePayment(userAddress, request, context = 'transaction', { reserve = 0n } = {}) {
+        if (feeCurrencyService.isEnabled()) {
+            try {
+                const quote = await feeCurrencyService.quote(userAddress, request, { reserve });
+                if (quote.affordable) {
+                    console.log(`🪙 [GasManager] Frais payés en ${quote.currency} pour ${userAddress} (${context})`);
+                    return {
+                        currency: quote.currency,
+                        feeCurrency: quote.feeCurrency,
+                        maxFee: ethers.formatUnits(quote.maxCost, quote.decimals),
+                        funding: null,
+                        quote
+                    };
+                }
+                console.log(`   ℹ️ Solde ${quote.currency} insuffisant pour les frais, paiement en CELO`);
+            } catch (error) {
+                // Transaction annulée par le contrat : inutile de financer le wallet en CELO
+                if (error.code === 'CALL_EXCEPTION') {
+                    throw error;
+                }
+                console.warn(`⚠️  [GasManager] Devis en devise de frais indisponible, paiement en CELO:`, error.shortMessage || error.message);
+            }
+        }
+
+        let funding;
+        try {
+            funding = await this.checkAndFundGas(userAddress, context);
+        } catch (gasError) {
+            // Refus de la politique de sponsoring : erreur déjà typée (403, 429, 503)
+            if (gasError.status) {
+                throw gasError;
+            }
+            const e = new Error(`Impossible de préparer la transaction: ${gasError.message}`);
+            e.code = 'GAS_FUNDING_FAILED';
+            e.status = 503;
+            throw e;
+        }
+
+        return {
+            currency: 'CELO',
+            feeCurrency: null,
+            maxFee: null,
+            funding,
+            quote: null
+        };
+    }
+
     /**
      * Assure qu'une adresse a suffisamment de gas pour une transaction
      * Avec retry automatique en cas d'échec
@@ -140,8 +205,8 @@ class GasManager {
             } catch (error) {
                 console.error(`   ⚠️  Tentative ${attempt}/${maxRetries} échouée:`, error.message);
 
-                // Si c'est la dernière tentative, propager l'erreur
-                if (attempt === maxRetries) {
+                // Si c'est la dernière tentative (ou un refus de la politique de sponsoring), propager l'erreur
+                if (attempt === maxRetries || error.status) {
                     throw error;
                 }
 
@@ -167,26 +232,15 @@ class GasManager {
     }
 
     /**
-     * Récupère les statistiques de funding
+     * Récupère les statistiques de funding (depuis le registre persistant des financements)
      * @returns {Object} Statistiques
      */
     getStats() {
+        const stats = gasSponsorship.getStats();
         return {
-            ...this.stats,
-            totalAmountFundedFormatted: `${this.stats.totalAmountFunded.toFixed(4)} CELO`
-        };
-    }
-
-    /**
-     * Réinitialise les statistiques
-     */
-    resetStats() {
-        this.stats = {
-            totalFundings: 0,
-            totalAmountFunded: 0,
-            lastFunding: null
+            ...stats,
+            totalAmountFundedFormatted: `${parseFloat(stats.totalAmountFunded).toFixed(4)} CELO`
         };
-        console.log('📊 Statistiques de gas manager réinitialisées');
     }
 
     /**
@@ -195,25 +249,25 @@ class GasManager {
      */
     async checkAdminWalletHealth() {
         try {
-            if (!config.adminPrivateKey) {
+            if (!adminTxQueue.isConfigured()) {
                 return {
                     healthy: false,
                     error: 'Wallet admin non configuré'
                 };
             }
 
-            const adminWallet = new ethers.Wallet(config.adminPrivateKey, this.provider);
-            const balance = await this.provider.getBalance(adminWallet.address);
+            const balance = await this.provider.getBalance(adminTxQueue.address);
             const balanceInEther = parseFloat(ethers.formatEther(balance));
 
-            // Considérer le wallet comme "sain" s'il a au moins 0.1 CELO
-            const minHealthyBalance = 0.1;
+            // Considérer le wallet comme "sain" s'il a au moins TREASURY_MIN_CELO_BALANCE
+            const minHealthyBalance = config.treasuryMinCeloBalance;
             const healthy = balanceInEther >= minHealthyBalance;
 
             return {
                 healthy,
-                address: adminWallet.address,
+                address: adminTxQueue.address,
                 balance: balanceInEther,
+                balanceWei: balance.toString(),
                 balanceFormatted: `${balanceInEther.toFixed(4)} CELO`,
                 minHealthyBalance,
                 warning: !healthy ? `Solde admin faible! Rechargez le wallet admin.` : null
@@ -0,0 +1,342 @@
+import crypto from 'crypto';
+import { ethers } from 'ethers';
+import { config } from '../config/config.js';
+import { EventLogStore } from '../utils/eventLogStore.js';
+
+// Statuts d'une entrée du registre des financements
+export const SPONSORSHIP_STATUS = {
+  FUNDED: 'funded',     // CELO envoyé
+  FAILED: 'failed',     // Envoi échoué (rien n'a été dépensé)
+  REFUSED: 'refused'    // Refusé par la politique de sponsoring
+};
+
+// Refus de la politique de sponsoring : code d'erreur et statut HTTP
+export const SPONSORSHIP_ERRORS = {
+  ADDRESS_DENIED: { code: 'GAS_SPONSOR_ADDRESS_DENIED', status: 403 },
+  CONTEXT_NOT_ALLOWED: { code: 'GAS_SPONSOR_CONTEXT_NOT_ALLOWED', status: 403 },
+  ADDRESS_CAP_REACHED: { code: 'GAS_SPONSOR_ADDRESS_CAP_REACHED', status: 429 },
+  DAILY_BUDGET_EXHAUSTED: { code: 'GAS_SPONSOR_DAILY_BUDGET_EXHAUSTED', status: 503 },
+  MONTHLY_BUDGET_EXHAUSTED: { code: 'GAS_SPONSOR_MONTHLY_BUDGET_EXHAUSTED', status: 503 }
+};
+
+// Périodes du rapport de dépenses
+export const REPORT_PERIODS = ['day', 'month', 'all'];
+
+/**
+ * Politique de sponsoring du gas et registre des financements
+ *
+ * Chaque auto-funding du gasManager est d'abord soumis à la politique configurée : adresses
+ * exclues (GAS_SPONSOR_DENYLIST), contextes autorisés (GAS_SPONSOR_ALLOWED_CONTEXTS), plafond
+ * par adresse et par jour (GAS_SPONSOR_ADDRESS_DAILY_CAP), budgets globaux par jour et par mois
+ * (GAS_SPONSOR_DAILY_BUDGET, GAS_SPONSOR_MONTHLY_BUDGET). Les jours et mois sont comptés en UTC.
+ *
+ * Les financements acceptés sont réservés pendant l'envoi (deux financements simultanés ne peuvent
+ * pas dépasser un budget), puis chaque financement (envoyé, échoué ou refusé) est ajouté au
+ * registre data/gas-sponsorship.jsonl, qui survit aux redémarrages et alimente le rapport admin.
+ */
+class GasSponsorshipService {
+  constructor() {
+    this.ledger = new EventLogStore('gas-sponsorship.jsonl');
+    this.records = null;
+    this.reservations = new Map(); // Id → { address, context, amount } (financements en cours)
+  }
+
+  /**
+   * Évalue un financement au regard de la politique (sans le réserver)
+   * @param {string} address - Adresse à financer
+   * @param {string} context - Contexte du financement (ex: 'token transfer', 'create proposal')
+   * @param {bigint} amount - Montant en wei
+   * @returns {Object} { allowed, code, status, message, retryAfter }
+   */
+  evaluate(address, context, amount) {
+    const refuse = ({ code, status }, message, retryAfter = null) => ({ allowed: false, code, status, message, retryAfter });
+    const now = new Date();
+
+    if (config.gasSponsorDenylist.includes(address.toLowerCase())) {
+      return refuse(SPONSORSHIP_ERRORS.ADDRESS_DENIED, 'Cette adresse n\'est pas éligible au financement automatique du gas');
+    }
+
+    if (config.gasSponsorAllowedContexts.length > 0 && !config.gasSponsorAllowedContexts.includes(context.toLowerCase())) {
+      return refuse(SPONSORSHIP_ERRORS.CONTEXT_NOT_ALLOWED, `Le financement automatique du gas n'est pas disponible pour cette action (${context})`);
+    }
+
+    const dayStart = startOfDay(now);
+    const monthStart = startOfMonth(now);
+
+    const addressCap = parseBudget(config.gasSponsorAddressDailyCap);
+    if (addressCap !== null && this.getSpent(dayStart, address) + amount > addressCap) {
+      return refuse(
+        SPONSORSHIP_ERRORS.ADDRESS_CAP_REACHED,
+        `Plafond de financement du gas atteint pour cette adresse (${config.gasSponsorAddressDailyCap} CELO par jour)`,
+        secondsUntil(nextDay(now))
+      );
+    }
+
+    const dailyBudget = parseBudget(config.gasSponsorDailyBudget);
+    if (dailyBudget !== null && this.getSpent(dayStart) + amount > dailyBudget) {
+      return refuse(
+        SPONSORSHIP_ERRORS.DAILY_BUDGET_EXHAUSTED,
+        `Budget journalier de financement du gas épuisé (${config.gasSponsorDailyBudget} CELO)`,
+        secondsUntil(nextDay(now))
+      );
+    }
+
+    const monthlyBudget = parseBudget(config.gasSponsorMonthlyBudget);
+    if (monthlyBudget !== null && this.getSpent(monthStart) + amount > monthlyBudget) {
+      return refuse(
+        SPONSORSHIP_ERRORS.MONTHLY_BUDGET_EXHAUSTED,
+        `Budget mensuel de financement du gas épuisé (${config.gasSponsorMonthlyBudget} CELO)`,
+        secondsUntil(nextMonth(now))
+      );
+    }
+
+    return { allowed: true, code: null, status: null, message: null, retryAfter: null };
+  }
+
+  /**
+   * Réserve un financement autorisé par la politique (à solder avec settle())
+   * Un refus est ajouté au registre puis levé sous forme d'erreur typée
+   * @param {string} address - Adresse à financer
+   * @param {string} context - Contexte du financement
+   * @param {bigint} amount - Montant en wei
+   * @returns {string} Identifiant de la réservation
+   * @throws {Error} Erreur SPONSORSHIP_ERRORS (403, 429 ou 503, retryAfter en secondes)
+   */
+  reserve(address, context, amount) {
+    const decision = this.evaluate(address, context, amount);
+
+    if (!decision.allowed) {
+      this.append({ address, context, amount, status: SPONSORSHIP_STATUS.REFUSED, reason: decision.code });
+      console.warn(`🚫 [GasSponsorship] Financement refusé pour ${address} (${context}): ${decision.code}`);
+
+      const e = new Error(decision.message);
+      e.code = decision.code;
+      e.status = decision.status;
+      if (decision.retryAfter) {
+        e.retryAfter = decision.retryAfter;
+      }
+      throw e;
+    }
+
+    const id = crypto.randomUUID();
+    this.reservations.set(id, { address, context, amount });
+    return id;
+  }
+
+  /**
+   * Solde une réservation : financement envoyé (txHash) ou échoué (error)
+   * @param {string} id - Identifiant de la réservation
+   * @param {Object} result - { txHash } ou { error }
+   * @returns {Object|null} Entrée ajoutée au registre
+   */
+  settle(id, { txHash = null, error = null } = {}) {
+    const reservation = this.reservations.get(id);
+    if (!reservation) {
+      return null;
+    }
+
+    this.reservations.delete(id);
+    return this.append({
+      ...reservation,
+      status: error ? SPONSORSHIP_STATUS.FAILED : SPONSORSHIP_STATUS.FUNDED,
+      txHash,
+      reason: error ? error.message : null
+    });
+  }
+
+  /**
+   * Rapport des dépenses de sponsoring (budgets, dépenses par contexte et par adresse)
+   * @param {Object} options - { period: 'day' | 'month' | 'all', address } (adresse optionnelle)
+   * @returns {Object} { policy, budgets, period, totals, byContext, byAddress, recent }
+   */
+  getReport({ period = 'month', address = null } = {}) {
+    const now = new Date();
+    const dayStart = startOfDay(now);
+    const monthStart = startOfMonth(now);
+    const since = { day: dayStart, month: monthStart, all: null }[period];
+
+    const records = this.getRecords().filter(record => (
+      (!since || Date.parse(record.createdAt) >= since.getTime())
+      && (!address || record.address.toLowerCase() === address.toLowerCase())
+    ));
+
+    const byContext = new Map();
+    const byAddress = new Map();
+    const totals = { fundings: 0, amount: 0n, failed: 0, refused: 0 };
+
+    for (const record of records) {
+      const contextEntry = getOrCreate(byContext, record.context, () => ({ context: record.context, fundings: 0, amount: 0n, failed: 0, refused: 0 }));
+      const addressKey = record.address.toLowerCase();
+      const addressEntry = getOrCreate(byAddress, addressKey, () => ({ address: record.address, fundings: 0, amount: 0n, failed: 0, refused: 0, lastFundedAt: null }));
+
+      for (const entry of [totals, contextEntry, addressEntry]) {
+        if (record.status === SPONSORSHIP_STATUS.FUNDED) {
+          entry.fundings++;
+          entry.amount += BigInt(record.amountWei);
+        } else {
+          entry[record.status]++;
+        }
+      }
+
+      if (record.status === SPONSORSHIP_STATUS.FUNDED) {
+        addressEntry.lastFundedAt = record.createdAt;
+      }
+    }
+
+    const formatAmount = (entry) => ({ ...entry, amount: ethers.formatEther(entry.amount) });
+    const byAmount = (a, b) => (b.amount > a.amount ? 1 : b.amount < a.amount ? -1 : 0);
+
+    return {
+      policy: this.getPolicy(),
+      budgets: {
+        daily: this.getBudgetStatus(config.gasSponsorDailyBudget, dayStart, nextDay(now)),
+        monthly: this.getBudgetStatus(config.gasSponsorMonthlyBudget, monthStart, nextMonth(now))
+      },
+      period: {
+        name: period,
+        from: since ? since.toISOString() : null,
+        address
+      },
+      totals: formatAmount(totals),
+      byContext: [...byContext.values()].sort(byAmount).map(formatAmount),
+      byAddress: [...byAddress.values()].sort(byAmount).map(formatAmount),
+      recent: records.slice(-20).reverse()
+    };
+  }
+
+  /**
+   * Statistiques globales des financements (tout le registre)
+   * @returns {Object} { totalFundings, totalAmountFunded, lastFunding }
+   */
+  getStats() {
+    const funded = this.getRecords().filter(record => record.status === SPONSORSHIP_STATUS.FUNDED);
+    const total = funded.reduce((sum, record) => sum + BigInt(record.amountWei), 0n);
+
+    return {
+      totalFundings: funded.length,
+      totalAmountFunded: ethers.formatEther(total),
+      lastFunding: funded.at(-1) || null
+    };
+  }
+
+  /**
+   * Politique de sponsoring configurée
+   * @returns {Object}
+   */
+  getPolicy() {
+    return {
+      dailyBudget: config.gasSponsorDailyBudget || null,
+      monthlyBudget: config.gasSponsorMonthlyBudget || null,
+      addressDailyCap: config.gasSponsorAddressDailyCap || null,
+      allowedContexts: config.gasSponsorAllowedContexts.length > 0 ? config.gasSponsorAllowedContexts : null,
+      denylist: config.gasSponsorDenylist,
+      minGasBalance: config.minGasBalance,
+      contextMinBalances: config.gasContextMinBalances
+    };
+  }
+
+  /*//////////////////////////////////////////////////////////////
+                              REGISTRE
+  //////////////////////////////////////////////////////////////*/
+
+  /**
+   * Montant dépensé depuis une date (financements envoyés et réservations en cours), en wei
+   * @private
+   */
+  getSpent(since, address = null) {
+    const matches = (entry) => !address || entry.address.toLowerCase() === address.toLowerCase();
+
+    const spent = this.getRecords()
+      .filter(record => record.status === SPONSORSHIP_STATUS.FUNDED && Date.parse(record.createdAt) >= since.getTime() && matches(record))
+      .reduce((sum, record) => sum + BigInt(record.amountWei), 0n);
+
+    const reserved = [...this.reservations.values()]
+      .filter(matches)
+      .reduce((sum, reservation) => sum + reservation.amount, 0n);
+
+    return spent + reserved;
+  }
+
+  /**
+   * État d'un budget global sur sa période
+   * @private
+   */
+  getBudgetStatus(limit, since, resetAt) {
+    const spent = this.getSpent(since);
+    const budget = parseBudget(limit);
+
+    return {
+      limit: budget === null ? null : ethers.formatEther(budget),
+      spent: ethers.formatEther(spent),
+      remaining: budget === null ? null : ethers.formatEther(budget > spent ? budget - spent : 0n),
+      resetAt: resetAt.toISOString()
+    };
+  }
+
+  /**
+   * Ajoute une entrée au registre
+   * @private
+   */
+  append({ address, context, amount, status, txHash = null, reason = null }) {
+    const record = {
+      id: crypto.randomUUID(),
+      address,
+      context,
+      amount: ethers.formatEther(amount),
+      amountWei: amount.toString(),
+      status,
+      txHash,
+      reason,
+      createdAt: new Date().toISOString()
+    };
+
+    this.getRecords().push(record);
+    try {
+      this.ledger.append([record]);
+    } catch (error) {
+      console.error('❌ [GasSponsorship] Écriture du registre impossible:', error.message);
+    }
+    return record;
+  }
+
+  /**
+   * Entrées du registre (chargées une fois depuis le disque)
+   * @private
+   */
+  getRecords() {
+    if (!this.records) {
+      const { records, invalid } = this.ledger.readAll();
+      if (invalid > 0) {
+        console.warn(`⚠️  [GasSponsorship] ${invalid} ligne(s) illisible(s) ignorée(s) dans le registre`);
+      }
+      this.records = records;
+    }
+    return this.records;
+  }
+}
+
+/**
+ * Budget en wei (null si illimité)
+ * @private
+ */
+const parseBudget = (amount) => (amount > 0 ? ethers.parseEther(amount.toString()) : null);
+
+/**
+ * @private
+ */
+const getOrCreate = (map, key, create) => {
+  if (!map.has(key)) {
+    map.set(key, create());
+  }
+  return map.get(key);
+};
+
+const startOfDay = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+const startOfMonth = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+const nextDay = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1));
+const nextMonth = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1));
+const secondsUntil = (date) => Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+
+// Export d'une instance singleton
+export const gasSponsorship = new GasSponsorshipService();
+export default gasSponsorship;
@@ -1,8 +1,18 @@
 import { ethers } from 'ethers';
 import { config } from '../config/config.js';
 import { GOVERNANCE_ABI } from '../contracts/abis.js';
+import { ONCHAIN_ROLES } from '../config/roles.js';
 import { phoneWalletService } from './phoneWallet.service.js';
 import { gasManager } from './gasManager.service.js';
+import { adminTxQueue } from './adminTxQueue.service.js';
+import { feeStrategy } from './feeStrategy.service.js';
+import { feeCurrencyService } from './feeCurrency.service.js';
+import { relayerService, RELAY_ACTIONS } from './relayer.service.js';
+import { blockTimestampService, toIsoDate } from './blockTimestamp.service.js';
+import { instrumentProvider } from '../utils/metrics.js';
+
+// Statut ProposalStatus.Active du contrat (vote en cours)
+const PROPOSAL_STATUS_ACTIVE = 1;
 
 /**
  * Service pour la gestion de la gouvernance de la DAO
@@ -18,15 +28,15 @@ import { gasManager } from './gasManager.service.js';
  * - Utilise ethers.js pour les interactions blockchain
  * - Gestion des erreurs robuste avec messages explicites
  * - Support des wallets via téléphone/PIN ou clés privées
+ * - Transactions du wallet administrateur envoyées via la file des transactions admin
  * - Logs détaillés pour audit et debug
  * - Cache des données fréquemment utilisées
  */
 class GovernanceService {
   constructor() {
-    this.provider = new ethers.JsonRpcProvider(config.celoRpcUrl);
+    this.provider = instrumentProvider(new ethers.JsonRpcProvider(config.celoRpcUrl), 'governance');
     this.contractAddress = config.governanceContractAddress;
     this.contract = null;
-    this.adminWallet = null;
 
     // Cache pour optimiser les lectures
     this.cache = {
@@ -48,18 +58,13 @@ class GovernanceService {
    */
   async initService() {
     try {
-      // Initialisation du wallet administrateur
-      if (config.adminPrivateKey) {
-        this.adminWallet = new ethers.Wallet(config.adminPrivateKey, this.provider);
-        console.log(`🏛️  Admin wallet initialisé: ${this.adminWallet.address}`);
-      }
-
-      // Initialisation du contrat de gouvernance
+      // Initialisation du contrat de gouvernance (lecture seule : les écritures admin passent par
+      // la file des transactions admin, celles des membres par leur propre wallet)
       if (this.contractAddress) {
         this.contract = new ethers.Contract(
           this.contractAddress,
           GOVERNANCE_ABI,
-          this.adminWallet || this.provider
+          this.provider
         );
         console.log(`📜 Contrat de gouvernance initialisé: ${this.contractAddress}`);
 
@@ -76,15 +81,20 @@ class GovernanceService {
 
   /**
    * Teste la connexion au contrat
+   * @param {Object} options - { silent } sans logs (sondes de disponibilité)
    * @private
    */
-  async testConnection() {
+  async testConnection({ silent = false } = {}) {
     try {
       const currentProposalId = await this.contract.getCurrentProposalId();
-      console.log(`✅ Connexion au contrat réussie. Propositions actuelles: ${currentProposalId}`);
+      if (!silent) {
+        console.log(`✅ Connexion au contrat réussie. Propositions actuelles: ${currentProposalId}`);
+      }
       return true;
     } catch (error) {
-      console.error('❌ Échec du test de connexion:', error.message);
+      if (!silent) {
+        console.error('❌ Échec du test de connexion:', error.message);
+      }
       throw error;
     }
   }
@@ -124,7 +134,7 @@ class GovernanceService {
         throw new Error('Contrat de gouvernance non initialisé');
       }
 
-      if (!this.adminWallet) {
+      if (!adminTxQueue.isConfigured()) {
         throw new Error('Wallet administrateur non configuré');
       }
 
@@ -143,19 +153,16 @@ class GovernanceService {
         throw new Error('Membre déjà enregistré');
       }
 
-      // Envoi de la transaction
-      const tx = await this.contract.registerMember(
-        memberAddress,
-        transactionCount,
-        attestation
+      // Envoi de la transaction et attente de la confirmation
+      const receipt = await adminTxQueue.sendContractCall(
+        `Enregistrement du membre ${memberAddress}`,
+        this.contract,
+        'registerMember',
+        [memberAddress, transactionCount, attestation]
       );
 
-      console.log(`⏳ Transaction d'enregistrement envoyée: ${tx.hash}`);
-
-      // Attente de la confirmation
-      const receipt = await tx.wait();
-
       console.log(`✅ Membre enregistré avec succès dans le bloc ${receipt.blockNumber}`);
+      const registeredAt = await blockTimestampService.getTimestamp(receipt.blockNumber);
 
       // Mise à jour du cache
       this.cache.members.set(memberAddress, {
@@ -170,7 +177,7 @@ class GovernanceService {
         member: {
           address: memberAddress,
           transactionCount,
-          registeredAt: new Date().toISOString()
+          registeredAt: toIsoDate(registeredAt)
         },
         txHash: receipt.hash,
         blockNumber: receipt.blockNumber,
@@ -196,9 +203,13 @@ class GovernanceService {
         throw new Error('Contrat de gouvernance non initialisé');
       }
 
-      // Envoi de la transaction
-      const tx = await this.contract.deregisterMember(memberAddress);
-      const receipt = await tx.wait();
+      // Envoi de la transaction et attente de la confirmation
+      const receipt = await adminTxQueue.sendContractCall(
+        `Désenregistrement du membre ${memberAddress}`,
+        this.contract,
+        'deregisterMember',
+        [memberAddress]
+      );
 
       console.log(`✅ Membre désenregistré avec succès`);
 
@@ -217,6 +228,84 @@ class GovernanceService {
     }
   }
 
+  /**
+   * Transfère l'adhésion d'un membre vers une nouvelle adresse (ex: changement de PIN)
+   * Le contrat n'ayant pas de migration native, la nouvelle adresse est enregistrée avec
+   * le nombre de transactions de l'ancienne, puis l'ancienne est désenregistrée.
+   * Chaque étape déjà effectuée est ignorée : l'opération peut être relancée après un échec.
+   *
+   * Les votes (hasVoted) sont attachés à l'adresse et ne peuvent pas être reportés : tant que
+   * l'ancienne adresse a voté sur une proposition encore active, la nouvelle adresse pourrait
+   * voter une seconde fois. La migration est alors refusée jusqu'à la clôture de ces votes.
+   *
+   * @param {string} fromAddress Ancienne adresse
+   * @param {string} toAddress Nouvelle adresse
+   * @returns {Promise<Object>} Hash des transactions d'enregistrement et de désenregistrement
+   * @throws {Error} 409 MEMBER_HAS_ACTIVE_VOTES si l'ancienne adresse a voté sur une proposition active
+   */
+  async migrateMember(fromAddress, toAddress) {
+    if (!this.contract) {
+      throw new Error('Contrat de gouvernance non initialisé');
+    }
+
+    const [fromListed, toListed, fromData] = await Promise.all([
+      this.contract.allowList(fromAddress),
+      this.contract.allowList(toAddress),
+      this.contract.members(fromAddress)
+    ]);
+
+    if (!fromListed && !toListed) {
+      return { wasMember: false, registerTxHash: null, deregisterTxHash: null };
+    }
+
+    if (!toListed) {
+      const activeVotes = await this.getActiveVotes(fromAddress);
+      if (activeVotes.length > 0) {
+        const e = new Error(
+          `Migration de l'adhésion impossible : vote en cours sur les propositions ${activeVotes.map(id => `#${id}`).join(', ')}. ` +
+          'Réessayez après leur clôture.'
+        );
+        e.code = 'MEMBER_HAS_ACTIVE_VOTES';
+        e.status = 409;
+        e.proposalIds = activeVotes;
+        throw e;
+      }
+    }
+
+    let registerTxHash = null;
+    if (!toListed) {
+      const result = await this.registerMember(toAddress, Number(fromData.transactionCount));
+      registerTxHash = result.txHash;
+    }
+
+    let deregisterTxHash = null;
+    if (fromListed) {
+      const result = await this.deregisterMember(fromAddress);
+      deregisterTxHash = result.txHash;
+    }
+
+    return {
+      wasMember: true,
+      transactionCount: Number(fromData.transactionCount),
+      registerTxHash,
+      deregisterTxHash
+    };
+  }
+
+  /**
+   * Propositions actives (vote en cours) sur lesquelles une adresse a déjà voté
+   * @param {string} address Adresse du votant
+   * @returns {Promise<Array<string>>} Identifiants des propositions
+   */
+  async getActiveVotes(address) {
+    const events = await this.getProposalEvents();
+    const proposals = await Promise.all(events.map(event => this.getProposal(event.proposalId.toString())));
+    const active = proposals.filter(proposal => proposal.status === PROPOSAL_STATUS_ACTIVE);
+    const voted = await Promise.all(active.map(proposal => this.contract.hasVoted(proposal.id, address)));
+
+    return active.filter((proposal, index) => voted[index]).map(proposal => proposal.id.toString());
+  }
+
   /**
    * Vérifie si un membre est éligible
    * @param {string} memberAddress Adresse du membre
@@ -290,9 +379,10 @@ class GovernanceService {
    * @param {string} ipfsCID CID IPFS du contenu détaillé
    * @param {string} title Titre de la proposition
    * @param {number} impactLevel Niveau d'impact (0-2)
+   * @param {Object} options { onBroadcast(txHash) } appelé dès la diffusion de la transaction
    * @returns {Promise<Object>} Résultat de la création
    */
-  async createProposal(proposerWallet, ipfsCID, title, impactLevel) {
+  async createProposal(proposerWallet, ipfsCID, title, impactLevel, { onBroadcast = null } = {}) {
     try {
       console.log(`📝 Création de proposition par: ${proposerWallet.address}`);
 
@@ -325,22 +415,15 @@ class GovernanceService {
         throw new Error('Clé privée du proposant requise');
       }
 
-      const contractWithProposer = this.contract.connect(walletWithPrivateKey);
-
-      // Vérifier et financer le gas si nécessaire
+      // Envoi de la transaction (relayée, ou frais en devise de frais ou en CELO avec auto-funding)
       console.log(`⛽ Vérification du gas pour la création de proposition...`);
-      try {
-        await gasManager.checkAndFundGas(proposerWallet.address, 'create proposal');
-      } catch (gasError) {
-        throw new Error(`Impossible de préparer la transaction: ${gasError.message}`);
-      }
-
-      // Envoi de la transaction
-      const tx = await contractWithProposer.createProposal(ipfsCID, title, impactLevel);
-
-      console.log(`⏳ Transaction de création envoyée: ${tx.hash}`);
-
-      const receipt = await tx.wait();
+      const { receipt, feePayment } = await this._sendMemberTransaction(
+        walletWithPrivateKey,
+        'proposal',
+        { ipfsCID, title, impactLevel },
+        'create proposal',
+        onBroadcast
+      );
 
       // Extraction de l'événement ProposalCreated
       let proposalId = null;
@@ -358,6 +441,7 @@ class GovernanceService {
       }
 
       console.log(`✅ Proposition créée avec succès. ID: ${proposalId}`);
+      const createdAt = await blockTimestampService.getTimestamp(receipt.blockNumber);
 
       return {
         success: true,
@@ -368,15 +452,20 @@ class GovernanceService {
           title,
           ipfsCID,
           impactLevel,
-          createdAt: new Date().toISOString()
+          createdAt: toIsoDate(createdAt)
         },
         txHash: receipt.hash,
         blockNumber: receipt.blockNumber,
+        feePayment,
         message: 'Proposition créée avec succès'
       };
 
     } catch (error) {
       console.error('❌ Erreur lors de la création de proposition:', error);
+      // Erreurs typées (politique de sponsoring du gas, relayer...) : statut conservé
+      if (error.status) {
+        throw error;
+      }
       throw new Error(`Erreur lors de la création de proposition: ${error.message}`);
     }
   }
@@ -386,9 +475,11 @@ class GovernanceService {
    * @param {string} proposalId ID de la proposition
    * @param {number} decision Décision de modération (0=approve, 1=reject, 2=request_changes)
    * @param {string} note Note explicative
+   * @param {Object|null} actor Modérateur authentifié par wallet ({ address, signedTransaction })
+   *                            Si absent, la transaction est envoyée par le wallet administrateur
    * @returns {Promise<Object>} Résultat de la modération
    */
-  async moderateProposal(proposalId, decision, note = '') {
+  async moderateProposal(proposalId, decision, note = '', actor = null) {
     try {
       console.log(`🛡️  Modération de la proposition ${proposalId}`);
 
@@ -396,7 +487,7 @@ class GovernanceService {
         throw new Error('Contrat de gouvernance non initialisé');
       }
 
-      if (!this.adminWallet) {
+      if (!actor && !adminTxQueue.isConfigured()) {
         throw new Error('Wallet administrateur requis pour la modération');
       }
 
@@ -405,12 +496,15 @@ class GovernanceService {
         throw new Error('Décision de modération invalide (0-2)');
       }
 
-      // Envoi de la transaction
-      const tx = await this.contract.moderateProposal(proposalId, decision, note);
-      const receipt = await tx.wait();
+      // Envoi de la transaction (relais de la signature du modérateur ou wallet admin)
+      const args = [proposalId, decision, note];
+      const receipt = actor
+        ? await (await this.sendAsRoleHolder(actor, 'moderator', 'moderateProposal', args)).wait()
+        : await adminTxQueue.sendContractCall(`Modération de la proposition ${proposalId}`, this.contract, 'moderateProposal', args);
 
       const decisionText = ['approve', 'reject', 'request_changes'][decision];
       console.log(`✅ Proposition ${proposalId} modérée: ${decisionText}`);
+      const moderatedAt = await blockTimestampService.getTimestamp(receipt.blockNumber);
 
       return {
         success: true,
@@ -418,7 +512,8 @@ class GovernanceService {
           proposalId,
           decision: decisionText,
           note,
-          moderatedAt: new Date().toISOString()
+          moderatedBy: actor ? actor.address : adminTxQueue.address,
+          moderatedAt: toIsoDate(moderatedAt)
         },
         txHash: receipt.hash,
         message: 'Proposition modérée avec succès'
@@ -426,6 +521,7 @@ class GovernanceService {
 
     } catch (error) {
       console.error('❌ Erreur lors de la modération:', error);
+      if (error.status) throw error;
       throw new Error(`Erreur lors de la modération: ${error.message}`);
     }
   }
@@ -435,9 +531,10 @@ class GovernanceService {
    * @param {Object} voterWallet Wallet du votant
    * @param {string} proposalId ID de la proposition
    * @param {boolean} support true pour voter pour, false pour voter contre
+   * @param {Object} options { onBroadcast(txHash) } appelé dès la diffusion de la transaction
    * @returns {Promise<Object>} Résultat du vote
    */
-  async castVote(voterWallet, proposalId, support) {
+  async castVote(voterWallet, proposalId, support, { onBroadcast = null } = {}) {
     try {
       console.log(`🗳️  Vote sur la proposition ${proposalId} par: ${voterWallet.address}`);
 
@@ -465,19 +562,16 @@ class GovernanceService {
         throw new Error('Clé privée du votant requise');
       }
 
-      const contractWithVoter = this.contract.connect(walletWithPrivateKey);
-
-      // Vérifier et financer le gas si nécessaire
+      // Envoi de la transaction (relayée, ou frais en devise de frais ou en CELO avec auto-funding)
       console.log(`⛽ Vérification du gas pour le vote...`);
-      try {
-        await gasManager.checkAndFundGas(voterWallet.address, 'cast vote');
-      } catch (gasError) {
-        throw new Error(`Impossible de préparer la transaction: ${gasError.message}`);
-      }
-
-      // Envoi de la transaction
-      const tx = await contractWithVoter.castVote(proposalId, support);
-      const receipt = await tx.wait();
+      const { receipt, feePayment } = await this._sendMemberTransaction(
+        walletWithPrivateKey,
+        'vote',
+        { proposalId, support },
+        'cast vote',
+        onBroadcast
+      );
+      const votedAt = await blockTimestampService.getTimestamp(receipt.blockNumber);
 
       console.log(`✅ Vote enregistré avec succès`);
 
@@ -487,9 +581,11 @@ class GovernanceService {
           proposalId,
           voter: voterWallet.address,
           support,
-          votedAt: new Date().toISOString()
+          votedAt: toIsoDate(votedAt)
         },
         txHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        feePayment,
         message: 'Vote enregistré avec succès'
       };
 
@@ -505,6 +601,11 @@ class GovernanceService {
    * @param {Error} error Erreur brute
    */
   _handleGovernanceError(error) {
+    // Erreurs déjà typées (politique de sponsoring du gas, relayer...)
+    if (error.status) {
+      throw error;
+    }
+
     const msg = error.message || '';
 
     if (msg.includes('Proposal not active')) {
@@ -552,11 +653,16 @@ class GovernanceService {
         throw new Error('Contrat de gouvernance non initialisé');
       }
 
-      // Envoi de la transaction
-      const tx = await this.contract.executeProposal(proposalId);
-      const receipt = await tx.wait();
+      // Envoi de la transaction (wallet administrateur) et attente de la confirmation
+      const receipt = await adminTxQueue.sendContractCall(
+        `Exécution de la proposition ${proposalId}`,
+        this.contract,
+        'executeProposal',
+        [proposalId]
+      );
 
       console.log(`✅ Proposition exécutée avec succès`);
+      const executedAt = await blockTimestampService.getTimestamp(receipt.blockNumber);
 
       // Extraction des résultats depuis les événements
       let executionResult = null;
@@ -582,7 +688,7 @@ class GovernanceService {
         execution: {
           proposalId,
           result: executionResult,
-          executedAt: new Date().toISOString()
+          executedAt: toIsoDate(executedAt)
         },
         txHash: receipt.hash,
         message: 'Proposition exécutée avec succès'
@@ -598,9 +704,10 @@ class GovernanceService {
    * Annule une proposition (modérateurs uniquement)
    * @param {string} proposalId ID de la proposition
    * @param {string} reason Raison de l'annulation
+   * @param {Object|null} actor Modérateur authentifié par wallet ({ address, signedTransaction })
    * @returns {Promise<Object>} Résultat de l'annulation
    */
-  async cancelProposal(proposalId, reason) {
+  async cancelProposal(proposalId, reason, actor = null) {
     try {
       console.log(`❌ Annulation de la proposition ${proposalId}`);
 
@@ -608,22 +715,26 @@ class GovernanceService {
         throw new Error('Contrat de gouvernance non initialisé');
       }
 
-      if (!this.adminWallet) {
+      if (!actor && !adminTxQueue.isConfigured()) {
         throw new Error('Wallet administrateur requis pour l\'annulation');
       }
 
       // Envoi de la transaction
-      const tx = await this.contract.cancelProposal(proposalId, reason);
-      const receipt = await tx.wait();
+      const args = [proposalId, reason];
+      const receipt = actor
+        ? await (await this.sendAsRoleHolder(actor, 'moderator', 'cancelProposal', args)).wait()
+        : await adminTxQueue.sendContractCall(`Annulation de la proposition ${proposalId}`, this.contract, 'cancelProposal', args);
 
       console.log(`✅ Proposition annulée avec succès`);
+      const cancelledAt = await blockTimestampService.getTimestamp(receipt.blockNumber);
 
       return {
         success: true,
         cancellation: {
           proposalId,
           reason,
-          cancelledAt: new Date().toISOString()
+          cancelledBy: actor ? actor.address : adminTxQueue.address,
+          cancelledAt: toIsoDate(cancelledAt)
         },
         txHash: receipt.hash,
         message: 'Proposition annulée avec succès'
@@ -631,6 +742,7 @@ class GovernanceService {
 
     } catch (error) {
       console.error('❌ Erreur lors de l\'annulation:', error);
+      if (error.status) throw error;
       throw new Error(`Erreur lors de l'annulation: ${error.message}`);
     }
   }
@@ -646,6 +758,13 @@ class GovernanceService {
         throw new Error('Contrat de gouvernance non initialisé');
       }
 
+      // Index local à jour : état reconstruit depuis les événements, sans appel RPC
+      const { governanceIndexer } = await import('./governanceIndexer.service.js');
+      const indexed = governanceIndexer.isSynced() ? governanceIndexer.getProposal(proposalId) : null;
+      if (indexed) {
+        return indexed;
+      }
+
       // Vérifier le cache d'abord
       if (this.isCacheValid() && this.cache.proposals.has(proposalId)) {
         return this.cache.proposals.get(proposalId);
@@ -681,6 +800,31 @@ class GovernanceService {
     }
   }
 
+  /**
+   * Chronologie d'une proposition (dates ISO)
+   * L'index de gouvernance fournit la date de chaque étape ; sans index à jour, seules
+   * les dates enregistrées dans la proposition (création, période de vote) sont connues.
+   * @param {Object} proposal Proposition (voir getProposal)
+   * @returns {Promise<Object>} { createdAt, moderatedAt, votingStartsAt, votingEndsAt, lastVoteAt, executedAt, cancelledAt }
+   */
+  async getProposalTimeline(proposal) {
+    const { governanceIndexer } = await import('./governanceIndexer.service.js');
+    const indexed = governanceIndexer.isSynced() ? governanceIndexer.getProposalTimeline(proposal.id) : null;
+    if (indexed) {
+      return indexed;
+    }
+
+    return {
+      createdAt: toIsoDate(proposal.createdAt),
+      moderatedAt: null,
+      votingStartsAt: toIsoDate(proposal.startBlock),
+      votingEndsAt: toIsoDate(proposal.endBlock),
+      lastVoteAt: null,
+      executedAt: null,
+      cancelledAt: null
+    };
+  }
+
   /*//////////////////////////////////////////////////////////////
                        CONTEST MANAGEMENT
   //////////////////////////////////////////////////////////////*/
@@ -691,9 +835,10 @@ class GovernanceService {
    * @param {string} proposalId ID de la proposition contestée
    * @param {string} reason Raison de la contestation
    * @param {string} evidenceCID CID IPFS des preuves
+   * @param {Object} options { onBroadcast(txHash) } appelé dès la diffusion de la transaction
    * @returns {Promise<Object>} Résultat de la contestation
    */
-  async raiseContest(contestantWallet, proposalId, reason, evidenceCID = '') {
+  async raiseContest(contestantWallet, proposalId, reason, evidenceCID = '', { onBroadcast = null } = {}) {
     try {
       console.log(`⚖️  Contestation de la proposition ${proposalId} par: ${contestantWallet.address}`);
 
@@ -720,19 +865,15 @@ class GovernanceService {
         throw new Error('Clé privée du contestant requise');
       }
 
-      const contractWithContestant = this.contract.connect(walletWithPrivateKey);
-
-      // Vérifier et financer le gas si nécessaire
+      // Envoi de la transaction (relayée, ou frais en devise de frais ou en CELO avec auto-funding)
       console.log(`⛽ Vérification du gas pour la contestation...`);
-      try {
-        await gasManager.checkAndFundGas(contestantWallet.address, 'raise contest');
-      } catch (gasError) {
-        throw new Error(`Impossible de préparer la transaction: ${gasError.message}`);
-      }
-
-      // Envoi de la transaction
-      const tx = await contractWithContestant.raiseContest(proposalId, reason, evidenceCID);
-      const receipt = await tx.wait();
+      const { receipt, feePayment } = await this._sendMemberTransaction(
+        walletWithPrivateKey,
+        'contest',
+        { proposalId, reason, evidenceCID },
+        'raise contest',
+        onBroadcast
+      );
 
       // Extraction de l'ID de contestation
       let contestId = null;
@@ -749,6 +890,7 @@ class GovernanceService {
       }
 
       console.log(`✅ Contestation déposée avec succès. ID: ${contestId}`);
+      const raisedAt = await blockTimestampService.getTimestamp(receipt.blockNumber);
 
       return {
         success: true,
@@ -759,14 +901,18 @@ class GovernanceService {
           raisedBy: contestantWallet.address,
           reason,
           evidenceCID,
-          raisedAt: new Date().toISOString()
+          raisedAt: toIsoDate(raisedAt)
         },
         txHash: receipt.hash,
+        feePayment,
         message: 'Contestation déposée avec succès'
       };
 
     } catch (error) {
       console.error('❌ Erreur lors de la contestation:', error);
+      if (error.status) {
+        throw error;
+      }
       throw new Error(`Erreur lors de la contestation: ${error.message}`);
     }
   }
@@ -776,9 +922,10 @@ class GovernanceService {
    * @param {string} contestId ID de la contestation
    * @param {boolean} uphold true si la contestation est justifiée
    * @param {string} resolutionNote Note de résolution
+   * @param {Object|null} actor Validateur authentifié par wallet ({ address, signedTransaction })
    * @returns {Promise<Object>} Résultat de la résolution
    */
-  async resolveContest(contestId, uphold, resolutionNote) {
+  async resolveContest(contestId, uphold, resolutionNote, actor = null) {
     try {
       console.log(`⚖️  Résolution de la contestation ${contestId}`);
 
@@ -786,15 +933,18 @@ class GovernanceService {
         throw new Error('Contrat de gouvernance non initialisé');
       }
 
-      if (!this.adminWallet) {
+      if (!actor && !adminTxQueue.isConfigured()) {
         throw new Error('Wallet administrateur requis pour la résolution');
       }
 
       // Envoi de la transaction
-      const tx = await this.contract.resolveContest(contestId, uphold, resolutionNote);
-      const receipt = await tx.wait();
+      const args = [contestId, uphold, resolutionNote];
+      const receipt = actor
+        ? await (await this.sendAsRoleHolder(actor, 'validator', 'resolveContest', args)).wait()
+        : await adminTxQueue.sendContractCall(`Résolution de la contestation ${contestId}`, this.contract, 'resolveContest', args);
 
       console.log(`✅ Contestation résolue: ${uphold ? 'maintenue' : 'rejetée'}`);
+      const resolvedAt = await blockTimestampService.getTimestamp(receipt.blockNumber);
 
       return {
         success: true,
@@ -802,7 +952,8 @@ class GovernanceService {
           contestId,
           upheld: uphold,
           resolutionNote,
-          resolvedAt: new Date().toISOString()
+          resolvedBy: actor ? actor.address : adminTxQueue.address,
+          resolvedAt: toIsoDate(resolvedAt)
         },
         txHash: receipt.hash,
         message: 'Contestation résolue avec succès'
@@ -810,6 +961,7 @@ class GovernanceService {
 
     } catch (error) {
       console.error('❌ Erreur lors de la résolution:', error);
+      if (error.status) throw error;
       throw new Error(`Erreur lors de la résolution: ${error.message}`);
     }
   }
@@ -863,6 +1015,12 @@ class GovernanceService {
         throw new Error('Contrat de gouvernance non initialisé');
       }
 
+      // Réponse instantanée depuis l'index local quand il couvre la plage demandée
+      const { governanceIndexer } = await import('./governanceIndexer.service.js');
+      if (governanceIndexer.covers(toBlock)) {
+        return governanceIndexer.getProposalEvents(fromBlock, toBlock);
+      }
+
       // Obtenir le dernier bloc si toBlock est 'latest'
       let normalizedToBlock = toBlock;
       if (toBlock === 'latest') {
@@ -927,6 +1085,8 @@ class GovernanceService {
 
       console.log(`✅ ${allEvents.length} événements récupérés au total`);
 
+      const timestamps = await blockTimestampService.getTimestamps(allEvents.map(event => event.blockNumber));
+
       return allEvents.map(event => ({
         proposalId: event.args.id.toString(),
         proposer: event.args.proposer,
@@ -936,7 +1096,7 @@ class GovernanceService {
         endBlock: event.args.endBlock.toString(),
         blockNumber: event.blockNumber,
         transactionHash: event.transactionHash,
-        timestamp: new Date().toISOString() // TODO: Récupérer le timestamp du bloc
+        timestamp: toIsoDate(timestamps.get(event.blockNumber))
       }));
 
     } catch (error) {
@@ -958,6 +1118,11 @@ class GovernanceService {
         throw new Error('Contrat de gouvernance non initialisé');
       }
 
+      const { governanceIndexer } = await import('./governanceIndexer.service.js');
+      if (governanceIndexer.covers(toBlock)) {
+        return governanceIndexer.getVoteEvents(proposalId, fromBlock, toBlock);
+      }
+
       // Obtenir le dernier bloc si toBlock est 'latest'
       let normalizedToBlock = toBlock;
       if (toBlock === 'latest') {
@@ -1036,6 +1201,183 @@ class GovernanceService {
     }
   }
 
+  /*//////////////////////////////////////////////////////////////
+                        ROLES & RELAIS
+  //////////////////////////////////////////////////////////////*/
+
+  /**
+   * Vérifie si une adresse détient un rôle on-chain
+   * @param {string} role Rôle applicatif ('moderator', 'validator' ou 'admin')
+   * @param {string} account Adresse à vérifier
+   * @returns {Promise<boolean>} true si le rôle est détenu
+   */
+  async hasRole(role, account) {
+    if (!this.contract) {
+      throw new Error('Contrat de gouvernance non initialisé');
+    }
+
+    const roleId = ONCHAIN_ROLES[role];
+    if (roleId === undefined) {
+      throw new Error(`Rôle inconnu: ${role}`);
+    }
+
+    return await this.contract.hasRole(roleId, account);
+  }
+
+  /**
+   * Récupère les rôles on-chain détenus par une adresse parmi une liste
+   * @param {string} account Adresse à vérifier
+   * @param {Array<string>} roles Rôles applicatifs à tester
+   * @returns {Promise<Array<string>>} Rôles détenus
+   */
+  async getOnchainRoles(account, roles) {
+    const results = await Promise.all(roles.map(role => this.hasRole(role, account)));
+    return roles.filter((role, index) => results[index]);
+  }
+
+  /**
+   * Prépare la transaction non signée qu'un détenteur de rôle doit signer
+   * @param {string} from Adresse du signataire
+   * @param {string} method Fonction du contrat
+   * @param {Array} args Arguments de la fonction
+   * @returns {Promise<Object>} Transaction à signer
+   */
+  async prepareRoleTransaction(from, method, args) {
+    const data = this.contract.interface.encodeFunctionData(method, args);
+
+    const [network, nonce, gasLimit, fees] = await Promise.all([
+      this.provider.getNetwork(),
+      this.provider.getTransactionCount(from, 'pending'),
+      this.provider.estimateGas({ from, to: this.contractAddress, data }).catch(() => BigInt(300000)),
+      feeStrategy.getTxOverrides()
+    ]);
+
+    // Frais suggérés par la stratégie partagée (le signataire peut les ajuster)
+    return {
+      from,
+      to: this.contractAddress,
+      data,
+      chainId: Number(network.chainId),
+      nonce,
+      gasLimit: gasLimit.toString(),
+      ...Object.fromEntries(Object.entries(fees).map(([key, fee]) => [key, key === 'type' ? fee : fee.toString()]))
+    };
+  }
+
+  /**
+   * Relaie une action de rôle signée par le détenteur du rôle lui-même
+   *
+   * Sans transaction signée, une erreur 428 est levée avec la transaction à signer
+   * (error.unsignedTransaction). Avec une transaction signée, le backend vérifie
+   * le signataire, la cible et les paramètres avant de la diffuser, afin que
+   * l'historique on-chain reflète le modérateur ou validateur ayant agi.
+   * @param {Object} actor Détenteur du rôle ({ address, signedTransaction })
+   * @param {string} role Rôle requis ('moderator' ou 'validator')
+   * @param {string} method Fonction du contrat
+   * @param {Array} args Arguments attendus
+   * @returns {Promise<Object>} Transaction diffusée
+   */
+  async sendAsRoleHolder(actor, role, method, args) {
+    // Le rôle peut avoir été révoqué depuis l'ouverture de la session
+    const holdsRole = await this.hasRole(role, actor.address);
+    if (!holdsRole) {
+      const e = new Error(`Le compte ${actor.address} ne détient plus le rôle ${role} on-chain`);
+      e.code = 'ROLE_REVOKED';
+      e.status = 403;
+      throw e;
+    }
+
+    if (!actor.signedTransaction) {
+      const e = new Error('Transaction signée requise: signez la transaction fournie puis renvoyez-la dans "signedTransaction"');
+      e.code = 'SIGNATURE_REQUIRED';
+      e.status = 428;
+      e.unsignedTransaction = await this.prepareRoleTransaction(actor.address, method, args);
+      throw e;
+    }
+
+    let tx;
+    try {
+      tx = ethers.Transaction.from(actor.signedTransaction);
+    } catch (parseError) {
+      const e = new Error(`Transaction signée invalide: ${parseError.message}`);
+      e.code = 'INVALID_SIGNED_TRANSACTION';
+      e.status = 400;
+      throw e;
+    }
+
+    const network = await this.provider.getNetwork();
+    const expectedData = this.contract.interface.encodeFunctionData(method, args);
+
+    const checks = [
+      [tx.from && tx.from.toLowerCase() === actor.address.toLowerCase(), 'La transaction n\'est pas signée par le compte authentifié'],
+      [tx.to && tx.to.toLowerCase() === this.contractAddress.toLowerCase(), 'La transaction ne cible pas le contrat de gouvernance'],
+      [tx.chainId === network.chainId, 'La transaction est signée pour un autre réseau'],
+      [tx.value === 0n, 'La transaction ne doit pas transférer de CELO'],
+      [tx.data.toLowerCase() === expectedData.toLowerCase(), 'Les paramètres signés ne correspondent pas à la requête']
+    ];
+
+    const failedCheck = checks.find(([passed]) => !passed);
+    if (failedCheck) {
+      const e = new Error(failedCheck[1]);
+      e.code = 'INVALID_SIGNED_TRANSACTION';
+      e.status = 400;
+      throw e;
+    }
+
+    // Le détenteur du rôle paie le gas : on s'assure qu'il en a suffisamment
+    try {
+      await gasManager.checkAndFundGas(actor.address, method);
+    } catch (gasError) {
+      if (gasError.status) {
+        throw gasError;
+      }
+      throw new Error(`Impossible de préparer la transaction: ${gasError.message}`);
+    }
+
+    console.log(`📨 Relais de ${method} signé par ${actor.address}`);
+    return await this.provider.broadcastTransaction(actor.signedTransaction);
+  }
+
+  /**
+   * Envoie une action d'un membre (proposition, vote, contestation) et attend sa confirmation
+   * Avec le relayer activé, le membre signe une requête ERC-2771 et le relayer paie le gas ;
+   * sinon la transaction est signée par le membre, frais payés dans la devise de frais configurée
+   * s'il en détient assez, ou en CELO après financement automatique (gasManager.prepareFeePayment).
+   * @private
+   * @param {ethers.Wallet} wallet Wallet du membre
+   * @param {string} action Action (proposal, vote, contest, voir RELAY_ACTIONS)
+   * @param {Object} params Paramètres de l'action
+   * @param {string} context Contexte du financement automatique
+   * @param {Function|null} onBroadcast Appelé avec le hash dès la diffusion
+   * @returns {Promise<Object>} { receipt, feePayment }
+   */
+  async _sendMemberTransaction(wallet, action, params, context, onBroadcast = null) {
+    if (relayerService.canRelay(action, wallet.address)) {
+      return relayerService.signAndRelay(wallet, action, params, { onBroadcast });
+    }
+
+    const { method, toArgs } = RELAY_ACTIONS[action];
+    const request = {
+      to: this.contractAddress,
+      data: this.contract.interface.encodeFunctionData(method, toArgs(params))
+    };
+
+    const payment = await gasManager.prepareFeePayment(wallet.address, request, context);
+    const tx = await feeCurrencyService.sendTransaction(wallet, request, payment);
+
+    console.log(`⏳ Transaction ${method} envoyée: ${tx.hash}`);
+    onBroadcast?.(tx.hash);
+
+    return {
+      receipt: await tx.wait(),
+      feePayment: {
+        currency: payment.currency,
+        feeCurrency: payment.feeCurrency,
+        funding: payment.funding
+      }
+    };
+  }
+
   /*//////////////////////////////////////////////////////////////
                             UTILITIES
   //////////////////////////////////////////////////////////////*/
@@ -0,0 +1,673 @@
+import { config } from '../config/config.js';
+import { ONCHAIN_ROLES } from '../config/roles.js';
+import { blockTimestampService, toIsoDate } from './blockTimestamp.service.js';
+import { governanceService } from './governance.service.js';
+import { EventLogStore } from '../utils/eventLogStore.js';
+import { JsonStore } from '../utils/jsonStore.js';
+
+// Statuts du contrat (enum ProposalStatus) et décisions de modération (enum ModerationDecision)
+const STATUS = { PENDING: 0, ACTIVE: 1, SUCCEEDED: 2, DEFEATED: 3, CANCELLED: 5 };
+const DECISION = { APPROVE: 0, REJECT: 1 };
+
+/**
+ * Indexeur des événements du contrat GovernanceDAO
+ *
+ * Suit tous les événements du contrat (propositions, modération, votes, exécution, annulation,
+ * contestations, membres, rôles, règles) depuis son bloc de déploiement et les conserve
+ * dans le répertoire de données :
+ * - governance-events.jsonl : un événement par ligne
+ * - governance-indexer.json : points de reprise (numéro et hash de bloc)
+ *
+ * Contrairement aux transferts, les blocs sont indexés jusqu'à la tête de chaîne pour que
+ * les votes apparaissent sans attendre. Les points de reprise des INDEXER_CONFIRMATIONS
+ * derniers blocs sont conservés avec leur hash : à chaque passe, si le hash du dernier point
+ * de reprise a changé (réorganisation), l'index revient au dernier point encore valide
+ * et réindexe depuis celui-ci.
+ *
+ * L'état des propositions, contestations, membres et rôles est reconstruit en mémoire à partir
+ * des événements, au même format que les lectures du contrat. Chaque événement garde le
+ * timestamp de son bloc, ce qui donne la chronologie réelle des propositions.
+ */
+class GovernanceIndexer {
+  constructor() {
+    this.log = new EventLogStore('governance-events.jsonl');
+    this.store = new JsonStore('governance-indexer.json');
+
+    this.events = [];                   // Événements dans l'ordre de la chaîne
+    this.keys = new Set();              // "bloc:logIndex" déjà indexés
+    this.checkpoints = [];              // [{ blockNumber, hash }] du plus ancien au plus récent
+    this.loaded = false;
+
+    this.lastIndexedBlock = null;
+    this.targetBlock = null;
+    this.lastSyncAt = null;
+    this.lastError = null;
+    this.reorgs = 0;
+    this.syncing = null;
+    this.timer = null;
+
+    this.resetState();
+  }
+
+  /**
+   * Démarre l'indexation en arrière-plan (INDEXER_POLL_INTERVAL_SECONDS entre deux passes)
+   */
+  start() {
+    if (!config.indexerEnabled || this.timer) {
+      return;
+    }
+
+    this.load();
+    console.log(`🗂️  Indexeur gouvernance démarré (dernier bloc indexé: ${this.lastIndexedBlock})`);
+
+    const tick = async () => {
+      try {
+        await this.sync();
+      } catch (error) {
+        // Erreur déjà enregistrée dans lastError, nouvelle tentative à la prochaine passe
+      }
+      this.timer = setTimeout(tick, config.indexerPollIntervalSeconds * 1000);
+      this.timer.unref();
+    };
+
+    this.timer = setTimeout(tick, 0);
+    this.timer.unref();
+  }
+
+  /**
+   * Arrête l'indexation en arrière-plan
+   */
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Vérifie l'absence de réorganisation puis indexe jusqu'à la tête de chaîne
+   * (une seule passe à la fois)
+   * @returns {Promise<number>} Dernier bloc indexé
+   */
+  async sync() {
+    if (!this.syncing) {
+      this.syncing = this.runSync().finally(() => {
+        this.syncing = null;
+      });
+    }
+    return this.syncing;
+  }
+
+  /**
+   * @private
+   */
+  async runSync() {
+    this.load();
+
+    try {
+      const contract = governanceService.contract;
+      if (!contract) {
+        throw new Error('Contrat de gouvernance non initialisé');
+      }
+
+      const provider = governanceService.provider;
+      const head = await provider.getBlockNumber();
+
+      await this.handleReorg(provider);
+      await this.backfillTimestamps();
+      this.targetBlock = head;
+
+      while (this.lastIndexedBlock < head) {
+        const fromBlock = this.lastIndexedBlock + 1;
+        const toBlock = Math.min(fromBlock + config.indexerChunkSize - 1, head);
+
+        const logs = (await contract.queryFilter('*', fromBlock, toBlock)).filter(log => log.fragment);
+        const timestamps = await blockTimestampService.getTimestamps(logs.map(log => log.blockNumber));
+        const records = [];
+        for (const log of logs) {
+          records.push(await this.toRecord(contract, log, timestamps.get(log.blockNumber)));
+        }
+        const block = await provider.getBlock(toBlock);
+
+        this.append(records);
+        this.addCheckpoint(toBlock, block.hash, head);
+
+        if (records.length > 0) {
+          console.log(`🗂️  ${records.length} événements de gouvernance indexés (blocs ${fromBlock} -> ${toBlock})`);
+        }
+      }
+
+      this.lastSyncAt = new Date().toISOString();
+      this.lastError = null;
+      return this.lastIndexedBlock;
+    } catch (error) {
+      this.lastError = error.message;
+      console.warn(`⚠️  Indexeur gouvernance: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /*//////////////////////////////////////////////////////////////
+                              LECTURE
+  //////////////////////////////////////////////////////////////*/
+
+  /**
+   * Indique si l'index peut répondre pour une plage se terminant à toBlock
+   * @param {number|string} toBlock - Bloc de fin ('latest' accepté)
+   * @returns {boolean}
+   */
+  covers(toBlock = 'latest') {
+    if (!this.isSynced()) {
+      return false;
+    }
+    const to = this.toBlockNumber(toBlock, null);
+    return toBlock === 'latest' || (to !== null && to <= this.lastIndexedBlock);
+  }
+
+  /**
+   * Indique si l'index a rattrapé la tête de chaîne lors de la dernière passe
+   * @returns {boolean}
+   */
+  isSynced() {
+    return this.loaded && this.lastSyncAt !== null && this.lastIndexedBlock >= this.targetBlock;
+  }
+
+  /**
+   * Événements ProposalCreated (même format que governanceService.getProposalEvents)
+   * @param {string|number} fromBlock - Bloc de début ('earliest' accepté)
+   * @param {string|number} toBlock - Bloc de fin ('latest' accepté)
+   * @returns {Array<Object>} Événements
+   */
+  getProposalEvents(fromBlock = null, toBlock = 'latest') {
+    return this.getEvents('ProposalCreated', fromBlock, toBlock).map(event => ({
+      proposalId: event.args.id,
+      proposer: event.args.proposer,
+      ipfsCID: event.args.ipfsCID,
+      impactLevel: Number(event.args.impactLevel),
+      startBlock: event.args.startBlock,
+      endBlock: event.args.endBlock,
+      blockNumber: event.blockNumber,
+      transactionHash: event.transactionHash,
+      timestamp: toIsoDate(event.timestamp)
+    }));
+  }
+
+  /**
+   * Événements VoteCast d'une proposition (même format que governanceService.getVoteEvents)
+   * @param {string} proposalId - ID de la proposition
+   * @param {string|number} fromBlock - Bloc de début
+   * @param {string|number} toBlock - Bloc de fin
+   * @returns {Array<Object>} Votes
+   */
+  getVoteEvents(proposalId, fromBlock = null, toBlock = 'latest') {
+    return this.getEvents('VoteCast', fromBlock, toBlock)
+      .filter(event => event.args.id === String(proposalId))
+      .map(event => ({
+        proposalId: event.args.id,
+        voter: event.args.voter,
+        support: event.args.support,
+        timestamp: event.args.timestamp,
+        blockNumber: event.blockNumber,
+        transactionHash: event.transactionHash
+      }));
+  }
+
+  /**
+   * Proposition reconstruite depuis les événements (même format que governanceService.getProposal)
+   * @param {string} proposalId - ID de la proposition
+   * @returns {Object|null} Proposition ou null si inconnue de l'index
+   */
+  getProposal(proposalId) {
+    const proposal = this.proposals.get(String(proposalId));
+    if (!proposal) {
+      return null;
+    }
+
+    const { moderation, cancellation, contests, timeline, ...fields } = proposal;
+    return {
+      ...fields,
+      votesFor: String(proposal.votesFor),
+      votesAgainst: String(proposal.votesAgainst)
+    };
+  }
+
+  /**
+   * Chronologie d'une proposition (dates ISO des blocs de chaque étape)
+   * @param {string} proposalId - ID de la proposition
+   * @returns {Object|null} { createdAt, moderatedAt, votingStartsAt, votingEndsAt, lastVoteAt, executedAt, cancelledAt }
+   */
+  getProposalTimeline(proposalId) {
+    const proposal = this.proposals.get(String(proposalId));
+    if (!proposal) {
+      return null;
+    }
+
+    return {
+      createdAt: toIsoDate(proposal.timeline.createdAt),
+      moderatedAt: toIsoDate(proposal.timeline.moderatedAt),
+      votingStartsAt: toIsoDate(proposal.startBlock),
+      votingEndsAt: toIsoDate(proposal.endBlock),
+      lastVoteAt: toIsoDate(proposal.timeline.lastVoteAt),
+      executedAt: toIsoDate(proposal.timeline.executedAt),
+      cancelledAt: toIsoDate(proposal.timeline.cancelledAt)
+    };
+  }
+
+  /**
+   * Historique d'une proposition (modération, annulation, contestations)
+   * @param {string} proposalId - ID de la proposition
+   * @returns {Object|null} { moderation, cancellation, contests }
+   */
+  getProposalHistory(proposalId) {
+    const proposal = this.proposals.get(String(proposalId));
+    if (!proposal) {
+      return null;
+    }
+
+    return {
+      moderation: proposal.moderation,
+      cancellation: proposal.cancellation,
+      contests: proposal.contests.map(contestId => this.contests.get(contestId))
+    };
+  }
+
+  /**
+   * Adresses détenant un rôle on-chain
+   * @param {string} role - Rôle applicatif ('admin', 'moderator' ou 'validator')
+   * @returns {Array<string>} Adresses
+   */
+  getRoleHolders(role) {
+    return [...(this.roles.get(ONCHAIN_ROLES[role]) || [])];
+  }
+
+  /**
+   * État de l'indexeur
+   * @returns {Object} Statut (dernier bloc indexé, réorganisations, volumes indexés...)
+   */
+  getStatus() {
+    this.load();
+    return {
+      enabled: config.indexerEnabled,
+      running: this.timer !== null,
+      synced: this.isSynced(),
+      startBlock: config.governanceDeploymentBlock || 0,
+      lastIndexedBlock: this.lastIndexedBlock,
+      targetBlock: this.targetBlock,
+      lag: this.targetBlock !== null ? Math.max(0, this.targetBlock - this.lastIndexedBlock) : null,
+      confirmations: config.indexerConfirmations,
+      checkpoints: this.checkpoints.length,
+      reorgs: this.reorgs,
+      events: this.events.length,
+      proposals: this.proposals.size,
+      contests: this.contests.size,
+      activeMembers: [...this.members.values()].filter(member => member.registered).length,
+      rulesHash: this.rules?.rulesHash || null,
+      paused: this.paused,
+      lastSyncAt: this.lastSyncAt,
+      lastError: this.lastError
+    };
+  }
+
+  /*//////////////////////////////////////////////////////////////
+                          RÉORGANISATIONS
+  //////////////////////////////////////////////////////////////*/
+
+  /**
+   * Compare le hash des points de reprise avec la chaîne et revient au dernier point valide
+   * @private
+   */
+  async handleReorg(provider) {
+    for (let i = this.checkpoints.length - 1; i >= 0; i--) {
+      const checkpoint = this.checkpoints[i];
+      const block = await provider.getBlock(checkpoint.blockNumber);
+
+      if (block && block.hash === checkpoint.hash) {
+        if (i < this.checkpoints.length - 1) {
+          this.rollback(checkpoint.blockNumber);
+        }
+        return;
+      }
+    }
+
+    // Aucun point de reprise valide : réindexation complète
+    if (this.checkpoints.length > 0) {
+      this.rollback((config.governanceDeploymentBlock || 0) - 1);
+    }
+  }
+
+  /**
+   * Retire les événements postérieurs à un bloc et reconstruit l'état
+   * @private
+   */
+  rollback(blockNumber) {
+    console.warn(`⚠️  Réorganisation détectée: retour de l'index gouvernance au bloc ${blockNumber} (depuis ${this.lastIndexedBlock})`);
+
+    this.reorgs++;
+    this.events = this.events.filter(event => event.blockNumber <= blockNumber);
+    this.checkpoints = this.checkpoints.filter(checkpoint => checkpoint.blockNumber <= blockNumber);
+    this.lastIndexedBlock = blockNumber;
+
+    this.log.rewrite(this.events);
+    this.saveCheckpoints();
+    this.rebuild();
+  }
+
+  /**
+   * Enregistre un point de reprise et oublie ceux qui ont assez de confirmations
+   * (le plus récent d'entre eux reste le point de repli)
+   * @private
+   */
+  addCheckpoint(blockNumber, hash, head) {
+    this.checkpoints.push({ blockNumber, hash });
+    this.lastIndexedBlock = blockNumber;
+
+    const finalized = head - config.indexerConfirmations;
+    const lastFinal = this.checkpoints.filter(checkpoint => checkpoint.blockNumber <= finalized).pop();
+    this.checkpoints = this.checkpoints.filter(checkpoint =>
+      checkpoint === lastFinal || checkpoint.blockNumber > finalized
+    );
+
+    this.saveCheckpoints();
+  }
+
+  /**
+   * @private
+   */
+  saveCheckpoints() {
+    this.store.set('checkpoints', {
+      lastIndexedBlock: this.lastIndexedBlock,
+      blocks: this.checkpoints,
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  /*//////////////////////////////////////////////////////////////
+                              STOCKAGE
+  //////////////////////////////////////////////////////////////*/
+
+  /**
+   * Charge les points de reprise et les événements déjà indexés (une seule fois)
+   * @private
+   */
+  load() {
+    if (this.loaded) {
+      return;
+    }
+
+    const saved = this.store.get('checkpoints');
+    this.checkpoints = saved?.blocks || [];
+    this.lastIndexedBlock = saved?.lastIndexedBlock ?? (config.governanceDeploymentBlock || 0) - 1;
+
+    const { records, invalid } = this.log.readAll();
+    let discarded = invalid;
+    for (const event of records) {
+      const key = `${event.blockNumber}:${event.logIndex}`;
+      if (event.blockNumber > this.lastIndexedBlock || this.keys.has(key)) {
+        discarded++;
+        continue;
+      }
+      this.keys.add(key);
+      this.events.push(event);
+    }
+
+    if (discarded > 0) {
+      this.log.rewrite(this.events);
+    }
+
+    this.rebuild();
+    this.loaded = true;
+  }
+
+  /**
+   * Ajoute des événements à l'index, à l'état et au fichier
+   * @private
+   */
+  append(records) {
+    const added = records.filter(record => {
+      const key = `${record.blockNumber}:${record.logIndex}`;
+      if (this.keys.has(key)) {
+        return false;
+      }
+      this.keys.add(key);
+      return true;
+    });
+
+    this.events.push(...added);
+    added.forEach(record => this.apply(record));
+    this.log.append(added);
+  }
+
+  /**
+   * Ajoute le timestamp de bloc aux événements indexés avant qu'il ne soit enregistré
+   * @private
+   */
+  async backfillTimestamps() {
+    const missing = this.events.filter(event => event.timestamp === undefined);
+    if (missing.length === 0) {
+      return;
+    }
+
+    const timestamps = await blockTimestampService.getTimestamps(missing.map(event => event.blockNumber));
+    missing.forEach(event => {
+      event.timestamp = timestamps.get(event.blockNumber);
+    });
+
+    this.log.rewrite(this.events);
+    this.rebuild();
+  }
+
+  /**
+   * Convertit un log décodé en événement sérialisable
+   * Le titre d'une proposition n'est pas dans l'événement : il est lu une fois sur le contrat.
+   * @private
+   */
+  async toRecord(contract, log, timestamp) {
+    const args = {};
+    log.fragment.inputs.forEach((input, index) => {
+      const value = log.args[index];
+      args[input.name] = typeof value === 'bigint' ? value.toString() : value;
+    });
+
+    if (log.eventName === 'ProposalCreated') {
+      args.title = (await contract.getProposal(args.id)).title;
+    }
+
+    return {
+      event: log.eventName,
+      blockNumber: log.blockNumber,
+      logIndex: log.index,
+      transactionHash: log.transactionHash,
+      timestamp,
+      args
+    };
+  }
+
+  /*//////////////////////////////////////////////////////////////
+                        ÉTAT RECONSTRUIT
+  //////////////////////////////////////////////////////////////*/
+
+  /**
+   * @private
+   */
+  resetState() {
+    this.proposals = new Map();   // ID → proposition
+    this.contests = new Map();    // ID → contestation
+    this.members = new Map();     // Adresse (minuscules) → adhésion
+    this.roles = new Map();       // Identifiant de rôle → Set d'adresses
+    this.rules = null;
+    this.paused = false;
+  }
+
+  /**
+   * Rejoue tous les événements indexés
+   * @private
+   */
+  rebuild() {
+    this.resetState();
+    this.keys = new Set(this.events.map(event => `${event.blockNumber}:${event.logIndex}`));
+    this.events.forEach(event => this.apply(event));
+  }
+
+  /**
+   * Applique un événement à l'état (mêmes transitions que le contrat)
+   * @private
+   */
+  apply({ event, args, blockNumber, transactionHash, timestamp }) {
+    const proposal = args.id !== undefined ? this.proposals.get(args.id) : null;
+    const source = { blockNumber, transactionHash, timestamp };
+
+    switch (event) {
+      case 'ProposalCreated':
+        this.proposals.set(args.id, {
+          id: args.id,
+          proposer: args.proposer,
+          ipfsCID: args.ipfsCID,
+          title: args.title,
+          impactLevel: Number(args.impactLevel),
+          startBlock: args.startBlock,
+          endBlock: args.endBlock,
+          votesFor: 0,
+          votesAgainst: 0,
+          executed: false,
+          cancelled: false,
+          createdAt: args.startBlock,
+          status: STATUS.PENDING,
+          moderation: null,
+          cancellation: null,
+          contests: [],
+          timeline: { createdAt: timestamp, moderatedAt: null, lastVoteAt: null, executedAt: null, cancelledAt: null }
+        });
+        break;
+
+      case 'ProposalModerated':
+        if (!proposal) break;
+        proposal.moderation = { moderator: args.moderator, decision: Number(args.decision), note: args.note, ...source };
+        if (Number(args.decision) === DECISION.APPROVE) proposal.status = STATUS.ACTIVE;
+        if (Number(args.decision) === DECISION.REJECT) proposal.status = STATUS.DEFEATED;
+        proposal.timeline.moderatedAt = timestamp;
+        break;
+
+      case 'VoteCast':
+        if (!proposal) break;
+        if (args.support) proposal.votesFor++;
+        else proposal.votesAgainst++;
+        proposal.timeline.lastVoteAt = timestamp;
+        break;
+
+      case 'ProposalExecuted':
+        if (!proposal) break;
+        proposal.executed = true;
+        proposal.votesFor = Number(args.votesFor);
+        proposal.votesAgainst = Number(args.votesAgainst);
+        proposal.status = args.succeeded ? STATUS.SUCCEEDED : STATUS.DEFEATED;
+        proposal.timeline.executedAt = timestamp;
+        break;
+
+      case 'ProposalCancelled':
+        if (!proposal) break;
+        proposal.cancelled = true;
+        proposal.status = STATUS.CANCELLED;
+        proposal.cancellation = { cancelledBy: args.cancelledBy, reason: args.reason, ...source };
+        proposal.timeline.cancelledAt = timestamp;
+        break;
+
+      case 'ContestRaised':
+        this.contests.set(args.contestId, {
+          id: args.contestId,
+          proposalId: args.proposalId,
+          raisedBy: args.raisedBy,
+          reason: args.reason,
+          resolved: false,
+          upheld: false,
+          resolutionNote: '',
+          resolvedBy: null,
+          resolvedAt: null,
+          ...source
+        });
+        this.proposals.get(args.proposalId)?.contests.push(args.contestId);
+        break;
+
+      case 'ContestResolved': {
+        const contest = this.contests.get(args.contestId);
+        if (!contest) break;
+        Object.assign(contest, {
+          resolved: true,
+          upheld: args.upheld,
+          resolutionNote: args.resolutionNote,
+          resolvedBy: args.resolvedBy,
+          resolvedAt: timestamp
+        });
+        break;
+      }
+
+      case 'MemberRegistered':
+        this.members.set(args.member.toLowerCase(), {
+          address: args.member,
+          registered: true,
+          transactionCount: args.transactionCount,
+          registeredAt: args.timestamp,
+          deregisteredAt: null
+        });
+        break;
+
+      case 'MemberDeregistered': {
+        const member = this.members.get(args.member.toLowerCase());
+        if (member) {
+          member.registered = false;
+          member.deregisteredAt = args.timestamp;
+        }
+        break;
+      }
+
+      case 'RoleGranted':
+        if (!this.roles.has(args.role)) this.roles.set(args.role, new Set());
+        this.roles.get(args.role).add(args.account);
+        break;
+
+      case 'RoleRevoked':
+        this.roles.get(args.role)?.delete(args.account);
+        break;
+
+      case 'RulesAmended':
+        this.rules = { rulesHash: args.newRulesHash, amendedBy: args.amendedBy, ...source };
+        break;
+
+      case 'Paused':
+      case 'Unpaused':
+        this.paused = event === 'Paused';
+        break;
+
+      default:
+        // ModeratorAdded/Removed, ValidatorAdded/Removed : doublons des événements de rôle
+        break;
+    }
+  }
+
+  /*//////////////////////////////////////////////////////////////
+                              UTILITAIRES
+  //////////////////////////////////////////////////////////////*/
+
+  /**
+   * Événements d'un type dans une plage de blocs
+   * @private
+   */
+  getEvents(name, fromBlock, toBlock) {
+    const from = this.toBlockNumber(fromBlock, 0);
+    const to = this.toBlockNumber(toBlock, this.lastIndexedBlock);
+
+    return this.events.filter(event =>
+      event.event === name && event.blockNumber >= from && event.blockNumber <= to
+    );
+  }
+
+  /**
+   * Convertit un paramètre de bloc (nombre, chaîne numérique ou tag) en numéro de bloc
+   * @private
+   */
+  toBlockNumber(value, fallback) {
+    const parsed = typeof value === 'number' ? value : parseInt(value, 10);
+    return Number.isInteger(parsed) ? parsed : fallback;
+  }
+}
+
+// Export d'une instance singleton
+export const governanceIndexer = new GovernanceIndexer();
+export default governanceIndexer;
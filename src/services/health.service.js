@@ -0,0 +1,244 @@
+import fs from 'fs';
+import path from 'path';
+import { config } from '../config/config.js';
+import { blockchainService } from './blockchain.service.js';
+import { governanceService } from './governance.service.js';
+import { gasManager } from './gasManager.service.js';
+
+// Résultat d'une vérification (pass : OK, warn : dégradé sans bloquer, fail : en échec)
+export const CHECK_STATUS = {
+  PASS: 'pass',
+  WARN: 'warn',
+  FAIL: 'fail'
+};
+
+/**
+ * Service des sondes de santé pour l'orchestrateur de conteneurs
+ *
+ * - liveness (/api/health/live) : le processus répond (boucle d'événements, répertoire de données),
+ *   sans dépendre du réseau ; en échec, l'instance doit être redémarrée
+ * - readiness (/api/health/ready) : l'instance peut servir les requêtes (nœud RPC, contrat du token,
+ *   contrat de gouvernance, wallet administrateur, fraîcheur du dernier bloc) ; en échec, elle doit
+ *   être retirée du trafic le temps que ses dépendances reviennent
+ *
+ * Chaque vérification est bornée à HEALTH_CHECK_TIMEOUT_MS et rapporte son statut et sa latence.
+ * Seules les vérifications critiques en échec rendent la sonde indisponible (503) ; les autres
+ * la signalent dégradée (warn) tout en répondant 200.
+ */
+class HealthService {
+  constructor() {
+    this.startedAt = Date.now();
+  }
+
+  /**
+   * Sonde de vie du processus
+   * @returns {Promise<Object>} { status, durationMs, checks }
+   */
+  async checkLiveness() {
+    return this.runChecks({
+      eventLoop: { critical: true, run: () => this.checkEventLoop() },
+      dataDir: { critical: true, run: () => this.checkDataDir() },
+      memory: { critical: false, run: () => this.checkMemory() }
+    });
+  }
+
+  /**
+   * Sonde de disponibilité (dépendances blockchain)
+   * @returns {Promise<Object>} { status, durationMs, checks }
+   */
+  async checkReadiness() {
+    return this.runChecks({
+      rpc: { critical: true, run: () => this.checkRpc() },
+      tokenContract: { critical: true, run: () => this.checkTokenContract() },
+      governance: { critical: true, run: () => this.checkGovernance() },
+      adminWallet: { critical: false, run: () => this.checkAdminWallet() },
+      blockLag: { critical: true, run: () => this.checkBlockLag() }
+    });
+  }
+
+  /**
+   * Durée de fonctionnement du processus
+   * @returns {number} Secondes depuis le démarrage
+   */
+  getUptimeSeconds() {
+    return Math.floor((Date.now() - this.startedAt) / 1000);
+  }
+
+  /*//////////////////////////////////////////////////////////////
+                            VÉRIFICATIONS
+  //////////////////////////////////////////////////////////////*/
+
+  /**
+   * Latence de la boucle d'événements (délai avant l'exécution d'un setImmediate)
+   * @private
+   */
+  async checkEventLoop() {
+    const started = process.hrtime.bigint();
+    await new Promise(resolve => setImmediate(resolve));
+    const lagMs = Number(process.hrtime.bigint() - started) / 1e6;
+
+    if (lagMs > config.healthMaxEventLoopLagMs) {
+      return failure(`Boucle d'événements bloquée (${lagMs.toFixed(1)} ms)`, { lagMs });
+    }
+    return { status: CHECK_STATUS.PASS, lagMs: Math.round(lagMs * 100) / 100 };
+  }
+
+  /**
+   * Répertoire de données accessible en écriture (registres, files, verrouillages PIN...)
+   * @private
+   */
+  async checkDataDir() {
+    const dataDir = path.resolve(config.dataDir);
+    await fs.promises.mkdir(dataDir, { recursive: true });
+    await fs.promises.access(dataDir, fs.constants.W_OK);
+    return { status: CHECK_STATUS.PASS, path: dataDir };
+  }
+
+  /**
+   * Mémoire du processus (informatif)
+   * @private
+   */
+  async checkMemory() {
+    const { rss, heapUsed, heapTotal } = process.memoryUsage();
+    const toMb = (bytes) => Math.round(bytes / 1024 / 1024);
+    return { status: CHECK_STATUS.PASS, rssMb: toMb(rss), heapUsedMb: toMb(heapUsed), heapTotalMb: toMb(heapTotal) };
+  }
+
+  /**
+   * Nœud RPC joignable et sur le réseau attendu
+   * @private
+   */
+  async checkRpc() {
+    const network = await blockchainService.provider.getNetwork();
+    const chainId = Number(network.chainId);
+
+    if (chainId !== config.celoChainId) {
+      return failure(`Nœud RPC sur le réseau ${chainId} au lieu de ${config.celoChainId}`, { chainId });
+    }
+    return { status: CHECK_STATUS.PASS, chainId };
+  }
+
+  /**
+   * Code du contrat du token déployé à l'adresse configurée
+   * @private
+   */
+  async checkTokenContract() {
+    const address = config.tokenContractAddress;
+    if (!address) {
+      return failure('Adresse du contrat du token non configurée');
+    }
+
+    const code = await blockchainService.provider.getCode(address);
+    if (!code || code === '0x') {
+      return failure(`Aucun contrat déployé à l'adresse du token (${address})`, { address });
+    }
+    return { status: CHECK_STATUS.PASS, address };
+  }
+
+  /**
+   * Contrat de gouvernance initialisé et joignable (non configuré : dégradé)
+   * @private
+   */
+  async checkGovernance() {
+    if (!config.governanceContractAddress) {
+      return { status: CHECK_STATUS.WARN, error: 'Adresse du contrat de gouvernance non configurée' };
+    }
+    if (!governanceService.contract) {
+      return failure('Contrat de gouvernance non initialisé', { address: config.governanceContractAddress });
+    }
+
+    await governanceService.testConnection({ silent: true });
+    return { status: CHECK_STATUS.PASS, address: config.governanceContractAddress };
+  }
+
+  /**
+   * Wallet administrateur configuré et approvisionné (non critique : les lectures restent possibles)
+   * @private
+   */
+  async checkAdminWallet() {
+    const health = await gasManager.checkAdminWalletHealth();
+
+    if (health.error) {
+      return failure(health.error);
+    }
+    return {
+      status: health.healthy ? CHECK_STATUS.PASS : CHECK_STATUS.WARN,
+      address: health.address,
+      balance: health.balanceFormatted,
+      ...(health.warning && { error: health.warning })
+    };
+  }
+
+  /**
+   * Retard du dernier bloc sur l'horloge (nœud RPC désynchronisé ou chaîne arrêtée)
+   * @private
+   */
+  async checkBlockLag() {
+    const block = await blockchainService.provider.getBlock('latest');
+    const lagSeconds = Math.max(0, Math.floor(Date.now() / 1000) - Number(block.timestamp));
+    const details = { blockNumber: block.number, blockTimestamp: new Date(Number(block.timestamp) * 1000).toISOString(), lagSeconds };
+
+    if (lagSeconds > config.healthMaxBlockLagSeconds) {
+      return failure(`Dernier bloc en retard de ${lagSeconds} s (maximum ${config.healthMaxBlockLagSeconds} s)`, details);
+    }
+    return { status: CHECK_STATUS.PASS, ...details };
+  }
+
+  /*//////////////////////////////////////////////////////////////
+                              UTILITAIRES
+  //////////////////////////////////////////////////////////////*/
+
+  /**
+   * Exécute les vérifications en parallèle, chacune bornée à HEALTH_CHECK_TIMEOUT_MS
+   * @private
+   */
+  async runChecks(definitions) {
+    const started = Date.now();
+
+    const entries = await Promise.all(Object.entries(definitions).map(async ([name, { critical, run }]) => {
+      const checkStarted = process.hrtime.bigint();
+      let result;
+      try {
+        result = await withTimeout(run(), config.healthCheckTimeoutMs);
+      } catch (error) {
+        result = failure(error.shortMessage || error.message);
+      }
+      const latencyMs = Math.round(Number(process.hrtime.bigint() - checkStarted) / 1e4) / 100;
+
+      return [name, { ...result, critical, latencyMs }];
+    }));
+
+    const checks = Object.fromEntries(entries);
+    const results = Object.values(checks);
+
+    let status = CHECK_STATUS.PASS;
+    if (results.some(check => check.critical && check.status === CHECK_STATUS.FAIL)) {
+      status = CHECK_STATUS.FAIL;
+    } else if (results.some(check => check.status !== CHECK_STATUS.PASS)) {
+      status = CHECK_STATUS.WARN;
+    }
+
+    return { status, durationMs: Date.now() - started, checks };
+  }
+}
+
+/**
+ * @private
+ */
+const failure = (error, details = {}) => ({ status: CHECK_STATUS.FAIL, ...details, error });
+
+/**
+ * Rejette si la promesse n'est pas résolue dans le délai
+ * @private
+ */
+const withTimeout = (promise, timeoutMs) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Pas de réponse après ${timeoutMs} ms`)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// Export d'une instance singleton
+export const healthService = new HealthService();
+export default healthService;
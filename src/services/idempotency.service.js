@@ -0,0 +1,164 @@
+import crypto from 'crypto';
+import { config } from '../config/config.js';
+import { JsonStore } from '../utils/jsonStore.js';
+
+// Statuts d'une clé d'idempotence
+export const IDEMPOTENCY_STATUS = {
+  IN_PROGRESS: 'in_progress',
+  COMPLETED: 'completed'
+};
+
+/**
+ * Service des clés d'idempotence (en-tête Idempotency-Key)
+ *
+ * La première requête portant une clé réserve celle-ci puis enregistre sa réponse ; une
+ * répétition de la même requête pendant IDEMPOTENCY_TTL_HOURS reçoit la réponse enregistrée
+ * sans être réexécutée. Les clés sont enregistrées dans DATA_DIR (idempotency-keys.json) et
+ * survivent donc à un redémarrage. La réservation est renouvelée tant que la requête d'origine
+ * est en cours (ex: attente de confirmation d'une transaction) ; une requête interrompue par un
+ * redémarrage garde sa réservation pendant IDEMPOTENCY_LOCK_SECONDS avant de pouvoir être rejouée.
+ */
+class IdempotencyService {
+  constructor() {
+    this.store = new JsonStore('idempotency-keys.json');
+    this.renewals = new Map(); // Identifiant → minuteur de renouvellement de la réservation
+  }
+
+  /**
+   * Réserve une clé ou retrouve la réponse déjà enregistrée
+   * @param {string} scope - Portée de la clé (méthode, route et appelant)
+   * @param {string} key - Valeur de l'en-tête Idempotency-Key
+   * @param {string} fingerprint - Empreinte de la requête (corps et paramètres)
+   * @returns {Object} { id, replay } - replay : réponse enregistrée ({ statusCode, body, headers }) ou null
+   * @throws {Error} IDEMPOTENCY_KEY_IN_PROGRESS (409) si la requête d'origine est en cours,
+   *                 IDEMPOTENCY_KEY_REUSED (422) si la clé a servi pour une autre requête
+   */
+  begin(scope, key, fingerprint) {
+    this.prune();
+
+    const id = crypto.createHash('sha256').update(`${scope}\n${key}`).digest('hex');
+    const record = this.store.get(id);
+    const now = Date.now();
+
+    if (record && !this.isAbandoned(record, now)) {
+      if (record.fingerprint !== fingerprint) {
+        const e = new Error('Cette clé d\'idempotence a déjà été utilisée pour une requête différente');
+        e.code = 'IDEMPOTENCY_KEY_REUSED';
+        e.status = 422;
+        throw e;
+      }
+
+      if (record.status === IDEMPOTENCY_STATUS.IN_PROGRESS) {
+        const e = new Error('La requête d\'origine est toujours en cours de traitement');
+        e.code = 'IDEMPOTENCY_KEY_IN_PROGRESS';
+        e.status = 409;
+        e.retryAfter = Math.max(1, Math.ceil((record.lockedUntil - now) / 1000));
+        throw e;
+      }
+
+      return { id, replay: record.response };
+    }
+
+    this.store.set(id, {
+      status: IDEMPOTENCY_STATUS.IN_PROGRESS,
+      fingerprint,
+      createdAt: new Date(now).toISOString(),
+      lockedUntil: now + config.idempotencyLockSeconds * 1000,
+      response: null
+    });
+    this.hold(id);
+
+    return { id, replay: null };
+  }
+
+  /**
+   * Enregistre la réponse de la requête d'origine
+   * @param {string} id - Identifiant retourné par begin()
+   * @param {Object} response - { statusCode, body, headers }
+   */
+  complete(id, response) {
+    this.unhold(id);
+    const record = this.store.get(id);
+    if (!record) {
+      return;
+    }
+
+    this.store.set(id, {
+      ...record,
+      status: IDEMPOTENCY_STATUS.COMPLETED,
+      completedAt: new Date().toISOString(),
+      lockedUntil: null,
+      response
+    });
+  }
+
+  /**
+   * Libère une clé sans enregistrer de réponse (la requête pourra être rejouée)
+   * @param {string} id - Identifiant retourné par begin()
+   */
+  release(id) {
+    this.unhold(id);
+    this.store.delete(id);
+  }
+
+  /**
+   * Indique si la requête d'origine est encore en cours dans ce processus
+   * @param {string} id - Identifiant retourné par begin()
+   * @returns {boolean}
+   */
+  isHeld(id) {
+    return this.renewals.has(id);
+  }
+
+  /*//////////////////////////////////////////////////////////////
+                              UTILITAIRES
+  //////////////////////////////////////////////////////////////*/
+
+  /**
+   * Renouvelle la réservation jusqu'à la réponse de la requête d'origine (complete ou release)
+   * @private
+   */
+  hold(id) {
+    const lockMs = config.idempotencyLockSeconds * 1000;
+    const timer = setInterval(() => {
+      const record = this.store.get(id);
+      if (record?.status !== IDEMPOTENCY_STATUS.IN_PROGRESS) {
+        return this.unhold(id);
+      }
+      this.store.set(id, { ...record, lockedUntil: Date.now() + lockMs });
+    }, Math.max(1000, Math.floor(lockMs / 3)));
+    timer.unref();
+    this.renewals.set(id, timer);
+  }
+
+  /**
+   * @private
+   */
+  unhold(id) {
+    clearInterval(this.renewals.get(id));
+    this.renewals.delete(id);
+  }
+
+  /**
+   * Réservation expirée : la requête d'origine n'a jamais répondu (ex: redémarrage)
+   * @private
+   */
+  isAbandoned(record, now) {
+    return record.status === IDEMPOTENCY_STATUS.IN_PROGRESS && record.lockedUntil <= now;
+  }
+
+  /**
+   * Supprime les clés plus anciennes que IDEMPOTENCY_TTL_HOURS
+   * @private
+   */
+  prune() {
+    const limit = Date.now() - config.idempotencyTtlHours * 3600 * 1000;
+    this.store.entries()
+      .filter(([, record]) => Date.parse(record.createdAt) < limit)
+      .forEach(([id]) => this.store.delete(id));
+  }
+}
+
+// Export d'une instance singleton
+export const idempotencyService = new IdempotencyService();
+export default idempotencyService;
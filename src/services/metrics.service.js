@@ -0,0 +1,108 @@
+import { ethers } from 'ethers';
+import { blockchainService } from './blockchain.service.js';
+import { adminTxQueue } from './adminTxQueue.service.js';
+import { gasManager } from './gasManager.service.js';
+import { registry, metrics } from '../utils/metrics.js';
+
+/**
+ * Service des métriques Prometheus (GET /metrics)
+ *
+ * Les compteurs et histogrammes (requêtes HTTP, appels RPC, transactions) sont alimentés au fil de
+ * l'eau par le middleware et les services instrumentés (voir utils/metrics.js). Les valeurs
+ * instantanées sont relevées à chaque collecte : soldes du wallet administrateur, dernier bloc,
+ * totaux du financement automatique du gas (registre persistant) et transactions admin en cours.
+ * Une valeur indisponible (nœud RPC injoignable...) est omise sans faire échouer la collecte.
+ */
+class MetricsService {
+  constructor() {
+    this.tokenDecimals = null;
+  }
+
+  /**
+   * Relève les valeurs instantanées puis rend toutes les métriques
+   * @returns {Promise<string>} Métriques au format texte Prometheus
+   */
+  async collect() {
+    const gauges = [
+      metrics.adminBalance,
+      metrics.blockHeight,
+      metrics.adminQueuePending,
+      metrics.gasFundingsTotal,
+      metrics.gasFundedCeloTotal
+    ];
+    gauges.forEach(metric => metric.reset());
+
+    const results = await Promise.allSettled([
+      this.collectAdminBalances(),
+      this.collectBlockHeight(),
+      this.collectGasFunding(),
+      this.collectProcess()
+    ]);
+
+    results
+      .filter(result => result.status === 'rejected')
+      .forEach(result => console.warn('⚠️  [Métriques] Valeur indisponible:', result.reason.shortMessage || result.reason.message));
+
+    return registry.render();
+  }
+
+  /*//////////////////////////////////////////////////////////////
+                              COLLECTE
+  //////////////////////////////////////////////////////////////*/
+
+  /**
+   * Soldes CELO et BFK du wallet administrateur, transactions admin en cours
+   * @private
+   */
+  async collectAdminBalances() {
+    if (!adminTxQueue.isConfigured()) {
+      return;
+    }
+
+    metrics.adminQueuePending.set({}, adminTxQueue.getStatus().pending.length);
+
+    const health = await gasManager.checkAdminWalletHealth();
+    if (health.error) {
+      throw new Error(health.error);
+    }
+    metrics.adminBalance.set({ asset: 'CELO' }, Number(ethers.formatEther(health.balanceWei)));
+
+    const token = blockchainService.tokenContract;
+    if (token) {
+      this.tokenDecimals ??= Number(await token.decimals());
+      const balance = await token.balanceOf(adminTxQueue.address);
+      metrics.adminBalance.set({ asset: 'BFK' }, Number(ethers.formatUnits(balance, this.tokenDecimals)));
+    }
+  }
+
+  /**
+   * Numéro du dernier bloc
+   * @private
+   */
+  async collectBlockHeight() {
+    metrics.blockHeight.set({}, await blockchainService.provider.getBlockNumber());
+  }
+
+  /**
+   * Totaux du financement automatique du gas
+   * @private
+   */
+  async collectGasFunding() {
+    const stats = gasManager.getStats();
+    metrics.gasFundingsTotal.set({}, stats.totalFundings);
+    metrics.gasFundedCeloTotal.set({}, Number(stats.totalAmountFunded));
+  }
+
+  /**
+   * Mémoire et date de démarrage du processus
+   * @private
+   */
+  async collectProcess() {
+    metrics.processResidentMemory.set({}, process.memoryUsage().rss);
+    metrics.processStartTime.set({}, Math.floor(Date.now() / 1000 - process.uptime()));
+  }
+}
+
+// Export d'une instance singleton
+export const metricsService = new MetricsService();
+export default metricsService;
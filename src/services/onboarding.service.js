@@ -0,0 +1,225 @@
+import { config } from '../config/config.js';
+import { JsonStore } from '../utils/jsonStore.js';
+import { blockchainService } from './blockchain.service.js';
+import { phoneWalletService } from './phoneWallet.service.js';
+
+// Statuts du financement initial
+export const ONBOARDING_STATUS = {
+  PENDING: 'pending',   // Financement en cours
+  FUNDED: 'funded',     // CELO + BFK envoyés
+  FAILED: 'failed',     // Au moins un envoi a échoué (relançable par un admin)
+  SKIPPED: 'skipped'    // Wallet déjà actif avant le registre : pas de nouveau financement
+};
+
+/**
+ * Registre d'onboarding des comptes téléphone
+ *
+ * La dérivation étant déterministe, recréer un compte avec le même téléphone/PIN
+ * retombe sur le même wallet : sans registre, chaque appel renvoyait du CELO et
+ * re-mintait des BFK. Chaque numéro (clé = hashPhoneNumber) n'est financé qu'une fois.
+ *
+ * Le registre est conservé dans data/onboarding.json et survit aux redémarrages.
+ */
+class OnboardingService {
+  constructor() {
+    this.store = new JsonStore('onboarding.json');
+    this.inFlight = new Set(); // Financements en cours dans ce processus
+  }
+
+  /**
+   * Enregistre un compte et effectue son financement initial s'il est nouveau
+   * @param {string} phoneNumber - Numéro de téléphone
+   * @param {string} address - Adresse du wallet dérivé
+   * @returns {Promise<Object>} { isNewAccount, record }
+   */
+  async onboard(phoneNumber, address) {
+    const key = phoneWalletService.hashPhoneNumber(phoneNumber);
+    const existing = this.store.get(key);
+
+    if (existing) {
+      console.log(`↩️  Compte déjà enregistré (${existing.status}): ${existing.address}`);
+      return { isNewAccount: false, record: existing };
+    }
+
+    // Réservation immédiate (synchrone) : un second appel concurrent verra le compte comme existant
+    const now = new Date().toISOString();
+    this.store.set(key, {
+      phoneHash: key,
+      address,
+      status: ONBOARDING_STATUS.PENDING,
+      celo: null,
+      token: null,
+      attempts: 0,
+      lastError: null,
+      createdAt: now,
+      updatedAt: now
+    });
+
+    // Wallets créés avant la mise en place du registre : déjà financés, on ne recommence pas
+    if (await this.hasPriorActivity(address)) {
+      console.log(`↩️  Wallet déjà actif avant le registre, financement ignoré: ${address}`);
+      return {
+        isNewAccount: false,
+        record: this.update(key, { status: ONBOARDING_STATUS.SKIPPED })
+      };
+    }
+
+    return { isNewAccount: true, record: await this.fund(key) };
+  }
+
+  /**
+   * Relance le financement initial d'un compte en échec (seuls les envois manquants sont refaits)
+   * Un financement resté "pending" après un redémarrage du serveur est aussi relançable
+   * @param {string} address - Adresse du wallet
+   * @returns {Promise<Object>} Enregistrement mis à jour
+   */
+  async retry(address) {
+    const entry = this.findByAddress(address);
+
+    if (!entry) {
+      const e = new Error('Aucun onboarding enregistré pour cette adresse');
+      e.code = 'ONBOARDING_NOT_FOUND';
+      e.status = 404;
+      throw e;
+    }
+
+    const interrupted = entry.status === ONBOARDING_STATUS.PENDING && !this.inFlight.has(entry.phoneHash);
+    if (entry.status !== ONBOARDING_STATUS.FAILED && !interrupted) {
+      const e = new Error(`Seuls les financements en échec peuvent être relancés (statut actuel: ${entry.status})`);
+      e.code = 'ONBOARDING_NOT_FAILED';
+      e.status = 409;
+      throw e;
+    }
+
+    this.update(entry.phoneHash, { status: ONBOARDING_STATUS.PENDING });
+    return this.fund(entry.phoneHash);
+  }
+
+  /**
+   * Rattache le compte d'un numéro à sa nouvelle adresse (après un changement de PIN)
+   * @param {string} phoneNumber - Numéro de téléphone
+   * @param {string} address - Nouvelle adresse
+   * @returns {Object|null} Enregistrement mis à jour
+   */
+  migrateAddress(phoneNumber, address) {
+    const key = phoneWalletService.hashPhoneNumber(phoneNumber);
+    const entry = this.store.get(key);
+    if (!entry) {
+      return null;
+    }
+
+    return this.update(key, {
+      address,
+      previousAddresses: [...(entry.previousAddresses || []), entry.address]
+    });
+  }
+
+  /**
+   * Liste les enregistrements d'onboarding
+   * @param {string} status - Filtre par statut (optionnel)
+   * @returns {Array<Object>} Enregistrements
+   */
+  list(status = null) {
+    return this.store.entries()
+      .map(([, entry]) => entry)
+      .filter(entry => !status || entry.status === status)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Enregistrement d'onboarding d'un numéro
+   * @param {string} phoneNumber - Numéro de téléphone
+   * @returns {Object|null} Enregistrement
+   */
+  findByPhone(phoneNumber) {
+    return this.store.get(phoneWalletService.hashPhoneNumber(phoneNumber));
+  }
+
+  /**
+   * Recherche un enregistrement par adresse
+   * @param {string} address - Adresse du wallet
+   * @returns {Object|null} Enregistrement
+   */
+  findByAddress(address) {
+    const target = address.toLowerCase();
+    return this.list().find(entry => entry.address.toLowerCase() === target) || null;
+  }
+
+  /**
+   * Envoie le CELO puis les BFK manquants, en enregistrant chaque étape
+   * @private
+   */
+  async fund(key) {
+    let entry = this.update(key, { attempts: this.store.get(key).attempts + 1 });
+    this.inFlight.add(key);
+
+    try {
+      if (!entry.celo) {
+        const fundingAmount = config.initialWalletFunding.toString();
+        console.log(`🎁 Envoi de ${fundingAmount} CELO au nouveau compte ${entry.address}...`);
+
+        const celoTx = await blockchainService.sendCelo(entry.address, fundingAmount);
+        console.log(`✅ Funding CELO réussi! TxHash: ${celoTx.transactionHash}`);
+        entry = this.update(key, { celo: celoTx });
+      }
+
+      if (!entry.token) {
+        const tokenAmount = config.initialTokenFunding.toString();
+        console.log(`🪙 Mint de ${tokenAmount} BFK pour ${entry.address}...`);
+
+        const mintTx = await blockchainService.mintTokens(entry.address, tokenAmount);
+        console.log(`✅ Mint BFK réussi! TxHash: ${mintTx.transactionHash}`);
+        entry = this.update(key, { token: mintTx });
+      }
+
+      return this.update(key, {
+        status: ONBOARDING_STATUS.FUNDED,
+        lastError: null,
+        fundedAt: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('⚠️  Erreur lors du funding initial:', error.message);
+      return this.update(key, {
+        status: ONBOARDING_STATUS.FAILED,
+        lastError: error.message
+      });
+    } finally {
+      this.inFlight.delete(key);
+    }
+  }
+
+  /**
+   * Indique si le wallet a déjà des fonds ou des transactions (financé avant le registre)
+   * @private
+   */
+  async hasPriorActivity(address) {
+    try {
+      const [celoBalance, nonce, tokenBalance] = await Promise.all([
+        blockchainService.provider.getBalance(address),
+        blockchainService.provider.getTransactionCount(address),
+        blockchainService.tokenContract.balanceOf(address)
+      ]);
+      return celoBalance > 0n || nonce > 0 || tokenBalance > 0n;
+    } catch (error) {
+      // Réseau indisponible : le financement échouera de toute façon et restera relançable
+      console.warn('⚠️  Impossible de vérifier l\'activité du wallet:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Met à jour un enregistrement
+   * @private
+   */
+  update(key, changes) {
+    return this.store.set(key, {
+      ...this.store.get(key),
+      ...changes,
+      updatedAt: new Date().toISOString()
+    });
+  }
+}
+
+// Export d'une instance singleton
+export const onboardingService = new OnboardingService();
+export default onboardingService;
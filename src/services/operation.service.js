@@ -0,0 +1,258 @@
+import crypto from 'crypto';
+import { config } from '../config/config.js';
+import { blockchainService } from './blockchain.service.js';
+import { JsonStore } from '../utils/jsonStore.js';
+import { decodeRevertReason } from '../utils/revertReason.js';
+
+// Statuts d'une opération
+export const OPERATION_STATUS = {
+  PENDING: 'pending',
+  CONFIRMED: 'confirmed',
+  FAILED: 'failed'
+};
+
+/**
+ * Service de suivi des opérations asynchrones
+ *
+ * En mode asynchrone, les routes d'écriture (transferts, votes, propositions, contestations)
+ * répondent dès que la transaction est diffusée avec l'identifiant d'une opération ; l'attente
+ * de la confirmation continue en arrière-plan. Les opérations sont enregistrées dans DATA_DIR
+ * (operations.json) pendant OPERATION_RETENTION_HOURS et consultables via GET /api/operations/:id.
+ */
+class OperationService {
+  constructor() {
+    this.store = new JsonStore('operations.json');
+  }
+
+  /**
+   * Lance une opération et rend la main dès que sa transaction est diffusée
+   *
+   * La tâche reçoit un callback onBroadcast(txHash) à appeler après la diffusion (puis à chaque
+   * remplacement de la transaction). Une erreur survenue avant la diffusion est propagée à
+   * l'appelant comme en mode synchrone ; après, elle est enregistrée dans l'opération.
+   * @param {string} type - Type d'opération (ex: 'transfer', 'vote')
+   * @param {Object} details - Résumé non sensible de la requête (adresses, montants...)
+   * @param {Function} task - (onBroadcast) => Promise<Object> résultat final de l'opération
+   * @returns {Promise<Object>} Opération en attente de confirmation
+   */
+  submit(type, details, task) {
+    return new Promise((resolve, reject) => {
+      let operation = null;
+
+      const onBroadcast = (txHash) => {
+        if (operation) {
+          operation = this.update(operation.id, { txHash, hashes: [...operation.hashes, txHash] });
+          return;
+        }
+
+        operation = this.create(type, details, txHash);
+        console.log(`📨 Opération ${operation.id} (${type}) diffusée: ${txHash}`);
+        resolve(this.format(operation));
+      };
+
+      task(onBroadcast)
+        .then(async (result) => {
+          if (!operation) {
+            onBroadcast(result?.txHash || result?.transactionHash || null);
+          }
+          await this.complete(operation.id, result);
+        })
+        .catch(async (error) => {
+          if (!operation) {
+            reject(error);
+            return;
+          }
+          await this.fail(operation.id, error);
+        });
+    });
+  }
+
+  /**
+   * Opération avec son nombre de confirmations
+   * Une opération restée en attente (ex: serveur redémarré) est mise à jour depuis son reçu.
+   * @param {string} id - Identifiant de l'opération
+   * @returns {Promise<Object|null>} Opération ou null si inconnue
+   */
+  async get(id) {
+    let operation = this.store.get(id);
+    if (!operation) {
+      return null;
+    }
+
+    if (operation.status === OPERATION_STATUS.PENDING && operation.txHash) {
+      const receipt = await blockchainService.provider.getTransactionReceipt(operation.txHash);
+      if (receipt) {
+        operation = await this.applyReceipt(operation, receipt);
+      }
+    }
+
+    let confirmations = 0;
+    if (operation.blockNumber !== null) {
+      const head = await blockchainService.provider.getBlockNumber();
+      confirmations = Math.max(0, head - operation.blockNumber + 1);
+    }
+
+    return { ...this.format(operation), confirmations };
+  }
+
+  /*//////////////////////////////////////////////////////////////
+                          CYCLE DE VIE
+  //////////////////////////////////////////////////////////////*/
+
+  /**
+   * @private
+   */
+  create(type, details, txHash) {
+    this.prune();
+
+    const now = new Date().toISOString();
+    const operation = {
+      id: crypto.randomUUID(),
+      type,
+      status: OPERATION_STATUS.PENDING,
+      details,
+      txHash,
+      hashes: txHash ? [txHash] : [],
+      blockNumber: null,
+      gasUsed: null,
+      revertReason: null,
+      error: null,
+      result: null,
+      createdAt: now,
+      updatedAt: now,
+      completedAt: null
+    };
+
+    this.store.set(operation.id, operation);
+    return operation;
+  }
+
+  /**
+   * Opération terminée avec succès : résultat de la tâche et données du reçu
+   * @private
+   */
+  async complete(id, result) {
+    let operation = this.update(id, { result: toJson(result) });
+
+    try {
+      const receipt = operation.txHash
+        ? await blockchainService.provider.getTransactionReceipt(operation.txHash)
+        : null;
+      operation = receipt
+        ? await this.applyReceipt(operation, receipt)
+        : this.update(id, { status: OPERATION_STATUS.CONFIRMED, completedAt: new Date().toISOString() });
+    } catch (error) {
+      // Reçu momentanément illisible : la tâche a abouti, les détails restent à compléter
+      operation = this.update(id, { status: OPERATION_STATUS.CONFIRMED, completedAt: new Date().toISOString() });
+    }
+
+    console.log(`✅ Opération ${id} (${operation.type}) confirmée`);
+  }
+
+  /**
+   * Opération en échec après la diffusion : annulation on-chain (raison décodée) ou erreur d'attente
+   * @private
+   */
+  async fail(id, error) {
+    let operation = this.update(id, { error: error.message });
+
+    try {
+      const receipt = operation.txHash
+        ? await blockchainService.provider.getTransactionReceipt(operation.txHash)
+        : null;
+      if (receipt) {
+        operation = await this.applyReceipt(operation, receipt);
+        console.error(`❌ Opération ${id} (${operation.type}) terminée: ${operation.status}`);
+        return;
+      }
+    } catch (receiptError) {
+      // Pas de reçu lisible : l'erreur de la tâche fait foi
+    }
+
+    this.update(id, { status: OPERATION_STATUS.FAILED, completedAt: new Date().toISOString() });
+    console.error(`❌ Opération ${id} (${operation.type}) échouée: ${error.message}`);
+  }
+
+  /**
+   * Met à jour l'opération depuis le reçu de sa transaction
+   * @private
+   */
+  async applyReceipt(operation, receipt) {
+    const succeeded = receipt.status === 1;
+
+    return this.update(operation.id, {
+      status: succeeded ? OPERATION_STATUS.CONFIRMED : OPERATION_STATUS.FAILED,
+      txHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed.toString(),
+      revertReason: succeeded ? null : await this.explainRevert(receipt),
+      completedAt: operation.completedAt || new Date().toISOString()
+    });
+  }
+
+  /**
+   * Raison d'annulation d'une transaction minée, obtenue en rejouant l'appel sur le bloc précédent
+   * @private
+   */
+  async explainRevert(receipt) {
+    try {
+      const tx = await blockchainService.provider.getTransaction(receipt.hash);
+      await blockchainService.provider.call({
+        from: tx.from,
+        to: tx.to,
+        data: tx.data,
+        value: tx.value,
+        blockTag: receipt.blockNumber - 1
+      });
+      return 'Transaction annulée (raison non reproductible)';
+    } catch (error) {
+      return decodeRevertReason(error);
+    }
+  }
+
+  /*//////////////////////////////////////////////////////////////
+                              UTILITAIRES
+  //////////////////////////////////////////////////////////////*/
+
+  /**
+   * @private
+   */
+  update(id, changes) {
+    const operation = { ...this.store.get(id), ...changes, updatedAt: new Date().toISOString() };
+    this.store.set(id, operation);
+    return operation;
+  }
+
+  /**
+   * Supprime les opérations plus anciennes que OPERATION_RETENTION_HOURS
+   * @private
+   */
+  prune() {
+    const limit = Date.now() - config.operationRetentionHours * 3600 * 1000;
+    this.store.entries()
+      .filter(([, operation]) => Date.parse(operation.createdAt) < limit)
+      .forEach(([id]) => this.store.delete(id));
+  }
+
+  /**
+   * @private
+   */
+  format({ hashes, ...operation }) {
+    return {
+      ...operation,
+      ...(hashes.length > 1 && { replacedHashes: hashes.slice(0, -1) })
+    };
+  }
+}
+
+/**
+ * Convertit le résultat d'une tâche en JSON (BigInt en chaînes)
+ * @private
+ */
+const toJson = (value) => JSON.parse(JSON.stringify(value ?? null, (key, v) => (
+  typeof v === 'bigint' ? v.toString() : v
+)));
+
+// Export d'une instance singleton
+export const operationService = new OperationService();
+export default operationService;
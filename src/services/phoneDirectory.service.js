@@ -0,0 +1,104 @@
+import { config } from '../config/config.js';
+import { JsonStore } from '../utils/jsonStore.js';
+import { phoneWalletService } from './phoneWallet.service.js';
+
+/**
+ * Annuaire des comptes téléphone
+ *
+ * L'adresse d'un destinataire ne peut pas être dérivée sans son PIN : l'annuaire associe
+ * l'empreinte du numéro (hashPhoneNumber) à l'adresse enregistrée à la création du compte,
+ * ce qui permet d'envoyer des BFK à un numéro de téléphone.
+ * Chaque utilisateur choisit s'il est joignable par numéro (discoverable).
+ *
+ * L'annuaire est conservé dans data/phone-directory.json et survit aux redémarrages.
+ */
+class PhoneDirectoryService {
+  constructor() {
+    this.store = new JsonStore('phone-directory.json');
+  }
+
+  /**
+   * Inscrit un numéro dans l'annuaire (sans effet si le numéro est déjà inscrit)
+   * @param {string} phoneNumber - Numéro de téléphone
+   * @param {string} address - Adresse vérifiée du compte
+   * @param {boolean} discoverable - Joignable par numéro (défaut: PHONE_DIRECTORY_DEFAULT_DISCOVERABLE)
+   * @returns {Object} Entrée de l'annuaire
+   */
+  register(phoneNumber, address, discoverable = config.phoneDirectoryDefaultDiscoverable) {
+    const key = phoneWalletService.hashPhoneNumber(phoneNumber);
+    const existing = this.store.get(key);
+
+    if (existing) {
+      return existing;
+    }
+
+    const now = new Date().toISOString();
+    return this.store.set(key, {
+      address,
+      discoverable: Boolean(discoverable),
+      registeredAt: now,
+      updatedAt: now
+    });
+  }
+
+  /**
+   * Met à jour l'adresse d'un numéro (après un changement de PIN ou une migration de dérivation)
+   * @param {string} phoneNumber - Numéro de téléphone
+   * @param {string} address - Nouvelle adresse
+   * @returns {Object|null} Entrée mise à jour, null si le numéro n'est pas inscrit
+   */
+  updateAddress(phoneNumber, address) {
+    return this.update(phoneWalletService.hashPhoneNumber(phoneNumber), { address });
+  }
+
+  /**
+   * Active ou désactive la visibilité d'un numéro dans l'annuaire
+   * @param {string} phoneNumber - Numéro de téléphone
+   * @param {boolean} discoverable - Joignable par numéro
+   * @returns {Object|null} Entrée mise à jour, null si le numéro n'est pas inscrit
+   */
+  setDiscoverable(phoneNumber, discoverable) {
+    return this.update(phoneWalletService.hashPhoneNumber(phoneNumber), { discoverable: Boolean(discoverable) });
+  }
+
+  /**
+   * Entrée de l'annuaire d'un numéro
+   * @param {string} phoneNumber - Numéro de téléphone
+   * @returns {Object|null} Entrée ou null
+   */
+  get(phoneNumber) {
+    return this.store.get(phoneWalletService.hashPhoneNumber(phoneNumber));
+  }
+
+  /**
+   * Résout l'adresse d'un destinataire à partir de son numéro
+   * Un numéro absent et un numéro non visible donnent le même résultat (pas d'énumération possible)
+   * @param {string} phoneNumber - Numéro de téléphone du destinataire
+   * @returns {string|null} Adresse ou null
+   */
+  resolve(phoneNumber) {
+    const entry = this.get(phoneNumber);
+    return entry?.discoverable ? entry.address : null;
+  }
+
+  /**
+   * Met à jour une entrée existante
+   * @private
+   */
+  update(key, changes) {
+    const entry = this.store.get(key);
+    if (!entry) {
+      return null;
+    }
+
+    return this.store.set(key, {
+      ...entry,
+      ...changes,
+      updatedAt: new Date().toISOString()
+    });
+  }
+}
+
+// Export d'une instance singleton
+export const phoneDirectoryService = new PhoneDirectoryService();
+export default phoneDirectoryService;
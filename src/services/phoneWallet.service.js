@@ -2,14 +2,55 @@ import { ethers } from 'ethers';
 import crypto from 'crypto';
 import { parsePhoneNumberWithError } from 'libphonenumber-js';
 import { config } from '../config/config.js';
+import { JsonStore } from '../utils/jsonStore.js';
+
+// Version historique : PBKDF2-SHA256 (100 000 itérations) + WALLET_DERIVATION_SECRET
+export const LEGACY_DERIVATION_VERSION = 'v1';
+
+// Fonctions de dérivation disponibles pour les schémas versionnés
+// Entrée : "téléphone:PIN", salt : secret serveur du schéma, sortie : 32 bytes
+const KDFS = {
+  pbkdf2: (input, secret) => crypto.pbkdf2Sync(input, secret, 100000, 32, 'sha256'),
+  // scrypt (N=2^15, r=8, p=1) : ~32 Mo de mémoire par dérivation, coûteux à paralléliser sur GPU
+  scrypt: (input, secret) => crypto.scryptSync(input, secret, 32, {
+    N: 2 ** 15,
+    r: 8,
+    p: 1,
+    maxmem: 64 * 1024 * 1024
+  })
+};
 
 /**
  * Service de gestion des wallets basés sur les numéros de téléphone
  * Utilise la dérivation déterministe pour créer des wallets reproductibles
+ *
+ * La dérivation est versionnée : chaque numéro est associé à un schéma (KDF + secret),
+ * enregistré dans data/derivation-versions.json (clé = hashPhoneNumber). Un numéro sans
+ * enregistrement utilise le schéma historique v1. Changer de schéma change l'adresse :
+ * les fonds sont migrés par walletMigrationService à la connexion suivante.
  */
 class PhoneWalletService {
   constructor() {
     this.secret = config.walletDerivationSecret;
+    this.versions = new JsonStore('derivation-versions.json');
+
+    this.schemes = new Map([[LEGACY_DERIVATION_VERSION, { kdf: 'pbkdf2', secret: this.secret }]]);
+    // Un schéma ignoré changerait en silence l'adresse des nouveaux comptes : démarrage refusé
+    for (const { version, kdf, secret } of config.walletDerivationKeys) {
+      if (!KDFS[kdf]) {
+        throw new Error(`Schéma de dérivation ${version} invalide dans WALLET_DERIVATION_KEYS: KDF inconnue (${kdf})`);
+      }
+      this.schemes.set(version, { kdf, secret });
+    }
+
+    // Version des nouveaux comptes : explicite, sinon la dernière configurée
+    const configured = [...this.schemes.keys()];
+    if (config.walletDerivationVersion && !this.schemes.has(config.walletDerivationVersion)) {
+      throw new Error(
+        `WALLET_DERIVATION_VERSION=${config.walletDerivationVersion} absent de WALLET_DERIVATION_KEYS (versions: ${configured.join(', ')})`
+      );
+    }
+    this.currentVersion = config.walletDerivationVersion || configured[configured.length - 1];
   }
 
   /**
@@ -45,6 +86,26 @@ class PhoneWalletService {
     }
   }
 
+  /**
+   * Normalise un numéro reçu d'une passerelle opérateur (USSD, SMS)
+   * Les opérateurs transmettent souvent le numéro international sans "+" (ex: 237699887766)
+   * @param {string} phoneNumber - Numéro reçu
+   * @param {string} defaultCountry - Code pays des numéros locaux
+   * @returns {string} Numéro normalisé au format E.164
+   */
+  normalizeGatewayPhoneNumber(phoneNumber, defaultCountry = 'FR') {
+    const cleaned = String(phoneNumber || '').replace(/[\s\-\(\)\.]/g, '');
+
+    if (/^\d{11,15}$/.test(cleaned) && !cleaned.startsWith('0')) {
+      const international = this.validatePhoneNumber(`+${cleaned}`);
+      if (international.isValid) {
+        return international.formatted;
+      }
+    }
+
+    return this.normalizePhoneNumber(cleaned, defaultCountry);
+  }
+
   /**
    * Valide un code PIN
    * @param {string} pin - Code PIN à valider
@@ -120,38 +181,173 @@ class PhoneWalletService {
   }
 
   /**
-   * Crée ou récupère un wallet à partir d'un numéro de téléphone
+   * Dérive une clé privée avec un schéma versionné
+   * @param {string} normalizedPhone - Numéro de téléphone normalisé
+   * @param {string} pin - PIN (déjà validé)
+   * @param {string} version - Version du schéma (ex: 'v1', 'v2')
+   * @returns {string} Clé privée (32 bytes en hexadécimal)
+   */
+  derivePrivateKey(normalizedPhone, pin, version) {
+    const scheme = this.schemes.get(version);
+    if (!scheme) {
+      throw new Error(`Schéma de dérivation inconnu: ${version}`);
+    }
+
+    if (version === LEGACY_DERIVATION_VERSION) {
+      return this.derivePrivateKeyFromPhone(normalizedPhone, pin);
+    }
+
+    return '0x' + KDFS[scheme.kdf](`${normalizedPhone}:${pin}`, scheme.secret).toString('hex');
+  }
+
+  /**
+   * Dérive le signataire (adresse + clé privée) d'un numéro de téléphone + PIN
+   * Une seule dérivation est effectuée, avec le schéma enregistré pour ce numéro
    * @param {string} phoneNumber - Numéro de téléphone
    * @param {string} pin - PIN OBLIGATOIRE (4-8 chiffres)
-   * @returns {Object} Informations du wallet
+   * @param {string} version - Version du schéma à utiliser (défaut: celle du numéro)
+   * @returns {Object} { address, privateKey, phoneNumber, derivationVersion }
    */
-  createOrGetWalletFromPhone(phoneNumber, pin) {
-    try {
-      // Valide le numéro de téléphone
-      if (!phoneNumber || phoneNumber.trim() === '') {
-        throw new Error('Numéro de téléphone requis');
-      }
+  getSignerFromPhone(phoneNumber, pin, version = null) {
+    // Valide le numéro de téléphone
+    if (!phoneNumber || phoneNumber.trim() === '') {
+      throw new Error('Numéro de téléphone requis');
+    }
 
-      // Valide le PIN (maintenant obligatoire)
-      const pinValidation = this.validatePIN(pin);
-      if (!pinValidation.isValid) {
-        throw new Error(pinValidation.error);
-      }
+    // Valide le PIN (maintenant obligatoire)
+    const pinValidation = this.validatePIN(pin);
+    if (!pinValidation.isValid) {
+      throw new Error(pinValidation.error);
+    }
 
-      // Normalise le numéro
-      const normalizedPhone = this.normalizePhoneNumber(phoneNumber);
+    // Normalise le numéro
+    const normalizedPhone = this.normalizePhoneNumber(phoneNumber);
+
+    // Dérive la clé privée
+    const derivationVersion = version || this.getDerivationVersion(normalizedPhone);
+    const privateKey = this.derivePrivateKey(normalizedPhone, pin, derivationVersion);
+
+    // Crée le wallet à partir de la clé privée
+    const wallet = new ethers.Wallet(privateKey);
+
+    return {
+      address: wallet.address,
+      privateKey,
+      phoneNumber: normalizedPhone,
+      derivationVersion
+    };
+  }
+
+  /**
+   * Version du schéma de dérivation d'un numéro
+   * @param {string} phoneNumber - Numéro de téléphone
+   * @returns {string} Version enregistrée, sinon v1 (comptes antérieurs au versionnage)
+   */
+  getDerivationVersion(phoneNumber) {
+    return this.versions.get(this.hashPhoneNumber(phoneNumber))?.version || LEGACY_DERIVATION_VERSION;
+  }
+
+  /**
+   * Indique si une version a été enregistrée pour ce numéro (provisoire ou confirmée)
+   * @param {string} phoneNumber - Numéro de téléphone
+   * @returns {boolean}
+   */
+  hasDerivationRecord(phoneNumber) {
+    return Boolean(this.versions.get(this.hashPhoneNumber(phoneNumber)));
+  }
+
+  /**
+   * Indique si la version du numéro a été confirmée par un PIN prouvé
+   * (les enregistrements antérieurs à la confirmation sont considérés confirmés)
+   * @param {string} phoneNumber - Numéro de téléphone
+   * @returns {boolean}
+   */
+  isDerivationConfirmed(phoneNumber) {
+    const entry = this.versions.get(this.hashPhoneNumber(phoneNumber));
+    return Boolean(entry) && entry.confirmed !== false;
+  }
+
+  /**
+   * Indique si le numéro utilise un schéma antérieur au schéma courant
+   * @param {string} phoneNumber - Numéro de téléphone
+   * @returns {boolean}
+   */
+  isDerivationOutdated(phoneNumber) {
+    return this.getDerivationVersion(phoneNumber) !== this.currentVersion;
+  }
+
+  /**
+   * Enregistre la version du schéma de dérivation d'un numéro
+   *
+   * Une version provisoire (nouveau numéro dont le PIN n'a encore rien prouvé) est utilisée pour
+   * dériver le wallet mais peut être remplacée tant qu'elle n'est pas confirmée
+   * (voir walletMigrationService.resolveAccount)
+   *
+   * @param {string} phoneNumber - Numéro de téléphone
+   * @param {string} version - Version du schéma
+   * @param {Object} options - { confirmed } (true par défaut)
+   * @returns {Object} Enregistrement
+   */
+  setDerivationVersion(phoneNumber, version, { confirmed = true } = {}) {
+    if (!this.schemes.has(version)) {
+      throw new Error(`Schéma de dérivation inconnu: ${version}`);
+    }
+
+    const key = this.hashPhoneNumber(phoneNumber);
+    const entry = this.versions.get(key);
+    const now = new Date().toISOString();
+
+    return this.versions.set(key, {
+      version,
+      confirmed,
+      updatedAt: now,
+      history: entry && entry.version !== version
+        ? [...(entry.history || []), { version: entry.version, until: now }]
+        : entry?.history || []
+    });
+  }
+
+  /**
+   * Répartition des numéros enregistrés par version de dérivation
+   * Les numéros antérieurs au versionnage (sans enregistrement) ne sont pas comptés
+   * @returns {Object} { currentVersion, versions, accounts, outdated, provisional }
+   */
+  getDerivationStats() {
+    const accounts = {};
+    let provisional = 0;
+    for (const [, entry] of this.versions.entries()) {
+      accounts[entry.version] = (accounts[entry.version] || 0) + 1;
+      if (entry.confirmed === false) {
+        provisional++;
+      }
+    }
 
-      // Dérive la clé privée
-      const privateKey = this.derivePrivateKeyFromPhone(normalizedPhone, pin);
+    return {
+      currentVersion: this.currentVersion,
+      versions: [...this.schemes.entries()].map(([version, { kdf }]) => ({ version, kdf })),
+      accounts,
+      outdated: Object.entries(accounts)
+        .filter(([version]) => version !== this.currentVersion)
+        .reduce((total, [, count]) => total + count, 0),
+      provisional
+    };
+  }
 
-      // Crée le wallet à partir de la clé privée
-      const wallet = new ethers.Wallet(privateKey);
+  /**
+   * Crée ou récupère un wallet à partir d'un numéro de téléphone
+   * @param {string} phoneNumber - Numéro de téléphone
+   * @param {string} pin - PIN OBLIGATOIRE (4-8 chiffres)
+   * @returns {Object} Informations du wallet
+   */
+  createOrGetWalletFromPhone(phoneNumber, pin) {
+    try {
+      const signer = this.getSignerFromPhone(phoneNumber, pin);
 
       return {
         success: true,
         wallet: {
-          address: wallet.address,
-          phoneNumber: normalizedPhone
+          address: signer.address,
+          phoneNumber: signer.phoneNumber
         },
         message: '✅ Wallet créé avec succès ! Utilisez cette adresse pour toutes vos transactions.',
         info: 'Conservez précieusement votre numéro de téléphone et votre PIN. Ils vous permettront de signer des transactions.'
@@ -166,15 +362,28 @@ class PhoneWalletService {
    * @param {string} phoneNumber - Numéro de téléphone
    * @param {string} pin - PIN (4-8 chiffres)
    * @param {string} expectedAddress - Adresse attendue pour vérification
-   * @returns {boolean} True si les credentials sont corrects
+   * @returns {Object|null} Signataire ({ address, privateKey, phoneNumber }) si les credentials sont corrects, sinon null
    */
   verifyWalletAccess(phoneNumber, pin, expectedAddress) {
     try {
-      const result = this.createOrGetWalletFromPhone(phoneNumber, pin);
-      return result.wallet.address.toLowerCase() === expectedAddress.toLowerCase();
+      const signer = this.getSignerFromPhone(phoneNumber, pin);
+      return signer.address.toLowerCase() === expectedAddress.toLowerCase() ? signer : null;
     } catch (error) {
-      return false;
+      return null;
+    }
+  }
+
+  /**
+   * Masque un numéro de téléphone pour l'affichage (ex: +33****5678)
+   * @param {string} phoneNumber - Numéro de téléphone
+   * @returns {string} Numéro masqué
+   */
+  maskPhoneNumber(phoneNumber) {
+    const normalizedPhone = this.normalizePhoneNumber(phoneNumber);
+    if (normalizedPhone.length <= 7) {
+      return '****';
     }
+    return `${normalizedPhone.slice(0, 3)}****${normalizedPhone.slice(-4)}`;
   }
 
   /**
@@ -193,6 +402,9 @@ class PhoneWalletService {
    * Utile si vous voulez stocker une référence au numéro sans le stocker en clair
    * @param {string} phoneNumber - Numéro de téléphone
    * @returns {string} Hash SHA256 du numéro (avec salt serveur)
+   *
+   * Le salt reste le secret v1 quel que soit le schéma de dérivation : les registres
+   * (PIN, onboarding, versions) restent indexés de la même façon après une rotation.
    */
   hashPhoneNumber(phoneNumber) {
     const normalizedPhone = this.normalizePhoneNumber(phoneNumber);
@@ -0,0 +1,97 @@
+import { phoneWalletService } from './phoneWallet.service.js';
+import { pinGuardService } from './pinGuard.service.js';
+import { walletMigrationService } from './walletMigration.service.js';
+
+/**
+ * Service de changement de PIN
+ *
+ * L'adresse étant dérivée de "téléphone:PIN", changer de PIN revient à changer de wallet.
+ * Le changement migre donc tout vers la nouvelle adresse (voir walletMigrationService),
+ * dérivée avec le schéma de dérivation courant.
+ *
+ * Après un échec, relancer la même requête (avec l'ancien PIN) reprend là où la migration
+ * s'est arrêtée. L'ancien PIN reste valide tant que la migration n'est pas terminée.
+ *
+ * Le numéro doit avoir une adresse de référence (PIN déjà prouvé à la création ou à la connexion) :
+ * sans elle, n'importe quel ancien PIN serait accepté et un tiers pourrait lier le numéro à son
+ * propre PIN, verrouillant le vrai propriétaire.
+ */
+class PinChangeService {
+  /**
+   * Change le PIN d'un compte téléphone et migre fonds et adhésion
+   * @param {string} phoneNumber - Numéro de téléphone
+   * @param {string} oldPin - PIN actuel
+   * @param {string} newPin - Nouveau PIN
+   * @returns {Promise<Object>} Ancienne/nouvelle adresse et détail des étapes (hash des transactions)
+   */
+  async changePin(phoneNumber, oldPin, newPin) {
+    const newPinValidation = phoneWalletService.validatePIN(newPin);
+    if (!newPinValidation.isValid) {
+      throw this.error(`Nouveau PIN invalide: ${newPinValidation.error}`, 'INVALID_NEW_PIN', 400);
+    }
+
+    if (oldPin === newPin) {
+      throw this.error('Le nouveau PIN doit être différent de l\'ancien', 'SAME_PIN', 400);
+    }
+
+    if (!pinGuardService.getReference(phoneNumber)) {
+      throw this.error(
+        'Compte non vérifié : connectez-vous une première fois via POST /api/accounts/verify avant de changer de PIN',
+        'ACCOUNT_NOT_VERIFIED',
+        403
+      );
+    }
+
+    // Authentification avec l'ancien PIN (protection anti brute-force incluse)
+    let oldWallet;
+    try {
+      oldWallet = pinGuardService.authenticate(phoneNumber, oldPin);
+    } catch (error) {
+      if (error.status) {
+        throw error;
+      }
+      throw this.error(error.message, 'INVALID_CREDENTIALS', 400);
+    }
+
+    if (!oldWallet) {
+      throw this.error('PIN actuel incorrect', 'INVALID_PIN', 401);
+    }
+
+    const newWallet = phoneWalletService.getSignerFromPhone(phoneNumber, newPin, phoneWalletService.currentVersion);
+
+    try {
+      const result = await walletMigrationService.migrate(phoneNumber, oldWallet, newWallet);
+      console.log(`✅ PIN changé, compte migré vers ${newWallet.address}`);
+      return result;
+    } catch (error) {
+      if (error.code === 'MIGRATION_IN_PROGRESS') {
+        throw this.error('Un changement de PIN est déjà en cours pour ce numéro', 'PIN_CHANGE_IN_PROGRESS', 409);
+      }
+      if (error.code === 'MIGRATION_INCOMPLETE') {
+        const e = this.error(
+          `${error.message}. Relancez la requête avec l'ancien PIN pour reprendre.`,
+          'PIN_CHANGE_INCOMPLETE',
+          502
+        );
+        e.details = error.details;
+        throw e;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Construit une erreur typée
+   * @private
+   */
+  error(message, code, status) {
+    const e = new Error(message);
+    e.code = code;
+    e.status = status;
+    return e;
+  }
+}
+
+// Export d'une instance singleton
+export const pinChangeService = new PinChangeService();
+export default pinChangeService;
@@ -0,0 +1,266 @@
+import { config } from '../config/config.js';
+import { JsonStore } from '../utils/jsonStore.js';
+import { phoneWalletService } from './phoneWallet.service.js';
+
+// Plafond de la durée d'un verrouillage
+const MAX_LOCKOUT_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Service de protection contre le brute-force des PIN
+ *
+ * Un PIN à 4 chiffres n'offre que 10 000 combinaisons : chaque échec est compté
+ * par numéro de téléphone (clé = phoneWalletService.hashPhoneNumber, le numéro en clair
+ * n'est jamais stocké).
+ * - Après chaque échec, un délai croissant est imposé avant le prochain essai
+ * - Après PIN_MAX_ATTEMPTS échecs consécutifs, le numéro est verrouillé temporairement
+ *   (durée doublée à chaque nouveau verrouillage)
+ * - Un succès remet les compteurs à zéro
+ *
+ * L'état est conservé dans data/pin-attempts.json et survit aux redémarrages.
+ */
+class PinGuardService {
+  constructor() {
+    this.store = new JsonStore('pin-attempts.json');
+  }
+
+  /**
+   * Vérifie les credentials téléphone/PIN en appliquant la protection anti brute-force
+   *
+   * L'adresse de référence est l'adresse attendue fournie par le client,
+   * sinon l'adresse enregistrée lors de la création du compte. Sans référence
+   * (compte jamais créé sur ce backend), le PIN ne peut pas être jugé et le signataire est retourné.
+   * L'adresse attendue n'est jamais enregistrée comme référence : seul enroll() lie un numéro
+   * à une adresse, une fois le PIN prouvé.
+   *
+   * @param {string} phoneNumber - Numéro de téléphone
+   * @param {string} pin - PIN
+   * @param {string} expectedAddress - Adresse attendue (optionnel)
+   * @returns {Object|null} Signataire ({ address, privateKey, phoneNumber }) ou null si PIN incorrect
+   * @throws {Error} 429 PIN_LOCKED / PIN_RETRY_DELAY si le numéro est temporairement bloqué
+   */
+  authenticate(phoneNumber, pin, expectedAddress = null) {
+    const key = phoneWalletService.hashPhoneNumber(phoneNumber);
+    this.assertCanAttempt(key);
+
+    const signer = phoneWalletService.getSignerFromPhone(phoneNumber, pin);
+    return this.checkAddress(key, signer.address, expectedAddress) ? signer : null;
+  }
+
+  /**
+   * Vérifie qu'un wallet déjà dérivé correspond au compte enregistré pour ce numéro
+   * (ex: recréation de compte avec un autre PIN)
+   * @param {string} phoneNumber - Numéro de téléphone
+   * @param {string} address - Adresse dérivée du téléphone/PIN fournis
+   * @returns {boolean} true si l'adresse correspond (ou si le numéro est inconnu)
+   * @throws {Error} 429 PIN_LOCKED / PIN_RETRY_DELAY si le numéro est temporairement bloqué
+   */
+  checkWallet(phoneNumber, address) {
+    const key = phoneWalletService.hashPhoneNumber(phoneNumber);
+    this.assertCanAttempt(key);
+
+    return this.checkAddress(key, address);
+  }
+
+  /**
+   * Compare l'adresse dérivée à la référence et enregistre le succès ou l'échec
+   * @private
+   */
+  checkAddress(key, address, expectedAddress = null) {
+    const reference = expectedAddress || this.store.get(key)?.address;
+
+    if (reference && reference.toLowerCase() !== address.toLowerCase()) {
+      this.recordFailure(key);
+      return false;
+    }
+
+    this.recordSuccess(key);
+    return true;
+  }
+
+  /**
+   * Refuse un essai de PIN avant tout calcul coûteux (dérivation scrypt, appels RPC) si le
+   * numéro est verrouillé ou doit encore attendre
+   * @param {string} phoneNumber - Numéro de téléphone
+   * @throws {Error} 429 PIN_LOCKED / PIN_RETRY_DELAY si le numéro est temporairement bloqué
+   */
+  assertCanTry(phoneNumber) {
+    this.assertCanAttempt(phoneWalletService.hashPhoneNumber(phoneNumber));
+  }
+
+  /**
+   * Enregistre l'adresse d'un compte comme référence pour les vérifications futures
+   * @param {string} phoneNumber - Numéro de téléphone
+   * @param {string} address - Adresse dérivée du téléphone/PIN
+   */
+  enroll(phoneNumber, address) {
+    const key = phoneWalletService.hashPhoneNumber(phoneNumber);
+    const entry = this.store.get(key);
+
+    if (!entry?.address) {
+      this.store.set(key, { ...this.emptyEntry(), ...entry, address });
+    }
+  }
+
+  /**
+   * Remplace l'adresse de référence d'un numéro (après un changement de PIN)
+   * @param {string} phoneNumber - Numéro de téléphone
+   * @param {string} address - Nouvelle adresse dérivée
+   */
+  setReference(phoneNumber, address) {
+    const key = phoneWalletService.hashPhoneNumber(phoneNumber);
+    this.store.set(key, { ...this.emptyEntry(), address });
+  }
+
+  /**
+   * Adresse de référence enregistrée pour un numéro
+   * @param {string} phoneNumber - Numéro de téléphone
+   * @returns {string|null} Adresse ou null si le numéro est inconnu
+   */
+  getReference(phoneNumber) {
+    return this.store.get(phoneWalletService.hashPhoneNumber(phoneNumber))?.address || null;
+  }
+
+  /**
+   * Lève une erreur si le numéro est verrouillé ou doit encore attendre
+   * @private
+   */
+  assertCanAttempt(key) {
+    const status = this.toStatus(key, this.store.get(key));
+
+    if (status.locked) {
+      const e = new Error(`Trop de tentatives échouées. Numéro verrouillé jusqu'à ${status.lockedUntil}`);
+      e.code = 'PIN_LOCKED';
+      e.status = 429;
+      e.retryAfter = status.retryAfterSeconds;
+      throw e;
+    }
+
+    if (status.retryAfterSeconds > 0) {
+      const e = new Error(`Veuillez patienter ${status.retryAfterSeconds}s avant un nouvel essai`);
+      e.code = 'PIN_RETRY_DELAY';
+      e.status = 429;
+      e.retryAfter = status.retryAfterSeconds;
+      throw e;
+    }
+  }
+
+  /**
+   * Enregistre un échec : délai progressif puis verrouillage
+   * @private
+   */
+  recordFailure(key) {
+    const now = Date.now();
+    const entry = { ...this.emptyEntry(), ...this.store.get(key) };
+
+    entry.failures += 1;
+    entry.lastFailureAt = new Date(now).toISOString();
+
+    if (entry.failures >= config.pinMaxAttempts) {
+      entry.lockouts += 1;
+      const lockoutMs = Math.min(
+        config.pinLockoutMinutes * 60 * 1000 * 2 ** (entry.lockouts - 1),
+        MAX_LOCKOUT_MS
+      );
+      entry.lockedUntil = new Date(now + lockoutMs).toISOString();
+      entry.nextAttemptAt = entry.lockedUntil;
+      entry.failures = 0;
+
+      console.warn(`🔒 Numéro ${key.slice(0, 12)}... verrouillé jusqu'à ${entry.lockedUntil} (verrouillage n°${entry.lockouts})`);
+    } else {
+      const delayMs = config.pinRetryDelaySeconds * 1000 * 2 ** (entry.failures - 1);
+      entry.nextAttemptAt = new Date(now + delayMs).toISOString();
+    }
+
+    this.store.set(key, entry);
+  }
+
+  /**
+   * Enregistre un succès : remise à zéro des compteurs
+   * @private
+   */
+  recordSuccess(key) {
+    const entry = this.store.get(key);
+    const needsReset = entry && (entry.failures > 0 || entry.lockouts > 0 || entry.nextAttemptAt);
+
+    if (needsReset) {
+      this.store.set(key, { ...this.emptyEntry(), address: entry.address });
+    }
+  }
+
+  /**
+   * Statut de verrouillage d'un numéro
+   * @param {string} phoneHash - Empreinte du numéro (hashPhoneNumber)
+   * @returns {Object} Statut
+   */
+  getStatus(phoneHash) {
+    return this.toStatus(phoneHash, this.store.get(phoneHash));
+  }
+
+  /**
+   * Liste les numéros ayant des échecs ou un verrouillage en cours
+   * @returns {Array<Object>} Statuts
+   */
+  listLockouts() {
+    return this.store.entries()
+      .map(([key, entry]) => this.toStatus(key, entry))
+      .filter(status => status.failures > 0 || status.locked || status.lockouts > 0);
+  }
+
+  /**
+   * Efface les échecs et verrouillages d'un numéro (l'adresse de référence est conservée)
+   * @param {string} phoneHash - Empreinte du numéro (hashPhoneNumber)
+   * @returns {boolean} true si une entrée existait
+   */
+  clear(phoneHash) {
+    const entry = this.store.get(phoneHash);
+    if (!entry) {
+      return false;
+    }
+
+    this.store.set(phoneHash, { ...this.emptyEntry(), address: entry.address });
+    console.log(`🔓 Verrouillage PIN effacé pour ${phoneHash.slice(0, 12)}...`);
+    return true;
+  }
+
+  /**
+   * Entrée vierge
+   * @private
+   */
+  emptyEntry() {
+    return {
+      address: null,
+      failures: 0,
+      lockouts: 0,
+      lastFailureAt: null,
+      nextAttemptAt: null,
+      lockedUntil: null
+    };
+  }
+
+  /**
+   * Calcule le statut public d'une entrée
+   * @private
+   */
+  toStatus(key, entry) {
+    const now = Date.now();
+    const { failures, lockouts, lastFailureAt, nextAttemptAt, lockedUntil } = { ...this.emptyEntry(), ...entry };
+
+    const locked = Boolean(lockedUntil) && new Date(lockedUntil).getTime() > now;
+    const waitMs = nextAttemptAt ? new Date(nextAttemptAt).getTime() - now : 0;
+
+    return {
+      phoneHash: key,
+      failures,
+      lockouts,
+      attemptsRemaining: locked ? 0 : Math.max(config.pinMaxAttempts - failures, 0),
+      locked,
+      lockedUntil: locked ? lockedUntil : null,
+      lastFailureAt,
+      retryAfterSeconds: waitMs > 0 ? Math.ceil(waitMs / 1000) : 0
+    };
+  }
+}
+
+// Export d'une instance singleton
+export const pinGuardService = new PinGuardService();
+export default pinGuardService;
@@ -0,0 +1,638 @@
+import { ethers } from 'ethers';
+import { config } from '../config/config.js';
+import { FORWARDER_ABI, GOVERNANCE_ABI } from '../contracts/abis.js';
+import { blockchainService } from './blockchain.service.js';
+import { adminTxQueue } from './adminTxQueue.service.js';
+import { JsonStore } from '../utils/jsonStore.js';
+import { decodeRevertReason } from '../utils/revertReason.js';
+
+// Actions relayables : autorisation ERC-2612 (permit) et destinataire signé (TransferRequest) pour
+// les transferts BFK, requête
+// ERC-2771 (ForwardRequest) exécutée par le forwarder pour les actions de gouvernance
+export const RELAY_ACTIONS = {
+  transfer: { type: 'permit' },
+  proposal: {
+    type: 'forward',
+    method: 'createProposal',
+    toArgs: ({ ipfsCID, title, impactLevel }) => [ipfsCID, title, impactLevel]
+  },
+  vote: {
+    type: 'forward',
+    method: 'castVote',
+    toArgs: ({ proposalId, support }) => [proposalId, support]
+  },
+  contest: {
+    type: 'forward',
+    method: 'raiseContest',
+    toArgs: ({ proposalId, reason, evidenceCID = '' }) => [proposalId, reason, evidenceCID]
+  }
+};
+
+// Statuts d'une requête relayée
+export const RELAY_STATUS = {
+  PENDING: 'pending',
+  CONFIRMED: 'confirmed',
+  FAILED: 'failed', // Rien n'a été exécuté pour l'utilisateur
+  PARTIAL: 'partial' // Transfert : permit exécuté, transferFrom en échec
+};
+
+const PERMIT_TYPES = {
+  Permit: [
+    { name: 'owner', type: 'address' },
+    { name: 'spender', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+
+// Destinataire d'un transfert relayé, absent du permit : signé à part dans le domaine du Token
+// (nonce et échéance du permit) et vérifié par le relayer avant l'envoi
+const TRANSFER_REQUEST_TYPES = {
+  TransferRequest: [
+    { name: 'from', type: 'address' },
+    { name: 'to', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+
+const FORWARD_REQUEST_TYPES = {
+  ForwardRequest: [
+    { name: 'from', type: 'address' },
+    { name: 'to', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'gas', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint48' },
+    { name: 'data', type: 'bytes' }
+  ]
+};
+
+// Marge ajoutée au gas estimé de l'action relayée (signé dans la requête)
+const FORWARD_GAS_MARGIN_PERCENT = 20n;
+
+// Tolérance sur l'échéance d'une requête (horloges du client et du serveur)
+const DEADLINE_TOLERANCE_SECONDS = 60;
+
+// Fenêtre du quota de requêtes relayées par utilisateur
+const QUOTA_WINDOW_MS = 24 * 3600 * 1000;
+
+const governanceInterface = new ethers.Interface(GOVERNANCE_ABI);
+
+/**
+ * Service du relayer de méta-transactions
+ *
+ * Les wallets téléphone signent une requête EIP-712 au lieu d'envoyer eux-mêmes la transaction :
+ * - transfert BFK : permit ERC-2612 au profit du relayer et TransferRequest (destinataire signé),
+ *   le relayer envoie permit puis transferFrom vers le destinataire signé
+ * - proposition, vote, contestation : ForwardRequest exécutée par le forwarder ERC-2771 de
+ *   confiance de GovernanceDAO, qui voit le membre comme expéditeur
+ * Le relayer est le wallet administrateur (file d'envoi et gestionnaire de nonce local) : il paie
+ * le gas, plus besoin de financer les utilisateurs en CELO. Chaque requête est vérifiée avant
+ * envoi (signature, paramètres, échéance, nonce du contrat) puis enregistrée dans DATA_DIR
+ * (relayed-requests.json) : une requête déjà relayée est refusée, et le nombre de requêtes par
+ * utilisateur est limité à RELAYER_DAILY_QUOTA sur 24 heures. Une requête en échec reste
+ * enregistrée (failed, partial) et compte dans le quota.
+ */
+class RelayerService {
+  constructor() {
+    this.store = new JsonStore('relayed-requests.json');
+    this.domains = new Map(); // Adresse du contrat → domaine EIP-712
+    this.forwarder = null;
+  }
+
+  /**
+   * Indique si une action peut être relayée (relayer activé et contrats configurés)
+   * @param {string} action - Action (transfer, proposal, vote, contest)
+   * @returns {boolean}
+   */
+  isEnabled(action) {
+    if (!config.relayerEnabled || !adminTxQueue.isConfigured() || !RELAY_ACTIONS[action]) {
+      return false;
+    }
+    return RELAY_ACTIONS[action].type === 'permit'
+      || Boolean(config.forwarderContractAddress && config.governanceContractAddress);
+  }
+
+  /**
+   * Indique si une action d'un utilisateur sera relayée (relayer disponible et quota non atteint)
+   * @param {string} action - Action (transfer, proposal, vote, contest)
+   * @param {string} address - Adresse de l'utilisateur
+   * @returns {boolean}
+   */
+  canRelay(action, address) {
+    return this.isEnabled(action) && this.getQuota(address).remaining > 0;
+  }
+
+  /**
+   * Adresse du relayer (wallet administrateur)
+   * @returns {string|null}
+   */
+  getRelayerAddress() {
+    return adminTxQueue.address;
+  }
+
+  /**
+   * Requête EIP-712 à faire signer par l'utilisateur
+   * @param {string} action - Action (transfer, proposal, vote, contest)
+   * @param {string} from - Adresse du signataire
+   * @param {Object} params - transfer: { toAddress, amount }, proposal: { ipfsCID, title, impactLevel },
+   *                          vote: { proposalId, support }, contest: { proposalId, reason, evidenceCID }
+   * @returns {Promise<Object>} { action, from, relayer, typedData: { domain, types, primaryType, message },
+   *                             transferTypedData (transfer : TransferRequest à signer aussi) }
+   * @throws {Error} RELAYER_DISABLED (503), INVALID_PARAMETER (400), RELAY_REVERTED (422)
+   */
+  async prepare(action, from, params = {}) {
+    this.assertEnabled(action);
+    this.assertAddress(from);
+
+    const deadline = Math.floor(Date.now() / 1000) + config.relayerMaxDeadlineSeconds;
+    const expected = this.expectedFields(action, from, params);
+
+    let typedData;
+    let transferTypedData;
+    if (RELAY_ACTIONS[action].type === 'permit') {
+      const token = blockchainService.tokenContract;
+      typedData = {
+        domain: await this.getDomain(token),
+        types: PERMIT_TYPES,
+        primaryType: 'Permit',
+        message: {
+          ...expected,
+          nonce: (await token.nonces(from)).toString(),
+          deadline
+        }
+      };
+      transferTypedData = {
+        domain: typedData.domain,
+        types: TRANSFER_REQUEST_TYPES,
+        primaryType: 'TransferRequest',
+        message: transferRequest(typedData.message, params.toAddress)
+      };
+    } else {
+      const forwarder = this.getForwarder();
+      const gas = await this.estimateForwardGas(from, expected.data);
+      typedData = {
+        domain: await this.getDomain(forwarder),
+        types: FORWARD_REQUEST_TYPES,
+        primaryType: 'ForwardRequest',
+        message: {
+          ...expected,
+          gas: gas.toString(),
+          nonce: (await forwarder.nonces(from)).toString(),
+          deadline
+        }
+      };
+    }
+
+    return {
+      action,
+      from,
+      relayer: this.getRelayerAddress(),
+      typedData,
+      ...(transferTypedData && { transferTypedData })
+    };
+  }
+
+  /**
+   * Vérifie une requête signée puis l'envoie depuis le wallet du relayer
+   * @param {string} action - Action (transfer, proposal, vote, contest)
+   * @param {Object} request - { from, params, message, signature, transferSignature }
+   *                           (message : typedData.message signé ; transferSignature : TransferRequest signée)
+   * @param {Object} options - { onBroadcast(txHash) } appelé à la diffusion de la transaction relayée
+   * @returns {Promise<Object>} { txHash, blockNumber, receipt, feePayment }
+   * @throws {Error} INVALID_SIGNATURE (401), RELAY_REQUEST_MISMATCH / RELAY_REQUEST_EXPIRED (400),
+   *                 RELAY_REPLAYED / RELAY_NONCE_MISMATCH / RELAY_NONCE_IN_USE (409),
+   *                 RELAY_QUOTA_EXCEEDED (429), RELAYER_DISABLED (503)
+   */
+  async relay(action, { from, params = {}, message, signature, transferSignature }, { onBroadcast = null } = {}) {
+    this.assertEnabled(action);
+    this.assertAddress(from);
+    this.prune();
+
+    const { type } = RELAY_ACTIONS[action];
+    const contract = type === 'permit' ? blockchainService.tokenContract : this.getForwarder();
+    const types = type === 'permit' ? PERMIT_TYPES : FORWARD_REQUEST_TYPES;
+
+    // 1. Paramètres signés identiques à la requête
+    const expected = this.expectedFields(action, from, params);
+    const mismatch = Object.keys(expected).find(key => String(message?.[key]).toLowerCase() !== String(expected[key]).toLowerCase());
+    if (mismatch) {
+      throw relayError(`Requête signée différente des paramètres (${mismatch})`, 'RELAY_REQUEST_MISMATCH', 400);
+    }
+
+    // 2. Échéance
+    const now = Math.floor(Date.now() / 1000);
+    const deadline = Number(message.deadline);
+    if (!(deadline > now) || deadline > now + config.relayerMaxDeadlineSeconds + DEADLINE_TOLERANCE_SECONDS) {
+      throw relayError('Requête expirée ou échéance trop lointaine', 'RELAY_REQUEST_EXPIRED', 400);
+    }
+
+    // 3. Signature EIP-712 de l'utilisateur
+    const domain = await this.getDomain(contract);
+    let signer;
+    try {
+      signer = ethers.verifyTypedData(domain, types, message, signature);
+    } catch (error) {
+      throw relayError('Signature invalide', 'INVALID_SIGNATURE', 400);
+    }
+    if (signer.toLowerCase() !== from.toLowerCase()) {
+      throw relayError('La requête n\'est pas signée par l\'expéditeur', 'INVALID_SIGNATURE', 401);
+    }
+
+    // Transfert : le permit ne couvre pas le destinataire, signé à part (TransferRequest)
+    if (type === 'permit') {
+      let transferSigner;
+      try {
+        transferSigner = ethers.verifyTypedData(domain, TRANSFER_REQUEST_TYPES, transferRequest(message, params.toAddress), transferSignature);
+      } catch (error) {
+        throw relayError('Signature du destinataire invalide', 'INVALID_SIGNATURE', 400);
+      }
+      if (transferSigner.toLowerCase() !== from.toLowerCase()) {
+        throw relayError('Le destinataire n\'est pas signé par l\'expéditeur', 'INVALID_SIGNATURE', 401);
+      }
+    }
+
+    // 4. Nonce du contrat (permit ou forwarder) : la requête doit être la prochaine à exécuter
+    const currentNonce = await contract.nonces(from);
+    if (currentNonce.toString() !== String(message.nonce)) {
+      throw relayError(
+        `Nonce de la requête (${message.nonce}) différent du nonce attendu (${currentNonce})`,
+        'RELAY_NONCE_MISMATCH',
+        409
+      );
+    }
+
+    // 5. Rejeu (requête déjà relayée, nonce réservé par une requête en cours) et quota,
+    // vérifiés et réservés sans interruption
+    const id = ethers.TypedDataEncoder.hash(domain, types, message);
+    if (this.store.get(id)) {
+      throw relayError('Cette requête a déjà été relayée', 'RELAY_REPLAYED', 409);
+    }
+
+    const nonceKey = `${domain.verifyingContract}:${from}:${message.nonce}`.toLowerCase();
+    const inFlight = this.store.entries()
+      .some(([, record]) => record.nonceKey === nonceKey && record.status === RELAY_STATUS.PENDING);
+    if (inFlight) {
+      throw relayError('Une requête avec ce nonce est déjà en cours d\'envoi', 'RELAY_NONCE_IN_USE', 409);
+    }
+
+    const quota = this.getQuota(from);
+    if (quota.remaining <= 0) {
+      const e = relayError(`Quota de ${quota.limit} requêtes relayées par 24 heures atteint`, 'RELAY_QUOTA_EXCEEDED', 429);
+      e.retryAfter = Math.max(1, Math.ceil((Date.parse(quota.resetAt) - Date.now()) / 1000));
+      throw e;
+    }
+
+    const record = {
+      action,
+      from: ethers.getAddress(from),
+      nonceKey,
+      deadline,
+      status: RELAY_STATUS.PENDING,
+      createdAt: new Date().toISOString(),
+      txHash: null
+    };
+    this.store.set(id, record);
+    console.log(`📨 [Relayer] ${action} signé par ${from} (nonce ${message.nonce})`);
+
+    // 6. Envoi par le relayer (la requête reste réservée jusqu'à la confirmation)
+    let receipt;
+    try {
+      receipt = type === 'permit'
+        ? await this.relayTransfer(from, params, message, signature, onBroadcast)
+        : await this.relayForward(action, message, signature, onBroadcast);
+    } catch (error) {
+      // La requête reste comptée dans le quota. Transfert dont le permit a été exécuté
+      // (statut partial) : l'allocation encore ouverte au profit du relayer est enregistrée
+      const partial = Boolean(error.permitTxHash);
+      error.relayStatus = partial ? RELAY_STATUS.PARTIAL : RELAY_STATUS.FAILED;
+      this.store.set(id, {
+        ...record,
+        status: error.relayStatus,
+        txHash: error.permitTxHash || null,
+        ...(partial && { allowanceOutstanding: error.allowanceOutstanding }),
+        error: error.shortMessage || error.message,
+        failedAt: new Date().toISOString()
+      });
+      throw error;
+    }
+
+    this.store.set(id, { ...record, status: RELAY_STATUS.CONFIRMED, txHash: receipt.hash });
+    if (type === 'permit') {
+      this.clearOutstandingAllowances(from);
+    }
+
+    return {
+      txHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      receipt,
+      feePayment: {
+        currency: 'CELO',
+        feeCurrency: null,
+        funding: null,
+        relayedBy: this.getRelayerAddress()
+      }
+    };
+  }
+
+  /**
+   * Signe la requête avec le wallet de l'utilisateur puis la relaie (wallets téléphone du backend)
+   * @param {ethers.Wallet} wallet - Wallet de l'utilisateur
+   * @param {string} action - Action (transfer, proposal, vote, contest)
+   * @param {Object} params - Paramètres de l'action (voir prepare())
+   * @param {Object} options - Options de relay()
+   * @returns {Promise<Object>} Résultat de relay()
+   */
+  async signAndRelay(wallet, action, params, options = {}) {
+    const { typedData, transferTypedData } = await this.prepare(action, wallet.address, params);
+    const signature = await wallet.signTypedData(typedData.domain, typedData.types, typedData.message);
+    const transferSignature = transferTypedData
+      ? await wallet.signTypedData(transferTypedData.domain, transferTypedData.types, transferTypedData.message)
+      : undefined;
+
+    return this.relay(action, { from: wallet.address, params, message: typedData.message, signature, transferSignature }, options);
+  }
+
+  /**
+   * Quota de requêtes relayées d'un utilisateur sur les dernières 24 heures
+   * @param {string} address - Adresse de l'utilisateur
+   * @returns {Object} { address, limit, used, remaining, resetAt }
+   */
+  getQuota(address) {
+    const since = Date.now() - QUOTA_WINDOW_MS;
+    const requests = this.store.entries()
+      .map(([, record]) => record)
+      .filter(record => record.from.toLowerCase() === address.toLowerCase() && Date.parse(record.createdAt) >= since)
+      .sort((a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt));
+
+    return {
+      address,
+      limit: config.relayerDailyQuota,
+      used: requests.length,
+      remaining: Math.max(0, config.relayerDailyQuota - requests.length),
+      resetAt: requests.length > 0
+        ? new Date(Date.parse(requests[0].createdAt) + QUOTA_WINDOW_MS).toISOString()
+        : null
+    };
+  }
+
+  /*//////////////////////////////////////////////////////////////
+                              ENVOI
+  //////////////////////////////////////////////////////////////*/
+
+  /**
+   * Transfert relayé : permit (allocation signée au profit du relayer) puis transferFrom
+   *
+   * Le Token n'accepte ni forwarder ni multicall : les deux appels sont des transactions distinctes.
+   * Si transferFrom échoue après le permit, l'allocation est révoquée (voir revokeAllowance) et
+   * l'erreur porte permitTxHash et allowanceOutstanding (reste non révoqué, en wei).
+   * @private
+   */
+  async relayTransfer(from, { toAddress, amount }, message, signature, onBroadcast) {
+    const token = blockchainService.tokenContract;
+    const { v, r, s } = ethers.Signature.from(signature);
+
+    const permitReceipt = await adminTxQueue.sendContractCall(
+      `Permit de ${amount} BFK (${from})`,
+      token,
+      'permit',
+      [from, message.spender, message.value, message.deadline, v, r, s]
+    );
+
+    try {
+      return await adminTxQueue.sendContractCall(
+        `Transfert relayé de ${amount} BFK (${from} → ${toAddress})`,
+        token,
+        'transferFrom',
+        [from, toAddress, message.value],
+        { onBroadcast }
+      );
+    } catch (error) {
+      error.permitTxHash = permitReceipt.hash;
+      error.allowanceOutstanding = await this.revokeAllowance(from, message.value);
+      throw error;
+    }
+  }
+
+  /**
+   * Révoque l'allocation de l'utilisateur au profit du relayer après un transfert en échec
+   *
+   * Seul le propriétaire peut réduire une allocation par approve : le relayer la consomme par un
+   * transferFrom de l'utilisateur vers lui-même (solde inchangé), dans la limite de son solde.
+   * Le reste éventuel est remplacé par le prochain permit signé par l'utilisateur.
+   * @private
+   * @param {string} from - Adresse de l'utilisateur
+   * @param {string} value - Montant du permit en wei (reste supposé si l'allocation est illisible)
+   * @returns {Promise<string>} Allocation restante en wei
+   */
+  async revokeAllowance(from, value) {
+    const token = blockchainService.tokenContract;
+    const relayer = this.getRelayerAddress();
+
+    try {
+      const [allowance, balance] = await Promise.all([token.allowance(from, relayer), token.balanceOf(from)]);
+      const amount = allowance < balance ? allowance : balance;
+      if (amount > 0n) {
+        await adminTxQueue.sendContractCall(
+          `Révocation de l'allocation du relayer (${from})`,
+          token,
+          'transferFrom',
+          [from, from, amount]
+        );
+      }
+
+      const remaining = await token.allowance(from, relayer);
+      if (remaining > 0n) {
+        console.warn(`⚠️  [Relayer] Allocation de ${from} au relayer non révoquée: ${remaining} wei`);
+      }
+      return remaining.toString();
+    } catch (error) {
+      console.error(`❌ [Relayer] Révocation de l'allocation de ${from} impossible:`, error.shortMessage || error.message);
+      return String(value);
+    }
+  }
+
+  /**
+   * Action de gouvernance relayée : execute() du forwarder ERC-2771
+   * @private
+   */
+  async relayForward(action, message, signature, onBroadcast) {
+    const { from, to, value, gas, deadline, data } = message;
+
+    return adminTxQueue.sendContractCall(
+      `${RELAY_ACTIONS[action].method} relayé (${from})`,
+      this.getForwarder(),
+      'execute',
+      [{ from, to, value, gas, deadline, data, signature }],
+      { onBroadcast }
+    );
+  }
+
+  /*//////////////////////////////////////////////////////////////
+                              UTILITAIRES
+  //////////////////////////////////////////////////////////////*/
+
+  /**
+   * Champs de la requête imposés par l'action et ses paramètres
+   * @private
+   */
+  expectedFields(action, from, params) {
+    const definition = RELAY_ACTIONS[action];
+
+    if (definition.type === 'permit') {
+      const { toAddress, amount } = params;
+      if (!blockchainService.isValidAddress(toAddress)) {
+        throw relayError('Adresse du destinataire invalide', 'INVALID_PARAMETER', 400);
+      }
+      if (!amount || isNaN(amount) || parseFloat(amount) <= 0) {
+        throw relayError('Montant invalide', 'INVALID_PARAMETER', 400);
+      }
+      return {
+        owner: ethers.getAddress(from),
+        spender: this.getRelayerAddress(),
+        value: ethers.parseUnits(amount.toString(), 18).toString()
+      };
+    }
+
+    let data;
+    try {
+      data = governanceInterface.encodeFunctionData(definition.method, definition.toArgs(params));
+    } catch (error) {
+      throw relayError(`Paramètres invalides pour ${definition.method}: ${error.shortMessage || error.message}`, 'INVALID_PARAMETER', 400);
+    }
+
+    return {
+      from: ethers.getAddress(from),
+      to: ethers.getAddress(config.governanceContractAddress),
+      value: '0',
+      data
+    };
+  }
+
+  /**
+   * Gas de l'action exécutée par le forwarder (estimé comme un appel direct du membre)
+   * @private
+   */
+  async estimateForwardGas(from, data) {
+    try {
+      const estimate = await blockchainService.provider.estimateGas({ from, to: config.governanceContractAddress, data });
+      return estimate * (100n + FORWARD_GAS_MARGIN_PERCENT) / 100n;
+    } catch (error) {
+      if (error.code !== 'CALL_EXCEPTION') {
+        throw error;
+      }
+      const reason = decodeRevertReason(error);
+      const e = relayError(`La transaction serait annulée: ${reason}`, 'RELAY_REVERTED', 422);
+      e.reason = reason;
+      throw e;
+    }
+  }
+
+  /**
+   * Domaine EIP-712 du contrat vérificateur (ERC-5267 eip712Domain)
+   * @private
+   */
+  async getDomain(contract) {
+    const address = (await contract.getAddress()).toLowerCase();
+    if (!this.domains.has(address)) {
+      const domain = await contract.eip712Domain();
+      this.domains.set(address, {
+        name: domain.name,
+        version: domain.version,
+        chainId: Number(domain.chainId),
+        verifyingContract: domain.verifyingContract
+      });
+    }
+    return this.domains.get(address);
+  }
+
+  /**
+   * @private
+   */
+  getForwarder() {
+    if (!this.forwarder || this.forwarder.runner !== blockchainService.provider) {
+      this.forwarder = new ethers.Contract(config.forwarderContractAddress, FORWARDER_ABI, blockchainService.provider);
+    }
+    return this.forwarder;
+  }
+
+  /**
+   * @private
+   */
+  assertEnabled(action) {
+    if (!RELAY_ACTIONS[action]) {
+      throw relayError(`Action inconnue: ${action} (${Object.keys(RELAY_ACTIONS).join(', ')})`, 'INVALID_ACTION', 400);
+    }
+    if (!this.isEnabled(action)) {
+      throw relayError('Relayer de méta-transactions non activé pour cette action', 'RELAYER_DISABLED', 503);
+    }
+  }
+
+  /**
+   * @private
+   */
+  assertAddress(address) {
+    if (!blockchainService.isValidAddress(address)) {
+      throw relayError('Adresse de l\'expéditeur invalide', 'INVALID_ADDRESS', 400);
+    }
+  }
+
+  /**
+   * Supprime les requêtes hors de la fenêtre du quota dont l'échéance est passée
+   * (sauf allocation encore ouverte au profit du relayer)
+   * @private
+   */
+  prune() {
+    const since = Date.now() - QUOTA_WINDOW_MS;
+    const now = Math.floor(Date.now() / 1000);
+    this.store.entries()
+      .filter(([, record]) => Date.parse(record.createdAt) < since && record.deadline < now)
+      .filter(([, record]) => !hasOutstandingAllowance(record))
+      .forEach(([id]) => this.store.delete(id));
+  }
+
+  /**
+   * Un transfert confirmé remplace puis consomme l'allocation : les allocations restantes
+   * enregistrées pour cet utilisateur sont soldées
+   * @private
+   */
+  clearOutstandingAllowances(from) {
+    this.store.entries()
+      .filter(([, record]) => record.from.toLowerCase() === from.toLowerCase() && hasOutstandingAllowance(record))
+      .forEach(([id, record]) => this.store.set(id, { ...record, allowanceOutstanding: '0' }));
+  }
+}
+
+/**
+ * @private
+ */
+const relayError = (message, code, status) => {
+  const e = new Error(message);
+  e.code = code;
+  e.status = status;
+  return e;
+};
+
+/**
+ * Destinataire signé d'un transfert relayé, construit à partir du permit
+ * @private
+ */
+const transferRequest = (permit, toAddress) => ({
+  from: permit.owner,
+  to: toAddress,
+  value: permit.value,
+  nonce: permit.nonce,
+  deadline: permit.deadline
+});
+
+/**
+ * @private
+ */
+const hasOutstandingAllowance = (record) => Boolean(record.allowanceOutstanding) && record.allowanceOutstanding !== '0';
+
+// Export d'une instance singleton
+export const relayerService = new RelayerService();
+export default relayerService;
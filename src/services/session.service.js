@@ -0,0 +1,206 @@
+import crypto from 'crypto';
+
+/**
+ * Service de gestion des sessions et des nonces d'authentification
+ *
+ * Les sessions sont conservées en mémoire : un redémarrage du serveur
+ * invalide toutes les sessions (les utilisateurs doivent se reconnecter).
+ * Seule l'empreinte SHA256 des tokens est stockée, jamais le token en clair.
+ */
+class SessionService {
+  constructor() {
+    this.sessions = new Map(); // empreinte du token -> session
+    this.nonces = new Map();   // nonce -> données associées
+
+    // Nettoyage périodique des sessions et nonces expirés
+    this.cleanupInterval = setInterval(() => this.purgeExpired(), 60 * 1000);
+    this.cleanupInterval.unref();
+  }
+
+  /**
+   * Calcule l'empreinte d'un token
+   * @private
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Génère un nonce à usage unique
+   * @param {Object} data - Données associées au nonce
+   * @param {number} ttlMs - Durée de validité en millisecondes
+   * @returns {string} Nonce alphanumérique
+   */
+  createNonce(data, ttlMs) {
+    const nonce = crypto.randomBytes(16).toString('hex');
+    this.nonces.set(nonce, {
+      ...data,
+      expiresAt: Date.now() + ttlMs
+    });
+    return nonce;
+  }
+
+  /**
+   * Consomme un nonce (il ne pourra plus être réutilisé)
+   * @param {string} nonce - Nonce à consommer
+   * @returns {Object|null} Données associées ou null si inconnu/expiré
+   */
+  consumeNonce(nonce) {
+    const data = this.nonces.get(nonce);
+    if (!data) {
+      return null;
+    }
+
+    this.nonces.delete(nonce);
+    return data.expiresAt > Date.now() ? data : null;
+  }
+
+  /**
+   * Crée une nouvelle session
+   * @param {Object} params - Paramètres de la session
+   * @param {string} params.type - Type de session (ex: 'wallet')
+   * @param {string} params.subject - Identifiant du titulaire (adresse)
+   * @param {Array<string>} params.roles - Rôles accordés
+   * @param {number} params.ttlMs - Durée de validité en millisecondes
+   * @param {Object} params.metadata - Métadonnées publiques (listables)
+   * @param {Object} params.secret - Données sensibles gardées en mémoire, jamais exposées
+   * @returns {Object} Token (à transmettre au client) et session
+   */
+  createSession({ type, subject, roles = [], ttlMs, metadata = {}, secret = null }) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const now = Date.now();
+
+    const session = {
+      id: crypto.randomUUID(),
+      type,
+      subject,
+      roles,
+      metadata,
+      secret,
+      createdAt: now,
+      expiresAt: now + ttlMs,
+      lastUsedAt: now
+    };
+
+    this.sessions.set(this.hashToken(token), session);
+
+    return { token, session: this.toPublicSession(session) };
+  }
+
+  /**
+   * Récupère une session active à partir de son token
+   * @param {string} token - Token de session
+   * @returns {Object|null} Session ou null si inconnue/expirée
+   */
+  getSession(token) {
+    const key = this.hashToken(token);
+    const session = this.sessions.get(key);
+
+    if (!session) {
+      return null;
+    }
+
+    if (session.expiresAt <= Date.now()) {
+      this.sessions.delete(key);
+      return null;
+    }
+
+    session.lastUsedAt = Date.now();
+    return session;
+  }
+
+  /**
+   * Révoque une session à partir de son token
+   * @param {string} token - Token de session
+   * @returns {boolean} true si une session a été révoquée
+   */
+  revokeSession(token) {
+    return this.sessions.delete(this.hashToken(token));
+  }
+
+  /**
+   * Révoque une session à partir de son identifiant public
+   * @param {string} subject - Titulaire de la session
+   * @param {string} sessionId - Identifiant de la session
+   * @returns {boolean} true si une session a été révoquée
+   */
+  revokeSessionById(subject, sessionId) {
+    for (const [key, session] of this.sessions) {
+      if (session.id === sessionId && session.subject === subject) {
+        this.sessions.delete(key);
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Révoque toutes les sessions d'un titulaire
+   * @param {string} subject - Titulaire des sessions
+   * @param {string} type - Type de session à révoquer
+   * @returns {number} Nombre de sessions révoquées
+   */
+  revokeSubjectSessions(subject, type) {
+    let revoked = 0;
+    for (const [key, session] of this.sessions) {
+      if (session.subject === subject && session.type === type) {
+        this.sessions.delete(key);
+        revoked++;
+      }
+    }
+    return revoked;
+  }
+
+  /**
+   * Liste les sessions actives d'un titulaire
+   * @param {string} subject - Titulaire des sessions
+   * @param {string} type - Type de session à lister
+   * @returns {Array<Object>} Sessions publiques
+   */
+  listSessions(subject, type) {
+    const now = Date.now();
+    return [...this.sessions.values()]
+      .filter(session => session.subject === subject && session.type === type && session.expiresAt > now)
+      .map(session => this.toPublicSession(session));
+  }
+
+  /**
+   * Supprime les sessions et nonces expirés
+   */
+  purgeExpired() {
+    const now = Date.now();
+
+    for (const [key, session] of this.sessions) {
+      if (session.expiresAt <= now) {
+        this.sessions.delete(key);
+      }
+    }
+
+    for (const [nonce, data] of this.nonces) {
+      if (data.expiresAt <= now) {
+        this.nonces.delete(nonce);
+      }
+    }
+  }
+
+  /**
+   * Représentation d'une session sans données internes
+   * @private
+   */
+  toPublicSession(session) {
+    return {
+      id: session.id,
+      type: session.type,
+      subject: session.subject,
+      roles: session.roles,
+      metadata: session.metadata,
+      createdAt: new Date(session.createdAt).toISOString(),
+      expiresAt: new Date(session.expiresAt).toISOString(),
+      lastUsedAt: new Date(session.lastUsedAt).toISOString()
+    };
+  }
+}
+
+// Export d'une instance singleton
+export const sessionService = new SessionService();
+export default sessionService;
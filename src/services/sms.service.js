@@ -0,0 +1,316 @@
+import { config } from '../config/config.js';
+import { blockchainService } from './blockchain.service.js';
+import { governanceService } from './governance.service.js';
+import { phoneDirectoryService } from './phoneDirectory.service.js';
+import { phoneWalletService } from './phoneWallet.service.js';
+import { pinGuardService } from './pinGuard.service.js';
+import { getSmsProvider } from './smsProvider.service.js';
+
+// Commandes reconnues (mot-clé et alias)
+export const SMS_COMMANDS = {
+  BALANCE: ['BAL', 'SOLDE'],
+  SEND: ['SEND', 'ENVOI'],
+  VOTE: ['VOTE'],
+  CANCEL: ['ANNULER', 'CANCEL'],
+  HELP: ['AIDE', 'HELP']
+};
+
+const HELP_MESSAGE = [
+  'Commandes Bafoka:',
+  'BAL - votre solde',
+  'SEND 50 +237699887766 - envoyer des BFK',
+  'VOTE 12 OUI (ou NON) - voter',
+  'ANNULER - annuler la commande en attente'
+].join('\n');
+
+const VOTE_CHOICES = {
+  YES: true, OUI: true, POUR: true,
+  NO: false, NON: false, CONTRE: false
+};
+
+/**
+ * Service de commandes SMS
+ *
+ * Un SMS entrant contient une commande (BAL, SEND, VOTE). Chaque commande est mise en attente
+ * puis confirmée par un second SMS contenant uniquement le PIN (SMS_CONFIRMATION_TTL_SECONDS),
+ * avec la protection anti brute-force habituelle. Les réponses partent via le fournisseur SMS
+ * configuré (SMS_PROVIDER).
+ *
+ * Les transferts et votes sont envoyés en arrière-plan : le résultat est notifié par SMS.
+ *
+ * Le numéro de l'expéditeur est celui transmis par l'agrégateur : handleInbound n'est appelé que
+ * derrière le jeton du webhook (SMS_WEBHOOK_TOKEN, obligatoire en production).
+ */
+class SmsService {
+  constructor() {
+    this.pending = new Map(); // Numéro → commande en attente de PIN
+  }
+
+  /**
+   * Traite un SMS entrant et envoie la réponse
+   * @param {string} from - Numéro de l'expéditeur
+   * @param {string} text - Contenu du SMS
+   * @returns {Promise<Object>} { phoneNumber, command, reply }
+   */
+  async handleInbound(from, text) {
+    const phoneNumber = phoneWalletService.normalizeGatewayPhoneNumber(from, config.gatewayDefaultCountry);
+    const body = String(text || '').trim();
+
+    let result;
+    try {
+      result = await this.dispatch(phoneNumber, body);
+    } catch (error) {
+      console.error('❌ Erreur SMS:', error.message);
+      result = { command: 'ERROR', reply: 'Service momentanement indisponible. Reessayez plus tard.' };
+    }
+
+    await this.notify(phoneNumber, result.reply);
+    return { phoneNumber: phoneWalletService.maskPhoneNumber(phoneNumber), ...result };
+  }
+
+  /**
+   * Interprète le SMS : PIN de confirmation ou nouvelle commande
+   * @private
+   */
+  async dispatch(phoneNumber, body) {
+    if (/^\d{4,8}$/.test(body)) {
+      return { command: 'CONFIRM', reply: await this.confirm(phoneNumber, body) };
+    }
+
+    const [keyword = '', ...args] = body.toUpperCase().split(/\s+/);
+    const command = Object.keys(SMS_COMMANDS).find(name => SMS_COMMANDS[name].includes(keyword));
+
+    switch (command) {
+      case 'BALANCE':
+        return { command, reply: this.prepare(phoneNumber, { command }, 'consulter votre solde') };
+      case 'SEND':
+        return { command, reply: this.prepareSend(phoneNumber, args) };
+      case 'VOTE':
+        return { command, reply: await this.prepareVote(phoneNumber, args) };
+      case 'CANCEL':
+        return {
+          command,
+          reply: this.pending.delete(phoneNumber) ? 'Commande annulee.' : 'Aucune commande en attente.'
+        };
+      case 'HELP':
+        return { command, reply: HELP_MESSAGE };
+      default:
+        return { command: 'UNKNOWN', reply: `Commande inconnue.\n${HELP_MESSAGE}` };
+    }
+  }
+
+  /*//////////////////////////////////////////////////////////////
+                        PRÉPARATION DES COMMANDES
+  //////////////////////////////////////////////////////////////*/
+
+  /**
+   * SEND <montant> <numéro>
+   * @private
+   */
+  prepareSend(phoneNumber, args) {
+    const [rawAmount, ...recipientParts] = args;
+    const amount = (rawAmount || '').replace(',', '.');
+
+    if (!/^\d+(\.\d{1,18})?$/.test(amount) || parseFloat(amount) <= 0 || recipientParts.length === 0) {
+      return 'Format: SEND <montant> <numero>. Ex: SEND 50 +237699887766';
+    }
+
+    const recipientPhone = phoneWalletService.normalizeGatewayPhoneNumber(recipientParts.join(''), config.gatewayDefaultCountry);
+    const toAddress = phoneWalletService.validatePhoneNumber(recipientPhone).isValid
+      ? phoneDirectoryService.resolve(recipientPhone)
+      : null;
+
+    if (!toAddress) {
+      return 'Destinataire introuvable: il doit avoir un compte Bafoka joignable par numero.';
+    }
+
+    const toPhone = phoneWalletService.maskPhoneNumber(recipientPhone);
+    return this.prepare(
+      phoneNumber,
+      { command: 'SEND', amount, toAddress, recipientPhone, toPhone },
+      `envoyer ${amount} BFK a ${toPhone}`
+    );
+  }
+
+  /**
+   * VOTE <proposition> <OUI|NON>
+   * @private
+   */
+  async prepareVote(phoneNumber, args) {
+    const [proposalId, choice] = args;
+
+    if (!/^\d+$/.test(proposalId || '') || !(choice in VOTE_CHOICES)) {
+      return 'Format: VOTE <numero> <OUI|NON>. Ex: VOTE 12 OUI';
+    }
+
+    const proposal = await governanceService.getProposal(proposalId).catch(() => null);
+    if (!proposal) {
+      return `Proposition #${proposalId} introuvable.`;
+    }
+    if (proposal.status !== 1) {
+      return `La proposition #${proposalId} n'est pas ouverte au vote.`;
+    }
+
+    const support = VOTE_CHOICES[choice];
+    return this.prepare(
+      phoneNumber,
+      { command: 'VOTE', proposalId, support },
+      `voter ${support ? 'POUR' : 'CONTRE'} la proposition #${proposalId}`
+    );
+  }
+
+  /**
+   * Met une commande en attente de confirmation par PIN
+   * @private
+   */
+  prepare(phoneNumber, action, description) {
+    this.pending.set(phoneNumber, {
+      ...action,
+      expiresAt: Date.now() + config.smsConfirmationTtlSeconds * 1000
+    });
+
+    const minutes = Math.ceil(config.smsConfirmationTtlSeconds / 60);
+    return `Pour ${description}, repondez avec votre PIN (valable ${minutes} min). ANNULER pour abandonner.`;
+  }
+
+  /*//////////////////////////////////////////////////////////////
+                        CONFIRMATION ET EXÉCUTION
+  //////////////////////////////////////////////////////////////*/
+
+  /**
+   * Confirme la commande en attente avec le PIN
+   * @private
+   */
+  async confirm(phoneNumber, pin) {
+    const action = this.pending.get(phoneNumber);
+
+    if (!action || action.expiresAt <= Date.now()) {
+      this.pending.delete(phoneNumber);
+      return 'Aucune commande en attente. Envoyez AIDE pour la liste des commandes.';
+    }
+
+    let signer;
+    try {
+      signer = pinGuardService.authenticate(phoneNumber, pin);
+    } catch (error) {
+      if (error.status === 429) {
+        this.pending.delete(phoneNumber);
+        return `Trop de tentatives. Reessayez dans ${Math.ceil(error.retryAfter / 60)} min.`;
+      }
+      return 'PIN invalide (4 a 8 chiffres).';
+    }
+
+    if (!signer) {
+      return 'PIN incorrect. Reessayez ou envoyez ANNULER.';
+    }
+
+    this.pending.delete(phoneNumber);
+
+    switch (action.command) {
+      case 'BALANCE':
+        return this.executeBalance(signer);
+      case 'SEND':
+        return this.executeSend(phoneNumber, pin, signer, action);
+      case 'VOTE':
+        return this.executeVote(phoneNumber, signer, action);
+      default:
+        return 'Commande inconnue.';
+    }
+  }
+
+  /**
+   * Solde BFK
+   * @private
+   */
+  async executeBalance(signer) {
+    const balance = await blockchainService.getTokenBalance(signer.address);
+    return `Votre solde: ${parseFloat(parseFloat(balance.formatted).toFixed(2))} ${balance.symbol}`;
+  }
+
+  /**
+   * Transfert de BFK (résultat notifié par SMS à l'expéditeur et au destinataire)
+   * @private
+   */
+  async executeSend(phoneNumber, pin, signer, { amount, toAddress, recipientPhone, toPhone }) {
+    const balance = await blockchainService.getTokenBalance(signer.address);
+    if (parseFloat(balance.formatted) < parseFloat(amount)) {
+      return `Solde insuffisant (${parseFloat(parseFloat(balance.formatted).toFixed(2))} BFK).`;
+    }
+
+    this.runInBackground(phoneNumber, `Transfert SMS de ${amount} BFK vers ${toAddress}`, async () => {
+      const result = await blockchainService.transferTokenWithPhoneAuth(phoneNumber, pin, toAddress, amount);
+
+      await this.notify(
+        recipientPhone,
+        `Vous avez recu ${amount} BFK de ${phoneWalletService.maskPhoneNumber(phoneNumber)}.`
+      );
+      return {
+        result,
+        message: `Transfert de ${amount} BFK vers ${toPhone} effectue. Tx: ${result.transactionHash}`
+      };
+    }, 'Echec du transfert');
+
+    return `Transfert de ${amount} BFK vers ${toPhone} en cours. Vous recevrez une confirmation.`;
+  }
+
+  /**
+   * Vote (résultat notifié par SMS)
+   * @private
+   */
+  async executeVote(phoneNumber, signer, { proposalId, support }) {
+    if (!(await governanceService.isMemberEligible(signer.address))) {
+      return 'Vous n\'etes pas membre eligible de la DAO.';
+    }
+
+    const label = `${support ? 'POUR' : 'CONTRE'} la proposition #${proposalId}`;
+
+    this.runInBackground(phoneNumber, `Vote SMS sur #${proposalId}`, async () => {
+      const result = await governanceService.castVote(
+        { address: signer.address, privateKey: signer.privateKey },
+        proposalId,
+        support
+      );
+      return { result, message: `Vote ${label} enregistre. Tx: ${result.txHash}` };
+    }, 'Echec du vote');
+
+    return `Vote ${label} en cours d'enregistrement. Vous recevrez une confirmation.`;
+  }
+
+  /*//////////////////////////////////////////////////////////////
+                              UTILITAIRES
+  //////////////////////////////////////////////////////////////*/
+
+  /**
+   * Exécute une opération on-chain et notifie son résultat par SMS
+   * @private
+   */
+  runInBackground(phoneNumber, label, task, failureMessage) {
+    console.log(`✉️  ${label}...`);
+    task()
+      .then(({ message }) => {
+        console.log(`✅ ${label} terminé`);
+        return this.notify(phoneNumber, message);
+      })
+      .catch(error => {
+        console.error(`❌ ${label} échoué:`, error.message);
+        return this.notify(phoneNumber, `${failureMessage}: ${error.message}`);
+      });
+  }
+
+  /**
+   * Envoie un SMS via le fournisseur configuré (un échec d'envoi n'interrompt pas le traitement)
+   * @private
+   */
+  async notify(phoneNumber, message) {
+    try {
+      return await getSmsProvider().send(phoneNumber, message);
+    } catch (error) {
+      console.error('❌ Envoi SMS échoué:', error.message);
+      return null;
+    }
+  }
+}
+
+// Export d'une instance singleton
+export const smsService = new SmsService();
+export default smsService;
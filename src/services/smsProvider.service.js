@@ -0,0 +1,91 @@
+import fs from 'fs';
+import path from 'path';
+import { config } from '../config/config.js';
+
+/**
+ * Interface d'un fournisseur d'envoi de SMS
+ *
+ * Un fournisseur réel (agrégateur, opérateur) étend cette classe et implémente send(),
+ * puis est enregistré avec registerSmsProvider('nom', () => new MonFournisseur())
+ * et sélectionné via SMS_PROVIDER=nom.
+ */
+export class SmsProvider {
+  /**
+   * Envoie un SMS
+   * @param {string} to - Numéro du destinataire (E.164)
+   * @param {string} message - Contenu du SMS
+   * @returns {Promise<Object>} { provider, to, messageId }
+   */
+  async send(to, message) {
+    throw new Error(`Fournisseur SMS "${this.constructor.name}": send() non implémenté`);
+  }
+}
+
+/**
+ * Fournisseur de développement : affiche les SMS dans les logs
+ */
+export class ConsoleSmsProvider extends SmsProvider {
+  async send(to, message) {
+    console.log(`✉️  SMS → ${to}:\n${message}`);
+    return { provider: 'console', to, messageId: null };
+  }
+}
+
+/**
+ * Fournisseur de test : ajoute chaque SMS dans un fichier (une ligne JSON par SMS)
+ */
+export class FileSmsProvider extends SmsProvider {
+  /**
+   * @param {string} filePath - Fichier d'envoi (relatif au répertoire de données)
+   */
+  constructor(filePath) {
+    super();
+    this.filePath = path.resolve(config.dataDir, filePath);
+    this.sequence = 0;
+  }
+
+  async send(to, message) {
+    const messageId = `sms_${Date.now()}_${++this.sequence}`;
+    const entry = { messageId, to, message, sentAt: new Date().toISOString() };
+
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.promises.appendFile(this.filePath, `${JSON.stringify(entry)}\n`);
+
+    return { provider: 'file', to, messageId };
+  }
+}
+
+// Fournisseurs disponibles (SMS_PROVIDER)
+const factories = new Map([
+  ['console', () => new ConsoleSmsProvider()],
+  ['file', () => new FileSmsProvider(config.smsOutboxFile)]
+]);
+
+let activeProvider = null;
+
+/**
+ * Enregistre un fournisseur SMS supplémentaire
+ * @param {string} name - Nom utilisé dans SMS_PROVIDER
+ * @param {Function} factory - Fonction retournant une instance de SmsProvider
+ */
+export const registerSmsProvider = (name, factory) => {
+  factories.set(name, factory);
+  if (config.smsProvider === name) {
+    activeProvider = null;
+  }
+};
+
+/**
+ * Fournisseur SMS configuré (SMS_PROVIDER, console par défaut)
+ * @returns {SmsProvider} Fournisseur
+ */
+export const getSmsProvider = () => {
+  if (!activeProvider) {
+    const factory = factories.get(config.smsProvider);
+    if (!factory) {
+      console.warn(`⚠️  Fournisseur SMS inconnu: ${config.smsProvider} (console utilisé)`);
+    }
+    activeProvider = (factory || factories.get('console'))();
+  }
+  return activeProvider;
+};
@@ -0,0 +1,466 @@
+import { ethers } from 'ethers';
+import { config } from '../config/config.js';
+import { blockchainService } from './blockchain.service.js';
+import { blockTimestampService } from './blockTimestamp.service.js';
+import { EventLogStore } from '../utils/eventLogStore.js';
+import { JsonStore } from '../utils/jsonStore.js';
+
+/**
+ * Indexeur des événements Transfer du token
+ *
+ * Suit la chaîne depuis le bloc de déploiement du token et conserve chaque Transfer
+ * (avec le timestamp de son bloc) dans le répertoire de données :
+ * - transfer-events.jsonl : un événement par ligne, ajouté au fil de l'indexation
+ * - transfer-indexer.json : point de reprise (dernier bloc indexé)
+ *
+ * Seuls les blocs ayant INDEXER_CONFIRMATIONS confirmations sont indexés : un événement
+ * enregistré ne peut plus être annulé par une réorganisation. Les événements sont gardés
+ * en mémoire, indexés par adresse, pour répondre instantanément aux endpoints
+ * (transactions, historique de solde, éligibilité).
+ */
+class TransferIndexer {
+  constructor() {
+    this.log = new EventLogStore('transfer-events.jsonl');
+    this.checkpoints = new JsonStore('transfer-indexer.json');
+
+    this.events = [];             // Événements dans l'ordre de la chaîne
+    this.byAddress = new Map();   // Adresse (minuscules) → événements de l'adresse
+    this.keys = new Set();        // "bloc:logIndex" déjà indexés
+    this.loaded = false;
+
+    this.decimals = null;
+    this.lastIndexedBlock = null;
+    this.targetBlock = null;      // Dernier bloc confirmé connu
+    this.lastSyncAt = null;
+    this.lastError = null;
+    this.syncing = null;
+    this.timer = null;
+  }
+
+  /**
+   * Démarre l'indexation en arrière-plan (INDEXER_POLL_INTERVAL_SECONDS entre deux passes)
+   */
+  start() {
+    if (!config.indexerEnabled || this.timer) {
+      return;
+    }
+
+    this.load();
+    console.log(`🗂️  Indexeur Transfer démarré (dernier bloc indexé: ${this.lastIndexedBlock})`);
+
+    const tick = async () => {
+      try {
+        await this.sync();
+      } catch (error) {
+        // Erreur déjà enregistrée dans lastError, nouvelle tentative à la prochaine passe
+      }
+      this.timer = setTimeout(tick, config.indexerPollIntervalSeconds * 1000);
+      this.timer.unref();
+    };
+
+    this.timer = setTimeout(tick, 0);
+    this.timer.unref();
+  }
+
+  /**
+   * Arrête l'indexation en arrière-plan
+   */
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Indexe les blocs confirmés depuis le point de reprise (une seule passe à la fois)
+   * @returns {Promise<number>} Dernier bloc indexé
+   */
+  async sync() {
+    if (!this.syncing) {
+      this.syncing = this.runSync().finally(() => {
+        this.syncing = null;
+      });
+    }
+    return this.syncing;
+  }
+
+  /**
+   * @private
+   */
+  async runSync() {
+    this.load();
+
+    try {
+      if (this.decimals === null) {
+        this.decimals = Number(await blockchainService.tokenContract.decimals());
+      }
+
+      const head = await blockchainService.provider.getBlockNumber();
+      this.targetBlock = head - config.indexerConfirmations;
+
+      while (this.lastIndexedBlock < this.targetBlock) {
+        const fromBlock = this.lastIndexedBlock + 1;
+        const toBlock = Math.min(fromBlock + config.indexerChunkSize - 1, this.targetBlock);
+
+        const logs = await blockchainService.tokenContract.queryFilter(
+          blockchainService.tokenContract.filters.Transfer(),
+          fromBlock,
+          toBlock
+        );
+        const timestamps = await blockTimestampService.getTimestamps(logs.map(log => log.blockNumber));
+
+        this.append(logs.map(log => ({
+          blockNumber: log.blockNumber,
+          logIndex: log.index,
+          hash: log.transactionHash,
+          from: log.args.from,
+          to: log.args.to,
+          value: log.args.value.toString(),
+          timestamp: timestamps.get(log.blockNumber)
+        })));
+        this.setCheckpoint(toBlock);
+
+        if (logs.length > 0) {
+          console.log(`🗂️  ${logs.length} Transfer indexés (blocs ${fromBlock} -> ${toBlock})`);
+        }
+      }
+
+      this.lastSyncAt = new Date().toISOString();
+      this.lastError = null;
+      return this.lastIndexedBlock;
+    } catch (error) {
+      this.lastError = error.message;
+      console.warn(`⚠️  Indexeur Transfer: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /*//////////////////////////////////////////////////////////////
+                              LECTURE
+  //////////////////////////////////////////////////////////////*/
+
+  /**
+   * Indique si l'index peut répondre pour une plage se terminant à toBlock
+   * (index à jour lors de la dernière passe et plage déjà indexée)
+   * @param {number|string} toBlock - Bloc de fin ('latest' accepté)
+   * @returns {boolean}
+   */
+  covers(toBlock = 'latest') {
+    if (!this.isSynced()) {
+      return false;
+    }
+    return toBlock === 'latest' || (Number.isInteger(toBlock) && toBlock <= this.lastIndexedBlock);
+  }
+
+  /**
+   * Indique si l'index a rattrapé la chaîne (aux confirmations près)
+   * @returns {boolean}
+   */
+  isSynced() {
+    return this.loaded
+      && this.lastSyncAt !== null
+      && this.decimals !== null
+      && this.lastIndexedBlock >= this.targetBlock;
+  }
+
+  /**
+   * Recherche paginée des transactions d'une adresse (plus récentes en premier)
+   *
+   * Le curseur désigne la dernière transaction de la page précédente (bloc et logIndex) :
+   * la page suivante reste stable même si de nouveaux transferts sont indexés entre-temps.
+   *
+   * @param {string} address - Adresse
+   * @param {Object} options - Filtres et pagination
+   * @param {string} options.direction - 'all', 'sent' ou 'received'
+   * @param {string} options.counterparty - Adresse de la contrepartie
+   * @param {string} options.minAmount - Montant minimum (en tokens)
+   * @param {string} options.maxAmount - Montant maximum (en tokens)
+   * @param {number} options.fromDate - Date de début (timestamp Unix, secondes)
+   * @param {number} options.toDate - Date de fin (timestamp Unix, secondes)
+   * @param {number} options.fromBlock - Bloc de début
+   * @param {number} options.toBlock - Bloc de fin
+   * @param {string} options.cursor - Curseur opaque (nextCursor de la page précédente)
+   * @param {number} options.limit - Taille de la page
+   * @returns {Object} { address, contractAddress, totalTransactions, transactions, pagination, _info }
+   * @throws {Error} 400 INVALID_CURSOR
+   */
+  query(address, {
+    direction = 'all',
+    counterparty = null,
+    minAmount = null,
+    maxAmount = null,
+    fromDate = null,
+    toDate = null,
+    fromBlock = null,
+    toBlock = null,
+    cursor = null,
+    limit = 20
+  } = {}) {
+    const self = address.toLowerCase();
+    const other = counterparty ? counterparty.toLowerCase() : null;
+    const min = minAmount !== null ? ethers.parseUnits(minAmount, this.decimals) : null;
+    const max = maxAmount !== null ? ethers.parseUnits(maxAmount, this.decimals) : null;
+    const position = cursor ? this.decodeCursor(cursor) : null;
+
+    const matching = this.getAddressEvents(address).filter(event => {
+      const from = event.from.toLowerCase();
+      const to = event.to.toLowerCase();
+      const value = BigInt(event.value);
+
+      return (direction !== 'sent' || from === self)
+        && (direction !== 'received' || to === self)
+        && (!other || (from === self ? to : from) === other)
+        && (min === null || value >= min)
+        && (max === null || value <= max)
+        && (fromDate === null || event.timestamp >= fromDate)
+        && (toDate === null || event.timestamp <= toDate)
+        && (fromBlock === null || event.blockNumber >= fromBlock)
+        && (toBlock === null || event.blockNumber <= toBlock);
+    });
+
+    // Plus récentes en premier, puis reprise après le curseur
+    let end = matching.length;
+    if (position) {
+      end = matching.findIndex(event =>
+        event.blockNumber > position.blockNumber
+        || (event.blockNumber === position.blockNumber && event.logIndex >= position.logIndex)
+      );
+      if (end === -1) {
+        end = matching.length;
+      }
+    }
+
+    const page = matching.slice(Math.max(0, end - limit), end).reverse();
+    const hasMore = end - page.length > 0;
+
+    return {
+      address,
+      contractAddress: config.tokenContractAddress,
+      totalTransactions: matching.length,
+      transactions: page.map(event => this.format(event, address)),
+      pagination: {
+        limit,
+        hasMore,
+        nextCursor: hasMore ? this.encodeCursor(page[page.length - 1]) : null
+      },
+      _info: {
+        source: 'index',
+        indexedToBlock: this.lastIndexedBlock
+      }
+    };
+  }
+
+  /**
+   * Activité token d'une adresse (éligibilité DAO)
+   * @param {string} address - Adresse
+   * @returns {Object} { transactionCount, sent, received, firstTransaction (ms), lastTransaction (ms) }
+   */
+  getActivity(address) {
+    const events = this.getAddressEvents(address);
+    const sent = events.filter(event => event.from.toLowerCase() === address.toLowerCase()).length;
+
+    return {
+      transactionCount: events.length,
+      sent,
+      received: events.length - sent,
+      firstTransaction: events.length > 0 ? events[0].timestamp * 1000 : null,
+      lastTransaction: events.length > 0 ? events[events.length - 1].timestamp * 1000 : null
+    };
+  }
+
+  /**
+   * Historique du solde token d'une adresse (solde après chaque transfert, plus récent en premier)
+   * @param {string} address - Adresse
+   * @param {number} limit - Nombre maximum de points
+   * @returns {Object} { address, balance, indexedToBlock, totalPoints, history }
+   */
+  getBalanceHistory(address, limit = 50) {
+    const events = this.getAddressEvents(address);
+    let balance = 0n;
+
+    const history = events.map(event => {
+      const value = BigInt(event.value);
+      const isSender = event.from.toLowerCase() === address.toLowerCase();
+      const isRecipient = event.to.toLowerCase() === address.toLowerCase();
+      const delta = (isRecipient ? value : 0n) - (isSender ? value : 0n);
+      balance += delta;
+
+      return {
+        hash: event.hash,
+        blockNumber: event.blockNumber,
+        timestamp: event.timestamp,
+        delta: ethers.formatUnits(delta, this.decimals),
+        balance: ethers.formatUnits(balance, this.decimals)
+      };
+    });
+
+    return {
+      address,
+      balance: ethers.formatUnits(balance, this.decimals),
+      indexedToBlock: this.lastIndexedBlock,
+      totalPoints: history.length,
+      history: history.slice(-limit).reverse()
+    };
+  }
+
+  /**
+   * État de l'indexeur
+   * @returns {Object} Statut (dernier bloc indexé, retard, nombre d'événements...)
+   */
+  getStatus() {
+    this.load();
+    return {
+      enabled: config.indexerEnabled,
+      running: this.timer !== null,
+      synced: this.isSynced(),
+      startBlock: config.tokenDeploymentBlock || 0,
+      lastIndexedBlock: this.lastIndexedBlock,
+      targetBlock: this.targetBlock,
+      lag: this.targetBlock !== null ? Math.max(0, this.targetBlock - this.lastIndexedBlock) : null,
+      confirmations: config.indexerConfirmations,
+      events: this.events.length,
+      addresses: this.byAddress.size,
+      lastSyncAt: this.lastSyncAt,
+      lastError: this.lastError
+    };
+  }
+
+  /*//////////////////////////////////////////////////////////////
+                              STOCKAGE
+  //////////////////////////////////////////////////////////////*/
+
+  /**
+   * Charge le point de reprise et les événements déjà indexés (une seule fois)
+   * Les événements au-delà du point de reprise (passe interrompue) sont écartés puis réindexés.
+   * @private
+   */
+  load() {
+    if (this.loaded) {
+      return;
+    }
+
+    const checkpoint = this.checkpoints.get('checkpoint');
+    this.lastIndexedBlock = checkpoint?.lastIndexedBlock ?? (config.tokenDeploymentBlock || 0) - 1;
+
+    const { records, invalid } = this.log.readAll();
+    let discarded = invalid;
+    for (const event of records) {
+      if (event.blockNumber > this.lastIndexedBlock || !this.add(event)) {
+        discarded++;
+      }
+    }
+
+    if (discarded > 0) {
+      this.log.rewrite(this.events);
+    }
+
+    this.loaded = true;
+  }
+
+  /**
+   * Ajoute des événements à l'index et au fichier
+   * @private
+   */
+  append(events) {
+    this.log.append(events.filter(event => this.add(event)));
+  }
+
+  /**
+   * Ajoute un événement aux index en mémoire (ignoré s'il est déjà connu)
+   * @private
+   */
+  add(event) {
+    const key = `${event.blockNumber}:${event.logIndex}`;
+    if (this.keys.has(key)) {
+      return false;
+    }
+
+    this.keys.add(key);
+    this.events.push(event);
+
+    for (const address of new Set([event.from.toLowerCase(), event.to.toLowerCase()])) {
+      if (!this.byAddress.has(address)) {
+        this.byAddress.set(address, []);
+      }
+      this.byAddress.get(address).push(event);
+    }
+
+    return true;
+  }
+
+  /**
+   * @private
+   */
+  setCheckpoint(blockNumber) {
+    this.lastIndexedBlock = blockNumber;
+    this.checkpoints.set('checkpoint', { lastIndexedBlock: blockNumber, updatedAt: new Date().toISOString() });
+  }
+
+  /*//////////////////////////////////////////////////////////////
+                              UTILITAIRES
+  //////////////////////////////////////////////////////////////*/
+
+  /**
+   * @private
+   */
+  getAddressEvents(address) {
+    return this.byAddress.get(address.toLowerCase()) || [];
+  }
+
+  /**
+   * @private
+   */
+  encodeCursor(event) {
+    return Buffer.from(JSON.stringify({ b: event.blockNumber, l: event.logIndex })).toString('base64url');
+  }
+
+  /**
+   * @private
+   */
+  decodeCursor(cursor) {
+    try {
+      const { b, l } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+      if (Number.isInteger(b) && Number.isInteger(l)) {
+        return { blockNumber: b, logIndex: l };
+      }
+    } catch (error) {
+      // Curseur illisible : traité ci-dessous
+    }
+
+    throw this.error('Curseur de pagination invalide', 'INVALID_CURSOR', 400);
+  }
+
+  /**
+   * Construit une erreur typée
+   * @private
+   */
+  error(message, code, status) {
+    const e = new Error(message);
+    e.code = code;
+    e.status = status;
+    return e;
+  }
+
+  /**
+   * Formate un événement comme une transaction de l'API
+   * @private
+   */
+  format(event, address) {
+    return {
+      hash: event.hash,
+      blockNumber: event.blockNumber,
+      logIndex: event.logIndex,
+      timestamp: event.timestamp,
+      from: event.from,
+      to: event.to,
+      value: {
+        raw: event.value,
+        formatted: ethers.formatUnits(event.value, this.decimals)
+      },
+      type: event.from.toLowerCase() === address.toLowerCase() ? 'sent' : 'received'
+    };
+  }
+}
+
+// Export d'une instance singleton
+export const transferIndexer = new TransferIndexer();
+export default transferIndexer;
@@ -0,0 +1,327 @@
+import crypto from 'crypto';
+import { ethers } from 'ethers';
+import { config } from '../config/config.js';
+import { blockchainService } from './blockchain.service.js';
+import { adminTxQueue } from './adminTxQueue.service.js';
+import { gasManager } from './gasManager.service.js';
+import { dispatchAlert } from './alertNotifier.service.js';
+import { JsonStore } from '../utils/jsonStore.js';
+
+// Niveaux d'alerte de la trésorerie, du moins grave au plus grave
+export const TREASURY_LEVELS = {
+  OK: 'ok',
+  WARNING: 'warning',
+  CRITICAL: 'critical'
+};
+
+const LEVEL_ORDER = [TREASURY_LEVELS.OK, TREASURY_LEVELS.WARNING, TREASURY_LEVELS.CRITICAL];
+
+// Nombre d'alertes conservées dans l'historique
+const ALERT_HISTORY_SIZE = 50;
+
+const HOUR_MS = 3600 * 1000;
+
+/**
+ * Surveillance de la trésorerie du wallet administrateur
+ *
+ * Le wallet administrateur paie le gas de toutes ses transactions, finance les wallets téléphone
+ * (onboarding, auto-funding) et relaie les méta-transactions : sans CELO, tout s'arrête.
+ * Le moniteur relève ses soldes CELO et BFK toutes les TREASURY_POLL_INTERVAL_SECONDS, calcule la
+ * consommation à partir des sorties constatées entre deux relevés sur TREASURY_BURN_WINDOW_HOURS
+ * (les rechargements ne la compensent pas) et en déduit l'autonomie (solde / consommation).
+ *
+ * Un solde sous le minimum ou une autonomie sous TREASURY_RUNWAY_CRITICAL_HOURS déclenche une
+ * alerte critique, une autonomie sous TREASURY_RUNWAY_WARNING_HOURS un avertissement. Les alertes
+ * partent à chaque changement de niveau (retour à la normale compris) et sont répétées toutes les
+ * TREASURY_ALERT_COOLDOWN_MINUTES tant que le niveau reste dégradé, sur les canaux configurés
+ * (voir alertNotifier). Relevés, niveaux et alertes sont conservés dans data/treasury-monitor.json.
+ */
+class TreasuryMonitor {
+  constructor() {
+    this.store = new JsonStore('treasury-monitor.json');
+    this.timer = null;
+    this.checking = null;
+    this.assets = null;
+    this.lastCheckAt = null;
+    this.lastError = null;
+    this.tokenDecimals = null;
+  }
+
+  /**
+   * Indique si la surveillance est possible (activée et wallet administrateur configuré)
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return config.treasuryMonitorEnabled && adminTxQueue.isConfigured();
+  }
+
+  /**
+   * Démarre les relevés en arrière-plan (TREASURY_POLL_INTERVAL_SECONDS entre deux relevés)
+   */
+  start() {
+    if (!this.isEnabled() || this.timer) {
+      return;
+    }
+
+    console.log(`🏦 Surveillance de la trésorerie démarrée (${adminTxQueue.address})`);
+
+    const tick = async () => {
+      try {
+        await this.check();
+      } catch (error) {
+        // Erreur déjà enregistrée dans lastError, nouveau relevé à la prochaine passe
+      }
+      this.timer = setTimeout(tick, config.treasuryPollIntervalSeconds * 1000);
+      this.timer.unref();
+    };
+
+    this.timer = setTimeout(tick, 0);
+    this.timer.unref();
+  }
+
+  /**
+   * Arrête les relevés en arrière-plan
+   */
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Relève les soldes, recalcule consommation et autonomie puis envoie les alertes nécessaires
+   * Un relevé déjà en cours est partagé
+   * @returns {Promise<Object>} État de la trésorerie (voir getStatus())
+   */
+  async check() {
+    if (!this.checking) {
+      this.checking = this.runCheck().finally(() => {
+        this.checking = null;
+      });
+    }
+    return this.checking;
+  }
+
+  /**
+   * État complet de la trésorerie (dernier relevé, seuils et alertes récentes)
+   * @returns {Object} { enabled, running, address, level, lastCheckAt, lastError, thresholds, assets, alerts }
+   */
+  getStatus() {
+    return {
+      enabled: this.isEnabled(),
+      running: this.timer !== null,
+      address: adminTxQueue.address,
+      level: this.getLevel(),
+      lastCheckAt: this.lastCheckAt,
+      lastError: this.lastError,
+      thresholds: {
+        minCeloBalance: config.treasuryMinCeloBalance,
+        minBfkBalance: config.treasuryMinBfkBalance || null,
+        runwayWarningHours: config.treasuryRunwayWarningHours,
+        runwayCriticalHours: config.treasuryRunwayCriticalHours,
+        burnWindowHours: config.treasuryBurnWindowHours
+      },
+      assets: this.assets,
+      alerts: (this.store.get('alerts') || []).slice(0, 20)
+    };
+  }
+
+  /**
+   * Résumé pour le health check (dernier relevé, sans appel au réseau)
+   * @returns {Object} { level, lastCheckAt, celo, bfk }
+   */
+  getSummary() {
+    const summarize = (asset) => (asset
+      ? { balance: asset.balance, runwayHours: asset.runwayHours, level: asset.level }
+      : null);
+
+    return {
+      level: this.getLevel(),
+      lastCheckAt: this.lastCheckAt,
+      celo: summarize(this.assets?.CELO),
+      bfk: summarize(this.assets?.BFK)
+    };
+  }
+
+  /*//////////////////////////////////////////////////////////////
+                              RELEVÉS
+  //////////////////////////////////////////////////////////////*/
+
+  /**
+   * @private
+   */
+  async runCheck() {
+    try {
+      if (!this.isEnabled()) {
+        const e = new Error('Surveillance de la trésorerie désactivée ou wallet administrateur non configuré');
+        e.code = 'TREASURY_MONITOR_DISABLED';
+        e.status = 503;
+        throw e;
+      }
+
+      const health = await gasManager.checkAdminWalletHealth();
+      if (health.error) {
+        throw new Error(health.error);
+      }
+
+      const bfk = await this.getTokenBalance();
+      const now = Date.now();
+      const since = now - config.treasuryBurnWindowHours * HOUR_MS;
+      const samples = [
+        ...(this.store.get('samples') || []).filter(sample => sample.at >= since),
+        { at: now, CELO: health.balanceWei, BFK: bfk === null ? null : bfk.toString() }
+      ];
+      this.store.set('samples', samples);
+
+      const assets = {
+        CELO: this.evaluate('CELO', samples, 18, config.treasuryMinCeloBalance)
+      };
+      if (bfk !== null) {
+        assets.BFK = this.evaluate('BFK', samples, this.tokenDecimals, config.treasuryMinBfkBalance);
+      }
+
+      this.assets = assets;
+      this.lastCheckAt = new Date(now).toISOString();
+      this.lastError = null;
+
+      for (const status of Object.values(assets)) {
+        await this.updateLevel(status);
+      }
+
+      return this.getStatus();
+    } catch (error) {
+      this.lastError = error.message;
+      console.error('❌ [Trésorerie] Relevé des soldes impossible:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Solde BFK du wallet administrateur (null si le token est indisponible)
+   * @private
+   */
+  async getTokenBalance() {
+    const token = blockchainService.tokenContract;
+    if (!token) {
+      return null;
+    }
+
+    try {
+      this.tokenDecimals ??= Number(await token.decimals());
+      return await token.balanceOf(adminTxQueue.address);
+    } catch (error) {
+      console.warn('⚠️  [Trésorerie] Solde BFK indisponible:', error.shortMessage || error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Consommation, autonomie et niveau d'alerte d'un actif à partir des relevés de la fenêtre
+   * @private
+   */
+  evaluate(asset, samples, decimals, minBalance) {
+    const values = samples
+      .filter(sample => sample[asset] !== null && sample[asset] !== undefined)
+      .map(sample => ({ at: sample.at, value: BigInt(sample[asset]) }));
+
+    const balance = values[values.length - 1].value;
+
+    // Sorties constatées entre deux relevés (les rechargements ne compensent pas la consommation)
+    let outflow = 0n;
+    for (let i = 1; i < values.length; i++) {
+      if (values[i].value < values[i - 1].value) {
+        outflow += values[i - 1].value - values[i].value;
+      }
+    }
+
+    const span = values[values.length - 1].at - values[0].at;
+    const burnPerHour = span > 0 ? outflow * BigInt(HOUR_MS) / BigInt(span) : null;
+    const runwayHours = burnPerHour ? Number(balance * 100n / burnPerHour) / 100 : null;
+    const minWei = minBalance > 0 ? ethers.parseUnits(minBalance.toString(), decimals) : null;
+    const formatted = ethers.formatUnits(balance, decimals);
+
+    let level = TREASURY_LEVELS.OK;
+    let reason = null;
+    if (minWei !== null && balance < minWei) {
+      level = TREASURY_LEVELS.CRITICAL;
+      reason = `Solde ${asset} du wallet admin (${formatted}) sous le minimum de ${minBalance} ${asset}`;
+    } else if (runwayHours !== null && runwayHours < config.treasuryRunwayCriticalHours) {
+      level = TREASURY_LEVELS.CRITICAL;
+      reason = `Autonomie ${asset} du wallet admin de ${runwayHours} h (solde ${formatted}), sous le seuil critique de ${config.treasuryRunwayCriticalHours} h`;
+    } else if (runwayHours !== null && runwayHours < config.treasuryRunwayWarningHours) {
+      level = TREASURY_LEVELS.WARNING;
+      reason = `Autonomie ${asset} du wallet admin de ${runwayHours} h (solde ${formatted}), sous le seuil de ${config.treasuryRunwayWarningHours} h`;
+    }
+
+    return {
+      asset,
+      balance: formatted,
+      minBalance: minBalance || null,
+      outflow: ethers.formatUnits(outflow, decimals),
+      burnRatePerDay: burnPerHour === null ? null : ethers.formatUnits(burnPerHour * 24n, decimals),
+      runwayHours,
+      windowHours: Math.round(span / HOUR_MS * 100) / 100,
+      samples: values.length,
+      level,
+      reason
+    };
+  }
+
+  /**
+   * Envoie une alerte si le niveau d'un actif change, ou si une alerte active doit être répétée
+   * @private
+   */
+  async updateLevel(status) {
+    const levels = this.store.get('levels') || {};
+    const previous = levels[status.asset] || { level: TREASURY_LEVELS.OK, notifiedAt: null };
+
+    const changed = status.level !== previous.level;
+    const reminder = !changed
+      && status.level !== TREASURY_LEVELS.OK
+      && Date.now() - Date.parse(previous.notifiedAt) >= config.treasuryAlertCooldownMinutes * 60 * 1000;
+
+    if (!changed && !reminder) {
+      return null;
+    }
+
+    const now = new Date().toISOString();
+    this.store.set('levels', { ...levels, [status.asset]: { level: status.level, notifiedAt: now } });
+
+    const alert = {
+      id: crypto.randomUUID(),
+      asset: status.asset,
+      level: status.level,
+      previousLevel: previous.level,
+      reminder,
+      message: status.level === TREASURY_LEVELS.OK
+        ? `Trésorerie ${status.asset} du wallet admin revenue à la normale (solde ${status.balance})`
+        : status.reason,
+      address: adminTxQueue.address,
+      balance: status.balance,
+      burnRatePerDay: status.burnRatePerDay,
+      runwayHours: status.runwayHours,
+      createdAt: now
+    };
+
+    const deliveries = await dispatchAlert(alert);
+    this.store.set('alerts', [{ ...alert, deliveries }, ...(this.store.get('alerts') || [])].slice(0, ALERT_HISTORY_SIZE));
+
+    return alert;
+  }
+
+  /**
+   * Niveau le plus grave parmi les actifs du dernier relevé (null avant le premier relevé)
+   * @private
+   */
+  getLevel() {
+    if (!this.assets) {
+      return null;
+    }
+    return Object.values(this.assets)
+      .map(asset => asset.level)
+      .reduce((worst, level) => (LEVEL_ORDER.indexOf(level) > LEVEL_ORDER.indexOf(worst) ? level : worst), TREASURY_LEVELS.OK);
+  }
+}
+
+// Export d'une instance singleton
+export const treasuryMonitor = new TreasuryMonitor();
+export default treasuryMonitor;
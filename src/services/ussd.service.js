@@ -0,0 +1,455 @@
+import { config } from '../config/config.js';
+import { blockchainService } from './blockchain.service.js';
+import { governanceService } from './governance.service.js';
+import { phoneDirectoryService } from './phoneDirectory.service.js';
+import { phoneWalletService } from './phoneWallet.service.js';
+import { pinGuardService } from './pinGuard.service.js';
+
+// États du menu USSD
+export const USSD_STATES = {
+  MAIN: 'main',
+  BALANCE_PIN: 'balance.pin',
+  HISTORY_PIN: 'history.pin',
+  SEND_RECIPIENT: 'send.recipient',
+  SEND_AMOUNT: 'send.amount',
+  SEND_PIN: 'send.pin',
+  PROPOSALS: 'proposals',
+  VOTE_PROPOSAL: 'vote.proposal',
+  VOTE_CHOICE: 'vote.choice',
+  VOTE_PIN: 'vote.pin'
+};
+
+const MAIN_MENU = [
+  'Bafoka',
+  '1. Mon solde',
+  '2. Envoyer des BFK',
+  '3. Dernieres transactions',
+  '4. Propositions actives',
+  '5. Voter',
+  '0. Quitter'
+].join('\n');
+
+// Nombre d'éléments affichés (un écran USSD est limité à ~182 caractères)
+const MAX_LIST_ITEMS = 3;
+const PROPOSAL_STATUS_ACTIVE = 1;
+
+const reply = (message) => ({ end: false, message });
+const close = (message) => ({ end: true, message });
+
+/**
+ * Service USSD : machine à états du menu pour les téléphones basiques
+ *
+ * Chaque session de l'agrégateur (sessionId) est conservée en mémoire le temps du menu
+ * (USSD_SESSION_TTL_SECONDS). Le champ "text" peut être cumulatif ("1*+2376...*50",
+ * format Africa's Talking) ou ne contenir que la dernière saisie : seule la nouvelle
+ * saisie est traitée dans les deux cas.
+ *
+ * Les opérations on-chain (transfert, vote) sont confirmées par PIN puis envoyées
+ * en arrière-plan : une session USSD expire bien avant la confirmation d'un bloc.
+ */
+class UssdService {
+  constructor() {
+    this.sessions = new Map();
+  }
+
+  /**
+   * Traite une requête de l'agrégateur
+   * @param {Object} request - { sessionId, phoneNumber, text }
+   * @returns {Promise<Object>} { end, message } (end = true termine la session)
+   */
+  async handle({ sessionId, phoneNumber, text = '' }) {
+    this.purgeExpiredSessions();
+
+    const normalizedPhone = phoneWalletService.normalizeGatewayPhoneNumber(phoneNumber, config.gatewayDefaultCountry);
+    let session = this.sessions.get(sessionId);
+
+    // Nouvelle session : un code de raccourci (ex. *123*1#) arrive déjà sous forme de saisies
+    let inputs;
+    if (!session || session.phoneNumber !== normalizedPhone) {
+      session = { phoneNumber: normalizedPhone, state: USSD_STATES.MAIN, data: {}, lastText: '' };
+      this.sessions.set(sessionId, session);
+      inputs = text ? text.split('*') : [];
+    } else {
+      inputs = [this.extractInput(session.lastText, text)];
+    }
+
+    session.lastText = text;
+    session.expiresAt = Date.now() + config.ussdSessionTtlSeconds * 1000;
+
+    let result = reply(MAIN_MENU);
+    try {
+      for (const input of inputs) {
+        result = await this.step(session, input.trim());
+        if (result.end) {
+          break;
+        }
+      }
+    } catch (error) {
+      console.error('❌ Erreur USSD:', error.message);
+      result = close('Service momentanement indisponible. Reessayez plus tard.');
+    }
+
+    if (result.end) {
+      this.sessions.delete(sessionId);
+    }
+
+    return result;
+  }
+
+  /**
+   * Extrait la nouvelle saisie du champ "text" (cumulatif ou non)
+   * @private
+   */
+  extractInput(lastText, text) {
+    if (lastText && text.startsWith(`${lastText}*`)) {
+      return text.slice(lastText.length + 1);
+    }
+    return text;
+  }
+
+  /**
+   * Applique une saisie à l'état courant de la session
+   * @private
+   */
+  async step(session, input) {
+    switch (session.state) {
+      case USSD_STATES.MAIN:
+        return this.handleMainMenu(session, input);
+      case USSD_STATES.BALANCE_PIN:
+        return this.handleBalance(session, input);
+      case USSD_STATES.HISTORY_PIN:
+        return this.handleHistory(session, input);
+      case USSD_STATES.SEND_RECIPIENT:
+        return this.handleSendRecipient(session, input);
+      case USSD_STATES.SEND_AMOUNT:
+        return this.handleSendAmount(session, input);
+      case USSD_STATES.SEND_PIN:
+        return this.handleSendConfirm(session, input);
+      case USSD_STATES.PROPOSALS:
+        return this.handleProposalChoice(session, input);
+      case USSD_STATES.VOTE_PROPOSAL:
+        return this.handleVoteProposal(session, input);
+      case USSD_STATES.VOTE_CHOICE:
+        return this.handleVoteChoice(session, input);
+      case USSD_STATES.VOTE_PIN:
+        return this.handleVoteConfirm(session, input);
+      default:
+        return close('Session invalide');
+    }
+  }
+
+  /*//////////////////////////////////////////////////////////////
+                            MENU PRINCIPAL
+  //////////////////////////////////////////////////////////////*/
+
+  /**
+   * Menu principal
+   * @private
+   */
+  async handleMainMenu(session, input) {
+    switch (input) {
+      case '1':
+        session.state = USSD_STATES.BALANCE_PIN;
+        return reply('Entrez votre PIN:');
+      case '2':
+        session.state = USSD_STATES.SEND_RECIPIENT;
+        return reply('Numero du destinataire:');
+      case '3':
+        session.state = USSD_STATES.HISTORY_PIN;
+        return reply('Entrez votre PIN:');
+      case '4':
+        return this.showActiveProposals(session);
+      case '5':
+        session.state = USSD_STATES.VOTE_PROPOSAL;
+        return reply('Numero de la proposition:');
+      case '0':
+        return close('Merci d\'avoir utilise Bafoka.');
+      default:
+        return reply(`Choix invalide.\n${MAIN_MENU}`);
+    }
+  }
+
+  /*//////////////////////////////////////////////////////////////
+                         SOLDE ET HISTORIQUE
+  //////////////////////////////////////////////////////////////*/
+
+  /**
+   * Solde BFK
+   * @private
+   */
+  async handleBalance(session, pin) {
+    const { signer, failure } = this.authenticate(session, pin);
+    if (failure) {
+      return failure;
+    }
+
+    const balance = await blockchainService.getTokenBalance(signer.address);
+    return close(`Votre solde: ${this.formatAmount(balance.formatted)} ${balance.symbol}`);
+  }
+
+  /**
+   * Dernières transactions BFK
+   * @private
+   */
+  async handleHistory(session, pin) {
+    const { signer, failure } = this.authenticate(session, pin);
+    if (failure) {
+      return failure;
+    }
+
+    const { transactions } = await blockchainService.getTokenTransactions(signer.address, 0, 'latest', MAX_LIST_ITEMS);
+    if (transactions.length === 0) {
+      return close('Aucune transaction.');
+    }
+
+    const lines = transactions.map(tx => {
+      const sent = tx.type === 'sent';
+      const counterpart = sent ? tx.to : tx.from;
+      return `${sent ? '-' : '+'}${this.formatAmount(tx.value.formatted)} BFK ${sent ? 'a' : 'de'} ${this.shortAddress(counterpart)}`;
+    });
+
+    return close(`Dernieres transactions:\n${lines.join('\n')}`);
+  }
+
+  /*//////////////////////////////////////////////////////////////
+                              TRANSFERT
+  //////////////////////////////////////////////////////////////*/
+
+  /**
+   * Saisie du destinataire (résolu via l'annuaire des numéros)
+   * @private
+   */
+  async handleSendRecipient(session, input) {
+    const recipientPhone = phoneWalletService.normalizeGatewayPhoneNumber(input, config.gatewayDefaultCountry);
+    const validation = phoneWalletService.validatePhoneNumber(recipientPhone);
+    const toAddress = validation.isValid ? phoneDirectoryService.resolve(recipientPhone) : null;
+
+    if (!toAddress) {
+      return reply('Destinataire introuvable.\nNumero du destinataire:');
+    }
+
+    session.data = { toAddress, toPhone: phoneWalletService.maskPhoneNumber(recipientPhone) };
+    session.state = USSD_STATES.SEND_AMOUNT;
+    return reply('Montant (BFK):');
+  }
+
+  /**
+   * Saisie du montant
+   * @private
+   */
+  async handleSendAmount(session, input) {
+    const amount = input.replace(',', '.');
+    if (!/^\d+(\.\d{1,18})?$/.test(amount) || parseFloat(amount) <= 0) {
+      return reply('Montant invalide.\nMontant (BFK):');
+    }
+
+    session.data.amount = amount;
+    session.state = USSD_STATES.SEND_PIN;
+    return reply(`Envoyer ${amount} BFK a ${session.data.toPhone}\nEntrez votre PIN pour confirmer:`);
+  }
+
+  /**
+   * Confirmation par PIN puis envoi du transfert en arrière-plan
+   * @private
+   */
+  async handleSendConfirm(session, pin) {
+    const { signer, failure } = this.authenticate(session, pin);
+    if (failure) {
+      return failure;
+    }
+
+    const { toAddress, toPhone, amount } = session.data;
+
+    const balance = await blockchainService.getTokenBalance(signer.address);
+    if (parseFloat(balance.formatted) < parseFloat(amount)) {
+      return close(`Solde insuffisant (${this.formatAmount(balance.formatted)} BFK).`);
+    }
+
+    this.runInBackground(`Transfert USSD de ${amount} BFK vers ${toAddress}`, async () => {
+      return blockchainService.transferTokensFromWallet(signer.privateKey, toAddress, amount);
+    });
+
+    return close(`Transfert de ${amount} BFK vers ${toPhone} en cours.`);
+  }
+
+  /*//////////////////////////////////////////////////////////////
+                             GOUVERNANCE
+  //////////////////////////////////////////////////////////////*/
+
+  /**
+   * Liste des propositions actives (le choix d'une proposition mène au vote)
+   * @private
+   */
+  async showActiveProposals(session) {
+    const events = await governanceService.getProposalEvents();
+    const proposals = (await Promise.all(
+      events.map(event => governanceService.getProposal(event.proposalId).catch(() => null))
+    ))
+      .filter(proposal => proposal && proposal.status === PROPOSAL_STATUS_ACTIVE)
+      .sort((a, b) => Number(b.id) - Number(a.id))
+      .slice(0, MAX_LIST_ITEMS);
+
+    if (proposals.length === 0) {
+      return close('Aucune proposition active.');
+    }
+
+    session.data = { proposals: proposals.map(({ id, title }) => ({ id, title })) };
+    session.state = USSD_STATES.PROPOSALS;
+
+    const lines = proposals.map((proposal, index) => `${index + 1}. #${proposal.id} ${this.truncate(proposal.title, 24)}`);
+    return reply(`Propositions actives:\n${lines.join('\n')}\nChoisissez pour voter:`);
+  }
+
+  /**
+   * Choix d'une proposition dans la liste
+   * @private
+   */
+  async handleProposalChoice(session, input) {
+    const proposal = session.data.proposals[parseInt(input, 10) - 1];
+    if (!proposal) {
+      return close('Choix invalide.');
+    }
+
+    return this.askVoteChoice(session, proposal);
+  }
+
+  /**
+   * Saisie directe du numéro de proposition
+   * @private
+   */
+  async handleVoteProposal(session, input) {
+    if (!/^\d+$/.test(input)) {
+      return reply('Numero invalide.\nNumero de la proposition:');
+    }
+
+    const proposal = await governanceService.getProposal(input).catch(() => null);
+    if (!proposal) {
+      return close(`Proposition #${input} introuvable.`);
+    }
+    if (proposal.status !== PROPOSAL_STATUS_ACTIVE) {
+      return close(`La proposition #${input} n'est pas ouverte au vote.`);
+    }
+
+    return this.askVoteChoice(session, proposal);
+  }
+
+  /**
+   * Affiche le choix Pour/Contre
+   * @private
+   */
+  askVoteChoice(session, proposal) {
+    session.data = { proposalId: proposal.id, title: proposal.title };
+    session.state = USSD_STATES.VOTE_CHOICE;
+    return reply(`#${proposal.id} ${this.truncate(proposal.title, 60)}\n1. Pour\n2. Contre`);
+  }
+
+  /**
+   * Choix du vote
+   * @private
+   */
+  async handleVoteChoice(session, input) {
+    if (input !== '1' && input !== '2') {
+      return reply('Choix invalide.\n1. Pour\n2. Contre');
+    }
+
+    session.data.support = input === '1';
+    session.state = USSD_STATES.VOTE_PIN;
+    return reply(`Voter ${session.data.support ? 'POUR' : 'CONTRE'} #${session.data.proposalId}\nEntrez votre PIN pour confirmer:`);
+  }
+
+  /**
+   * Confirmation par PIN puis envoi du vote en arrière-plan
+   * @private
+   */
+  async handleVoteConfirm(session, pin) {
+    const { signer, failure } = this.authenticate(session, pin);
+    if (failure) {
+      return failure;
+    }
+
+    const { proposalId, support } = session.data;
+
+    if (!(await governanceService.isMemberEligible(signer.address))) {
+      return close('Vous n\'etes pas membre eligible de la DAO.');
+    }
+
+    this.runInBackground(`Vote USSD sur #${proposalId}`, () => (
+      governanceService.castVote({ address: signer.address, privateKey: signer.privateKey }, proposalId, support)
+    ));
+
+    return close(`Vote ${support ? 'POUR' : 'CONTRE'} la proposition #${proposalId} en cours d'enregistrement.`);
+  }
+
+  /*//////////////////////////////////////////////////////////////
+                              UTILITAIRES
+  //////////////////////////////////////////////////////////////*/
+
+  /**
+   * Vérifie le PIN du numéro de la session (protection anti brute-force incluse)
+   * @private
+   * @returns {Object} { signer } ou { failure } (réponse de fin de session)
+   */
+  authenticate(session, pin) {
+    try {
+      const signer = pinGuardService.authenticate(session.phoneNumber, pin);
+      return signer ? { signer } : { failure: close('PIN incorrect.') };
+    } catch (error) {
+      if (error.status === 429) {
+        return { failure: close(`Trop de tentatives. Reessayez dans ${Math.ceil(error.retryAfter / 60)} min.`) };
+      }
+      return { failure: close('PIN invalide (4 a 8 chiffres).') };
+    }
+  }
+
+  /**
+   * Exécute une opération on-chain sans bloquer la réponse USSD
+   * @private
+   */
+  runInBackground(label, task) {
+    console.log(`📟 ${label}...`);
+    task()
+      .then(result => console.log(`✅ ${label} terminé${result?.transactionHash || result?.txHash ? ` (${result.transactionHash || result.txHash})` : ''}`))
+      .catch(error => console.error(`❌ ${label} échoué:`, error.message));
+  }
+
+  /**
+   * Supprime les sessions expirées
+   * @private
+   */
+  purgeExpiredSessions() {
+    const now = Date.now();
+    for (const [sessionId, session] of this.sessions) {
+      if (session.expiresAt <= now) {
+        this.sessions.delete(sessionId);
+      }
+    }
+  }
+
+  /**
+   * Formate un montant (2 décimales maximum)
+   * @private
+   */
+  formatAmount(value) {
+    return parseFloat(parseFloat(value).toFixed(2)).toString();
+  }
+
+  /**
+   * Raccourcit une adresse (0x1234...abcd)
+   * @private
+   */
+  shortAddress(address) {
+    return `${address.slice(0, 6)}...${address.slice(-4)}`;
+  }
+
+  /**
+   * Tronque un texte pour l'écran USSD
+   * @private
+   */
+  truncate(text, maxLength) {
+    return text.length > maxLength ? `${text.slice(0, maxLength - 3)}...` : text;
+  }
+}
+
+// Export d'une instance singleton
+export const ussdService = new UssdService();
+export default ussdService;
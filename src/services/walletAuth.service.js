@@ -0,0 +1,127 @@
+import { ethers } from 'ethers';
+import { config } from '../config/config.js';
+import { ROLES } from '../config/roles.js';
+import { governanceService } from './governance.service.js';
+import { sessionService } from './session.service.js';
+
+// Durée de validité d'un challenge de connexion
+const NONCE_TTL_MS = 5 * 60 * 1000;
+
+// Rôles on-chain ouvrant droit à une session wallet
+const WALLET_ROLES = [ROLES.MODERATOR, ROLES.VALIDATOR];
+
+/**
+ * Service de connexion par signature de wallet (style EIP-4361 "Sign-In with Ethereum")
+ *
+ * Flux :
+ * 1. Le client demande un challenge pour son adresse (nonce + message à signer)
+ * 2. Il signe le message avec son wallet (personal_sign)
+ * 3. Le backend vérifie la signature, contrôle les rôles MODERATOR_ROLE / VALIDATOR_ROLE
+ *    sur le contrat GovernanceDAO et ouvre une session
+ */
+class WalletAuthService {
+  /**
+   * Construit le message EIP-4361 à signer
+   * @private
+   */
+  buildMessage({ address, nonce, issuedAt, expirationTime }) {
+    return [
+      `${config.siweDomain} wants you to sign in with your Ethereum account:`,
+      address,
+      '',
+      'Connexion modérateur/validateur à l\'API de gouvernance Bafoka.',
+      '',
+      `URI: ${config.siweUri}`,
+      'Version: 1',
+      `Chain ID: ${config.celoChainId}`,
+      `Nonce: ${nonce}`,
+      `Issued At: ${issuedAt}`,
+      `Expiration Time: ${expirationTime}`
+    ].join('\n');
+  }
+
+  /**
+   * Crée un challenge de connexion pour une adresse
+   * @param {string} address - Adresse du wallet
+   * @returns {Object} Nonce, message à signer et expiration
+   */
+  createChallenge(address) {
+    if (!ethers.isAddress(address)) {
+      const e = new Error('Adresse invalide');
+      e.code = 'INVALID_ADDRESS';
+      e.status = 400;
+      throw e;
+    }
+
+    const now = Date.now();
+    const challenge = {
+      address: ethers.getAddress(address),
+      issuedAt: new Date(now).toISOString(),
+      expirationTime: new Date(now + NONCE_TTL_MS).toISOString()
+    };
+
+    // Le message est reconstruit à l'identique lors de la vérification
+    const nonce = sessionService.createNonce(challenge, NONCE_TTL_MS);
+
+    return {
+      address: challenge.address,
+      nonce,
+      message: this.buildMessage({ ...challenge, nonce }),
+      expiresAt: challenge.expirationTime
+    };
+  }
+
+  /**
+   * Vérifie la signature d'un challenge et ouvre une session
+   * @param {string} nonce - Nonce du challenge
+   * @param {string} signature - Signature du message par le wallet
+   * @returns {Promise<Object>} Token de session et rôles accordés
+   */
+  async login(nonce, signature) {
+    const challenge = sessionService.consumeNonce(nonce);
+    if (!challenge) {
+      const e = new Error('Challenge inconnu ou expiré, demandez un nouveau nonce');
+      e.code = 'INVALID_NONCE';
+      e.status = 401;
+      throw e;
+    }
+
+    let signer;
+    try {
+      signer = ethers.verifyMessage(this.buildMessage({ ...challenge, nonce }), signature);
+    } catch (error) {
+      const e = new Error(`Signature invalide: ${error.message}`);
+      e.code = 'INVALID_SIGNATURE';
+      e.status = 401;
+      throw e;
+    }
+
+    if (signer.toLowerCase() !== challenge.address.toLowerCase()) {
+      const e = new Error('La signature ne correspond pas à l\'adresse du challenge');
+      e.code = 'INVALID_SIGNATURE';
+      e.status = 401;
+      throw e;
+    }
+
+    const roles = await governanceService.getOnchainRoles(challenge.address, WALLET_ROLES);
+    if (roles.length === 0) {
+      const e = new Error('Ce compte ne détient ni MODERATOR_ROLE ni VALIDATOR_ROLE sur le contrat de gouvernance');
+      e.code = 'NO_ONCHAIN_ROLE';
+      e.status = 403;
+      throw e;
+    }
+
+    console.log(`🔑 Session wallet ouverte pour ${challenge.address} (${roles.join(', ')})`);
+
+    return sessionService.createSession({
+      type: 'wallet',
+      subject: challenge.address,
+      roles,
+      ttlMs: config.walletSessionTtlMinutes * 60 * 1000
+    });
+  }
+}
+
+// Export d'une instance singleton
+export const walletAuthService = new WalletAuthService();
+export default walletAuthService;
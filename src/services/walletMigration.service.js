@@ -0,0 +1,288 @@
+import { ethers } from 'ethers';
+import { blockchainService } from './blockchain.service.js';
+import { governanceService } from './governance.service.js';
+import { onboardingService } from './onboarding.service.js';
+import { phoneDirectoryService } from './phoneDirectory.service.js';
+import { phoneWalletService, LEGACY_DERIVATION_VERSION } from './phoneWallet.service.js';
+import { pinGuardService } from './pinGuard.service.js';
+import { sessionService } from './session.service.js';
+
+/**
+ * Service de migration des wallets téléphone
+ *
+ * L'adresse étant dérivée de "téléphone:PIN" avec un schéma versionné, changer de PIN
+ * ou de schéma de dérivation revient à changer de wallet. La migration déplace tout
+ * vers la nouvelle adresse :
+ * 1. Adhésion DAO (allowList) : enregistrement de la nouvelle adresse puis désenregistrement de l'ancienne
+ * 2. Solde BFK
+ * 3. Solde CELO restant (en dernier, après l'éventuel auto-funding du gas)
+ *
+ * Chaque étape vérifie l'état on-chain avant d'agir : après un échec, relancer la migration
+ * reprend là où elle s'est arrêtée. L'ancienne adresse reste la référence du numéro
+ * tant que la migration n'est pas terminée.
+ */
+class WalletMigrationService {
+  constructor() {
+    this.inProgress = new Set(); // Numéros (hashés) en cours de migration
+  }
+
+  /**
+   * Migre l'adhésion et les fonds d'un wallet vers un autre puis bascule le numéro sur le nouveau
+   * @param {string} phoneNumber - Numéro de téléphone
+   * @param {Object} oldWallet - Signataire actuel ({ address, privateKey })
+   * @param {Object} newWallet - Nouveau signataire ({ address, privateKey, phoneNumber, derivationVersion })
+   * @returns {Promise<Object>} Ancienne/nouvelle adresse et détail des étapes (hash des transactions)
+   * @throws {Error} 409 MIGRATION_IN_PROGRESS, 502 MIGRATION_INCOMPLETE (details: étapes réalisées)
+   */
+  async migrate(phoneNumber, oldWallet, newWallet) {
+    const key = phoneWalletService.hashPhoneNumber(phoneNumber);
+    if (this.inProgress.has(key)) {
+      throw this.error('Une migration de wallet est déjà en cours pour ce numéro', 'MIGRATION_IN_PROGRESS', 409);
+    }
+
+    this.inProgress.add(key);
+    const steps = [];
+
+    console.log(`🔁 Migration de wallet: ${oldWallet.address} vers ${newWallet.address}`);
+
+    try {
+      await this.migrateMembership(oldWallet, newWallet, steps);
+      await this.sweepTokens(oldWallet, newWallet, steps);
+      await this.sweepCelo(oldWallet, newWallet, steps);
+    } catch (error) {
+      // Migration refusée avant toute transaction : l'erreur typée est transmise telle quelle
+      if (error.code === 'MEMBER_HAS_ACTIVE_VOTES') {
+        throw error;
+      }
+      console.error('❌ Migration de wallet interrompue:', error.message);
+      const e = this.error(`Migration interrompue: ${error.message}`, 'MIGRATION_INCOMPLETE', 502);
+      e.details = { oldAddress: oldWallet.address, newAddress: newWallet.address, steps };
+      throw e;
+    } finally {
+      this.inProgress.delete(key);
+    }
+
+    // La nouvelle adresse devient la référence : l'ancienne est désormais refusée
+    phoneWalletService.setDerivationVersion(phoneNumber, newWallet.derivationVersion);
+    pinGuardService.setReference(phoneNumber, newWallet.address);
+    onboardingService.migrateAddress(phoneNumber, newWallet.address);
+    phoneDirectoryService.updateAddress(phoneNumber, newWallet.address);
+    const revokedSessions = sessionService.revokeSubjectSessions(oldWallet.address, 'phone');
+
+    console.log(`✅ Wallet migré vers ${newWallet.address} (dérivation ${newWallet.derivationVersion})`);
+
+    return {
+      oldAddress: oldWallet.address,
+      newAddress: newWallet.address,
+      phoneNumber: newWallet.phoneNumber,
+      derivationVersion: newWallet.derivationVersion,
+      steps,
+      revokedSessions
+    };
+  }
+
+  /**
+   * Migre un numéro authentifié vers le schéma de dérivation courant
+   * (appelé à la connexion quand le numéro utilise un schéma antérieur)
+   * @param {string} phoneNumber - Numéro de téléphone
+   * @param {string} pin - PIN (déjà vérifié)
+   * @param {Object} signer - Signataire actuel, dérivé avec l'ancien schéma
+   * @returns {Promise<Object>} Résultat de la migration (voir migrate)
+   */
+  async upgradeDerivation(phoneNumber, pin, signer) {
+    const newWallet = phoneWalletService.getSignerFromPhone(phoneNumber, pin, phoneWalletService.currentVersion);
+
+    console.log(`🔐 Dérivation ${signer.derivationVersion} obsolète, migration vers ${newWallet.derivationVersion}`);
+
+    return this.migrate(phoneNumber, signer, newWallet);
+  }
+
+  /**
+   * Dérive le wallet d'un numéro et indique si le PIN fourni en prouve la possession
+   *
+   * Le PIN est prouvé quand l'adresse dérivée correspond à la référence du numéro (pinGuard),
+   * sinon à un wallet v1 ayant de l'activité on-chain (compte antérieur au backend), sinon à
+   * l'adresse de son onboarding. Seul un PIN prouvé fixe le schéma de dérivation du numéro :
+   * un PIN incorrect ne doit pas faire basculer un compte v1 encore inconnu du backend vers le
+   * schéma courant, ce qui rendrait ses fonds inaccessibles avec le bon PIN.
+   *
+   * Un numéro inconnu dont le wallet v1 n'a aucune activité reçoit le schéma courant à titre
+   * provisoire : il est confirmé à la première connexion prouvée, et remplacé par v1 si le
+   * propriétaire d'un wallet v1 actif se présente d'ici là.
+   *
+   * @param {string} phoneNumber - Numéro de téléphone
+   * @param {string} pin - PIN
+   * @returns {Promise<Object>} { signer, proven } - signer dérivé avec le schéma du numéro
+   * @throws {Error} 503 DERIVATION_CHECK_UNAVAILABLE si l'activité du wallet v1 ne peut pas être vérifiée
+   */
+  async resolveAccount(phoneNumber, pin) {
+    const signers = new Map();
+    const derive = (version = phoneWalletService.getDerivationVersion(phoneNumber)) => {
+      if (!signers.has(version)) {
+        signers.set(version, phoneWalletService.getSignerFromPhone(phoneNumber, pin, version));
+      }
+      return signers.get(version);
+    };
+    const findVersion = (address) => [...new Set([LEGACY_DERIVATION_VERSION, phoneWalletService.currentVersion])]
+      .find(version => sameAddress(derive(version).address, address));
+
+    const reference = pinGuardService.getReference(phoneNumber);
+    const onboardedAddress = onboardingService.findByPhone(phoneNumber)?.address || null;
+
+    if (phoneWalletService.isDerivationConfirmed(phoneNumber)) {
+      const signer = derive();
+      const known = reference || onboardedAddress;
+      return { signer, proven: known ? sameAddress(signer.address, known) : await this.hasActivity(signer.address) };
+    }
+
+    // Référence enregistrée : elle seule prouve le PIN
+    if (reference) {
+      const version = findVersion(reference);
+      return version ? this.confirm(phoneNumber, derive(version)) : { signer: derive(), proven: false };
+    }
+
+    // Wallet v1 actif : compte antérieur au backend (prioritaire sur un onboarding non prouvé)
+    if (await this.hasActivity(derive(LEGACY_DERIVATION_VERSION).address)) {
+      return this.confirm(phoneNumber, derive(LEGACY_DERIVATION_VERSION));
+    }
+
+    if (onboardedAddress) {
+      const version = findVersion(onboardedAddress);
+      return version ? this.confirm(phoneNumber, derive(version)) : { signer: derive(), proven: false };
+    }
+
+    // Numéro inconnu : schéma courant à titre provisoire
+    if (!phoneWalletService.hasDerivationRecord(phoneNumber) && phoneWalletService.currentVersion !== LEGACY_DERIVATION_VERSION) {
+      phoneWalletService.setDerivationVersion(phoneNumber, phoneWalletService.currentVersion, { confirmed: false });
+    }
+    return { signer: derive(), proven: false };
+  }
+
+  /**
+   * Confirme le schéma de dérivation d'un numéro dont le PIN est prouvé
+   * @private
+   */
+  confirm(phoneNumber, signer) {
+    if (!phoneWalletService.isDerivationConfirmed(phoneNumber)
+      || phoneWalletService.getDerivationVersion(phoneNumber) !== signer.derivationVersion) {
+      phoneWalletService.setDerivationVersion(phoneNumber, signer.derivationVersion);
+    }
+    return { signer, proven: true };
+  }
+
+  /**
+   * Étape 1 : adhésion DAO
+   * @private
+   */
+  async migrateMembership(oldWallet, newWallet, steps) {
+    if (!governanceService.contract) {
+      steps.push({ step: 'membership', status: 'skipped', reason: 'Contrat de gouvernance non configuré' });
+      return;
+    }
+
+    const result = await governanceService.migrateMember(oldWallet.address, newWallet.address);
+
+    if (!result.wasMember) {
+      steps.push({ step: 'membership', status: 'skipped', reason: 'Ancienne adresse non membre de la DAO' });
+      return;
+    }
+
+    steps.push({
+      step: 'membership.register',
+      status: result.registerTxHash ? 'completed' : 'skipped',
+      txHash: result.registerTxHash,
+      transactionCount: result.transactionCount
+    });
+    steps.push({
+      step: 'membership.deregister',
+      status: result.deregisterTxHash ? 'completed' : 'skipped',
+      txHash: result.deregisterTxHash
+    });
+  }
+
+  /**
+   * Étape 2 : solde BFK
+   * @private
+   */
+  async sweepTokens(oldWallet, newWallet, steps) {
+    const balance = await blockchainService.tokenContract.balanceOf(oldWallet.address);
+
+    if (balance === 0n) {
+      steps.push({ step: 'sweep.token', status: 'skipped', reason: 'Aucun BFK sur l\'ancienne adresse' });
+      return;
+    }
+
+    const decimals = await blockchainService.tokenContract.decimals();
+    const amount = ethers.formatUnits(balance, decimals);
+
+    // Frais payés par l'ancienne adresse (devise de frais, sinon CELO avec auto-funding)
+    const result = await blockchainService.transferTokensFromWallet(oldWallet.privateKey, newWallet.address, amount, {
+      context: 'wallet migration'
+    });
+    steps.push({
+      step: 'sweep.token',
+      status: 'completed',
+      txHash: result.transactionHash,
+      amount,
+      feeCurrency: result.feePayment.currency
+    });
+  }
+
+  /**
+   * Étape 3 : solde CELO restant
+   * @private
+   */
+  async sweepCelo(oldWallet, newWallet, steps) {
+    const result = await blockchainService.sweepCelo(oldWallet.privateKey, newWallet.address);
+
+    if (!result) {
+      steps.push({ step: 'sweep.celo', status: 'skipped', reason: 'Solde CELO insuffisant pour couvrir les frais' });
+      return;
+    }
+
+    steps.push({ step: 'sweep.celo', status: 'completed', txHash: result.transactionHash, amount: result.amount });
+  }
+
+  /**
+   * Indique si un wallet a des fonds ou des transactions
+   * Contrairement à l'onboarding, une erreur réseau est bloquante : attribuer le nouveau
+   * schéma à un wallet v1 déjà financé rendrait ses fonds inaccessibles
+   * @private
+   */
+  async hasActivity(address) {
+    try {
+      const [celoBalance, nonce, tokenBalance] = await Promise.all([
+        blockchainService.provider.getBalance(address),
+        blockchainService.provider.getTransactionCount(address),
+        blockchainService.tokenContract.balanceOf(address)
+      ]);
+      return celoBalance > 0n || nonce > 0 || tokenBalance > 0n;
+    } catch (error) {
+      throw this.error(
+        `Impossible de vérifier l'activité du wallet: ${error.message}`,
+        'DERIVATION_CHECK_UNAVAILABLE',
+        503
+      );
+    }
+  }
+
+  /**
+   * Construit une erreur typée
+   * @private
+   */
+  error(message, code, status) {
+    const e = new Error(message);
+    e.code = code;
+    e.status = status;
+    return e;
+  }
+}
+
+/**
+ * @private
+ */
+const sameAddress = (a, b) => Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+
+// Export d'une instance singleton
+export const walletMigrationService = new WalletMigrationService();
+export default walletMigrationService;
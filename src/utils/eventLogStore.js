@@ -0,0 +1,80 @@
+import fs from 'fs';
+import path from 'path';
+import { config } from '../config/config.js';
+
+/**
+ * Journal d'événements persistant (un objet JSON par ligne)
+ *
+ * Les indexeurs ajoutent leurs événements en fin de fichier au fil de l'indexation ;
+ * le fichier n'est réécrit entièrement (fichier temporaire puis renommage) que pour
+ * retirer des événements (passe interrompue, réorganisation de la chaîne).
+ * Les fichiers sont placés dans le répertoire de données (DATA_DIR, par défaut ./data).
+ */
+export class EventLogStore {
+  /**
+   * @param {string} fileName - Nom du fichier dans le répertoire de données (ex: 'transfer-events.jsonl')
+   */
+  constructor(fileName) {
+    this.filePath = path.resolve(config.dataDir, fileName);
+  }
+
+  /**
+   * Lit tous les événements du journal (les lignes illisibles sont ignorées)
+   * @returns {{ records: Array<Object>, invalid: number }} Événements et nombre de lignes ignorées
+   */
+  readAll() {
+    let lines = [];
+    try {
+      if (fs.existsSync(this.filePath)) {
+        lines = fs.readFileSync(this.filePath, 'utf8').split('\n').filter(Boolean);
+      }
+    } catch (error) {
+      console.warn(`⚠️  Erreur lors de la lecture de ${this.filePath}:`, error.message);
+    }
+
+    const records = [];
+    let invalid = 0;
+    for (const line of lines) {
+      try {
+        records.push(JSON.parse(line));
+      } catch (error) {
+        invalid++;
+      }
+    }
+
+    return { records, invalid };
+  }
+
+  /**
+   * Ajoute des événements en fin de journal
+   * @param {Array<Object>} records - Événements (sérialisables en JSON)
+   */
+  append(records) {
+    if (records.length === 0) {
+      return;
+    }
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.appendFileSync(this.filePath, this.serialize(records));
+  }
+
+  /**
+   * Remplace tout le contenu du journal
+   * @param {Array<Object>} records - Événements à conserver
+   */
+  rewrite(records) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, this.serialize(records));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  /**
+   * @private
+   */
+  serialize(records) {
+    return records.map(record => `${JSON.stringify(record)}\n`).join('');
+  }
+}
+
+export default EventLogStore;
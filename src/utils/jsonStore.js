@@ -0,0 +1,103 @@
+import fs from 'fs';
+import path from 'path';
+import { config } from '../config/config.js';
+
+/**
+ * Stockage clé/valeur persistant dans un fichier JSON
+ *
+ * Les données sont chargées une fois en mémoire puis réécrites à chaque modification
+ * (écriture dans un fichier temporaire puis renommage, pour ne jamais laisser un fichier tronqué).
+ * Les fichiers sont placés dans le répertoire de données (DATA_DIR, par défaut ./data).
+ */
+export class JsonStore {
+  /**
+   * @param {string} fileName - Nom du fichier dans le répertoire de données (ex: 'pin-attempts.json')
+   */
+  constructor(fileName) {
+    this.filePath = path.resolve(config.dataDir, fileName);
+    this.data = null;
+  }
+
+  /**
+   * Charge les données depuis le disque (une seule fois)
+   * @private
+   */
+  load() {
+    if (this.data) {
+      return this.data;
+    }
+
+    try {
+      this.data = fs.existsSync(this.filePath)
+        ? JSON.parse(fs.readFileSync(this.filePath, 'utf8'))
+        : {};
+    } catch (error) {
+      console.warn(`⚠️  Erreur lors de la lecture de ${this.filePath}:`, error.message);
+      this.data = {};
+    }
+
+    return this.data;
+  }
+
+  /**
+   * Écrit les données sur le disque
+   * @private
+   */
+  save() {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const tmpPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(this.data, null, 2));
+      fs.renameSync(tmpPath, this.filePath);
+    } catch (error) {
+      console.error(`❌ Erreur lors de l'écriture de ${this.filePath}:`, error.message);
+    }
+  }
+
+  /**
+   * Récupère une valeur
+   * @param {string} key - Clé
+   * @returns {*} Valeur ou null
+   */
+  get(key) {
+    return this.load()[key] ?? null;
+  }
+
+  /**
+   * Enregistre une valeur
+   * @param {string} key - Clé
+   * @param {*} value - Valeur (sérialisable en JSON)
+   * @returns {*} Valeur enregistrée
+   */
+  set(key, value) {
+    this.load()[key] = value;
+    this.save();
+    return value;
+  }
+
+  /**
+   * Supprime une valeur
+   * @param {string} key - Clé
+   * @returns {boolean} true si la clé existait
+   */
+  delete(key) {
+    const data = this.load();
+    if (!(key in data)) {
+      return false;
+    }
+
+    delete data[key];
+    this.save();
+    return true;
+  }
+
+  /**
+   * Liste toutes les entrées
+   * @returns {Array<[string, *]>} Paires [clé, valeur]
+   */
+  entries() {
+    return Object.entries(this.load());
+  }
+}
+
+export default JsonStore;
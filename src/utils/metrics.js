@@ -0,0 +1,369 @@
+import { ethers } from 'ethers';
+import { TOKEN_ABI, GOVERNANCE_ABI, FORWARDER_ABI } from '../contracts/abis.js';
+
+/**
+ * Métriques au format texte Prometheus (exposition 0.0.4)
+ *
+ * Registre minimal en mémoire : compteurs, jauges et histogrammes avec labels, rendus par
+ * GET /metrics. Les métriques applicatives sont déclarées en bas de ce fichier et alimentées
+ * par les middlewares et services (requêtes HTTP, appels RPC, transactions envoyées).
+ */
+
+// Bornes des histogrammes de durée (en secondes)
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+/**
+ * @private
+ */
+const escapeLabelValue = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/"/g, '\\"')
+  .replace(/\n/g, '\\n');
+
+/**
+ * @private
+ */
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  return entries.length === 0
+    ? ''
+    : `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+};
+
+/**
+ * @private
+ */
+const formatValue = (value) => {
+  if (Number.isNaN(value)) {
+    return 'NaN';
+  }
+  if (!Number.isFinite(value)) {
+    return value > 0 ? '+Inf' : '-Inf';
+  }
+  return String(value);
+};
+
+/**
+ * Métrique avec labels (base commune)
+ * @private
+ */
+class Metric {
+  /**
+   * @param {string} name - Nom de la métrique (ex: 'bafoka_http_requests_total')
+   * @param {string} help - Description
+   * @param {Array<string>} labelNames - Noms des labels
+   */
+  constructor(name, help, labelNames = []) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map(); // Clé des labels → { labels, ... }
+  }
+
+  /**
+   * Série correspondant aux labels (créée si nécessaire)
+   * @private
+   */
+  getSeries(labels, create) {
+    const normalized = Object.fromEntries(this.labelNames.map(name => [name, labels[name] ?? '']));
+    const key = JSON.stringify(normalized);
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels: normalized, ...create() });
+    }
+    return this.series.get(key);
+  }
+
+  /**
+   * Supprime toutes les séries (jauges recalculées à chaque collecte)
+   */
+  reset() {
+    this.series.clear();
+  }
+
+  /**
+   * @private
+   */
+  header(type) {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${type}`];
+  }
+}
+
+/**
+ * Compteur (valeur croissante)
+ */
+export class Counter extends Metric {
+  /**
+   * @param {Object} labels - Valeurs des labels
+   * @param {number} value - Incrément (1 par défaut)
+   */
+  inc(labels = {}, value = 1) {
+    this.getSeries(labels, () => ({ value: 0 })).value += value;
+  }
+
+  /**
+   * Fixe la valeur (compteurs recalculés depuis un registre persistant)
+   * @param {Object} labels - Valeurs des labels
+   * @param {number} value - Valeur totale
+   */
+  set(labels, value) {
+    this.getSeries(labels, () => ({ value: 0 })).value = value;
+  }
+
+  render() {
+    return [
+      ...this.header('counter'),
+      ...[...this.series.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${formatValue(value)}`)
+    ];
+  }
+}
+
+/**
+ * Jauge (valeur instantanée)
+ */
+export class Gauge extends Metric {
+  /**
+   * @param {Object} labels - Valeurs des labels
+   * @param {number} value - Valeur
+   */
+  set(labels, value) {
+    this.getSeries(labels, () => ({ value: 0 })).value = value;
+  }
+
+  render() {
+    return [
+      ...this.header('gauge'),
+      ...[...this.series.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${formatValue(value)}`)
+    ];
+  }
+}
+
+/**
+ * Histogramme (répartition des observations par bornes)
+ */
+export class Histogram extends Metric {
+  /**
+   * @param {string} name - Nom de la métrique
+   * @param {string} help - Description
+   * @param {Array<string>} labelNames - Noms des labels
+   * @param {Array<number>} buckets - Bornes supérieures des intervalles (croissantes)
+   */
+  constructor(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    super(name, help, labelNames);
+    this.buckets = buckets;
+  }
+
+  /**
+   * @param {Object} labels - Valeurs des labels
+   * @param {number} value - Observation (ex: durée en secondes)
+   */
+  observe(labels, value) {
+    const series = this.getSeries(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.counts[index]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * Démarre un chronomètre
+   * @param {Object} labels - Labels connus au démarrage
+   * @returns {Function} Fonction d'arrêt (labels complémentaires) qui enregistre la durée en secondes
+   */
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+    return (endLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      this.observe({ ...labels, ...endLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  render() {
+    const lines = this.header('histogram');
+    for (const { labels, counts, sum, count } of this.series.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${formatValue(sum)}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines;
+  }
+}
+
+/**
+ * Registre des métriques exposées
+ */
+export class MetricsRegistry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  /**
+   * Ajoute une métrique au registre
+   * @param {Counter|Gauge|Histogram} metric - Métrique
+   * @returns {Counter|Gauge|Histogram} La métrique
+   */
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  /**
+   * Rendu au format texte Prometheus
+   * @returns {string}
+   */
+  render() {
+    return `${this.metrics.flatMap(metric => metric.render()).join('\n')}\n`;
+  }
+}
+
+// Type MIME du format texte Prometheus
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+export const registry = new MetricsRegistry();
+
+/*//////////////////////////////////////////////////////////////
+                        MÉTRIQUES APPLICATIVES
+//////////////////////////////////////////////////////////////*/
+
+export const metrics = {
+  httpRequestsTotal: registry.register(new Counter(
+    'bafoka_http_requests_total',
+    'Requêtes HTTP traitées, par méthode, route et statut',
+    ['method', 'route', 'status']
+  )),
+  httpRequestDuration: registry.register(new Histogram(
+    'bafoka_http_request_duration_seconds',
+    'Durée des requêtes HTTP, par méthode, route et statut',
+    ['method', 'route', 'status']
+  )),
+  rpcRequestsTotal: registry.register(new Counter(
+    'bafoka_rpc_requests_total',
+    'Appels JSON-RPC au nœud, par fournisseur et méthode',
+    ['provider', 'method']
+  )),
+  rpcRequestDuration: registry.register(new Histogram(
+    'bafoka_rpc_request_duration_seconds',
+    'Durée des appels JSON-RPC, par fournisseur et méthode',
+    ['provider', 'method']
+  )),
+  rpcErrorsTotal: registry.register(new Counter(
+    'bafoka_rpc_errors_total',
+    'Appels JSON-RPC en erreur (réponse d\'erreur du nœud ou échec du transport), par fournisseur et méthode',
+    ['provider', 'method']
+  )),
+  transactionsTotal: registry.register(new Counter(
+    'bafoka_transactions_total',
+    'Transactions envoyées, confirmées ou échouées, par signataire (admin, user) et type (méthode du contrat)',
+    ['signer', 'type', 'status']
+  )),
+  gasFundingsTotal: registry.register(new Counter(
+    'bafoka_gas_autofunding_total',
+    'Financements automatiques du gas envoyés (registre des financements)'
+  )),
+  gasFundedCeloTotal: registry.register(new Counter(
+    'bafoka_gas_autofunding_celo_total',
+    'CELO envoyés par le financement automatique du gas (registre des financements)'
+  )),
+  adminBalance: registry.register(new Gauge(
+    'bafoka_admin_wallet_balance',
+    'Solde du wallet administrateur, par actif (CELO, BFK)',
+    ['asset']
+  )),
+  blockHeight: registry.register(new Gauge(
+    'bafoka_block_height',
+    'Numéro du dernier bloc connu du nœud RPC'
+  )),
+  adminQueuePending: registry.register(new Gauge(
+    'bafoka_admin_tx_queue_pending',
+    'Transactions du wallet administrateur en cours (non confirmées ni échouées)'
+  )),
+  processResidentMemory: registry.register(new Gauge(
+    'process_resident_memory_bytes',
+    'Mémoire résidente du processus en octets'
+  )),
+  processStartTime: registry.register(new Gauge(
+    'process_start_time_seconds',
+    'Date de démarrage du processus (secondes depuis l\'epoch)'
+  ))
+};
+
+/**
+ * Instrumente un fournisseur JSON-RPC ethers : nombre, durée et erreurs des appels par méthode
+ * @param {ethers.JsonRpcProvider} provider - Fournisseur à instrumenter
+ * @param {string} name - Nom du fournisseur dans les labels (ex: 'blockchain')
+ * @returns {ethers.JsonRpcProvider} Le fournisseur
+ */
+export const instrumentProvider = (provider, name) => {
+  const send = provider._send.bind(provider);
+
+  provider._send = async (payload) => {
+    const requests = Array.isArray(payload) ? payload : [payload];
+    const stopTimers = requests.map(({ method }) => {
+      metrics.rpcRequestsTotal.inc({ provider: name, method });
+      return metrics.rpcRequestDuration.startTimer({ provider: name, method });
+    });
+
+    try {
+      const results = await send(payload);
+      stopTimers.forEach(stop => stop());
+
+      for (const result of results) {
+        if (result && 'error' in result) {
+          const request = requests.find(({ id }) => id === result.id);
+          metrics.rpcErrorsTotal.inc({ provider: name, method: request?.method ?? 'unknown' });
+        }
+      }
+      return results;
+    } catch (error) {
+      stopTimers.forEach(stop => stop());
+      requests.forEach(({ method }) => metrics.rpcErrorsTotal.inc({ provider: name, method }));
+      throw error;
+    }
+  };
+
+  return provider;
+};
+
+/*//////////////////////////////////////////////////////////////
+                            TRANSACTIONS
+//////////////////////////////////////////////////////////////*/
+
+let selectors = null;
+
+/**
+ * Type d'une transaction pour les labels : fonction appelée sur les contrats connus,
+ * celo_transfer pour un simple envoi de CELO, unknown sinon
+ * @param {Object} request - { data }
+ * @returns {string}
+ */
+export const transactionType = ({ data } = {}) => {
+  if (!data || data === '0x') {
+    return 'celo_transfer';
+  }
+
+  if (!selectors) {
+    selectors = new Map();
+    for (const abi of [TOKEN_ABI, GOVERNANCE_ABI, FORWARDER_ABI]) {
+      new ethers.Interface(abi).forEachFunction(fragment => {
+        selectors.set(fragment.selector, fragment.name);
+      });
+    }
+  }
+  return selectors.get(data.slice(0, 10).toLowerCase()) || 'unknown';
+};
+
+/**
+ * Compte une transaction envoyée, confirmée ou échouée
+ * @param {string} signer - 'admin' (file du wallet administrateur) ou 'user' (wallet téléphone)
+ * @param {Object} request - { to, data, value }
+ * @param {string} status - 'sent', 'confirmed' ou 'failed'
+ */
+export const recordTransaction = (signer, request, status) => {
+  metrics.transactionsTotal.inc({ signer, type: transactionType(request), status });
+};
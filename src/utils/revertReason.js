@@ -0,0 +1,32 @@
+import { ethers } from 'ethers';
+import { GOVERNANCE_ABI, TOKEN_ABI } from '../contracts/abis.js';
+
+// Interfaces utilisées pour décoder les erreurs personnalisées des contrats
+const CONTRACT_INTERFACES = [new ethers.Interface(TOKEN_ABI), new ethers.Interface(GOVERNANCE_ABI)];
+
+/**
+ * Raison lisible d'une erreur d'exécution (require, Panic ou erreur personnalisée du contrat)
+ * @param {Error} error - Erreur ethers (CALL_EXCEPTION) d'un appel, d'une estimation ou d'un rejeu
+ * @returns {string} Raison décodée, sinon message de l'erreur
+ */
+export const decodeRevertReason = (error) => {
+  if (error.reason) {
+    return error.reason;
+  }
+  if (error.revert) {
+    return `${error.revert.name}(${error.revert.args.join(', ')})`;
+  }
+
+  if (typeof error.data === 'string' && error.data !== '0x') {
+    for (const contractInterface of CONTRACT_INTERFACES) {
+      const parsed = contractInterface.parseError(error.data);
+      if (parsed) {
+        return `${parsed.name}(${parsed.args.join(', ')})`;
+      }
+    }
+  }
+
+  return error.shortMessage || error.message;
+};
+
+export default decodeRevertReason;